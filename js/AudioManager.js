@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { ALL_SOUNDS, ALL_MUSIC } from './config/sounds.js';
+import { ALL_SOUNDS, ALL_MUSIC, ALL_AMBIENT } from './config/sounds.js';
 import { STORAGE_KEYS } from './config/storage-keys.js';
 import storageService from './save-manager/StorageService.js';
 
@@ -19,6 +19,10 @@ export class AudioManager {
         // Sound collections
         this.sounds = {};
         this.music = {};
+        this.ambient = {};
+        
+        // Ambient loop levels (0-1) requested by the weather system, by sound id
+        this.ambientLevels = {};
         
         // Audio file availability tracking
         this.audioFilesAvailable = false;
@@ -53,6 +57,8 @@ export class AudioManager {
                     this.createSimulatedSoundEffects();
                     this.createSimulatedMusic();
                 }
+                
+                this.createAmbientSounds(available);
             });
             
             // Listen for storage updates
@@ -188,7 +194,24 @@ export class AudioManager {
         });
     }
     
-    createSound(name, filename, volume = 1.0, loop = false) {
+    /**
+     * Create ambient loops, falling back to simulated audio if files aren't available
+     * @param {boolean} useFiles - Whether to load the audio files
+     */
+    createAmbientSounds(useFiles) {
+        Object.values(ALL_AMBIENT).forEach(sound => {
+            const simParams = sound.simulated || {};
+            
+            this.ambient[sound.id] = useFiles
+                ? this.createSound(sound.id, sound.file, 0, true, simParams)
+                : this.createSimulatedSound(sound.id, simParams.frequency || 220, 0, simParams.duration || 2.0, true, simParams);
+            
+            // Apply any level requested before the sounds were ready
+            this.updateAmbientVolume(sound.id);
+        });
+    }
+    
+    createSound(name, filename, volume = 1.0, loop = false, simulated = null) {
         try {
             // Create audio object
             const sound = new THREE.Audio(this.listener);
@@ -205,6 +228,11 @@ export class AudioManager {
             audioLoader.load(`assets/audio/${filename}`, buffer => {
                 sound.setBuffer(buffer);
                 console.debug(`Loaded audio: ${name}`);
+                
+                // Start ambient loops that were requested while loading
+                if (this.ambient[name]) {
+                    this.updateAmbientVolume(name);
+                }
             }, 
             // Progress callback
             (xhr) => {
@@ -214,7 +242,15 @@ export class AudioManager {
             (error) => {
                 console.error(`Error loading audio ${name}:`, error);
                 // Fall back to simulated sound
-                this.simulateAudioBuffer(sound);
+                if (simulated) {
+                    this.simulateAudioBuffer(sound, simulated.frequency, simulated.duration, simulated);
+                } else {
+                    this.simulateAudioBuffer(sound);
+                }
+                
+                if (this.ambient[name]) {
+                    this.updateAmbientVolume(name);
+                }
             });
             
             return sound;
@@ -478,6 +514,44 @@ export class AudioManager {
         return false;
     }
     
+    /**
+     * Set the level of an ambient loop, starting or stopping it as needed
+     * @param {string} name - Ambient sound id
+     * @param {number} level - Level from 0 (silent) to 1 (full volume)
+     */
+    setAmbientLevel(name, level) {
+        this.ambientLevels[name] = Math.max(0, Math.min(1, level));
+        this.updateAmbientVolume(name);
+    }
+    
+    /**
+     * Apply the level, SFX volume and mute state to an ambient loop
+     * @param {string} name - Ambient sound id
+     */
+    updateAmbientVolume(name) {
+        const sound = this.ambient[name];
+        if (!sound) return;
+        
+        const level = this.ambientLevels[name] || 0;
+        const config = ALL_AMBIENT[name];
+        const volume = (config ? config.volume : 1) * this.sfxVolume * level;
+        
+        try {
+            sound.setVolume(volume);
+            
+            if (level > 0 && this.audioEnabled && !this.isMuted) {
+                // The buffer may still be loading - it is started once loaded
+                if (!sound.isPlaying && sound.buffer) {
+                    sound.play();
+                }
+            } else if (sound.isPlaying) {
+                sound.stop();
+            }
+        } catch (error) {
+            console.warn(`Could not update ambient sound ${name}:`, error);
+        }
+    }
+    
     stopMusic() {
         if (this.currentMusic && this.music[this.currentMusic]) {
             try {
@@ -521,6 +595,13 @@ export class AudioManager {
                         sound.pause();
                     }
                 }
+                
+                for (const soundName in this.ambient) {
+                    const sound = this.ambient[soundName];
+                    if (sound && sound.isPlaying) {
+                        sound.pause();
+                    }
+                }
                 soundEffectsPaused = true;
                 console.debug('All sound effects paused');
             } catch (error) {
@@ -561,6 +642,11 @@ export class AudioManager {
                         sound.play();
                     }
                 }
+                
+                // Ambient loops restart from their current levels
+                for (const soundName in this.ambient) {
+                    this.updateAmbientVolume(soundName);
+                }
                 soundEffectsResumed = true;
                 console.debug('All sound effects resumed');
             } catch (error) {
@@ -595,6 +681,9 @@ export class AudioManager {
             }
         }
         
+        // Ambient loops follow the mute state
+        Object.keys(this.ambient).forEach(name => this.updateAmbientVolume(name));
+        
         return this.isMuted;
     }
     
@@ -621,6 +710,9 @@ export class AudioManager {
             }
         });
         
+        // Ambient loops keep their own levels on top of the SFX volume
+        Object.keys(this.ambient).forEach(name => this.updateAmbientVolume(name));
+        
         return this.sfxVolume;
     }
     
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getDamageType } from './config/damage-types.js';
 
 export class CollisionManager {
     constructor(player, enemyManager, world) {
@@ -294,23 +295,43 @@ export class CollisionManager {
             enemyId: enemyId
         });
         
-        // Apply skill damage to enemy
-        const damage = skill.getDamage();
-        enemy.takeDamage(damage);
+        // Apply skill damage to enemy, including item combat stats (crit, elemental, stacks)
+        // The enemy resists or is weak to the damage type of the skill (or its variant),
+        // the elemental bonus of items to the element of the items
+        const hit = this.player.combatStats.resolveHit(skill.getDamage());
+        const damage = hit.damage;
+        const damageType = skill.getDamageType();
+        const elementType = hit.element ? getDamageType(hit.element) : damageType;
+        const damageParts = hit.elementalDamage > 0 && elementType !== damageType ?
+            [
+                { amount: damage - hit.elementalDamage, damageType },
+                { amount: hit.elementalDamage, damageType: elementType }
+            ] :
+            [{ amount: damage, damageType }];
         
         // Get enemy position for effects
         const enemyPosition = enemy.getPosition();
         
+        damageParts.forEach(part => {
+            if (part.amount <= 0 || enemy.isDead()) return;
+            
+            const damageDealt = enemy.takeDamage(part.amount, false, null, false, part.damageType);
+            
+            // Show the damage dealt as floating text colored by damage type
+            if (damageDealt > 0 && this.player.game.effectsManager) {
+                this.player.game.effectsManager.createDamageText(damageDealt, enemyPosition, part.damageType, hit.isCritical);
+            }
+        });
+        
+        // Apply on-hit item effects such as damage over time
+        this.player.combatStats.applyOnHitEffects(enemy, hit);
+        
         // Show damage number with bleeding effect
         this.player.game.hudManager.createBleedingEffect(damage, enemyPosition);
         
         // Check if enemy is defeated
         if (enemy.getHealth() <= 0) {
-            // Award experience to player
-            this.player.addExperience(enemy.getExperienceValue());
-            
-            // Check for quest completion
-            this.player.game.questManager.updateEnemyKill(enemy);
+            this.handleEnemyKill(enemy);
         }
         
         // Call the skill's hit effect method
@@ -326,6 +347,19 @@ export class CollisionManager {
         }
     }
     
+    /**
+     * Handle an enemy killed by a skill hit of the player
+     * Drops are rolled by the enemy manager when it removes the dead enemy.
+     * @param {import("./entities/enemies/Enemy.js").Enemy} enemy - The killed enemy
+     */
+    handleEnemyKill(enemy) {
+        // Award experience to player
+        this.player.addExperience(enemy.getExperienceValue());
+        
+        // Check for quest completion
+        this.player.game.questManager.updateEnemyKill(enemy);
+    }
+    
     /**
      * Clean up old entries from the hit registry
      * This prevents the registry from growing too large over time
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { BleedingEffect } from './entities/skills/BleedingEffect.js';
+import { DamageTextEffect } from './entities/skills/DamageTextEffect.js';
 import { SkillEffectFactory } from './entities/skills/SkillEffectFactory.js';
 
 /**
@@ -97,6 +98,31 @@ export class EffectsManager {
         return null;
     }
     
+    /**
+     * Create floating damage text at the given position
+     * @param {number} amount - Damage amount
+     * @param {Object} position - 3D position {x, y, z}
+     * @param {string} [damageType='physical'] - Damage type from DAMAGE_TYPES, selects the text color
+     * @param {boolean} [isCritical=false] - Whether the hit was a critical hit
+     * @returns {DamageTextEffect|null} - The created damage text or null if creation failed
+     */
+    createDamageText(amount, position, damageType = 'physical', isCritical = false) {
+        if (!this.game || !this.game.scene) {
+            return null;
+        }
+        
+        const damageText = new DamageTextEffect({
+            amount: amount,
+            damageType: damageType,
+            isCritical: isCritical
+        });
+        
+        this.game.scene.add(damageText.create(position, new THREE.Vector3(0, 1, 0)));
+        this.effects.push(damageText);
+        
+        return damageText;
+    }
+    
     /**
      * Pause all active effects
      * Used when the game is paused
@@ -0,0 +1,388 @@
+import { GAMEPAD, KEY_BINDING_ACTIONS } from './config/input.js';
+import { STORAGE_KEYS } from './config/storage-keys.js';
+import storageService from './save-manager/StorageService.js';
+
+/**
+ * @typedef {Object} GamepadSettings
+ * @property {number} leftStickDeadzone - Deadzone of the movement stick (0-1)
+ * @property {number} rightStickDeadzone - Deadzone of the camera stick (0-1)
+ * @property {number} cameraSensitivity - Camera rotation at full stick deflection (radians per second)
+ * @property {boolean} invertCameraY - Invert vertical camera rotation
+ * @property {Object.<string, number>} buttons - Button index by action id
+ */
+
+/**
+ * Controller support through the Gamepad API
+ * The browser doesn't send events for gamepad input, so the first connected
+ * gamepad is polled every frame: the left stick moves the player, the right
+ * stick orbits the camera and buttons trigger the same actions as the keyboard.
+ */
+export class GamepadInput {
+    /**
+     * Create a new GamepadInput
+     * @param {import("./game/Game.js").Game} game - The main game instance
+     * @param {import("./InputHandler.js").InputHandler} inputHandler - Handler performing the actions
+     * @param {Object} [options] - Options
+     * @param {function(): Array<Gamepad|null>} [options.getGamepads] - Gamepad source, replaceable with a mocked array
+     */
+    constructor(game, inputHandler, { getGamepads = GamepadInput.getBrowserGamepads } = {}) {
+        this.game = game;
+        this.inputHandler = inputHandler;
+        this.getGamepads = getGamepads;
+
+        /** @type {GamepadSettings} */
+        this.settings = this.loadSettings();
+
+        // Gamepad read during the last poll and its pressed buttons
+        this.gamepad = null;
+        this.pressedButtons = new Set();
+
+        // Stick values after the deadzone is applied
+        this.leftStick = { x: 0, y: 0 };
+        this.rightStick = { x: 0, y: 0 };
+
+        // Pending button capture of the mapping screen ({resolve, frame})
+        this.capture = null;
+
+        this.listeners = new Set();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', (event) => this.handleConnection(event.gamepad, true));
+            window.addEventListener('gamepaddisconnected', (event) => this.handleConnection(event.gamepad, false));
+        }
+    }
+
+    /**
+     * Read the gamepads from the browser
+     * @returns {Array<Gamepad|null>} Gamepad slots
+     */
+    static getBrowserGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return [];
+        }
+        return Array.from(navigator.getGamepads());
+    }
+
+    /**
+     * Scale a stick so values inside the deadzone are zero and the rest covers the full 0-1 range
+     * @param {number} x - Horizontal axis (-1 to 1)
+     * @param {number} y - Vertical axis (-1 to 1)
+     * @param {number} deadzone - Deadzone radius (0-1)
+     * @returns {{x: number, y: number}} Adjusted stick values
+     */
+    static applyDeadzone(x, y, deadzone) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= deadzone || magnitude === 0) {
+            return { x: 0, y: 0 };
+        }
+
+        const scale = (Math.min(1, magnitude) - deadzone) / (1 - deadzone) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * Get the default settings from config/input.js
+     * @returns {GamepadSettings} Default settings
+     */
+    static getDefaultSettings() {
+        return {
+            leftStickDeadzone: GAMEPAD.leftStickDeadzone,
+            rightStickDeadzone: GAMEPAD.rightStickDeadzone,
+            cameraSensitivity: GAMEPAD.cameraSensitivity,
+            invertCameraY: GAMEPAD.invertCameraY,
+            buttons: { ...GAMEPAD.buttons }
+        };
+    }
+
+    /**
+     * Load the stored settings, filling in missing values with the defaults
+     * @returns {GamepadSettings} Settings
+     */
+    loadSettings() {
+        const defaults = GamepadInput.getDefaultSettings();
+        const stored = storageService.loadDataSync(STORAGE_KEYS.GAMEPAD_SETTINGS) || {};
+        return {
+            ...defaults,
+            ...stored,
+            buttons: stored.buttons || defaults.buttons
+        };
+    }
+
+    /**
+     * Change settings and store them
+     * @param {Partial<GamepadSettings>} changes - Settings to change
+     */
+    updateSettings(changes) {
+        this.settings = {
+            ...this.settings,
+            ...changes,
+            buttons: { ...this.settings.buttons, ...(changes.buttons || {}) }
+        };
+        storageService.saveData(STORAGE_KEYS.GAMEPAD_SETTINGS, this.settings);
+        this.notify();
+    }
+
+    /**
+     * Restore the default deadzones, sensitivity and button mapping
+     */
+    resetToDefaults() {
+        this.settings = GamepadInput.getDefaultSettings();
+        storageService.saveData(STORAGE_KEYS.GAMEPAD_SETTINGS, this.settings);
+        this.notify();
+    }
+
+    /**
+     * Map a button to an action
+     * A button already mapped to another action is taken away from it.
+     * @param {string} action - Action id from KEY_BINDING_ACTIONS
+     * @param {number} buttonIndex - Standard gamepad button index
+     * @returns {string|null} Action that lost the button, if any
+     */
+    setButton(action, buttonIndex) {
+        const buttons = { ...this.settings.buttons };
+        const conflict = Object.keys(buttons).find(other => other !== action && buttons[other] === buttonIndex) || null;
+        if (conflict) {
+            delete buttons[conflict];
+        }
+
+        buttons[action] = buttonIndex;
+        this.settings = { ...this.settings, buttons };
+        storageService.saveData(STORAGE_KEYS.GAMEPAD_SETTINGS, this.settings);
+        this.notify();
+        return conflict;
+    }
+
+    /**
+     * Remove the button mapped to an action
+     * @param {string} action - Action id
+     */
+    clearButton(action) {
+        const buttons = { ...this.settings.buttons };
+        delete buttons[action];
+        this.settings = { ...this.settings, buttons };
+        storageService.saveData(STORAGE_KEYS.GAMEPAD_SETTINGS, this.settings);
+        this.notify();
+    }
+
+    /**
+     * Register a function called when the settings or the connected gamepad change
+     * @param {function(): void} listener - Change listener
+     * @returns {function(): void} Function removing the listener
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Call the change listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Show a notification when a gamepad is plugged in or removed
+     * @param {Gamepad} gamepad - The gamepad
+     * @param {boolean} connected - True if the gamepad was connected
+     */
+    handleConnection(gamepad, connected) {
+        console.debug(`Gamepad ${connected ? 'connected' : 'disconnected'}: ${gamepad ? gamepad.id : 'unknown'}`);
+
+        if (!connected) {
+            this.releaseAll();
+        }
+
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(connected ? 'Controller connected' : 'Controller disconnected');
+        }
+        this.notify();
+    }
+
+    /**
+     * Get the first connected gamepad
+     * @returns {Gamepad|null} The gamepad or null if none is connected
+     */
+    findGamepad() {
+        const gamepads = this.getGamepads() || [];
+        return gamepads.find(gamepad => gamepad && gamepad.connected !== false) || null;
+    }
+
+    /**
+     * Check whether a button is pressed
+     * @param {Gamepad} gamepad - The gamepad
+     * @param {number} index - Button index
+     * @returns {boolean} True if the button is pressed
+     */
+    isButtonPressed(gamepad, index) {
+        const button = gamepad.buttons[index];
+        if (!button) return false;
+        return button.pressed || button.value > GAMEPAD.buttonThreshold;
+    }
+
+    /**
+     * Get the indices of all pressed buttons
+     * @param {Gamepad} gamepad - The gamepad
+     * @returns {Set<number>} Pressed button indices
+     */
+    readButtons(gamepad) {
+        const pressed = new Set();
+        gamepad.buttons.forEach((button, index) => {
+            if (this.isButtonPressed(gamepad, index)) {
+                pressed.add(index);
+            }
+        });
+        return pressed;
+    }
+
+    /**
+     * Poll the gamepad: update the sticks and trigger actions for buttons that changed
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        const gamepad = this.findGamepad();
+        this.gamepad = gamepad;
+
+        if (!gamepad) {
+            this.leftStick = { x: 0, y: 0 };
+            this.rightStick = { x: 0, y: 0 };
+            this.releaseAll();
+            return;
+        }
+
+        const axes = gamepad.axes || [];
+        this.leftStick = GamepadInput.applyDeadzone(axes[0] || 0, axes[1] || 0, this.settings.leftStickDeadzone);
+        this.rightStick = GamepadInput.applyDeadzone(axes[2] || 0, axes[3] || 0, this.settings.rightStickDeadzone);
+
+        const pressed = this.readButtons(gamepad);
+        for (const [action, index] of Object.entries(this.settings.buttons)) {
+            const isPressed = pressed.has(index);
+            const wasPressed = this.pressedButtons.has(index);
+
+            if (isPressed && !wasPressed) {
+                this.inputHandler.handleAction(action);
+            } else if (!isPressed && wasPressed) {
+                this.inputHandler.releaseAction(action);
+            }
+        }
+        this.pressedButtons = pressed;
+
+        this.updateCamera(delta);
+    }
+
+    /**
+     * Orbit the camera with the right stick
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateCamera(delta) {
+        const { x, y } = this.rightStick;
+        if (x === 0 && y === 0) return;
+
+        const cameraControlUI = this.game && this.game.hudManager && this.game.hudManager.components &&
+            this.game.hudManager.components.cameraControlUI;
+        if (!cameraControlUI) return;
+
+        const amount = this.settings.cameraSensitivity * delta;
+        const vertical = this.settings.invertCameraY ? y : -y;
+
+        // Pushing the stick right turns the camera the same way as dragging right
+        cameraControlUI.rotateCamera(vertical * amount, -x * amount);
+    }
+
+    /**
+     * Release every action held by a gamepad button
+     */
+    releaseAll() {
+        if (this.pressedButtons.size === 0) return;
+
+        for (const [action, index] of Object.entries(this.settings.buttons)) {
+            if (this.pressedButtons.has(index)) {
+                this.inputHandler.releaseAction(action);
+            }
+        }
+        this.pressedButtons = new Set();
+    }
+
+    /**
+     * Get the movement input of the left stick
+     * @returns {{x: number, y: number}} Stick values, y is negative when pushed forward
+     */
+    getMovementVector() {
+        return this.leftStick;
+    }
+
+    /**
+     * Check whether a gamepad is connected
+     * @returns {boolean} True if a gamepad is connected
+     */
+    isConnected() {
+        return !!this.findGamepad();
+    }
+
+    /**
+     * Wait for a button press, used by the button mapping screen
+     * Polls on its own because the game loop doesn't update input while the menu is open.
+     * @param {number} [timeout=10000] - Time to wait in milliseconds
+     * @returns {Promise<number|null>} Pressed button index, or null on timeout or cancel
+     */
+    captureButton(timeout = 10000) {
+        this.cancelCapture();
+
+        return new Promise((resolve) => {
+            const gamepad = this.findGamepad();
+            // Ignore buttons that are already held when the capture starts
+            const heldAtStart = gamepad ? this.readButtons(gamepad) : new Set();
+            const startTime = performance.now();
+
+            const poll = () => {
+                const current = this.findGamepad();
+                if (current) {
+                    const pressed = this.readButtons(current);
+                    heldAtStart.forEach(index => {
+                        if (!pressed.has(index)) heldAtStart.delete(index);
+                    });
+
+                    const index = Array.from(pressed).find(i => !heldAtStart.has(i));
+                    if (index !== undefined) {
+                        this.capture = null;
+                        // Don't trigger the action on the next game frame
+                        this.pressedButtons = pressed;
+                        resolve(index);
+                        return;
+                    }
+                }
+
+                if (performance.now() - startTime > timeout) {
+                    this.capture = null;
+                    resolve(null);
+                    return;
+                }
+
+                this.capture.frame = requestAnimationFrame(poll);
+            };
+
+            this.capture = { resolve, frame: requestAnimationFrame(poll) };
+        });
+    }
+
+    /**
+     * Stop waiting for a button press
+     */
+    cancelCapture() {
+        if (!this.capture) return;
+
+        cancelAnimationFrame(this.capture.frame);
+        this.capture.resolve(null);
+        this.capture = null;
+    }
+
+    /**
+     * Get the label of an action for the mapping screen
+     * @param {string} action - Action id
+     * @returns {string} Label
+     */
+    static getActionLabel(action) {
+        const definition = KEY_BINDING_ACTIONS.find(a => a.id === action);
+        return definition ? definition.label : action;
+    }
+}
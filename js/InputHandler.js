@@ -1,23 +1,24 @@
 import * as THREE from 'three';
 import { 
-    MOVEMENT_KEYS, 
-    ACTION_KEYS, 
-    UI_KEYS, 
-    SKILL_KEYS, 
-    getAllSkillKeys,
-    getSkillIndexFromKeyCode,
-    isSkillKey,
+    KEY_BINDING_ACTIONS,
+    getSkillIndexFromAction,
+    isSkillAction,
     CAST_INTERVAL,
     INTERACTION_RANGE
 } from './config/input.js';
 import { InteractionResultHandler } from './InteractionResultHandler.js';
+import keyBindingManager from './KeyBindingManager.js';
+import { GamepadInput } from './GamepadInput.js';
 
 export class InputHandler {
     constructor(game) {
         this.game = game;
         this.keys = {};
         
-        // Track skill keys being held down
+        // Key bindings of the active profile
+        this.keyBindings = keyBindingManager;
+        
+        // Track skill actions being held down
         this.skillKeysHeld = {};
         
         // Cooldown tracking for continuous casting
@@ -26,13 +27,15 @@ export class InputHandler {
         // Create interaction handler
         this.interactionHandler = new InteractionResultHandler(game);
         
-        // Initialize skill key tracking
-        const skillKeys = getAllSkillKeys();
-        skillKeys.forEach(key => {
-            this.skillKeysHeld[key] = false;
-            this.skillCastCooldowns[key] = 0;
+        // Initialize skill action tracking
+        KEY_BINDING_ACTIONS.filter(action => isSkillAction(action.id)).forEach(action => {
+            this.skillKeysHeld[action.id] = false;
+            this.skillCastCooldowns[action.id] = 0;
         });
         
+        // Controller input, polled every frame in update()
+        this.gamepad = new GamepadInput(game, this);
+        
         // Initialize input event listeners
         this.initKeyboardEvents();
         
@@ -45,128 +48,183 @@ export class InputHandler {
     initKeyboardEvents() {
         // Key down event
         window.addEventListener('keydown', (event) => {
+            // The controls menu is waiting for a key to bind
+            if (this.keyBindings.isCapturing) {
+                return;
+            }
+            
+            // Typing in a text field, e.g. the party chat
+            if (this.isTextInput(event.target)) {
+                return;
+            }
+            
             this.keys[event.code] = true;
             
             // Debug: Log key press
             // console.debug('Key pressed:', event.code);
             
-            // Handle special key presses
-            switch (event.code) {
-                // UI toggle keys
-                case UI_KEYS.TOGGLE_INVENTORY:
-                    this.game.hudManager.toggleInventory();
-                    console.debug('Toggling inventory');
-                    break;
-                    
-                case UI_KEYS.TOGGLE_SKILL_TREE:
-                    this.game.hudManager.toggleSkillTree();
-                    console.debug('Toggling skill tree');
-                    break;
-                    
-                case UI_KEYS.TOGGLE_HUD:
-                    const hudVisible = this.game.hudManager.toggleHUD();
-                    console.debug(`HUD visibility toggled: ${hudVisible ? 'visible' : 'hidden'}`);
-                    break;
+            const action = this.keyBindings.getAction(event.code);
+            
+            if (action) {
+                this.handleAction(action);
+            }
+        });
+        
+        // Key up event
+        window.addEventListener('keyup', (event) => {
+            this.keys[event.code] = false;
+            
+            // Handle skill key release
+            const action = this.keyBindings.getAction(event.code);
+            if (action) {
+                this.releaseAction(action);
+            }
+        });
+    }
+    
+    /**
+     * Perform the action bound to a pressed key or gamepad button
+     * @param {string} action - Action id from KEY_BINDING_ACTIONS
+     */
+    handleAction(action) {
+        switch (action) {
+            // UI toggle keys
+            case 'TOGGLE_INVENTORY':
+                this.game.hudManager.toggleInventory();
+                console.debug('Toggling inventory');
+                break;
+                
+            case 'TOGGLE_SKILL_TREE':
+                this.game.hudManager.toggleSkillTree();
+                console.debug('Toggling skill tree');
+                break;
+                
+            case 'TOGGLE_HUD':
+                const hudVisible = this.game.hudManager.toggleHUD();
+                console.debug(`HUD visibility toggled: ${hudVisible ? 'visible' : 'hidden'}`);
+                break;
+                
+            case 'TOGGLE_MINIMAP':
+                const minimapVisible = this.game.hudManager.toggleMiniMap();
+                console.debug(`Mini map visibility toggled: ${minimapVisible ? 'visible' : 'hidden'}`);
+                break;
+                
+            case 'MINIMAP_ZOOM_IN':
+                this.game.hudManager.decreaseMiniMapScale();
+                break;
+                
+            case 'MINIMAP_ZOOM_OUT':
+                this.game.hudManager.increaseMiniMapScale();
+                break;
+                
+            case 'TOGGLE_CHAT':
+                this.game.hudManager.openChat();
+                break;
+                
+            case 'PING':
+                // Mark the player position for the party
+                if (this.game.multiplayerManager && this.game.player) {
+                    this.game.multiplayerManager.chat.sendPing(this.game.player.getPosition());
+                }
+                break;
+                
+            // Primary attack key
+            case 'PRIMARY_ATTACK':
+                // Mark action as held down for basic attack
+                this.skillKeysHeld[action] = true;
+                
+                // Use basic attack (teleport or punch)
+                this.game.player.usePrimaryAttack();
+                break;
+                
+            // Action keys
+            case 'INTERACT':
+                // Interact with objects using the keyboard-based interaction method
+                this.handleInteractionWithNearestObject();
+                break;
+                
+            case 'START_GAME':
+                // Only allow starting a new game when the game is not already running
+                if (this.game.isPaused && document.getElementById('game-menu')) {
+                    console.debug('Start game key pressed - starting new game');
                     
-                case UI_KEYS.TOGGLE_MINIMAP:
-                    const minimapVisible = this.game.hudManager.toggleMiniMap();
-                    console.debug(`Mini map visibility toggled: ${minimapVisible ? 'visible' : 'hidden'}`);
-                    break;
+                    // Hide any existing game menu
+                    const existingGameMenu = document.getElementById('game-menu');
+                    if (existingGameMenu) {
+                        existingGameMenu.style.display = 'none';
+                    }
                     
-                case UI_KEYS.MINIMAP_ZOOM_IN:
-                    this.game.hudManager.decreaseMiniMapScale();
-                    break;
+                    // Hide any existing options menu
+                    const existingOptionsMenu = document.getElementById('main-options-menu');
+                    if (existingOptionsMenu) {
+                        existingOptionsMenu.style.display = 'none';
+                    }
                     
-                case UI_KEYS.MINIMAP_ZOOM_OUT:
-                    this.game.hudManager.increaseMiniMapScale();
-                    break;
+                    // Start the game
+                    this.game.start();
                     
-                // Primary attack key
-                case SKILL_KEYS.PRIMARY_ATTACK:
-                    // Mark key as held down for basic attack
-                    this.skillKeysHeld[event.code] = true;
+                    // Make sure settings button is visible
+                    const homeButton = document.getElementById('home-button');
+                    if (homeButton) {
+                        homeButton.style.display = 'block';
+                    }
                     
-                    // Use basic attack (teleport or punch)
-                    this.game.player.usePrimaryAttack();
-                    break;
+                    console.debug("Game started - enemies and player are now active");
+                } else {
+                    console.debug('Start game key pressed but game is already running or not at main menu');
+                }
+                break;
+                
+            // Handle all skill actions (SKILL_1-SKILL_9)
+            default:
+                // Check if this key is bound to a skill
+                if (isSkillAction(action)) {
+                    // Mark skill action as held down
+                    this.skillKeysHeld[action] = true;
                     
-                // Action keys
-                case ACTION_KEYS.INTERACT:
-                    // Interact with objects using the keyboard-based interaction method
-                    this.handleInteractionWithNearestObject();
-                    break;
+                    // Get skill index from the action
+                    const skillIndex = getSkillIndexFromAction(action);
                     
-                case ACTION_KEYS.START_GAME:
-                    // Only allow starting a new game when the game is not already running
-                    if (this.game.isPaused && document.getElementById('game-menu')) {
-                        console.debug('Start game key pressed - starting new game');
-                        
-                        // Hide any existing game menu
-                        const existingGameMenu = document.getElementById('game-menu');
-                        if (existingGameMenu) {
-                            existingGameMenu.style.display = 'none';
-                        }
-                        
-                        // Hide any existing options menu
-                        const existingOptionsMenu = document.getElementById('main-options-menu');
-                        if (existingOptionsMenu) {
-                            existingOptionsMenu.style.display = 'none';
-                        }
-                        
-                        // Start the game
-                        this.game.start();
-                        
-                        // Make sure settings button is visible
-                        const homeButton = document.getElementById('home-button');
-                        if (homeButton) {
-                            homeButton.style.display = 'block';
-                        }
-                        
-                        console.debug("Game started - enemies and player are now active");
-                    } else {
-                        console.debug('Start game key pressed but game is already running or not at main menu');
-                    }
-                    break;
+                    console.debug(`Using skill with index: ${skillIndex} from action: ${action}`);
                     
-                // Handle all skill keys (Digit1-Digit9)
-                default:
-                    // Check if this is a skill key
-                    if (isSkillKey(event.code) && event.code !== SKILL_KEYS.PRIMARY_ATTACK) {
-                        // Mark skill key as held down
-                        this.skillKeysHeld[event.code] = true;
-                        
-                        // Get skill index from key code
-                        const skillIndex = getSkillIndexFromKeyCode(event.code);
-                        
-                        console.debug(`Using skill with index: ${skillIndex} from key: ${event.code}`);
-                        
-                        // Check if this is Digit1 and if the first skill is a primary attack
-                        if (event.code === SKILL_KEYS.SKILL_1 && this.game.player.skills && this.game.player.skills.getSkills) {
-                            const skills = this.game.player.skills.getSkills();
-                            if (skills && skills.length > 0 && skills[0].primaryAttack) {
-                                console.debug('Skill 1 is assigned to primary attack, using usePrimaryAttack() for consistent behavior');
-                                this.game.player.usePrimaryAttack();
-                            } else {
-                                this.game.player.useSkill(skillIndex);
-                            }
+                    // Check if this is skill 1 and if the first skill is a primary attack
+                    if (action === 'SKILL_1' && this.game.player.skills && this.game.player.skills.getSkills) {
+                        const skills = this.game.player.skills.getSkills();
+                        if (skills && skills.length > 0 && skills[0].primaryAttack) {
+                            console.debug('Skill 1 is assigned to primary attack, using usePrimaryAttack() for consistent behavior');
+                            this.game.player.usePrimaryAttack();
                         } else {
                             this.game.player.useSkill(skillIndex);
                         }
+                    } else {
+                        this.game.player.useSkill(skillIndex);
                     }
-                    break;
-            }
-        });
-        
-        // Key up event
-        window.addEventListener('keyup', (event) => {
-            this.keys[event.code] = false;
-            
-            // Handle skill key release
-            if (this.skillKeysHeld[event.code] !== undefined) {
-                this.skillKeysHeld[event.code] = false;
-                this.skillCastCooldowns[event.code] = 0;
-            }
-        });
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Check if a key event target is a field the player types into
+     * @param {EventTarget} target - The event target
+     * @returns {boolean} True for text inputs and text areas
+     */
+    isTextInput(target) {
+        if (!target || !target.tagName) return false;
+        
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'textarea' || (tagName === 'input' && !['checkbox', 'radio', 'range', 'button'].includes(target.type));
+    }
+    
+    /**
+     * Stop continuous casting when the key or button of a skill action is released
+     * @param {string} action - Action id from KEY_BINDING_ACTIONS
+     */
+    releaseAction(action) {
+        if (this.skillKeysHeld[action] !== undefined) {
+            this.skillKeysHeld[action] = false;
+            this.skillCastCooldowns[action] = 0;
+        }
     }
     
     // Method to handle interaction with objects in front of the player
@@ -275,24 +333,33 @@ export class InputHandler {
         return this.keys[keyCode] === true;
     }
     
+    /**
+     * Check whether any key bound to an action is held down
+     * @param {string} action - Action id from KEY_BINDING_ACTIONS
+     * @returns {boolean} True if the action's key is pressed
+     */
+    isActionPressed(action) {
+        return this.keyBindings.getKeys(action).some(key => this.isKeyPressed(key));
+    }
+    
     getMovementDirection() {
         // Get raw input direction in local space (relative to screen)
         const localDirection = new THREE.Vector3(0, 0, 0);
         
-        // Check for keyboard input using movement keys from config
-        if (MOVEMENT_KEYS.FORWARD.some(key => this.isKeyPressed(key))) {
+        // Check for keyboard input using the bound movement keys
+        if (this.isActionPressed('FORWARD')) {
             localDirection.z -= 1;
         }
         
-        if (MOVEMENT_KEYS.BACKWARD.some(key => this.isKeyPressed(key))) {
+        if (this.isActionPressed('BACKWARD')) {
             localDirection.z += 1;
         }
         
-        if (MOVEMENT_KEYS.LEFT.some(key => this.isKeyPressed(key))) {
+        if (this.isActionPressed('LEFT')) {
             localDirection.x -= 1;
         }
         
-        if (MOVEMENT_KEYS.RIGHT.some(key => this.isKeyPressed(key))) {
+        if (this.isActionPressed('RIGHT')) {
             localDirection.x += 1;
         }
         
@@ -308,6 +375,13 @@ export class InputHandler {
             }
         }
         
+        // Check for gamepad left stick input
+        const stick = this.gamepad.getMovementVector();
+        if (stick.x !== 0 || stick.y !== 0) {
+            localDirection.x = stick.x;
+            localDirection.z = stick.y; // Stick Y axis is negative when pushed forward, like -Z
+        }
+        
         // If no input, return zero vector
         if (localDirection.length() === 0) {
             return localDirection;
@@ -357,27 +431,30 @@ export class InputHandler {
             return; // Don't process inputs when game is paused
         }
         
-        // Process only the keys that are actually held down
-        for (const keyCode in this.skillKeysHeld) {
-            if (this.skillKeysHeld[keyCode]) {
+        // Poll the gamepad (triggers button actions and orbits the camera)
+        this.gamepad.update(delta);
+        
+        // Process only the skill actions that are actually held down
+        for (const action in this.skillKeysHeld) {
+            if (this.skillKeysHeld[action]) {
                 // Reduce cooldown
-                this.skillCastCooldowns[keyCode] -= delta;
+                this.skillCastCooldowns[action] -= delta;
                 
                 // If cooldown is up, cast the skill again
-                if (this.skillCastCooldowns[keyCode] <= 0) {
+                if (this.skillCastCooldowns[action] <= 0) {
                     try {
-                        if (keyCode === SKILL_KEYS.PRIMARY_ATTACK) {
-                            // Special handling for primary attack key
+                        if (action === 'PRIMARY_ATTACK') {
+                            // Special handling for primary attack
                             console.debug('Continuous casting: Basic attack');
                             this.game.player.usePrimaryAttack();
-                            this.skillCastCooldowns[keyCode] = CAST_INTERVAL;
-                        } else if (isSkillKey(keyCode)) {
-                            // For skill keys
-                            const skillIndex = getSkillIndexFromKeyCode(keyCode);
-                            console.debug('Continuous casting: Skill key', keyCode, 'Skill index:', skillIndex);
+                            this.skillCastCooldowns[action] = CAST_INTERVAL;
+                        } else {
+                            // For skill actions
+                            const skillIndex = getSkillIndexFromAction(action);
+                            console.debug('Continuous casting: Skill action', action, 'Skill index:', skillIndex);
                             
-                            // Check if this is Skill 1 and if the first skill is a primary attack
-                            if (keyCode === SKILL_KEYS.SKILL_1 && this.game.player.skills && this.game.player.skills.getSkills) {
+                            // Check if this is skill 1 and if the first skill is a primary attack
+                            if (action === 'SKILL_1' && this.game.player.skills && this.game.player.skills.getSkills) {
                                 const skills = this.game.player.skills.getSkills();
                                 if (skills && skills.length > 0 && skills[0].primaryAttack) {
                                     console.debug('Continuous casting: Skill 1 is primary attack, using usePrimaryAttack()');
@@ -388,13 +465,13 @@ export class InputHandler {
                             } else {
                                 this.game.player.useSkill(skillIndex);
                             }
-                            this.skillCastCooldowns[keyCode] = CAST_INTERVAL;
+                            this.skillCastCooldowns[action] = CAST_INTERVAL;
                         }
                     } catch (error) {
-                        console.error(`Error in continuous casting for key ${keyCode}:`, error);
-                        // Reset the key state to prevent further errors
-                        this.skillKeysHeld[keyCode] = false;
-                        this.skillCastCooldowns[keyCode] = 0;
+                        console.error(`Error in continuous casting for action ${action}:`, error);
+                        // Reset the action state to prevent further errors
+                        this.skillKeysHeld[action] = false;
+                        this.skillCastCooldowns[action] = 0;
                     }
                 }
             }
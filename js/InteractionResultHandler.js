@@ -21,6 +21,11 @@ export class InteractionResultHandler {
             return false;
         }
         
+        // Count the interaction towards quest objectives (e.g. opening chests)
+        if (interactiveObject && interactiveObject.type && this.game && this.game.questManager) {
+            this.game.questManager.updateInteraction(interactiveObject.type);
+        }
+        
         // Handle different interaction types
         switch (result.type) {
             case 'quest':
@@ -33,6 +38,9 @@ export class InteractionResultHandler {
             case 'boss_spawn':
                 return this.handleBossSpawnInteraction(result, interactiveObject);
                 
+            case 'vendor':
+                return this.handleVendorInteraction(result);
+                
             default:
                 console.warn(`Unknown interaction type: ${result.type}`);
                 return false;
@@ -72,12 +80,18 @@ export class InteractionResultHandler {
      */
     handleItemInteraction(result) {
         if (this.game && this.game.player) {
-            this.game.player.addToInventory(result.item);
+            // Gold goes to the purse instead of taking an inventory slot
+            let amount = result.item.amount || 1;
+            if (result.item.name === 'Gold') {
+                amount = this.game.player.addGold(result.item.amount || 0);
+            } else {
+                this.game.player.addToInventory(result.item);
+            }
             
             // Show notification if HUD manager exists
             if (this.game.hudManager) {
                 this.game.hudManager.showNotification(
-                    `Found ${result.item.name} x${result.item.amount || 1}`
+                    `Found ${result.item.name} x${amount}`
                 );
             }
             
@@ -87,6 +101,20 @@ export class InteractionResultHandler {
         return false;
     }
     
+    /**
+     * Handle vendor interaction
+     * @param {Object} result - The interaction result
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleVendorInteraction(result) {
+        if (this.game && this.game.hudManager && this.game.hudManager.openShop) {
+            this.game.hudManager.openShop(result.vendorId, result.vendorName);
+            return true;
+        }
+        
+        return false;
+    }
+    
     /**
      * Handle boss spawn interaction
      * @param {Object} result - The interaction result
@@ -0,0 +1,305 @@
+import {
+    KEY_BINDING_ACTIONS,
+    MAX_KEYS_PER_ACTION,
+    RESERVED_KEYS,
+    DEFAULT_PROFILE_NAME,
+    getDefaultKeyBindings
+} from './config/input.js';
+import { STORAGE_KEYS } from './config/storage-keys.js';
+import storageService from './save-manager/StorageService.js';
+
+/**
+ * @typedef {Object} KeyBindingProfiles
+ * @property {string} activeProfile - Name of the profile in use
+ * @property {Object.<string, Object.<string, string[]>>} profiles - Key bindings by profile name, then action id
+ */
+
+/**
+ * Keeps the keyboard bindings of every action
+ * Bindings are grouped in named profiles (e.g. one per keyboard layout) that are
+ * stored with the StorageService. The InputHandler looks actions up here instead
+ * of reading the key constants from config/input.js.
+ */
+export class KeyBindingManager {
+    /**
+     * Create a new KeyBindingManager and load the stored profiles
+     */
+    constructor() {
+        this.activeProfile = DEFAULT_PROFILE_NAME;
+        this.profiles = { [DEFAULT_PROFILE_NAME]: getDefaultKeyBindings() };
+
+        // Action id by key code for the active profile
+        this.actionsByKey = new Map();
+
+        // True while the controls menu waits for a key to bind, so the key isn't also used in game
+        this.isCapturing = false;
+
+        this.listeners = new Set();
+
+        this.load();
+
+        // Pick up profiles changed in another tab or synced from the cloud
+        window.addEventListener('storage-service-update', (event) => {
+            if (event.detail && event.detail.key === STORAGE_KEYS.KEY_BINDINGS) {
+                this.load();
+            }
+        });
+    }
+
+    /**
+     * Load the stored profiles, filling in actions added since they were saved
+     */
+    load() {
+        /** @type {KeyBindingProfiles|null} */
+        const stored = storageService.loadDataSync(STORAGE_KEYS.KEY_BINDINGS);
+        this.profiles = { [DEFAULT_PROFILE_NAME]: getDefaultKeyBindings() };
+
+        if (stored && stored.profiles && typeof stored.profiles === 'object') {
+            for (const [name, bindings] of Object.entries(stored.profiles)) {
+                this.profiles[name] = this.normalizeBindings(bindings);
+            }
+        }
+
+        this.activeProfile = stored && this.profiles[stored.activeProfile] ? stored.activeProfile : DEFAULT_PROFILE_NAME;
+        this.rebuildLookup();
+        this.notify();
+    }
+
+    /**
+     * Store all profiles
+     * @returns {Promise<boolean>} Success status
+     */
+    save() {
+        return storageService.saveData(STORAGE_KEYS.KEY_BINDINGS, {
+            activeProfile: this.activeProfile,
+            profiles: this.profiles
+        });
+    }
+
+    /**
+     * Make sure stored bindings contain every action and only valid keys
+     * @param {Object} bindings - Bindings read from storage
+     * @returns {Object.<string, string[]>} Complete bindings
+     */
+    normalizeBindings(bindings) {
+        const normalized = getDefaultKeyBindings();
+        if (!bindings || typeof bindings !== 'object') {
+            return normalized;
+        }
+
+        for (const action of KEY_BINDING_ACTIONS) {
+            const keys = bindings[action.id];
+            if (Array.isArray(keys)) {
+                normalized[action.id] = keys
+                    .filter(key => typeof key === 'string' && !RESERVED_KEYS.includes(key))
+                    .slice(0, MAX_KEYS_PER_ACTION);
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Rebuild the key code to action lookup of the active profile
+     */
+    rebuildLookup() {
+        this.actionsByKey.clear();
+        for (const [action, keys] of Object.entries(this.getBindings())) {
+            keys.forEach(key => {
+                // Keep the first action if a stored profile has conflicts
+                if (!this.actionsByKey.has(key)) {
+                    this.actionsByKey.set(key, action);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register a function called whenever the bindings change
+     * @param {function(): void} listener - Change listener
+     * @returns {function(): void} Function removing the listener
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Call the change listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in key binding listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Apply a change to the active profile
+     */
+    commit() {
+        this.rebuildLookup();
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Get the bindings of the active profile
+     * @returns {Object.<string, string[]>} Key codes by action id
+     */
+    getBindings() {
+        return this.profiles[this.activeProfile];
+    }
+
+    /**
+     * Get the keys bound to an action
+     * @param {string} action - Action id
+     * @returns {string[]} Key codes
+     */
+    getKeys(action) {
+        return this.getBindings()[action] || [];
+    }
+
+    /**
+     * Get the action bound to a key
+     * @param {string} keyCode - Key code (KeyboardEvent.code)
+     * @returns {string|null} Action id or null if the key is unbound
+     */
+    getAction(keyCode) {
+        return this.actionsByKey.get(keyCode) || null;
+    }
+
+    /**
+     * Find the action that already uses a key
+     * @param {string} keyCode - Key code
+     * @param {string} [exceptAction] - Action to ignore (the one being rebound)
+     * @returns {string|null} Conflicting action id or null
+     */
+    findConflict(keyCode, exceptAction = null) {
+        const bindings = this.getBindings();
+        return Object.keys(bindings).find(action =>
+            action !== exceptAction && bindings[action].includes(keyCode)
+        ) || null;
+    }
+
+    /**
+     * Get every key bound to more than one action in the active profile
+     * @returns {Map<string, string[]>} Action ids by key code
+     */
+    getConflicts() {
+        const usage = new Map();
+        for (const [action, keys] of Object.entries(this.getBindings())) {
+            keys.forEach(key => usage.set(key, [...(usage.get(key) || []), action]));
+        }
+
+        return new Map([...usage].filter(([, actions]) => actions.length > 1));
+    }
+
+    /**
+     * Bind a key to an action slot
+     * A key used by another action is removed from that action, so one key never triggers two actions.
+     * @param {string} action - Action id
+     * @param {number} slot - Slot index (0 = primary, 1 = alternate)
+     * @param {string} keyCode - Key code
+     * @returns {{success: boolean, conflict: string|null}} Whether the key was bound and which action lost it
+     */
+    setKey(action, slot, keyCode) {
+        const bindings = this.getBindings();
+        if (!bindings[action] || slot < 0 || slot >= MAX_KEYS_PER_ACTION || RESERVED_KEYS.includes(keyCode)) {
+            return { success: false, conflict: null };
+        }
+
+        const conflict = this.findConflict(keyCode, action);
+        if (conflict) {
+            bindings[conflict] = bindings[conflict].filter(key => key !== keyCode);
+        }
+
+        // Don't bind the same key twice to one action
+        const keys = bindings[action].filter(key => key !== keyCode);
+        keys.splice(Math.min(slot, keys.length), slot < keys.length ? 1 : 0, keyCode);
+        bindings[action] = keys.slice(0, MAX_KEYS_PER_ACTION);
+
+        this.commit();
+        return { success: true, conflict };
+    }
+
+    /**
+     * Remove the key in an action slot
+     * @param {string} action - Action id
+     * @param {number} slot - Slot index
+     */
+    clearKey(action, slot) {
+        const bindings = this.getBindings();
+        if (!bindings[action] || !bindings[action][slot]) return;
+
+        bindings[action] = bindings[action].filter((key, index) => index !== slot);
+        this.commit();
+    }
+
+    /**
+     * Restore the default bindings in the active profile
+     */
+    resetToDefaults() {
+        this.profiles[this.activeProfile] = getDefaultKeyBindings();
+        this.commit();
+    }
+
+    /**
+     * Get the names of all profiles
+     * @returns {string[]} Profile names
+     */
+    getProfileNames() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Switch to another profile
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the profile exists
+     */
+    selectProfile(name) {
+        if (!this.profiles[name]) return false;
+
+        this.activeProfile = name;
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Create a profile from the current bindings and switch to it
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the profile was created
+     */
+    createProfile(name) {
+        name = (name || '').trim();
+        if (!name || this.profiles[name]) return false;
+
+        this.profiles[name] = JSON.parse(JSON.stringify(this.getBindings()));
+        this.activeProfile = name;
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Delete a profile; the default profile can't be deleted
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the profile was deleted
+     */
+    deleteProfile(name) {
+        if (name === DEFAULT_PROFILE_NAME || !this.profiles[name]) return false;
+
+        delete this.profiles[name];
+        if (this.activeProfile === name) {
+            this.activeProfile = DEFAULT_PROFILE_NAME;
+        }
+        this.commit();
+        return true;
+    }
+}
+
+const keyBindingManager = new KeyBindingManager();
+
+export default keyBindingManager;
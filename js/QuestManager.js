@@ -1,481 +1,736 @@
+import * as THREE from 'three';
+import { QUEST_DEFINITIONS, QUEST_ITEMS } from './config/quests.js';
+import { QuestValidator } from './quests/QuestValidator.js';
+import { EscortNPC } from './quests/EscortNPC.js';
+
+/**
+ * Manages quests built from the data in config/quests.js
+ * Quests are made of stages; every objective of the current stage has to be
+ * completed to move on to the next stage. Stages can be timed, and quests lead
+ * to other quests depending on whether they were completed or failed.
+ */
 export class QuestManager {
-    constructor(game) {
+    /**
+     * Create a new QuestManager
+     * @param {import("./game/Game.js").Game} game - The main game instance
+     * @param {Array<Object>} [definitions=QUEST_DEFINITIONS] - Quest definitions to load
+     */
+    constructor(game, definitions = QUEST_DEFINITIONS) {
         this.game = game;
+
+        /** @type {Map<string, Object>} Valid quest definitions by id */
+        this.definitions = new Map();
+
+        // Quest definitions that haven't been started yet
         this.quests = [];
+
+        // Running quests (see createQuest)
         this.activeQuests = [];
         this.completedQuests = [];
-        
-        // Initialize with some default quests
-        this.initializeQuests();
+        this.failedQuests = [];
+
+        // Zone the player was last seen in, for explore objectives
+        this.currentZone = null;
+        this.zoneCheckTimer = 0;
+
+        // Collect objectives follow the inventory, which has no change events
+        this.inventoryCheckTimer = 0;
+
+        // Refresh the quest log regularly while a stage timer is running
+        this.questLogTimer = 0;
+
+        this.loadDefinitions(definitions);
     }
-    
-    initializeQuests() {
-        // Main storyline quests
-        const mainQuests = [
-            {
-                id: 'main_quest_1',
-                name: 'The Beginning of the Journey',
-                description: 'Defeat the enemies in the forest to prove your worth.',
-                objective: {
-                    type: 'kill',
-                    target: 'any',
-                    count: 5,
-                    progress: 0
-                },
-                reward: {
-                    experience: 100,
-                    gold: 50,
-                    items: [
-                        { name: 'Health Potion', amount: 2 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 1,
-                nextQuestId: 'main_quest_2'
-            },
-            {
-                id: 'main_quest_2',
-                name: 'The Skeleton Threat',
-                description: 'Skeletons have been spotted in the ruins. Defeat them to secure the area.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 8,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 100,
-                    items: [
-                        { name: 'Monk Bracers', type: 'accessory', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 2,
-                nextQuestId: 'main_quest_3'
-            },
-            {
-                id: 'main_quest_3',
-                name: 'The Skeleton King',
-                description: 'The Skeleton King has risen in the ancient ruins. Defeat him to restore peace.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton_king',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 250,
-                    items: [
-                        { name: 'Monk Staff', type: 'weapon', damage: 15, damageReduction: 0, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 4,
-                nextQuestId: 'main_quest_4'
-            },
-            {
-                id: 'main_quest_4',
-                name: 'The Swamp of Despair',
-                description: 'Zombies have infested the swamp. Clear them out to make the area safe again.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 12,
-                    progress: 0
-                },
-                reward: {
-                    experience: 800,
-                    gold: 350,
-                    items: [
-                        { name: 'Monk Robe', type: 'armor', damage: 0, damageReduction: 0.1, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 6,
-                nextQuestId: 'main_quest_5'
-            },
-            {
-                id: 'main_quest_5',
-                name: 'The Demon Invasion',
-                description: 'Demons have begun invading from the mountains. Defeat them to protect the realm.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 15,
-                    progress: 0
-                },
-                reward: {
-                    experience: 1200,
-                    gold: 500,
-                    items: [
-                        { name: 'Monk Sandals', type: 'boots', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 8,
-                nextQuestId: 'main_quest_6'
-            },
-            {
-                id: 'main_quest_6',
-                name: 'The Final Battle',
-                description: 'The Demon Lord has appeared. Defeat him to save the world from destruction.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon_lord',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 2000,
-                    gold: 1000,
-                    items: [
-                        { name: 'Legendary Monk Helmet', type: 'helmet', damage: 5, damageReduction: 0.15, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 10,
-                nextQuestId: null
+
+    /**
+     * Validate quest definitions and make the valid ones available
+     * @param {Array<Object>} definitions - Quest definitions
+     */
+    loadDefinitions(definitions) {
+        const { quests, errors } = new QuestValidator().validate(definitions);
+        errors.forEach(error => console.error(`Rejected quest definition - ${error}`));
+
+        this.definitions = new Map(quests.map(definition => [definition.id, definition]));
+        this.resetQuests();
+
+        console.debug(`Loaded ${quests.length} quests (${errors.length} problems)`);
+    }
+
+    /**
+     * Forget all quest progress and make every quest available again
+     */
+    resetQuests() {
+        this.activeQuests.forEach(quest => this.cleanupQuest(quest));
+        this.quests = Array.from(this.definitions.values());
+        this.activeQuests = [];
+        this.completedQuests = [];
+        this.failedQuests = [];
+    }
+
+    /**
+     * Find a quest definition
+     * @param {Object|string} quest - Quest id, or an object with an id or name
+     * @returns {Object|null} The definition or null if there is no such quest
+     */
+    getDefinition(quest) {
+        if (!quest) return null;
+        if (typeof quest === 'string') {
+            return this.definitions.get(quest) || null;
+        }
+        if (quest.id && this.definitions.has(quest.id)) {
+            return this.definitions.get(quest.id);
+        }
+        return Array.from(this.definitions.values()).find(definition => definition.name === quest.name) || null;
+    }
+
+    /**
+     * Create a running quest from its definition
+     * @param {Object} definition - Quest definition
+     * @returns {Object} Quest with stage and objective progress
+     */
+    createQuest(definition) {
+        return {
+            ...definition,
+            stageIndex: 0,
+            objectives: [],
+            timeRemaining: null
+        };
+    }
+
+    /**
+     * Get the current stage of a running quest
+     * @param {Object} quest - Running quest
+     * @returns {Object} Stage definition
+     */
+    getCurrentStage(quest) {
+        return quest.stages[quest.stageIndex];
+    }
+
+    /**
+     * Start a stage: reset its objectives and timer
+     * @param {Object} quest - Running quest
+     * @param {number} stageIndex - Index of the stage
+     * @param {Object} [savedState] - Saved progress to restore ({objectives, timeRemaining})
+     */
+    enterStage(quest, stageIndex, savedState = null) {
+        this.cleanupQuest(quest);
+
+        quest.stageIndex = stageIndex;
+        const stage = this.getCurrentStage(quest);
+        const savedObjectives = savedState && Array.isArray(savedState.objectives) ? savedState.objectives : [];
+
+        quest.objectives = stage.objectives.map((definition, index) => {
+            const objective = {
+                ...definition,
+                progress: 0,
+                discovered: [],
+                ...(savedObjectives[index] || {})
+            };
+            this.setupObjective(objective);
+            return objective;
+        });
+
+        // Let explore objectives count the zone the player is standing in
+        if (quest.objectives.some(objective => objective.type === 'explore')) {
+            this.currentZone = null;
+        }
+
+        if (savedState && typeof savedState.timeRemaining === 'number') {
+            quest.timeRemaining = savedState.timeRemaining;
+        } else {
+            quest.timeRemaining = stage.timeLimit || null;
+        }
+    }
+
+    /**
+     * Prepare the runtime state of escort and defend objectives
+     * Both are anchored where the player stands when the stage starts.
+     * @param {Object} objective - Objective of the current stage
+     */
+    setupObjective(objective) {
+        if (objective.type !== 'escort' && objective.type !== 'defend') {
+            return;
+        }
+
+        if (!objective.anchor) {
+            const position = this.game.player ? this.game.player.getPosition() : new THREE.Vector3();
+            objective.anchor = { x: position.x, z: position.z };
+        }
+
+        if (objective.type === 'defend') {
+            if (objective.waves && typeof objective.waveTimer !== 'number') {
+                // Give the player a moment to get ready before the first wave
+                objective.waveTimer = 3;
             }
-        ];
-        
-        // Side quests
-        const sideQuests = [
-            {
-                id: 'side_quest_1',
-                name: 'Treasure Hunter',
-                description: 'Find and open treasure chests scattered around the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 50,
-                    gold: 100
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_2',
-                name: 'Explorer',
-                description: 'Discover all zones in the world.',
-                objective: {
-                    type: 'explore',
-                    target: 'zone',
-                    count: 4,
-                    progress: 0,
-                    discovered: []
-                },
-                reward: {
-                    experience: 150,
-                    gold: 75,
-                    items: [
-                        { name: 'Map Fragment', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_3',
-                name: 'Skeleton Slayer',
-                description: 'Defeat 20 skeletons to thin their numbers.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 20,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 150,
-                    items: [
-                        { name: 'Bone Dust', amount: 5 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 3
-            },
-            {
-                id: 'side_quest_4',
-                name: 'Zombie Hunter',
-                description: 'Cleanse the swamp by defeating 25 zombies.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 25,
-                    progress: 0
-                },
-                reward: {
-                    experience: 300,
-                    gold: 200,
-                    items: [
-                        { name: 'Putrid Essence', amount: 3 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_5',
-                name: 'Demon Slayer',
-                description: 'Defeat 30 demons to weaken their invasion force.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 30,
-                    progress: 0
-                },
-                reward: {
-                    experience: 400,
-                    gold: 300,
-                    items: [
-                        { name: 'Demon Heart', amount: 2 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 7
-            },
-            {
-                id: 'side_quest_6',
-                name: 'Master Treasure Hunter',
-                description: 'Find and open 10 treasure chests throughout the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 10,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 400,
-                    items: [
-                        { name: 'Lucky Charm', type: 'accessory', damage: 2, damageReduction: 0.02, amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_7',
-                name: 'Rare Materials',
-                description: 'Collect rare materials from defeated bosses.',
-                objective: {
-                    type: 'kill',
-                    target: 'boss',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 600,
-                    gold: 500,
-                    items: [
-                        { name: 'Enchanted Crystal', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 8
+            return;
+        }
+
+        if (!objective.destination) {
+            const angle = Math.random() * Math.PI * 2;
+            objective.destination = {
+                x: objective.anchor.x + Math.cos(angle) * objective.distance,
+                z: objective.anchor.z + Math.sin(angle) * objective.distance
+            };
+        }
+
+        if (objective.progress < 1 && this.game.scene) {
+            const start = objective.npcPosition || { x: objective.anchor.x + 2, z: objective.anchor.z };
+            objective.escort = new EscortNPC(this.game.scene, this.game.world, {
+                name: objective.npc || 'Traveler',
+                position: start,
+                destination: objective.destination,
+                speed: objective.speed,
+                leashRadius: objective.leashRadius
+            });
+        }
+    }
+
+    /**
+     * Remove anything a quest's current stage added to the world
+     * @param {Object} quest - Running quest
+     */
+    cleanupQuest(quest) {
+        (quest.objectives || []).forEach(objective => {
+            if (objective.escort) {
+                objective.escort.dispose();
+                objective.escort = null;
             }
-        ];
-        
-        // Combine all quests
-        this.quests = [...mainQuests, ...sideQuests];
+        });
     }
-    
+
+    /**
+     * Check whether the player can start a quest
+     * @param {Object} definition - Quest definition
+     * @returns {boolean} True if every prerequisite is met
+     */
+    meetsPrerequisites(definition) {
+        const prerequisites = definition.prerequisites || {};
+        const player = this.game.player;
+
+        if (player && player.getLevel() < this.getRequiredLevel(definition)) {
+            return false;
+        }
+
+        const completed = (prerequisites.quests || []).every(id => this.completedQuests.some(q => q.id === id));
+        const failed = (prerequisites.failedQuests || []).every(id => this.failedQuests.some(q => q.id === id));
+        if (!completed || !failed) {
+            return false;
+        }
+
+        return (prerequisites.items || []).every(item =>
+            player && player.getItemCount(item.name) >= (item.amount || 1)
+        );
+    }
+
+    /**
+     * Get the level needed to start a quest
+     * @param {Object} definition - Quest definition
+     * @returns {number} Required player level
+     */
+    getRequiredLevel(definition) {
+        const prerequisites = definition.prerequisites || {};
+        return prerequisites.level || definition.requiredLevel || 1;
+    }
+
+    /**
+     * Start a quest
+     * @param {Object|string} quest - Quest id, or an object with an id or name
+     * @returns {boolean} True if the quest was started
+     */
     startQuest(quest) {
-        // Find the quest in the available quests
-        const questToStart = this.quests.find(q => q.name === quest.name);
-        
-        if (questToStart) {
-            // Check if quest is already active
-            if (!this.activeQuests.some(q => q.id === questToStart.id)) {
-                // Add to active quests
-                this.activeQuests.push(questToStart);
-                
-                // Remove from available quests
-                this.quests = this.quests.filter(q => q.id !== questToStart.id);
-                
-                // Notify UI
-                this.game.hudManager.updateQuestLog(this.activeQuests);
-                
-                return true;
-            }
+        const definition = this.getDefinition(quest);
+        if (!definition || !this.quests.some(q => q.id === definition.id)) {
+            return false;
         }
-        
-        return false;
+
+        if (!this.meetsPrerequisites(definition)) {
+            this.game.hudManager.showNotification(`You can't start "${definition.name}" yet.`);
+            return false;
+        }
+
+        const runningQuest = this.createQuest(definition);
+        this.activeQuests.push(runningQuest);
+        this.quests = this.quests.filter(q => q.id !== definition.id);
+        this.enterStage(runningQuest, 0);
+
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        return true;
     }
-    
-    updateEnemyKill(enemy) {
-        // Update kill objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'kill') {
-                // Check if this enemy type matches the quest target
-                if (quest.objective.target === 'any' || quest.objective.target === enemy.type) {
-                    quest.objective.progress++;
-                    
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} enemies defeated`);
-                    }
+
+    /**
+     * Add progress to matching objectives of every active quest
+     * @param {string} type - Objective type
+     * @param {function(Object): boolean} matches - Whether an objective counts this event
+     * @param {function(Object): string} message - Progress notification for an objective
+     */
+    advanceObjectives(type, matches, message) {
+        // Completing a quest changes activeQuests, so iterate over a copy
+        [...this.activeQuests].forEach(quest => {
+            quest.objectives.forEach(objective => {
+                if (objective.type !== type || objective.progress >= objective.count || !matches(objective)) {
+                    return;
                 }
-            }
+
+                objective.progress++;
+                if (objective.progress < objective.count) {
+                    this.game.hudManager.showNotification(message(objective));
+                }
+            });
+
+            this.checkStageComplete(quest);
         });
     }
-    
+
+    /**
+     * Count an enemy kill towards kill objectives
+     * @param {Object} enemy - The defeated enemy
+     */
+    updateEnemyKill(enemy) {
+        this.advanceObjectives(
+            'kill',
+            objective => objective.target === 'any' || objective.target === enemy.type ||
+                (objective.target === 'boss' && enemy.isBoss),
+            objective => `Quest progress: ${objective.progress}/${objective.count} enemies defeated`
+        );
+    }
+
+    /**
+     * Count an interaction towards interact objectives
+     * @param {string} objectType - Type of the interactive object (e.g. 'chest')
+     */
     updateInteraction(objectType) {
-        // Update interaction objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'interact' && quest.objective.target === objectType) {
-                quest.objective.progress++;
-                
-                // Check if objective is complete
-                if (quest.objective.progress >= quest.objective.count) {
-                    this.completeQuest(quest);
-                } else {
-                    // Update UI
-                    this.game.hudManager.updateQuestLog(this.activeQuests);
-                    this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} ${objectType}s found`);
-                }
-            }
-        });
+        this.advanceObjectives(
+            'interact',
+            objective => objective.target === objectType,
+            objective => `Quest progress: ${objective.progress}/${objective.count} ${objectType}s found`
+        );
     }
-    
+
+    /**
+     * Count a newly entered zone towards explore objectives
+     * @param {string} zoneName - Name of the zone
+     */
     updateExploration(zoneName) {
-        // Update exploration objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'explore' && quest.objective.target === 'zone') {
-                // Check if this zone has already been discovered for this quest
-                if (!quest.objective.discovered.includes(zoneName)) {
-                    quest.objective.discovered.push(zoneName);
-                    quest.objective.progress++;
-                    
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Zone discovered: ${zoneName}`);
-                    }
+        this.advanceObjectives(
+            'explore',
+            objective => {
+                if (objective.discovered.includes(zoneName)) return false;
+                objective.discovered.push(zoneName);
+                return true;
+            },
+            () => `Zone discovered: ${zoneName}`
+        );
+    }
+
+    /**
+     * Update stage timers and the objectives that depend on time or position
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (this.activeQuests.length === 0 || !this.game.player) {
+            return;
+        }
+
+        const playerPosition = this.game.player.getPosition();
+        this.updateZoneDiscovery(delta, playerPosition);
+
+        this.inventoryCheckTimer -= delta;
+        const checkInventory = this.inventoryCheckTimer <= 0;
+        if (checkInventory) {
+            this.inventoryCheckTimer = 0.5;
+        }
+
+        let changed = false;
+        [...this.activeQuests].forEach(quest => {
+            if (quest.timeRemaining !== null) {
+                quest.timeRemaining -= delta;
+                if (quest.timeRemaining <= 0) {
+                    this.failQuest(quest, 'Time ran out');
+                    return;
                 }
             }
+
+            quest.objectives.forEach(objective => {
+                switch (objective.type) {
+                    case 'collect':
+                        if (checkInventory) {
+                            const count = Math.min(objective.count, this.game.player.getItemCount(objective.item));
+                            changed = changed || count !== objective.progress;
+                            objective.progress = count;
+                        }
+                        break;
+                    case 'escort':
+                        changed = this.updateEscort(objective, delta, playerPosition) || changed;
+                        break;
+                    case 'defend':
+                        changed = this.updateDefend(objective, delta, playerPosition) || changed;
+                        break;
+                }
+            });
+
+            this.checkStageComplete(quest);
         });
+
+        this.questLogTimer -= delta;
+        const timed = this.activeQuests.some(quest => quest.timeRemaining !== null);
+        if (changed || (timed && this.questLogTimer <= 0)) {
+            this.questLogTimer = 1;
+            this.game.hudManager.updateQuestLog(this.activeQuests);
+        }
+    }
+
+    /**
+     * Detect when the player enters a different zone
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     */
+    updateZoneDiscovery(delta, playerPosition) {
+        this.zoneCheckTimer -= delta;
+        if (this.zoneCheckTimer > 0 || !this.game.world) return;
+        this.zoneCheckTimer = 1;
+
+        const zone = this.game.world.getZoneAt(playerPosition);
+        const zoneName = zone ? zone.name : null;
+        if (zoneName && zoneName !== this.currentZone) {
+            this.currentZone = zoneName;
+            this.updateExploration(zoneName);
+        }
+    }
+
+    /**
+     * Move the escorted NPC
+     * @param {Object} objective - Escort objective
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @returns {boolean} True if the objective changed in a way the quest log shows
+     */
+    updateEscort(objective, delta, playerPosition) {
+        const escort = objective.escort;
+        if (objective.progress >= 1 || !escort) return false;
+
+        const wasWaiting = escort.waiting;
+        const arrived = escort.update(delta, playerPosition);
+        objective.npcPosition = { x: escort.position.x, z: escort.position.z };
+
+        if (arrived) {
+            objective.progress = 1;
+            this.game.hudManager.showNotification(`${escort.name} has arrived safely`);
+            escort.dispose();
+            objective.escort = null;
+            return true;
+        }
+
+        if (escort.waiting && !wasWaiting) {
+            this.game.hudManager.showNotification(`${escort.name} is waiting for you`);
+        }
+        return false;
     }
     
+    /**
+     * Count time spent in the defended area and send enemy waves
+     * @param {Object} objective - Defend objective
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @returns {boolean} True if the objective changed in a way the quest log shows
+     */
+    updateDefend(objective, delta, playerPosition) {
+        if (objective.progress >= objective.duration) return false;
+
+        const dx = playerPosition.x - objective.anchor.x;
+        const dz = playerPosition.z - objective.anchor.z;
+        const inside = dx * dx + dz * dz <= objective.radius * objective.radius;
+        if (!inside) {
+            return false;
+        }
+
+        const previousSeconds = Math.floor(objective.progress);
+        objective.progress = Math.min(objective.duration, objective.progress + delta);
+
+        if (objective.waves) {
+            objective.waveTimer -= delta;
+            if (objective.waveTimer <= 0) {
+                objective.waveTimer = objective.waves.interval || 15;
+                this.spawnDefendWave(objective);
+            }
+        }
+
+        return Math.floor(objective.progress) !== previousSeconds;
+    }
+
+    /**
+     * Spawn enemies around a defended area
+     * @param {Object} objective - Defend objective
+     */
+    spawnDefendWave(objective) {
+        const enemyManager = this.game.enemyManager;
+        const multiplayerManager = this.game.multiplayerManager;
+        if (!enemyManager) return;
+
+        // The host spawns enemies for everyone in multiplayer
+        if (multiplayerManager && multiplayerManager.connection && !multiplayerManager.isHost &&
+            multiplayerManager.connection.isConnected) {
+            return;
+        }
+
+        const count = objective.waves.count || 1;
+        const distance = objective.radius + 5;
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.random();
+            const x = objective.anchor.x + Math.cos(angle) * distance;
+            const z = objective.anchor.z + Math.sin(angle) * distance;
+            const position = new THREE.Vector3(x, this.game.world.getTerrainHeight(x, z), z);
+            enemyManager.spawnEnemy(objective.waves.enemyType, position);
+        }
+
+        this.game.hudManager.showNotification('Enemies are attacking!');
+    }
+
+    /**
+     * Check whether an objective is done
+     * @param {Object} objective - Objective of the current stage
+     * @returns {boolean} True if the objective is complete
+     */
+    isObjectiveComplete(objective) {
+        switch (objective.type) {
+            case 'escort':
+                return objective.progress >= 1;
+            case 'defend':
+                return objective.progress >= objective.duration;
+            default:
+                return objective.progress >= objective.count;
+        }
+    }
+
+    /**
+     * Move to the next stage (or complete the quest) once every objective is done
+     * @param {Object} quest - Running quest
+     * @returns {boolean} True if the stage was completed
+     */
+    checkStageComplete(quest) {
+        if (!this.activeQuests.includes(quest) || !quest.objectives.every(o => this.isObjectiveComplete(o))) {
+            return false;
+        }
+
+        // Hand in the collected items
+        quest.objectives
+            .filter(objective => objective.type === 'collect' && objective.consume)
+            .forEach(objective => this.game.player.removeFromInventory(objective.item, objective.count));
+
+        if (quest.stageIndex + 1 < quest.stages.length) {
+            this.enterStage(quest, quest.stageIndex + 1);
+            const stage = this.getCurrentStage(quest);
+            this.game.hudManager.updateQuestLog(this.activeQuests);
+            this.game.hudManager.showNotification(`${quest.name}: ${stage.description || 'New objective'}`);
+        } else {
+            this.completeQuest(quest);
+        }
+
+        return true;
+    }
+
+    /**
+     * Complete a quest and hand out its rewards
+     * @param {Object} quest - Running quest
+     */
     completeQuest(quest) {
+        this.cleanupQuest(quest);
+
         // Remove from active quests
         this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
-        
+
         // Add to completed quests
-        this.completedQuests.push(quest);
-        
+        this.completedQuests.push(this.definitions.get(quest.id) || quest);
+
         // Award rewards
         this.awardQuestRewards(quest);
-        
+
         // Play quest complete sound
         if (this.game && this.game.audioManager) {
             this.game.audioManager.playSound('questComplete');
         }
-        
+
         // Update UI
         this.game.hudManager.updateQuestLog(this.activeQuests);
         this.game.hudManager.showDialog(
             `Quest Completed: ${quest.name}`,
             `You have completed the quest and received your rewards!`
         );
-        
-        // Check for next quest in the storyline
-        this.checkForNextQuest(quest);
+
+        // Check for the quest that follows
+        this.checkForNextQuest(quest, 'completed');
     }
-    
-    checkForNextQuest(completedQuest) {
-        // Check if this quest has a next quest in the storyline
-        if (completedQuest.isMainQuest && completedQuest.nextQuestId) {
-            // Find the next quest
-            const nextQuest = this.quests.find(q => q.id === completedQuest.nextQuestId);
-            
-            if (nextQuest) {
-                // Check if player meets level requirement
-                if (this.game.player.getLevel() >= nextQuest.requiredLevel) {
-                    // Automatically start the next main quest
-                    setTimeout(() => {
-                        this.game.hudManager.showDialog(
-                            `New Quest Available: ${nextQuest.name}`,
-                            `${nextQuest.description}\n\nWould you like to accept this quest?`,
-                            () => this.startQuest(nextQuest)
-                        );
-                    }, 2000); // Show after a short delay
-                } else {
-                    // Inform player about level requirement
-                    setTimeout(() => {
-                        this.game.hudManager.showNotification(
-                            `New quest "${nextQuest.name}" will be available at level ${nextQuest.requiredLevel}.`
-                        );
-                    }, 2000);
-                }
-            }
+
+    /**
+     * Fail a quest
+     * @param {Object} quest - Running quest
+     * @param {string} [reason] - Why the quest failed
+     */
+    failQuest(quest, reason = '') {
+        this.cleanupQuest(quest);
+        this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
+
+        const definition = this.definitions.get(quest.id) || quest;
+        this.failedQuests.push(definition);
+        if (definition.retryOnFail !== false) {
+            this.quests.push(definition);
         }
+
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        this.game.hudManager.showNotification(`Quest failed: ${quest.name}${reason ? ` (${reason})` : ''}`);
+
+        this.checkForNextQuest(quest, 'failed');
     }
-    
+
+    /**
+     * Get the quests that follow a quest
+     * @param {Object} quest - Completed or failed quest
+     * @param {string} outcome - 'completed' or 'failed'
+     * @returns {Array<Object>} Definitions of the following quests
+     */
+    getNextQuests(quest, outcome) {
+        let ids = [];
+        if (Array.isArray(quest.nextQuestId)) {
+            ids = quest.nextQuestId
+                .filter(branch => (branch.outcome || 'completed') === outcome)
+                .map(branch => branch.questId);
+        } else if (quest.nextQuestId && outcome === 'completed') {
+            ids = [quest.nextQuestId];
+        }
+
+        return ids
+            .map(id => this.quests.find(q => q.id === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Offer the quest that follows a completed or failed quest
+     * @param {Object} quest - Completed or failed quest
+     * @param {string} [outcome='completed'] - 'completed' or 'failed'
+     */
+    checkForNextQuest(quest, outcome = 'completed') {
+        const nextQuests = this.getNextQuests(quest, outcome);
+        if (nextQuests.length === 0) return;
+
+        // Prefer a branch the player can take right away
+        const nextQuest = nextQuests.find(q => this.meetsPrerequisites(q)) || nextQuests[0];
+
+        if (this.meetsPrerequisites(nextQuest)) {
+            setTimeout(() => {
+                this.game.hudManager.showDialog(
+                    `New Quest Available: ${nextQuest.name}`,
+                    `${nextQuest.description}\n\nWould you like to accept this quest?`,
+                    () => this.startQuest(nextQuest)
+                );
+            }, 2000); // Show after a short delay
+        } else {
+            // Inform player about level requirement
+            setTimeout(() => {
+                this.game.hudManager.showNotification(
+                    `New quest "${nextQuest.name}" will be available at level ${this.getRequiredLevel(nextQuest)}.`
+                );
+            }, 2000);
+        }
+    }
+
+    /**
+     * Give the player the rewards of a quest
+     * @param {Object} quest - Completed quest
+     */
     awardQuestRewards(quest) {
+        const reward = quest.reward || {};
+
         // Award experience
-        if (quest.reward.experience) {
-            this.game.player.addExperience(quest.reward.experience);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.experience} experience`);
-        }
-        
-        // Award gold
-        if (quest.reward.gold) {
-            this.game.player.addGold(quest.reward.gold);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.gold} gold`);
-        }
-        
-        // Award items
-        if (quest.reward.items) {
-            quest.reward.items.forEach(item => {
-                this.game.player.addToInventory(item);
+        if (reward.experience) {
+            this.game.player.addExperience(reward.experience);
+            this.game.hudManager.showNotification(`Gained ${reward.experience} experience`);
+        }
+
+        // Award gold (scaled by the active world tier)
+        if (reward.gold) {
+            const gold = this.game.player.addGold(reward.gold);
+            this.game.hudManager.showNotification(`Gained ${gold} gold`);
+        }
+
+        // Award items, using the quest item stats for quest-only rewards
+        if (reward.items) {
+            reward.items.forEach(item => {
+                this.game.player.addToInventory({ ...(QUEST_ITEMS[item.name] || {}), ...item });
                 this.game.hudManager.showNotification(`Received ${item.name} x${item.amount}`);
             });
         }
     }
-    
+
+    /**
+     * Get the progress of a saved quest in the format read by restoreQuest
+     * @param {Object} quest - Running quest
+     * @returns {Object} Quest state
+     */
+    getQuestState(quest) {
+        return {
+            id: quest.id,
+            stageIndex: quest.stageIndex,
+            timeRemaining: quest.timeRemaining,
+            objectives: quest.objectives.map(objective => {
+                const state = { progress: objective.progress, discovered: objective.discovered };
+                ['anchor', 'destination', 'npcPosition', 'waveTimer'].forEach(key => {
+                    if (objective[key] !== undefined) state[key] = objective[key];
+                });
+                return state;
+            })
+        };
+    }
+
+    /**
+     * Resume a quest from saved progress
+     * @param {Object} state - Quest state from getQuestState
+     * @returns {boolean} True if the quest was restored
+     */
+    restoreQuest(state) {
+        const definition = this.definitions.get(state.id);
+        if (!definition) {
+            console.warn(`Original quest template not found for ID: ${state.id}`);
+            return false;
+        }
+
+        const quest = this.createQuest(definition);
+        const stageIndex = Math.min(Math.max(0, state.stageIndex || 0), definition.stages.length - 1);
+        this.enterStage(quest, stageIndex, state);
+
+        this.activeQuests.push(quest);
+        this.quests = this.quests.filter(q => q.id !== definition.id);
+        return true;
+    }
+
     getActiveQuests() {
         return this.activeQuests;
     }
-    
+
     getCompletedQuests() {
         return this.completedQuests;
     }
-    
+
+    getFailedQuests() {
+        return this.failedQuests;
+    }
+
     getAvailableQuests() {
-        const playerLevel = this.game.player.getLevel();
-        
-        // Filter quests based on player level and completed quests
+        // Filter quests based on prerequisites and completed quests
         return this.quests.filter(quest => {
             // Check if quest is already completed
             const isCompleted = this.completedQuests.some(q => q.id === quest.id);
             if (isCompleted) return false;
-            
+
             // Check if quest is already active
             const isActive = this.activeQuests.some(q => q.id === quest.id);
             if (isActive) return false;
-            
-            // Check if player meets level requirement
-            return playerLevel >= quest.requiredLevel;
+
+            return this.meetsPrerequisites(quest);
         });
     }
-    
+
     checkForAvailableQuests() {
         const availableQuests = this.getAvailableQuests();
-        
+
         // Check for main quests first
         const mainQuests = availableQuests.filter(q => q.isMainQuest);
         if (mainQuests.length > 0) {
@@ -488,7 +743,7 @@ export class QuestManager {
             );
             return;
         }
-        
+
         // If no main quests, check for side quests
         const sideQuests = availableQuests.filter(q => !q.isMainQuest);
         if (sideQuests.length > 0) {
@@ -502,4 +757,4 @@ export class QuestManager {
             );
         }
     }
-}
\ No newline at end of file
+}
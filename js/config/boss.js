@@ -0,0 +1,215 @@
+/**
+ * Boss Configuration
+ *
+ * Scripts for boss encounters: health-threshold phases, the abilities each phase
+ * rotates through and the enrage timer. Bosses without a script fight like
+ * regular enemies.
+ */
+
+import { ENEMY_TYPES } from './enemy.js';
+
+/**
+ * Settings shared by all boss encounters
+ */
+export const BOSS_SETTINGS = {
+    engageRange: 40, // The fight (and enrage timer) starts when a player comes this close
+    globalCooldown: 1.5, // Minimum time between two abilities in seconds
+    maxTelegraphs: 40, // The oldest telegraph is removed when exceeded
+    telegraphFlashDuration: 0.3, // How long a telegraph stays visible after it went off
+    telegraphOpacity: 0.2, // Opacity of the warned area
+    enrage: {
+        damageMultiplier: 1.5,
+        speedMultiplier: 1.3,
+        cooldownMultiplier: 0.6, // Multiplies ability cooldowns
+        auraColor: 0xff2200
+    }
+};
+
+/**
+ * Boss scripts keyed by enemy type
+ * - enrageTime: Seconds after engaging until the boss enrages
+ * - phases: Ordered by healthThreshold, the highest threshold first. A phase starts
+ *   when the boss health fraction drops to its threshold.
+ *   - abilities: Ability IDs the phase rotates through
+ *   - damageMultiplier: Multiplies the boss damage when the phase starts
+ *   - message: Notification shown when the phase starts
+ * - abilities: Ability definitions
+ *   - cooldown: Seconds between uses
+ *   - minRange/maxRange: Distance to the target the ability is used at
+ *   - castTime: Seconds the boss stands still while casting (defaults to the telegraph delay)
+ *   - telegraph: Ground warning that deals the damage after its delay
+ *     - shape: 'circle', 'cone' or 'line'
+ *     - origin: 'self' (centered on the boss, aimed at the target) or 'target'
+ *     - radius: Circle and cone radius
+ *     - angle: Cone angle in radians
+ *     - length/width: Line size
+ *     - count/spread: Extra circles scattered around the origin
+ *   - damageMultiplier: Multiplies the boss damage
+ *   - statusEffect: Applied to players hit, see PlayerStatusEffects
+ *   - summon: Enemies spawned around the boss (type, count, radius)
+ */
+export const BOSS_SCRIPTS = {
+    [ENEMY_TYPES.SKELETON_KING]: {
+        enrageTime: 150,
+        phases: [
+            { healthThreshold: 1.0, name: 'Bone Throne', abilities: ['ground_slam', 'bone_sweep'] },
+            {
+                healthThreshold: 0.5,
+                name: 'Army of the Dead',
+                abilities: ['summon_minions', 'ground_slam', 'bone_sweep'],
+                message: 'The Skeleton King calls his army!'
+            }
+        ],
+        abilities: {
+            ground_slam: {
+                name: 'Ground Slam',
+                cooldown: 7,
+                maxRange: 6,
+                telegraph: { shape: 'circle', origin: 'self', radius: 5, delay: 1.4, color: 0xd9c8a0 },
+                damageMultiplier: 1.4,
+                statusEffect: { type: 'stun', duration: 1, intensity: 1 }
+            },
+            bone_sweep: {
+                name: 'Bone Sweep',
+                cooldown: 5,
+                maxRange: 7,
+                telegraph: { shape: 'cone', origin: 'self', radius: 7, angle: Math.PI / 2, delay: 1.0, color: 0xcccccc },
+                damageMultiplier: 1.2
+            },
+            summon_minions: {
+                name: 'Summon Minions',
+                cooldown: 20,
+                castTime: 1.0,
+                summon: { type: ENEMY_TYPES.SKELETON, count: 3, radius: 4 }
+            }
+        }
+    },
+
+    [ENEMY_TYPES.FROST_TITAN]: {
+        enrageTime: 180,
+        phases: [
+            { healthThreshold: 1.0, name: 'Winter\'s Grip', abilities: ['frost_nova', 'ice_storm'] },
+            {
+                healthThreshold: 0.4,
+                name: 'Glacial Fury',
+                abilities: ['glacial_spike', 'frost_nova', 'ice_storm'],
+                damageMultiplier: 1.2,
+                message: 'The Frost Titan\'s fury chills the air!'
+            }
+        ],
+        abilities: {
+            ice_storm: {
+                name: 'Ice Storm',
+                cooldown: 8,
+                minRange: 3,
+                maxRange: 12,
+                telegraph: { shape: 'circle', origin: 'target', radius: 5, delay: 1.6, color: 0x88ccff },
+                damageMultiplier: 1.5,
+                statusEffect: { type: 'slow', duration: 3, intensity: 0.4 }
+            },
+            frost_nova: {
+                name: 'Frost Nova',
+                cooldown: 5,
+                maxRange: 5.5,
+                telegraph: { shape: 'circle', origin: 'self', radius: 5.5, delay: 1.2, color: 0xbbeeff },
+                damageMultiplier: 1.0,
+                statusEffect: { type: 'freeze', duration: 2, intensity: 2 }
+            },
+            glacial_spike: {
+                name: 'Glacial Spike',
+                cooldown: 9,
+                maxRange: 16,
+                telegraph: { shape: 'line', origin: 'self', length: 16, width: 2.5, delay: 1.3, color: 0x66aaff },
+                damageMultiplier: 1.8
+            }
+        }
+    },
+
+    [ENEMY_TYPES.FROST_MONARCH]: {
+        enrageTime: 180,
+        phases: [
+            { healthThreshold: 1.0, name: 'Cold Court', abilities: ['freezing_touch', 'ice_prison'] },
+            {
+                healthThreshold: 0.6,
+                name: 'Blizzard',
+                abilities: ['blizzard', 'freezing_touch', 'ice_prison'],
+                message: 'A blizzard rises around the Frost Monarch!'
+            },
+            {
+                healthThreshold: 0.3,
+                name: 'Eternal Winter',
+                abilities: ['blizzard', 'ice_prison', 'freezing_touch'],
+                damageMultiplier: 1.25,
+                message: 'The Frost Monarch summons an eternal winter!'
+            }
+        ],
+        abilities: {
+            freezing_touch: {
+                name: 'Freezing Touch',
+                cooldown: 5,
+                maxRange: 8,
+                telegraph: { shape: 'cone', origin: 'self', radius: 8, angle: Math.PI / 3, delay: 1.0, color: 0x66ccff },
+                damageMultiplier: 1.2,
+                statusEffect: { type: 'slow', duration: 2, intensity: 0.5 }
+            },
+            ice_prison: {
+                name: 'Ice Prison',
+                cooldown: 10,
+                maxRange: 15,
+                telegraph: { shape: 'circle', origin: 'target', radius: 2.5, delay: 1.5, color: 0xaaddff },
+                damageMultiplier: 0.8,
+                statusEffect: { type: 'freeze', duration: 2.5, intensity: 2.5 }
+            },
+            blizzard: {
+                name: 'Blizzard',
+                cooldown: 12,
+                maxRange: 18,
+                telegraph: { shape: 'circle', origin: 'target', radius: 3.5, count: 4, spread: 6, delay: 2.0, color: 0xddeeff },
+                damageMultiplier: 1.3,
+                statusEffect: { type: 'slow', duration: 3, intensity: 0.4 }
+            }
+        }
+    },
+
+    [ENEMY_TYPES.SPIDER_QUEEN]: {
+        enrageTime: 150,
+        phases: [
+            { healthThreshold: 1.0, name: 'The Nest', abilities: ['venom_spray', 'web_prison'] },
+            {
+                healthThreshold: 0.5,
+                name: 'Brood Mother',
+                abilities: ['summon_spiderlings', 'venom_spray', 'web_prison'],
+                message: 'Spiderlings swarm from the Spider Queen\'s nest!'
+            }
+        ],
+        abilities: {
+            venom_spray: {
+                name: 'Venom Spray',
+                cooldown: 5,
+                maxRange: 9,
+                telegraph: { shape: 'cone', origin: 'self', radius: 9, angle: Math.PI / 4, delay: 0.9, color: 0x66cc33 },
+                damageMultiplier: 1.3,
+                statusEffect: { type: 'slow', duration: 2, intensity: 0.3 }
+            },
+            web_prison: {
+                name: 'Web Prison',
+                cooldown: 9,
+                maxRange: 14,
+                telegraph: { shape: 'circle', origin: 'target', radius: 3, delay: 1.3, color: 0xeeeeee },
+                damageMultiplier: 0.6,
+                statusEffect: { type: 'stun', duration: 1.5, intensity: 1 }
+            },
+            summon_spiderlings: {
+                name: 'Summon Spiderlings',
+                cooldown: 18,
+                castTime: 1.0,
+                summon: { type: ENEMY_TYPES.FOREST_SPIDER, count: 4, radius: 3 }
+            }
+        }
+    }
+};
+
+export default {
+    BOSS_SETTINGS,
+    BOSS_SCRIPTS
+};
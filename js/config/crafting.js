@@ -0,0 +1,110 @@
+/**
+ * crafting.js
+ * Salvage materials, crafting recipes and enchanting costs
+ */
+
+/**
+ * Item rarities from lowest to highest
+ */
+export const RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+
+/**
+ * Material obtained by salvaging an item of each rarity
+ */
+export const CRAFTING_MATERIALS = {
+    common: { id: 'iron_scrap', name: 'Iron Scrap', icon: '🔩' },
+    uncommon: { id: 'silk_thread', name: 'Silk Thread', icon: '🧵' },
+    rare: { id: 'arcane_dust', name: 'Arcane Dust', icon: '✨' },
+    epic: { id: 'spirit_crystal', name: 'Spirit Crystal', icon: '💠' },
+    legendary: { id: 'celestial_essence', name: 'Celestial Essence', icon: '🌟' },
+    mythic: { id: 'primordial_shard', name: 'Primordial Shard', icon: '🔮' }
+};
+
+/**
+ * Materials obtained by salvaging one item
+ * Items also give a few materials of the rarity below theirs.
+ */
+export const SALVAGE_YIELD = {
+    // Materials of the item rarity (min, max)
+    amount: { min: 1, max: 3 },
+    // Materials of the rarity below (min, max)
+    lowerTierAmount: { min: 1, max: 2 },
+    // Item types that can be salvaged
+    salvageableTypes: ['weapon', 'armor', 'accessory']
+};
+
+/**
+ * Recipes creating a new item of a chosen type and subtype
+ * Items are generated by ItemGenerator at the player level with the recipe rarity.
+ */
+export const CRAFTING_RECIPES = [
+    {
+        id: 'craft_uncommon',
+        name: 'Apprentice Craft',
+        description: 'Forge an uncommon item of your choice.',
+        rarity: 'uncommon',
+        cost: { gold: 50, materials: { iron_scrap: 8 } }
+    },
+    {
+        id: 'craft_rare',
+        name: 'Journeyman Craft',
+        description: 'Forge a rare item of your choice.',
+        rarity: 'rare',
+        cost: { gold: 200, materials: { iron_scrap: 10, silk_thread: 6 } }
+    },
+    {
+        id: 'craft_epic',
+        name: 'Master Craft',
+        description: 'Forge an epic item of your choice.',
+        rarity: 'epic',
+        cost: { gold: 750, materials: { silk_thread: 10, arcane_dust: 6 } }
+    },
+    {
+        id: 'craft_legendary',
+        name: 'Grandmaster Craft',
+        description: 'Forge a legendary item of your choice.',
+        rarity: 'legendary',
+        cost: { gold: 3000, materials: { arcane_dust: 12, spirit_crystal: 6 } }
+    }
+];
+
+/**
+ * Item types and subtypes that can be crafted
+ */
+export const CRAFTABLE_TYPES = {
+    weapon: ['fist', 'staff', 'dagger'],
+    armor: ['robe', 'belt', 'boots', 'gloves', 'helmet'],
+    accessory: ['amulet', 'ring', 'talisman']
+};
+
+/**
+ * Cost of rerolling one secondary stat, by item rarity
+ */
+export const REROLL_COSTS = {
+    common: { gold: 10, materials: { iron_scrap: 2 } },
+    uncommon: { gold: 25, materials: { silk_thread: 2 } },
+    rare: { gold: 75, materials: { arcane_dust: 2 } },
+    epic: { gold: 200, materials: { spirit_crystal: 2 } },
+    legendary: { gold: 500, materials: { celestial_essence: 2 } },
+    mythic: { gold: 1000, materials: { primordial_shard: 2 } }
+};
+
+/**
+ * Cost of upgrading an item to the next rarity, by its current rarity
+ */
+export const UPGRADE_COSTS = {
+    common: { gold: 50, materials: { iron_scrap: 10 } },
+    uncommon: { gold: 200, materials: { silk_thread: 10, iron_scrap: 5 } },
+    rare: { gold: 800, materials: { arcane_dust: 10, silk_thread: 5 } },
+    epic: { gold: 3000, materials: { spirit_crystal: 10, arcane_dust: 5 } },
+    legendary: { gold: 10000, materials: { celestial_essence: 10, spirit_crystal: 5 } }
+};
+
+/**
+ * Get a material definition by id
+ * @param {string} materialId - Material id
+ * @returns {{id: string, name: string, icon: string}|null} Material or null if unknown
+ */
+export function getMaterial(materialId) {
+    return Object.values(CRAFTING_MATERIALS).find(material => material.id === materialId) || null;
+}
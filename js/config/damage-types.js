@@ -0,0 +1,51 @@
+/**
+ * Damage Types Configuration
+ *
+ * Every hit carries a damage type. Skills set it with `damageType` in their config,
+ * skill variants in the skill tree override it. Enemies resist or are weak to
+ * damage types, see ENEMY_RESISTANCES in enemy.js.
+ */
+
+/**
+ * Damage types dictionary
+ */
+export const DAMAGE_TYPES = {
+    PHYSICAL: 'physical',
+    FIRE: 'fire',
+    COLD: 'cold',
+    LIGHTNING: 'lightning',
+    HOLY: 'holy',
+    POISON: 'poison'
+};
+
+/**
+ * Colors of floating combat text per damage type
+ */
+export const DAMAGE_TYPE_COLORS = {
+    [DAMAGE_TYPES.PHYSICAL]: '#FFFFFF',
+    [DAMAGE_TYPES.FIRE]: '#FF4500',
+    [DAMAGE_TYPES.COLD]: '#AADDFF',
+    [DAMAGE_TYPES.LIGHTNING]: '#FFFF00',
+    [DAMAGE_TYPES.HOLY]: '#FFFACD',
+    [DAMAGE_TYPES.POISON]: '#7CFC00'
+};
+
+/**
+ * Element names used by items and effects that map to a damage type
+ */
+export const DAMAGE_TYPE_ALIASES = {
+    ice: DAMAGE_TYPES.COLD,
+    frost: DAMAGE_TYPES.COLD,
+    nature: DAMAGE_TYPES.POISON
+};
+
+/**
+ * Get the damage type of an element name
+ * @param {string|null|undefined} element - Damage type or element name
+ * @returns {string} The damage type, physical for unknown elements
+ */
+export function getDamageType(element) {
+    if (!element) return DAMAGE_TYPES.PHYSICAL;
+    if (DAMAGE_TYPE_COLORS[element]) return element;
+    return DAMAGE_TYPE_ALIASES[element] || DAMAGE_TYPES.PHYSICAL;
+}
@@ -36,13 +36,124 @@ export const ENEMY_TYPE_BEHAVIOR = {
         detectionRange: 40,
         attackRangeMultiplier: 1.5,
         persistentAggression: true,
-        aggressionTimeout: 8
+        aggressionTimeout: 8,
+        archetype: 'kiter'
     },
     
     'necromancer': {
         detectionRange: 35,
         attackRangeMultiplier: 1.3,
         persistentAggression: true,
-        aggressionTimeout: 10
+        aggressionTimeout: 10,
+        archetype: 'summoner'
+    },
+    
+    'swamp_witch': {
+        detectionRange: 35,
+        attackRangeMultiplier: 1.3,
+        persistentAggression: true,
+        aggressionTimeout: 8,
+        archetype: 'kiter'
+    },
+    
+    'blood_cultist': {
+        archetype: 'support'
+    },
+    
+    'shadow_beast': {
+        archetype: 'pack'
+    },
+    
+    'feral_wolf': {
+        archetype: 'pack'
+    },
+    
+    'winter_wolf': {
+        archetype: 'pack',
+        archetypeOptions: {
+            flankDistance: 4
+        }
+    }
+};
+
+// AI state machine settings (idle, patrol, alert, chase, attack, flee, return)
+export const ENEMY_AI_SETTINGS = {
+    // Enemies give up a chase this far from where they spawned, and only engage
+    // targets within this distance of it
+    leashRange: 80,
+    
+    // Time an enemy takes to react after spotting a target (seconds)
+    alertDuration: 0.4,
+    
+    // Time an enemy stands still between patrols (seconds)
+    idleTime: { min: 2, max: 5 },
+    
+    // Patrol points are picked within this distance of the spawn point
+    patrolRadius: 8,
+    
+    // Patrols give up after this long, e.g. when the point can't be reached (seconds)
+    patrolTimeout: 10,
+    
+    // Speed multipliers of the states
+    patrolSpeedMultiplier: 0.4,
+    returnSpeedMultiplier: 1.2,
+    fleeSpeedMultiplier: 1.2,
+    
+    // Enemies that reach their spawn point after a leash heal to full
+    healOnReturn: true
+};
+
+/**
+ * Archetype behaviours, selected per enemy type with `archetype` in ENEMY_TYPE_BEHAVIOR
+ * `archetypeOptions` there override single values of the archetype.
+ * - fleeHealthThreshold: Health fraction below which the enemy flees once (0 = never)
+ * - fleeDuration: Seconds the enemy flees
+ */
+export const ENEMY_ARCHETYPES = {
+    // Walks up to the target and attacks
+    melee: {
+        fleeHealthThreshold: 0,
+        fleeDuration: 0
+    },
+    
+    // Keeps its distance and backs off while its attack recharges
+    kiter: {
+        retreatRangeFraction: 0.5, // Backs off when the target is closer than this part of the attack range
+        fleeHealthThreshold: 0.2,
+        fleeDuration: 3
+    },
+    
+    // Keeps its distance and heals or empowers nearby allies
+    support: {
+        retreatRangeFraction: 0.5,
+        allyRange: 15,
+        healCooldown: 6,
+        healFraction: 0.2, // Part of the ally's max health healed
+        healThreshold: 0.7, // Only allies below this health fraction are healed
+        buffCooldown: 10,
+        buffDamageMultiplier: 1.25,
+        buffDuration: 6,
+        fleeHealthThreshold: 0.3,
+        fleeDuration: 4
+    },
+    
+    // Keeps its distance and raises minions
+    summoner: {
+        retreatRangeFraction: 0.5,
+        summonType: 'skeleton',
+        summonCount: 2,
+        summonCooldown: 12,
+        maxSummons: 4,
+        summonRadius: 3,
+        fleeHealthThreshold: 0.2,
+        fleeDuration: 3
+    },
+    
+    // Alerts nearby pack members and surrounds the target with them
+    pack: {
+        packRadius: 20, // Pack members within this distance join the hunt
+        flankDistance: 3, // Pack members approach from points this far beside the target
+        fleeHealthThreshold: 0,
+        fleeDuration: 0
     }
 };
\ No newline at end of file
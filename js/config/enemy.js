@@ -6,6 +6,9 @@
  * and their relationships to different categories and model implementations.
  */
 
+import { DIFFICULTY_SCALING } from './game-balance.js';
+import { DAMAGE_TYPES } from './damage-types.js';
+
 /**
  * Enemy types dictionary
  * A single source of truth for all enemy type string literals
@@ -401,9 +404,150 @@ export const ENEMY_DIFFICULTY_TIERS = {
     ]
 };
 
+/**
+ * Enemy projectile settings shared by all projectile types
+ */
+export const ENEMY_PROJECTILE_SETTINGS = {
+    maxActive: 80, // The oldest projectile is removed when exceeded
+    rangeMultiplier: 1.5, // Projectiles fly this multiple of the attack range before fading
+    launchHeight: 1.2, // Height above the enemy position, scaled by enemy scale
+    targetHeight: 1.0, // Height above the target position the projectile is aimed at
+    playerHitRadius: 0.6 // Radius of players for projectile hits
+};
+
+/**
+ * Projectiles of ranged enemy types
+ * Enemy types listed here fire a projectile instead of hitting instantly.
+ * - kind: 'arrow', 'bolt' or 'orb', selects the mesh
+ * - speed: Units per second, slow projectiles are easier to dodge
+ * - radius: Hit radius of the projectile
+ * - damageMultiplier: Multiplies the enemy damage
+ * - statusEffect: Applied to the player on hit, see PlayerStatusEffects
+ */
+export const ENEMY_PROJECTILES = {
+    [ENEMY_TYPES.SKELETON_ARCHER]: {
+        kind: 'arrow',
+        speed: 22,
+        radius: 0.3,
+        color: 0xd9c8a0,
+        damageMultiplier: 1.0,
+        statusEffect: null
+    },
+    [ENEMY_TYPES.NECROMANCER]: {
+        kind: 'bolt',
+        speed: 14,
+        radius: 0.4,
+        color: 0x7cff6b,
+        damageMultiplier: 1.1,
+        statusEffect: { type: 'slow', duration: 2, intensity: 0.3 }
+    },
+    [ENEMY_TYPES.SWAMP_WITCH]: {
+        kind: 'orb',
+        speed: 9,
+        radius: 0.6,
+        color: 0x6b8e23,
+        damageMultiplier: 1.2,
+        statusEffect: { type: 'slow', duration: 3, intensity: 0.4 }
+    },
+    [ENEMY_TYPES.NECROMANCER_LORD]: {
+        kind: 'orb',
+        speed: 11,
+        radius: 0.8,
+        color: 0x9b30ff,
+        damageMultiplier: 1.0,
+        statusEffect: { type: 'stun', duration: 0.75, intensity: 1 }
+    }
+};
+
+/**
+ * Resistance scaling shared by all enemy types
+ * Resistances start at the resistance start level and grow to their full value over
+ * levelsToFull enemy levels. Weaknesses (negative values) always apply in full.
+ */
+export const ENEMY_RESISTANCE_SETTINGS = {
+    startLevel: DIFFICULTY_SCALING.resistanceStartLevel,
+    levelsToFull: 20,
+    maxResistance: 0.75 // Damage of a type is never reduced by more than 75%
+};
+
+/**
+ * Resistances and weaknesses of enemy types per damage type
+ * Positive values reduce damage of that type (0.5 = half damage), negative values are
+ * weaknesses that increase it (-0.5 = 150% damage). Types not listed take normal damage.
+ */
+export const ENEMY_RESISTANCES = {
+    // Undead
+    [ENEMY_TYPES.SKELETON]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.SKELETON_KING]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.COLD]: 0.25, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.SKELETON_ARCHER]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.ZOMBIE]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.FIRE]: -0.25, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.ZOMBIE_BRUTE]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.PHYSICAL]: 0.15, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.NECROMANCER]: { [DAMAGE_TYPES.POISON]: 0.25, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.NECROMANCER_LORD]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.COLD]: 0.25, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.FROZEN_REVENANT]: { [DAMAGE_TYPES.COLD]: 0.75, [DAMAGE_TYPES.FIRE]: -0.5, [DAMAGE_TYPES.HOLY]: -0.25 },
+    
+    // Demons
+    [ENEMY_TYPES.DEMON]: { [DAMAGE_TYPES.FIRE]: 0.5, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.DEMON_LORD]: { [DAMAGE_TYPES.FIRE]: 0.6, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.DEMON_SCOUT]: { [DAMAGE_TYPES.FIRE]: 0.25, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.ASH_DEMON]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.COLD]: -0.25, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.FLAME_IMP]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.COLD]: -0.5 },
+    [ENEMY_TYPES.INFERNO_LORD]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.COLD]: -0.25, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.HELLHOUND]: { [DAMAGE_TYPES.FIRE]: 0.5, [DAMAGE_TYPES.COLD]: -0.25 },
+    
+    // Fire and lava
+    [ENEMY_TYPES.FIRE_ELEMENTAL]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.COLD]: -0.5 },
+    [ENEMY_TYPES.INFERNAL_GOLEM]: { [DAMAGE_TYPES.FIRE]: 0.5, [DAMAGE_TYPES.PHYSICAL]: 0.25, [DAMAGE_TYPES.COLD]: -0.5 },
+    [ENEMY_TYPES.LAVA_GOLEM]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.PHYSICAL]: 0.25, [DAMAGE_TYPES.COLD]: -0.5 },
+    [ENEMY_TYPES.MOLTEN_BEHEMOTH]: { [DAMAGE_TYPES.FIRE]: 0.75, [DAMAGE_TYPES.COLD]: -0.25 },
+    
+    // Frost
+    [ENEMY_TYPES.FROST_ELEMENTAL]: { [DAMAGE_TYPES.COLD]: 0.75, [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.FIRE]: -0.5 },
+    [ENEMY_TYPES.ICE_GOLEM]: { [DAMAGE_TYPES.COLD]: 0.75, [DAMAGE_TYPES.PHYSICAL]: 0.25, [DAMAGE_TYPES.FIRE]: -0.5 },
+    [ENEMY_TYPES.FROST_TITAN]: { [DAMAGE_TYPES.COLD]: 0.75, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.FROST_MONARCH]: { [DAMAGE_TYPES.COLD]: 0.75, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.SNOW_TROLL]: { [DAMAGE_TYPES.COLD]: 0.5, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.ANCIENT_YETI]: { [DAMAGE_TYPES.COLD]: 0.6, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.WINTER_WOLF]: { [DAMAGE_TYPES.COLD]: 0.5, [DAMAGE_TYPES.FIRE]: -0.25 },
+    
+    // Constructs
+    [ENEMY_TYPES.ANCIENT_CONSTRUCT]: { [DAMAGE_TYPES.PHYSICAL]: 0.3, [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.LIGHTNING]: -0.5 },
+    [ENEMY_TYPES.ANCIENT_GUARDIAN]: { [DAMAGE_TYPES.PHYSICAL]: 0.25, [DAMAGE_TYPES.LIGHTNING]: -0.25 },
+    
+    // Plants
+    [ENEMY_TYPES.CORRUPTED_TREANT]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.FIRE]: -0.5 },
+    [ENEMY_TYPES.ANCIENT_TREANT]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.PHYSICAL]: 0.15, [DAMAGE_TYPES.FIRE]: -0.5 },
+    
+    // Swamp and poison
+    [ENEMY_TYPES.SWAMP_WITCH]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.SWAMP_HORROR]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.PLAGUE_LORD]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.POISON_TOAD]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.LIGHTNING]: -0.25 },
+    [ENEMY_TYPES.BOG_LURKER]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.LIGHTNING]: -0.5 },
+    [ENEMY_TYPES.SPIDER_QUEEN]: { [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.FOREST_SPIDER]: { [DAMAGE_TYPES.POISON]: 0.5, [DAMAGE_TYPES.FIRE]: -0.25 },
+    
+    // Spirits and shadow
+    [ENEMY_TYPES.VOID_WRAITH]: { [DAMAGE_TYPES.PHYSICAL]: 0.5, [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.VOID_HARBINGER]: { [DAMAGE_TYPES.PHYSICAL]: 0.4, [DAMAGE_TYPES.POISON]: 0.75, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.CURSED_SPIRIT]: { [DAMAGE_TYPES.PHYSICAL]: 0.5, [DAMAGE_TYPES.HOLY]: -0.5 },
+    [ENEMY_TYPES.SHADOW_BEAST]: { [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.SHADOW_STALKER]: { [DAMAGE_TYPES.PHYSICAL]: 0.15, [DAMAGE_TYPES.HOLY]: -0.25 },
+    [ENEMY_TYPES.BLOOD_CULTIST]: { [DAMAGE_TYPES.HOLY]: -0.25 },
+    
+    // Giants and beasts
+    [ENEMY_TYPES.MOUNTAIN_TROLL]: { [DAMAGE_TYPES.PHYSICAL]: 0.2, [DAMAGE_TYPES.FIRE]: -0.25 },
+    [ENEMY_TYPES.HARPY]: { [DAMAGE_TYPES.LIGHTNING]: -0.25 },
+    [ENEMY_TYPES.RUIN_CRAWLER]: { [DAMAGE_TYPES.PHYSICAL]: 0.2, [DAMAGE_TYPES.COLD]: -0.25 }
+};
+
 export default {
     ENEMY_TYPES,
     ENEMY_MODEL_MAPPINGS,
     ENEMY_CATEGORIES,
-    ENEMY_DIFFICULTY_TIERS
+    ENEMY_DIFFICULTY_TIERS,
+    ENEMY_PROJECTILE_SETTINGS,
+    ENEMY_PROJECTILES,
+    ENEMY_RESISTANCE_SETTINGS,
+    ENEMY_RESISTANCES
 };
\ No newline at end of file
@@ -933,7 +933,17 @@ export const COMBAT_BALANCE = {
         // Critical hit damage multiplier
         critDamageMultiplier: 1.5, // 150% damage on crit
         // Elemental damage bonus multiplier
-        elementalDamageMultiplier: 1.2 // 20% bonus for elemental damage
+        elementalDamageMultiplier: 1.2, // 20% bonus for elemental damage
+        // Maximum critical hit chance from all sources (percentage)
+        maxCritChance: 75,
+        // Limits for the attack speed multiplier applied to skill cooldowns
+        minAttackSpeedMultiplier: 0.5,
+        maxAttackSpeedMultiplier: 3.0,
+        // Duration of item damage over time effects on enemies (seconds)
+        // Item damageOverTime values are a percentage of the hit dealt per second
+        damageOverTimeDuration: 3,
+        // Time without landing a hit before item damage stacks are lost (seconds)
+        stackingDamageDuration: 4
     },
     
     // Enemy combat settings
@@ -958,6 +968,10 @@ export const COMBAT_BALANCE = {
         championHealthMultiplier: 2.8, // Increased for better scaling
         // Champion enemy damage multiplier
         championDamageMultiplier: 1.6, // Increased for better scaling
+        // Chance for a regular spawn to be promoted to an elite
+        eliteSpawnChance: 0.08, // 8% chance
+        // Chance for a regular spawn to be promoted to a champion (rolled before elite)
+        championSpawnChance: 0.03, // 3% chance
         // Enemy health scaling formula parameters
         healthScaling: {
             base: 1.0,
@@ -1215,62 +1229,129 @@ export const DIFFICULTY_SCALING = {
             boss: 4
         },
         // List of possible affixes and their effects
+        // Rare affixes are the ones guaranteed by difficulties with guaranteedRareAffix
+        // Damage values inside "effect" are multipliers of the enemy's damage
         affixList: [
             {
                 id: "frozen",
                 name: "Frozen",
                 description: "Creates ice patches that slow and damage players",
                 damageMultiplier: 1.0,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                rare: false,
+                auraColor: 0x88ccff,
+                effect: {
+                    interval: 6, // Seconds between ice patches
+                    range: 15, // Maximum distance to the player to cast
+                    radius: 2.5,
+                    duration: 5, // Lifetime of an ice patch (seconds)
+                    damagePerSecond: 0.2,
+                    slowIntensity: 0.4 // 40% slow while standing in the patch
+                }
             },
             {
                 id: "molten",
                 name: "Molten",
                 description: "Leaves fire trails and explodes on death",
                 damageMultiplier: 1.2,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                rare: false,
+                auraColor: 0xff5500,
+                effect: {
+                    trailInterval: 0.75, // Seconds between fire trail patches while moving
+                    trailRadius: 1.2,
+                    trailDuration: 3,
+                    trailDamagePerSecond: 0.25,
+                    explosionDelay: 1.2, // Telegraph time before the death explosion
+                    explosionRadius: 3.5,
+                    explosionDamage: 1.5
+                }
             },
             {
                 id: "teleporter",
                 name: "Teleporter",
                 description: "Can teleport to avoid attacks",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                rare: true,
+                auraColor: 0xaa66ff,
+                effect: {
+                    chance: 0.3, // Chance to teleport when hit
+                    cooldown: 5,
+                    minDistance: 4, // Teleport distance range around the player
+                    maxDistance: 8
+                }
             },
             {
                 id: "shielded",
                 name: "Shielded",
                 description: "Periodically immune to damage",
                 damageMultiplier: 1.0,
-                healthMultiplier: 1.3
+                healthMultiplier: 1.3,
+                rare: true,
+                auraColor: 0xffdd55,
+                effect: {
+                    interval: 10, // Seconds between shields
+                    duration: 3 // Seconds of immunity
+                }
             },
             {
                 id: "vampiric",
                 name: "Vampiric",
                 description: "Heals from damage dealt",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.2
+                healthMultiplier: 1.2,
+                rare: false,
+                auraColor: 0xcc0033,
+                effect: {
+                    lifeSteal: 0.5 // Fraction of damage dealt returned as health
+                }
             },
             {
                 id: "berserker",
                 name: "Berserker",
                 description: "Gains increased damage at low health",
                 damageMultiplier: 1.3,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                rare: false,
+                auraColor: 0xff2222,
+                effect: {
+                    healthThreshold: 0.35, // Enrages below 35% health
+                    damageBonus: 0.5, // +50% damage while enraged
+                    speedBonus: 0.25 // +25% movement speed while enraged
+                }
             },
             {
                 id: "arcane",
                 name: "Arcane",
                 description: "Creates arcane beams that deal high damage",
                 damageMultiplier: 1.2,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                rare: true,
+                auraColor: 0xdd44ff,
+                effect: {
+                    interval: 7, // Seconds between beams
+                    range: 14,
+                    delay: 1.0, // Telegraph time before the beam strikes
+                    radius: 1.5,
+                    damage: 2.0
+                }
             },
             {
                 id: "poison",
                 name: "Poison",
                 description: "Leaves poison clouds that deal damage over time",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                rare: false,
+                auraColor: 0x66ff33,
+                effect: {
+                    interval: 4, // Seconds between clouds while engaged
+                    radius: 2.5,
+                    duration: 6,
+                    damagePerSecond: 0.3,
+                    deathCloudRadius: 4 // Larger cloud left behind on death
+                }
             }
         ]
     },
@@ -1290,7 +1371,9 @@ export const DIFFICULTY_SCALING = {
             // Weight of time to kill enemies in adjustment calculation
             timeToKillWeight: 0.4,
             // Weight of player death frequency in adjustment calculation
-            deathFrequencyWeight: 0.2
+            deathFrequencyWeight: 0.2,
+            // Expected time (in seconds) to kill a regular enemy once engaged
+            expectedTimeToKill: 4
         },
         // Cooldown between adjustments (in seconds)
         adjustmentCooldown: 60,
@@ -1313,6 +1396,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 1,
                 name: "World Tier I",
+                requiredLevel: 1, // Player level needed to select this tier (Tier I is always open)
                 difficultyMultiplier: 1.0,
                 itemQualityMultiplier: 1.0,
                 itemQuantityMultiplier: 1.0,
@@ -1322,6 +1406,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 2,
                 name: "World Tier II",
+                requiredLevel: 30,
                 difficultyMultiplier: 1.5,
                 itemQualityMultiplier: 1.2,
                 itemQuantityMultiplier: 1.1,
@@ -1331,6 +1416,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 3,
                 name: "World Tier III",
+                requiredLevel: 35,
                 difficultyMultiplier: 2.0,
                 itemQualityMultiplier: 1.4,
                 itemQuantityMultiplier: 1.2,
@@ -1340,6 +1426,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 4,
                 name: "World Tier IV",
+                requiredLevel: 40,
                 difficultyMultiplier: 2.5,
                 itemQualityMultiplier: 1.6,
                 itemQuantityMultiplier: 1.3,
@@ -1349,6 +1436,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 5,
                 name: "World Tier V",
+                requiredLevel: 45,
                 difficultyMultiplier: 3.0,
                 itemQualityMultiplier: 1.8,
                 itemQuantityMultiplier: 1.4,
@@ -1358,6 +1446,7 @@ export const DIFFICULTY_SCALING = {
             {
                 tier: 6,
                 name: "World Tier VI",
+                requiredLevel: 50,
                 difficultyMultiplier: 4.0,
                 itemQualityMultiplier: 2.0,
                 itemQuantityMultiplier: 1.5,
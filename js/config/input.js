@@ -14,7 +14,8 @@ export const MOVEMENT_KEYS = {
 // Action keys
 export const ACTION_KEYS = {
     INTERACT: 'KeyE',
-    START_GAME: 'KeyG'
+    START_GAME: 'KeyG',
+    PING: 'KeyP'
 };
 
 // UI toggle keys
@@ -24,7 +25,8 @@ export const UI_KEYS = {
     TOGGLE_HUD: 'KeyF',
     TOGGLE_MINIMAP: 'KeyM',
     MINIMAP_ZOOM_IN: 'BracketLeft',
-    MINIMAP_ZOOM_OUT: 'BracketRight'
+    MINIMAP_ZOOM_OUT: 'BracketRight',
+    TOGGLE_CHAT: 'Enter'
 };
 
 // Skill keys
@@ -41,30 +43,93 @@ export const SKILL_KEYS = {
     SKILL_9: 'Digit9'
 };
 
-// Get all skill keys as an array
-export const getAllSkillKeys = () => {
-    return Object.values(SKILL_KEYS);
+// Bindable actions, in the order they are listed in the controls menu
+// The key constants above are the default bindings; players can rebind every action
+export const KEY_BINDING_ACTIONS = [
+    { id: 'FORWARD', group: 'Movement', label: 'Move Forward', defaults: MOVEMENT_KEYS.FORWARD },
+    { id: 'BACKWARD', group: 'Movement', label: 'Move Backward', defaults: MOVEMENT_KEYS.BACKWARD },
+    { id: 'LEFT', group: 'Movement', label: 'Move Left', defaults: MOVEMENT_KEYS.LEFT },
+    { id: 'RIGHT', group: 'Movement', label: 'Move Right', defaults: MOVEMENT_KEYS.RIGHT },
+    { id: 'PRIMARY_ATTACK', group: 'Combat', label: 'Primary Attack', defaults: [SKILL_KEYS.PRIMARY_ATTACK] },
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(i => ({
+        id: `SKILL_${i}`, group: 'Combat', label: `Skill ${i}`, defaults: [SKILL_KEYS[`SKILL_${i}`]]
+    })),
+    { id: 'INTERACT', group: 'Actions', label: 'Interact', defaults: [ACTION_KEYS.INTERACT] },
+    { id: 'START_GAME', group: 'Actions', label: 'Start Game', defaults: [ACTION_KEYS.START_GAME] },
+    { id: 'PING', group: 'Actions', label: 'Ping Location', defaults: [ACTION_KEYS.PING] },
+    { id: 'TOGGLE_INVENTORY', group: 'UI Controls', label: 'Toggle Inventory', defaults: [UI_KEYS.TOGGLE_INVENTORY] },
+    { id: 'TOGGLE_SKILL_TREE', group: 'UI Controls', label: 'Toggle Skill Tree', defaults: [UI_KEYS.TOGGLE_SKILL_TREE] },
+    { id: 'TOGGLE_HUD', group: 'UI Controls', label: 'Toggle HUD Visibility', defaults: [UI_KEYS.TOGGLE_HUD] },
+    { id: 'TOGGLE_MINIMAP', group: 'UI Controls', label: 'Toggle Mini Map', defaults: [UI_KEYS.TOGGLE_MINIMAP] },
+    { id: 'MINIMAP_ZOOM_IN', group: 'UI Controls', label: 'Zoom In Mini Map', defaults: [UI_KEYS.MINIMAP_ZOOM_IN] },
+    { id: 'MINIMAP_ZOOM_OUT', group: 'UI Controls', label: 'Zoom Out Mini Map', defaults: [UI_KEYS.MINIMAP_ZOOM_OUT] },
+    { id: 'TOGGLE_CHAT', group: 'UI Controls', label: 'Open Party Chat', defaults: [UI_KEYS.TOGGLE_CHAT] }
+];
+
+// Number of keys that can be bound to one action (primary and alternate)
+export const MAX_KEYS_PER_ACTION = 2;
+
+// Keys reserved for menus that can't be bound to actions
+export const RESERVED_KEYS = ['Escape'];
+
+// Name of the built-in key binding profile
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+// Default key bindings by action id
+export const getDefaultKeyBindings = () => {
+    const bindings = {};
+    KEY_BINDING_ACTIONS.forEach(action => {
+        bindings[action.id] = [...action.defaults];
+    });
+    return bindings;
 };
 
-// Get skill index from key code (returns 0-based index)
-export const getSkillIndexFromKeyCode = (keyCode) => {
-    if (keyCode === SKILL_KEYS.PRIMARY_ATTACK) {
-        return -1; // Special case for primary attack
+// Get skill index from a skill action id (returns 0-based index, -1 for primary attack)
+export const getSkillIndexFromAction = (action) => {
+    if (action && action.startsWith('SKILL_')) {
+        return parseInt(action.slice(6)) - 1;
     }
     
-    // For digit keys, extract the number and convert to 0-based index
-    if (keyCode.startsWith('Digit')) {
-        return parseInt(keyCode.charAt(5)) - 1;
-    }
-    
-    return -1; // Not a skill key
+    return -1; // Not a numbered skill
+};
+
+// Check if an action casts a skill
+export const isSkillAction = (action) => {
+    return action === 'PRIMARY_ATTACK' || getSkillIndexFromAction(action) >= 0;
 };
 
-// Check if a key is a skill key
-export const isSkillKey = (keyCode) => {
-    return Object.values(SKILL_KEYS).includes(keyCode);
+// Gamepad settings (standard gamepad layout, see https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD = {
+    leftStickDeadzone: 0.2, // Stick values below this are ignored (0-1)
+    rightStickDeadzone: 0.15,
+    cameraSensitivity: 2.5, // Camera rotation at full right stick (radians per second)
+    invertCameraY: false,
+    // Button index by action id
+    buttons: {
+        PRIMARY_ATTACK: 0, // A / Cross
+        SKILL_1: 2, // X / Square
+        SKILL_2: 3, // Y / Triangle
+        SKILL_3: 1, // B / Circle
+        SKILL_4: 4, // Left bumper
+        SKILL_5: 5, // Right bumper
+        SKILL_6: 6, // Left trigger
+        SKILL_7: 7, // Right trigger
+        SKILL_8: 12, // D-pad up
+        SKILL_9: 13, // D-pad down
+        INTERACT: 14, // D-pad left
+        TOGGLE_MINIMAP: 15, // D-pad right
+        TOGGLE_INVENTORY: 8 // Back / Select
+    },
+    // Analog buttons (triggers) count as pressed above this value
+    buttonThreshold: 0.5
 };
 
+// Display names of the standard gamepad buttons
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home'
+];
+
 // Default cooldown for continuous casting (in seconds)
 export const CAST_INTERVAL = 0.1;
 
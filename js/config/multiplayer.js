@@ -0,0 +1,130 @@
+/**
+ * multiplayer.js
+ * Settings of the multiplayer session shared by the host with all members
+ */
+
+/**
+ * How the host hands out item drops
+ */
+export const LOOT_MODES = {
+    // Every player gets their own drops, only visible to them
+    INSTANCED: 'instanced',
+    // Drops are visible to everyone and go to the first player the host grants the pickup to
+    SHARED: 'shared'
+};
+
+/**
+ * Loot settings
+ */
+export const MULTIPLAYER_LOOT_CONFIG = {
+    // Loot mode used until the host chooses another one
+    defaultMode: LOOT_MODES.INSTANCED,
+    // Names shown in the host loot mode selector
+    modeLabels: {
+        [LOOT_MODES.INSTANCED]: 'Instanced (own drops per player)',
+        [LOOT_MODES.SHARED]: 'Shared (first come, first served)'
+    }
+};
+
+/**
+ * How players connect to each other
+ */
+export const MULTIPLAYER_TRANSPORTS = {
+    // WebRTC through the public PeerJS broker
+    PEERJS: 'peerjs',
+    // WebSocket relay of server.js, e.g. for LAN games
+    WEBSOCKET: 'websocket'
+};
+
+/**
+ * Transport settings
+ */
+export const TRANSPORT_CONFIG = {
+    // Transport used until the player chooses another one
+    defaultTransport: MULTIPLAYER_TRANSPORTS.PEERJS,
+    // Names shown in the transport selector
+    labels: {
+        [MULTIPLAYER_TRANSPORTS.PEERJS]: 'Online (PeerJS)',
+        [MULTIPLAYER_TRANSPORTS.WEBSOCKET]: 'WebSocket relay (LAN)'
+    }
+};
+
+/**
+ * WebSocket relay settings, must match server.js
+ */
+export const RELAY_CONFIG = {
+    // Path of the relay on the game server
+    path: '/relay'
+};
+
+/**
+ * Host migration settings
+ * When the host leaves, the remaining player with the lowest ID becomes the new host.
+ */
+export const HOST_MIGRATION_CONFIG = {
+    // Attempts of a member to reach the new host
+    reconnectAttempts: 5,
+    // Milliseconds between two attempts, the first attempt also waits this long
+    reconnectDelay: 1500,
+    // Milliseconds the new host waits for the other members before removing them
+    memberTimeout: 15000
+};
+
+/**
+ * Game state snapshots sent by the host
+ */
+export const SNAPSHOT_CONFIG = {
+    // Milliseconds between two snapshots
+    broadcastInterval: 50,
+    // Every nth snapshot is sent in full so members can resync
+    keyframeInterval: 20,
+    // Milliseconds members render behind the host to interpolate between snapshots
+    interpolationDelay: 100,
+    // Members add this many times the measured jitter to the delay, so late snapshots still arrive in time
+    jitterDelayFactor: 2,
+    // Longest delay in milliseconds, however bad the connection
+    maxInterpolationDelay: 300,
+    // Milliseconds members keep moving entities along their last velocity when snapshots are late
+    maxExtrapolation: 250,
+    // Snapshots kept for interpolation
+    bufferSize: 32,
+    // Positions are sent as integers in 1/100 units
+    positionPrecision: 100,
+    // Rotations are sent as integers in 1/1000 radians
+    rotationPrecision: 1000
+};
+
+/**
+ * Party chat and world pings
+ */
+export const CHAT_CONFIG = {
+    // Longest message in characters
+    maxLength: 200,
+    // Messages kept in the chat panel
+    historySize: 50,
+    // At most this many messages per player within the interval, checked by the sender and the host
+    rateLimit: {
+        messages: 5,
+        interval: 5000
+    },
+    // Milliseconds between two pings of a player
+    pingCooldown: 1500,
+    // Milliseconds a ping stays visible
+    pingDuration: 6000,
+    // Quick chat buttons for players without a keyboard
+    quickChat: [
+        { emoji: '👋', text: 'Hello!' },
+        { emoji: '👍', text: 'Yes' },
+        { emoji: '👎', text: 'No' },
+        { emoji: '⚔️', text: 'Attack!' },
+        { emoji: '🏃', text: 'Retreat!' },
+        { emoji: '❤️', text: 'I need healing' },
+        { emoji: '⏳', text: 'Wait for me' },
+        { emoji: '🎁', text: 'Loot here' }
+    ],
+    // Ping kinds; location pings use the color of the player
+    pingKinds: {
+        location: { icon: '📍', color: null },
+        danger: { icon: '⚠️', color: '#FF3B30' }
+    }
+};
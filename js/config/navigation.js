@@ -0,0 +1,64 @@
+/**
+ * Enemy navigation configuration
+ * Settings for the navigation grid built from structure footprints, the flow
+ * fields enemies follow toward players and local avoidance between enemies.
+ */
+
+import { STRUCTURE_OBJECTS } from './structure.js';
+
+export const NAVIGATION_SETTINGS = {
+    // Size of a navigation cell in world units
+    cellSize: 2,
+
+    // Structure footprints are grown by this much so enemies keep clear of walls
+    obstaclePadding: 0.6,
+
+    // Cell size of the spatial grid that indexes structure footprints
+    obstacleIndexCellSize: 25,
+
+    // Structures enemies walk over or through instead of around
+    walkableStructures: [STRUCTURE_OBJECTS.BRIDGE, STRUCTURE_OBJECTS.VILLAGE],
+
+    // How often structure footprints are synced with the structure manager (seconds)
+    obstacleSyncInterval: 2,
+
+    // Blocked-cell cache is cleared when it grows beyond this many cells
+    maxCachedCells: 50000,
+
+    // Flow fields cover this many cells in each direction around their target player
+    flowFieldRadius: 40,
+
+    // How often a flow field is rebuilt while its target moves (seconds)
+    flowFieldUpdateInterval: 0.5,
+
+    // Flow fields unused for this long are dropped (seconds)
+    flowFieldTimeout: 5,
+
+    // Maximum number of flow fields, one per targeted player
+    maxFlowFields: 4,
+
+    // Enemies this close to their target (in cells) walk straight at it
+    directApproachCells: 1.5,
+
+    // Local avoidance between enemies
+    avoidance: {
+        radius: 1.6, // Enemies closer than this push each other aside
+        strength: 1.2, // Weight of the avoidance against the path direction
+        maxNeighbors: 6, // Neighbors considered per enemy
+        gridCellSize: 4 // Cell size of the spatial grid enemies are bucketed into
+    },
+
+    // Crowd handling, e.g. hundreds of enemies in wave mode
+    crowd: {
+        // Above this many enemies flow fields are rebuilt less often and fewer neighbors are checked
+        enemyCount: 150,
+        flowFieldUpdateInterval: 1.5,
+        maxNeighbors: 3,
+
+        // Above this many enemies only enemies near their target use local avoidance
+        avoidanceEnemyCount: 300,
+        avoidanceRange: 25
+    }
+};
+
+export default NAVIGATION_SETTINGS;
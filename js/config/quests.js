@@ -0,0 +1,378 @@
+/**
+ * Quest configuration file
+ * Defines every quest as data: stages of objectives, prerequisites, rewards and
+ * the quests that follow on completion or failure. Definitions are checked by
+ * QuestValidator when the QuestManager loads them.
+ *
+ * Objective types:
+ * - kill:     { target: enemy type | 'any' | 'boss', count }
+ * - interact: { target: interactive object type ('chest', 'quest', ...), count }
+ * - explore:  { target: 'zone', count } - progress is the number of different zones entered
+ * - collect:  { item: item name, count, consume? } - progress follows the player's inventory
+ * - escort:   { npc, distance, leashRadius?, speed? } - walk an NPC to a point `distance` units away
+ * - defend:   { duration, radius, waves? } - stay near the point where the stage started
+ *
+ * A stage with `timeLimit` (seconds) fails the quest when the time runs out.
+ * `nextQuestId` is either a quest id or a list of { questId, outcome } branches,
+ * where outcome is 'completed' or 'failed'. Failed quests can be picked up again
+ * unless `retryOnFail` is false.
+ */
+
+// Objective types understood by the QuestManager
+export const QUEST_OBJECTIVE_TYPES = ['kill', 'interact', 'explore', 'collect', 'escort', 'defend'];
+
+// Items that only exist as quest rewards or quest materials (not in ITEM_TEMPLATES)
+export const QUEST_ITEMS = {
+    'Health Potion': { type: 'consumable' },
+    'Map Fragment': { type: 'quest' },
+    'Bone Dust': { type: 'material' },
+    'Putrid Essence': { type: 'material' },
+    'Demon Heart': { type: 'material' },
+    'Enchanted Crystal': { type: 'material' },
+    'Ancient Relic': { type: 'quest' },
+    'Monk Bracers': { type: 'accessory', damage: 0, damageReduction: 0.05 },
+    'Monk Staff': { type: 'weapon', damage: 15, damageReduction: 0 },
+    'Monk Robe': { type: 'armor', damage: 0, damageReduction: 0.1 },
+    'Monk Sandals': { type: 'boots', damage: 0, damageReduction: 0.05 },
+    'Legendary Monk Helmet': { type: 'helmet', damage: 5, damageReduction: 0.15 },
+    'Lucky Charm': { type: 'accessory', damage: 2, damageReduction: 0.02 },
+    'Pilgrim Charm': { type: 'accessory', damage: 1, damageReduction: 0.03 }
+};
+
+// Quest materials dropped by enemies, so quests that consume them can always be completed
+// chance is rolled once per kill of one of the enemy types
+export const QUEST_MATERIAL_DROPS = [
+    { item: 'Bone Dust', enemyTypes: ['skeleton', 'skeleton_archer', 'skeleton_king'], chance: 0.35, amount: 1 }
+];
+
+// Main storyline quests
+const MAIN_QUESTS = [
+    {
+        id: 'main_quest_1',
+        name: 'The Beginning of the Journey',
+        description: 'Defeat the enemies in the forest to prove your worth.',
+        isMainQuest: true,
+        prerequisites: { level: 1 },
+        stages: [
+            {
+                description: 'Defeat the enemies roaming the forest.',
+                objectives: [{ type: 'kill', target: 'any', count: 5 }]
+            }
+        ],
+        reward: {
+            experience: 100,
+            gold: 50,
+            items: [{ name: 'Health Potion', amount: 2 }]
+        },
+        nextQuestId: 'main_quest_2'
+    },
+    {
+        id: 'main_quest_2',
+        name: 'The Skeleton Threat',
+        description: 'Skeletons have been spotted in the ruins. Defeat them to secure the area.',
+        isMainQuest: true,
+        prerequisites: { level: 2, quests: ['main_quest_1'] },
+        stages: [
+            {
+                description: 'Thin out the skeletons guarding the ruins.',
+                objectives: [{ type: 'kill', target: 'skeleton', count: 8 }]
+            },
+            {
+                description: 'Gather bone dust from fallen skeletons to seal the crypt.',
+                objectives: [{ type: 'collect', item: 'Bone Dust', count: 3, consume: true }]
+            }
+        ],
+        reward: {
+            experience: 200,
+            gold: 100,
+            items: [{ name: 'Monk Bracers', amount: 1 }]
+        },
+        nextQuestId: 'main_quest_3'
+    },
+    {
+        id: 'main_quest_3',
+        name: 'The Skeleton King',
+        description: 'The Skeleton King has risen in the ancient ruins. Defeat him to restore peace.',
+        isMainQuest: true,
+        prerequisites: { level: 4, quests: ['main_quest_2'] },
+        stages: [
+            {
+                description: 'Defeat the Skeleton King.',
+                objectives: [{ type: 'kill', target: 'skeleton_king', count: 1 }]
+            }
+        ],
+        reward: {
+            experience: 500,
+            gold: 250,
+            items: [{ name: 'Monk Staff', amount: 1 }]
+        },
+        nextQuestId: 'main_quest_4'
+    },
+    {
+        id: 'main_quest_4',
+        name: 'The Swamp of Despair',
+        description: 'Zombies have infested the swamp. Clear them out to make the area safe again.',
+        isMainQuest: true,
+        prerequisites: { level: 6, quests: ['main_quest_3'] },
+        stages: [
+            {
+                description: 'Clear the zombies from the swamp.',
+                objectives: [{ type: 'kill', target: 'zombie', count: 12 }]
+            },
+            {
+                description: 'Lead the stranded pilgrim out of the swamp.',
+                objectives: [{ type: 'escort', npc: 'Pilgrim', distance: 60, leashRadius: 12 }]
+            }
+        ],
+        reward: {
+            experience: 800,
+            gold: 350,
+            items: [{ name: 'Monk Robe', amount: 1 }]
+        },
+        nextQuestId: 'main_quest_5'
+    },
+    {
+        id: 'main_quest_5',
+        name: 'The Demon Invasion',
+        description: 'Demons have begun invading from the mountains. Defeat them to protect the realm.',
+        isMainQuest: true,
+        prerequisites: { level: 8, quests: ['main_quest_4'] },
+        stages: [
+            {
+                description: 'Hold the mountain pass against the first wave.',
+                objectives: [{
+                    type: 'defend',
+                    duration: 60,
+                    radius: 15,
+                    waves: { enemyType: 'demon', count: 3, interval: 20 }
+                }]
+            },
+            {
+                description: 'Drive the remaining demons back.',
+                objectives: [{ type: 'kill', target: 'demon', count: 15 }]
+            }
+        ],
+        reward: {
+            experience: 1200,
+            gold: 500,
+            items: [{ name: 'Monk Sandals', amount: 1 }]
+        },
+        nextQuestId: 'main_quest_6'
+    },
+    {
+        id: 'main_quest_6',
+        name: 'The Final Battle',
+        description: 'The Demon Lord has appeared. Defeat him to save the world from destruction.',
+        isMainQuest: true,
+        prerequisites: { level: 10, quests: ['main_quest_5'] },
+        stages: [
+            {
+                description: 'Defeat the Demon Lord.',
+                objectives: [{ type: 'kill', target: 'demon_lord', count: 1 }]
+            }
+        ],
+        reward: {
+            experience: 2000,
+            gold: 1000,
+            items: [{ name: 'Legendary Monk Helmet', amount: 1 }]
+        },
+        nextQuestId: null
+    }
+];
+
+// Side quests
+const SIDE_QUESTS = [
+    {
+        id: 'side_quest_1',
+        name: 'Treasure Hunter',
+        description: 'Find and open treasure chests scattered around the world.',
+        prerequisites: { level: 1 },
+        stages: [
+            {
+                description: 'Open treasure chests.',
+                objectives: [{ type: 'interact', target: 'chest', count: 3 }]
+            }
+        ],
+        reward: {
+            experience: 50,
+            gold: 100
+        },
+        nextQuestId: 'side_quest_6'
+    },
+    {
+        id: 'side_quest_2',
+        name: 'Explorer',
+        description: 'Discover all zones in the world.',
+        prerequisites: { level: 1 },
+        stages: [
+            {
+                description: 'Visit the different regions of the world.',
+                objectives: [{ type: 'explore', target: 'zone', count: 4 }]
+            }
+        ],
+        reward: {
+            experience: 150,
+            gold: 75,
+            items: [{ name: 'Map Fragment', amount: 1 }]
+        }
+    },
+    {
+        id: 'side_quest_3',
+        name: 'Skeleton Slayer',
+        description: 'Defeat 20 skeletons to thin their numbers.',
+        prerequisites: { level: 3 },
+        stages: [
+            {
+                description: 'Defeat skeletons.',
+                objectives: [{ type: 'kill', target: 'skeleton', count: 20 }]
+            }
+        ],
+        reward: {
+            experience: 200,
+            gold: 150,
+            items: [{ name: 'Bone Dust', amount: 5 }]
+        }
+    },
+    {
+        id: 'side_quest_4',
+        name: 'Zombie Hunter',
+        description: 'Cleanse the swamp by defeating 25 zombies.',
+        prerequisites: { level: 5 },
+        stages: [
+            {
+                description: 'Defeat zombies.',
+                objectives: [{ type: 'kill', target: 'zombie', count: 25 }]
+            }
+        ],
+        reward: {
+            experience: 300,
+            gold: 200,
+            items: [{ name: 'Putrid Essence', amount: 3 }]
+        }
+    },
+    {
+        id: 'side_quest_5',
+        name: 'Demon Slayer',
+        description: 'Defeat 30 demons to weaken their invasion force.',
+        prerequisites: { level: 7 },
+        stages: [
+            {
+                description: 'Defeat demons.',
+                objectives: [{ type: 'kill', target: 'demon', count: 30 }]
+            }
+        ],
+        reward: {
+            experience: 400,
+            gold: 300,
+            items: [{ name: 'Demon Heart', amount: 2 }]
+        }
+    },
+    {
+        id: 'side_quest_6',
+        name: 'Master Treasure Hunter',
+        description: 'Find and open 10 treasure chests throughout the world.',
+        prerequisites: { level: 5, quests: ['side_quest_1'] },
+        stages: [
+            {
+                description: 'Open treasure chests.',
+                objectives: [{ type: 'interact', target: 'chest', count: 10 }]
+            }
+        ],
+        reward: {
+            experience: 500,
+            gold: 400,
+            items: [{ name: 'Lucky Charm', amount: 1 }]
+        }
+    },
+    {
+        id: 'side_quest_7',
+        name: 'Rare Materials',
+        description: 'Collect rare materials from defeated bosses.',
+        prerequisites: { level: 8 },
+        stages: [
+            {
+                description: 'Defeat powerful bosses.',
+                objectives: [{ type: 'kill', target: 'boss', count: 3 }]
+            }
+        ],
+        reward: {
+            experience: 600,
+            gold: 500,
+            items: [{ name: 'Enchanted Crystal', amount: 1 }]
+        }
+    },
+    {
+        id: 'side_quest_8',
+        name: 'The Lost Relic',
+        description: 'A relic hunter needs help recovering an artifact before its guardians return.',
+        prerequisites: { level: 4, items: [{ name: 'Map Fragment', amount: 1 }] },
+        retryOnFail: false,
+        stages: [
+            {
+                description: 'Search chests for the relic before the guardians return.',
+                timeLimit: 300,
+                objectives: [{ type: 'interact', target: 'chest', count: 2 }]
+            },
+            {
+                description: 'Bring the relic hunter back to safety.',
+                objectives: [{ type: 'escort', npc: 'Relic Hunter', distance: 40 }]
+            }
+        ],
+        reward: {
+            experience: 350,
+            gold: 250,
+            items: [{ name: 'Ancient Relic', amount: 1 }]
+        },
+        nextQuestId: [
+            { questId: 'side_quest_9', outcome: 'completed' },
+            { questId: 'side_quest_10', outcome: 'failed' }
+        ]
+    },
+    {
+        id: 'side_quest_9',
+        name: 'Keeper of the Relic',
+        description: 'Guardians have followed the relic. Protect it until they give up.',
+        prerequisites: { level: 4, quests: ['side_quest_8'] },
+        stages: [
+            {
+                description: 'Defend the relic.',
+                objectives: [{
+                    type: 'defend',
+                    duration: 45,
+                    radius: 12,
+                    waves: { enemyType: 'skeleton', count: 2, interval: 15 }
+                }]
+            }
+        ],
+        reward: {
+            experience: 400,
+            gold: 200,
+            items: [{ name: 'Pilgrim Charm', amount: 1 }]
+        }
+    },
+    {
+        id: 'side_quest_10',
+        name: 'Relic Recovery',
+        description: 'The guardians took the relic back. Defeat them and recover the pieces.',
+        // Only offered when The Lost Relic fails
+        prerequisites: { level: 4, failedQuests: ['side_quest_8'] },
+        stages: [
+            {
+                description: 'Defeat the skeletons carrying the relic.',
+                objectives: [{ type: 'kill', target: 'skeleton', count: 10 }]
+            },
+            {
+                description: 'Piece the relic back together.',
+                objectives: [{ type: 'collect', item: 'Bone Dust', count: 5, consume: true }]
+            }
+        ],
+        reward: {
+            experience: 300,
+            gold: 150,
+            items: [{ name: 'Ancient Relic', amount: 1 }]
+        }
+    }
+];
+
+// All quest definitions, main quests first
+export const QUEST_DEFINITIONS = [...MAIN_QUESTS, ...SIDE_QUESTS];
@@ -209,6 +209,7 @@ const BASE_SKILL_TREES = {
           "Exploding Palm is now icy and inflicts Chill on enemies.",
         effects: ["Chill effect", "Area of effect"],
         unlockedBy: "Legendary off-hand Scolding Storm",
+        damageType: "cold",
         cost: 5,
         requiredPoints: 0,
       },
@@ -297,6 +298,7 @@ const BASE_SKILL_TREES = {
           "Adds fire damage to each kick, burning enemies over time.",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Inferno Dragon",
+        damageType: "fire",
         cost: 5,
         requiredPoints: 0,
       },
@@ -304,6 +306,7 @@ const BASE_SKILL_TREES = {
         description: "Each kick releases a shockwave that stuns enemies.",
         effects: ["Stun effect", "Area of effect"],
         unlockedBy: "Legendary item Thunder Dragon",
+        damageType: "lightning",
         cost: 5,
         requiredPoints: 0,
       },
@@ -480,18 +483,21 @@ const BASE_SKILL_TREES = {
           "Imprisoned Fists now freezes enemies, dealing cold damage over time.",
         effects: ["Freeze effect", "Cold damage"],
         unlockedBy: "Legendary item Frozen Shackles",
+        damageType: "cold",
       },
       "Fiery Chains": {
         description:
           "Adds fire damage to the strike, burning enemies over time.",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Fiery Chains",
+        damageType: "fire",
       },
       "Thunderous Grip": {
         description:
           "Each strike releases a shockwave that stuns nearby enemies.",
         effects: ["Stun effect", "Area of effect"],
         unlockedBy: "Legendary item Thunderous Grip",
+        damageType: "lightning",
       },
       "Shadow Bind": {
         description:
@@ -589,6 +595,7 @@ const BASE_SKILL_TREES = {
           "Summon fiery spirit allies that deal fire damage and have a chance to burn enemies over time.",
         effects: ["Fire damage", "Burning effect"],
         unlockedBy: "Legendary item Ember Spirits",
+        damageType: "fire",
       },
       "Water Allies": {
         description:
@@ -694,11 +701,13 @@ const BASE_SKILL_TREES = {
           "Each strike ignites enemies, dealing fire damage over time.",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Inferno Knuckles",
+        damageType: "fire",
       },
       "Frozen Assault": {
         description: "Each strike has a chance to freeze enemies.",
         effects: ["Freeze effect", "Crowd control"],
         unlockedBy: "Legendary item Glacial Fists",
+        damageType: "cold",
       },
       Thunderclap: {
         description: "Each strike releases a shockwave, dealing area damage.",
@@ -802,18 +811,21 @@ const BASE_SKILL_TREES = {
           "Enemies hit by the wave are blinded for a short duration.",
         effects: ["Blinding effect"],
         unlockedBy: "Legendary item Radiant Dawn",
+        damageType: "holy",
       },
       "Molten Wave": {
         description:
           "The wave leaves a trail of fire, burning enemies over time.",
         effects: ["Fire damage over time"],
         unlockedBy: "Legendary item Ember's Wrath",
+        damageType: "fire",
       },
       "Thunderous Wave": {
         description:
           "The wave emits a thunderous sound, stunning enemies briefly.",
         effects: ["Stunning effect"],
         unlockedBy: "Legendary item Thunderclap",
+        damageType: "lightning",
       },
       "Healing Wave": {
         description:
@@ -857,12 +869,14 @@ const BASE_SKILL_TREES = {
           "Enemies hit by the wave are electrified, taking additional lightning damage over time.",
         effects: ["Lightning damage over time"],
         unlockedBy: "Legendary item Storm Surge",
+        damageType: "lightning",
       },
       "Freezing Wave": {
         description:
           "The wave chills enemies, reducing their movement speed for a short duration.",
         effects: ["Chilling effect", "Movement speed reduction"],
         unlockedBy: "Legendary item Frostbite",
+        damageType: "cold",
       },
       "Explosive Wave": {
         description:
@@ -31,6 +31,17 @@ export type SkillType =
   | 'dash'       // Dash attack
   | 'control';   // Control effects
 
+/**
+ * Damage types, see DAMAGE_TYPES in damage-types.js
+ */
+export type DamageType =
+  | 'physical'
+  | 'fire'
+  | 'cold'
+  | 'lightning'
+  | 'holy'
+  | 'poison';
+
 /**
  * Optional ground rectangle properties for skill collision detection
  */
@@ -56,6 +67,8 @@ export interface SkillConfig {
   type: SkillType;
   /** Base damage of the skill */
   damage: number;
+  /** Damage type of the skill, physical when omitted (variants can override it) */
+  damageType?: DamageType;
   /** Mana cost to use the skill */
   manaCost: number;
   /** Cooldown time in seconds before the skill can be used again */
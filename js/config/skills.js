@@ -1,6 +1,7 @@
 // Skills configuration
 import { SKILL_ICONS } from './skill-icons.js';
 import { SKILL_SOUNDS } from './sounds.js';
+import { DAMAGE_TYPES } from './damage-types.js';
 // Type definitions are available in skill-types.d.ts
 // @ts-check
 /** @typedef {import('./config.type.js').SkillConfig} SkillConfig */
@@ -13,6 +14,7 @@ export const PRIMARY_ATTACKS = [
         description: 'Teleport to the nearest enemy and strike them with lightning',
         type: 'teleport',
         damage: 20, // Balanced primary attack damage
+        damageType: DAMAGE_TYPES.LIGHTNING,
         manaCost: 0,
         cooldown: 0.2, // Very short cooldown for basic attack
         range: 15, // Teleport range
@@ -60,6 +62,7 @@ export const NORMAL_SKILLS = [
         description: 'Summon a massive bell that crashes down on enemies',
         type: 'wave',
         damage: 35, // Reduced from 50 for better balance
+        damageType: DAMAGE_TYPES.HOLY,
         manaCost: 25, // Increased from 20 to match damage output
         cooldown: 0.2, // Reduced cooldown
         range: 25,
@@ -96,6 +99,7 @@ export const NORMAL_SKILLS = [
         description: 'A healing skill that restores health to the Monk and nearby allies.',
         type: 'heal',
         damage: 5, // Low damage is appropriate for a healing skill
+        damageType: DAMAGE_TYPES.HOLY,
         healing: 15, // Increased from 10 to make healing more effective
         manaCost: 25, // Increased from 20 to balance the improved healing
         cooldown: 0.2, // Longer cooldown for healing ability
@@ -170,6 +174,7 @@ export const NORMAL_SKILLS = [
         description: 'Create a protective zone that reduces damage',
         type: 'buff',
         damage: 5, // Low damage is appropriate for a defensive skill
+        damageType: DAMAGE_TYPES.HOLY,
         manaCost: 25, // Increased from 20 to match the utility
         cooldown: 0.2, // Reduced cooldown
         range: 0,
@@ -891,6 +891,52 @@ export const ENVIRONMENT_SOUNDS = {
     }
 };
 
+// Ambient weather loops
+export const AMBIENT_SOUNDS = {
+    rain: {
+        id: 'weatherRain',
+        file: 'rain_loop.mp3',
+        volume: 0.4,
+        loop: true,
+        simulated: {
+            frequency: 120,
+            duration: 2.0,
+            type: 'sine',
+            decay: false,
+            noise: 0.9
+        }
+    },
+    storm: {
+        id: 'weatherStorm',
+        file: 'storm_loop.mp3',
+        volume: 0.5,
+        loop: true,
+        simulated: {
+            frequency: 60,
+            duration: 3.0,
+            type: 'sine',
+            decay: false,
+            noise: 0.8,
+            tremolo: 0.4
+        }
+    },
+    wind: {
+        id: 'weatherWind',
+        file: 'wind_loop.mp3',
+        volume: 0.3,
+        loop: true,
+        simulated: {
+            frequency: 90,
+            duration: 3.0,
+            type: 'sine',
+            decay: false,
+            noise: 0.6,
+            vibrato: 2,
+            tremolo: 0.3
+        }
+    }
+};
+
 // Music tracks
 export const MUSIC = {
     mainTheme: {
@@ -969,3 +1015,9 @@ export const ALL_MUSIC = Object.values(MUSIC).reduce((acc, music) => {
     acc[music.id] = music;
     return acc;
 }, {});
+
+// Export all ambient loops as a single object for convenience
+export const ALL_AMBIENT = Object.values(AMBIENT_SOUNDS).reduce((acc, sound) => {
+    acc[sound.id] = sound;
+    return acc;
+}, {});
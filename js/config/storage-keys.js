@@ -29,6 +29,10 @@ export const STORAGE_KEYS = {
     
     // Game settings
     DIFFICULTY: 'monk_journey_difficulty',
+    WORLD_TIER: 'monk_journey_world_tier',
+    DYNAMIC_DIFFICULTY: 'monk_journey_dynamic_difficulty',
+    SELECTED_MAP: 'monk_journey_selected_map',
+    WORLD_SEED: 'monk_journey_world_seed',
     SELECTED_SKILLS: 'monk_journey_selected_skills',
     SELECTED_SKILL_PREVIEW: 'monk_journey_selected_skill_preview',
     SELECTED_SKILL_VARIANT: 'monk_journey_selected_skill_variant',
@@ -44,14 +48,41 @@ export const STORAGE_KEYS = {
     CAMERA_HEIGHT: 'monk_journey_camera_height',
     CAMERA_LOOK_OFFSET: 'monk_journey_camera_look_offset',
     SHOW_MINIMAP: 'monk_journey_show_minimap',
+    KEY_BINDINGS: 'monk_journey_key_bindings',
+    GAMEPAD_SETTINGS: 'monk_journey_gamepad_settings',
+    LOOT_MODE: 'monk_journey_loot_mode',
+    MULTIPLAYER_TRANSPORT: 'monk_journey_multiplayer_transport',
+    RELAY_URL: 'monk_journey_relay_url',
     // MATERIAL_QUALITY key removed - using QUALITY_LEVEL instead
     
     // Save system keys
-    SAVE_DATA: 'monk_journey_save',
+    SAVE_DATA: 'monk_journey_save', // Single save of versions before save slots, migrated to the first slot
+    SAVE_SLOTS: 'monk_journey_save_slots',
+    SAVE_SLOT_PREFIX: 'monk_journey_save_slot_',
     CHUNK_PREFIX: 'monk_journey_chunk_',
     CHUNK_INDEX: 'monk_journey_chunk_index',
     
     // Google authentication keys
     GOOGLE_AUTO_LOGIN: 'monk_journey_google_auto_login',
     GOOGLE_LAST_LOGIN: 'monk_journey_google_last_login',
-};
\ No newline at end of file
+};
+
+/**
+ * Local storage backends
+ * Save data can grow beyond the localStorage quota, so it is kept in IndexedDB.
+ * Other keys stay in localStorage because many modules read them synchronously.
+ */
+export const STORAGE_CONFIG = {
+    // 'indexedDB' or 'localStorage', falls back to localStorage when IndexedDB is unavailable
+    primaryLocalStore: 'indexedDB',
+    databaseName: 'monk_journey',
+    databaseVersion: 1,
+    storeName: 'keyval',
+    indexedDBKeys: [
+        STORAGE_KEYS.SAVE_DATA,
+        STORAGE_KEYS.SAVE_SLOTS
+    ],
+    indexedDBKeyPrefixes: [
+        STORAGE_KEYS.SAVE_SLOT_PREFIX
+    ]
+};
@@ -0,0 +1,61 @@
+/**
+ * vendors.js
+ * Prices and stock of the village vendors
+ */
+
+/**
+ * General vendor settings
+ */
+export const VENDOR_CONFIG = {
+    // Seconds of play time between two stock refreshes
+    restockInterval: 300,
+    // Number of gear items generated for every restock
+    gearStockSize: 6,
+    // Gear levels relative to the player level (min, max)
+    gearLevelOffset: { min: -1, max: 2 },
+    // Item types a vendor sells as gear
+    gearTypes: ['weapon', 'armor', 'accessory'],
+    // Buying an item costs its sell value multiplied by this
+    buyPriceMultiplier: 4,
+    // Number of sold items that can be bought back
+    buybackLimit: 10,
+    // Sell value increase per item level
+    levelPriceScaling: 0.1,
+    // Distance at which the vendor can be talked to
+    interactionRadius: 3
+};
+
+/**
+ * Base sell value of one item by rarity, before level scaling
+ */
+export const ITEM_SELL_PRICES = {
+    common: 5,
+    uncommon: 15,
+    rare: 40,
+    epic: 100,
+    legendary: 250,
+    mythic: 600
+};
+
+/**
+ * Consumables every vendor always has in stock
+ * templateId refers to ITEM_TEMPLATES in items.js
+ */
+export const VENDOR_CONSUMABLES = [
+    { templateId: 'minorHealthPotion', price: 25 },
+    { templateId: 'minorManaPotion', price: 25 },
+    { templateId: 'greaterManaPotion', price: 90 },
+    { templateId: 'rejuvenationPotion', price: 120 },
+    { templateId: 'elixirOfPower', price: 200 }
+];
+
+/**
+ * Names given to vendor NPCs
+ */
+export const VENDOR_NAMES = [
+    'Merchant Li',
+    'Trader Chen',
+    'Peddler Wu',
+    'Quartermaster Zhao',
+    'Old Man Sun'
+];
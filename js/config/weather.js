@@ -0,0 +1,100 @@
+/**
+ * Weather configuration file
+ * Defines the weather types, how often they occur in each zone and how they
+ * affect visuals, ambient audio and gameplay
+ */
+
+// Weather types and their effects
+export const WEATHER_TYPES = {
+    clear: {
+        name: 'Clear',
+        particles: null,
+        particleDensity: 0,
+        ambientSound: null,
+        detectionRangeMultiplier: 1.0
+    },
+    rain: {
+        name: 'Rain',
+        particles: 'rain',
+        particleDensity: 0.6, // Fraction of the particle pool in use
+        wind: 2,
+        ambientSound: 'weatherRain',
+        detectionRangeMultiplier: 0.9
+    },
+    storm: {
+        name: 'Storm',
+        particles: 'rain',
+        particleDensity: 1.0,
+        wind: 8,
+        ambientSound: 'weatherStorm',
+        detectionRangeMultiplier: 0.8
+    },
+    fog: {
+        name: 'Fog',
+        particles: null,
+        particleDensity: 0,
+        ambientSound: 'weatherWind',
+        detectionRangeMultiplier: 0.6 // Enemies notice the player much later in thick fog
+    },
+    snow: {
+        name: 'Snow',
+        particles: 'snow',
+        particleDensity: 0.8,
+        wind: 1,
+        ambientSound: 'weatherWind',
+        detectionRangeMultiplier: 0.85
+    }
+};
+
+// Relative weights of each weather type per zone
+export const ZONE_WEATHER_SCHEDULES = {
+    Terrant: { clear: 0.6, rain: 0.25, fog: 0.15 },
+    Forest: { clear: 0.5, rain: 0.3, fog: 0.15, storm: 0.05 },
+    Desert: { clear: 0.85, storm: 0.15 },
+    Mountains: { fog: 0.4, snow: 0.35, clear: 0.25 },
+    Swamp: { storm: 0.35, rain: 0.35, fog: 0.3 },
+    'Dark Sanctum': { fog: 0.5, storm: 0.3, clear: 0.2 },
+    Ruins: { clear: 0.5, fog: 0.3, rain: 0.2 },
+    Magical: { clear: 0.6, snow: 0.2, fog: 0.2 },
+    default: { clear: 0.7, rain: 0.2, fog: 0.1 }
+};
+
+export const WEATHER_CONFIG = {
+    enabled: true,
+
+    // How long a weather condition lasts before a new one is rolled (seconds)
+    minDuration: 90,
+    maxDuration: 240,
+
+    // Time taken to blend from one weather condition to the next (seconds)
+    transitionDuration: 8,
+
+    // How often the player's zone is checked for a change of schedule (seconds)
+    zoneCheckInterval: 1,
+
+    // Whether weather changes enemy detection range
+    gameplayModifiers: true,
+
+    // Pooled particle settings - particles are kept in a box around the camera
+    particles: {
+        radius: 40, // Horizontal half-size of the box
+        height: 30, // Height of the box above the camera target
+        rain: {
+            poolSize: 4000,
+            color: 0x9aa6c0,
+            size: 0.12,
+            opacity: 0.6,
+            fallSpeed: 28
+        },
+        snow: {
+            poolSize: 2500,
+            color: 0xffffff,
+            size: 0.3,
+            opacity: 0.9,
+            fallSpeed: 2.5,
+            sway: 0.8 // Horizontal drift amplitude
+        }
+    }
+};
+
+export default WEATHER_CONFIG;
@@ -2,6 +2,13 @@ import * as THREE from 'three';
 import { EnemyModelFactory } from './models/EnemyModelFactory.js';
 import { ENEMY_BEHAVIOR_SETTINGS, ENEMY_TYPE_BEHAVIOR } from '../../config/enemy-behavior.js';
 import { ENEMY_CONFIG } from '../../config/game-balance.js';
+import { ENEMY_PROJECTILES, ENEMY_PROJECTILE_SETTINGS, ENEMY_RESISTANCES, ENEMY_RESISTANCE_SETTINGS } from '../../config/enemy.js';
+import { DAMAGE_TYPES, getDamageType } from '../../config/damage-types.js';
+import { EnemyAffixFactory } from './affixes/EnemyAffixFactory.js';
+import { BossController } from './bosses/BossController.js';
+import { BOSS_SCRIPTS } from '../../config/boss.js';
+import { EnemyAI } from './ai/EnemyAI.js';
+import { EnemyBehaviorFactory } from './ai/EnemyBehaviorFactory.js';
 
 export class Enemy {
     // Static counter for generating unique IDs
@@ -32,7 +39,34 @@ export class Enemy {
         this.color = config.color || 0xcccccc;
         this.scale = config.scale || 1;
         this.isBoss = config.isBoss || false;
+        this.isElite = config.isElite || false;
+        this.isChampion = config.isChampion || false;
+        this.isSummon = false; // Set by the enemy manager for minions of summoners
         this.isActive = true;
+        this.level = config.level || 1;
+        
+        // Resistances (positive) and weaknesses (negative) per damage type at this level
+        this.resistances = this.calculateResistances();
+        
+        // Enemy rank (normal, elite, champion or boss) - drives how many affixes are rolled
+        this.rank = this.isBoss ? 'boss' : this.isChampion ? 'champion' : this.isElite ? 'elite' : 'normal';
+        
+        // Affix definitions and their runtime instances
+        this.affixes = [];
+        this.activeAffixes = [];
+        
+        // Visual effects (auras, shields) attached to the model
+        this.visualEffects = [];
+        
+        // Extra abilities with their own cooldowns
+        this.abilities = [];
+        
+        // Scripted encounter (phases, telegraphed abilities, enrage) for bosses that have one
+        this.bossController = this.isBoss && BOSS_SCRIPTS[this.type] ? new BossController(this, BOSS_SCRIPTS[this.type]) : null;
+        
+        // Damage over time effects applied by the player, keyed by source
+        this.damageOverTimeEffects = new Map();
+        this.damageOverTimeTickInterval = 0.5;
         
         // Flag for minimap identification
         this.isEnemy = true;
@@ -57,6 +91,12 @@ export class Enemy {
         // Apply behavior settings from config
         this.applyBehaviorSettings();
         
+        // AI state machine with the archetype behaviour of this type
+        this.ai = new EnemyAI(this, EnemyBehaviorFactory.createBehavior(this, this.archetype, this.archetypeOptions));
+        
+        // Temporary damage multipliers from allies, keyed by source
+        this.damageBuffs = new Map();
+        
         // Enemy position and orientation
         this.position = new THREE.Vector3();
         this.rotation = new THREE.Euler(0, 0, 0);
@@ -103,6 +143,10 @@ export class Enemy {
                                    ENEMY_BEHAVIOR_SETTINGS.aggressionSettings.persistentAggression;
         this.aggressionTimeout = typeBehavior.aggressionTimeout || 
                                 ENEMY_BEHAVIOR_SETTINGS.aggressionSettings.aggressionTimeout;
+        
+        // Apply archetype (melee, kiter, support, summoner or pack)
+        this.archetype = typeBehavior.archetype || 'melee';
+        this.archetypeOptions = typeBehavior.archetypeOptions || {};
     }
 
     createModel() {
@@ -207,6 +251,19 @@ export class Enemy {
             return;
         }
         
+        // Tick damage buffs from allies
+        if (this.damageBuffs.size > 0) {
+            this.updateDamageBuffs(delta);
+        }
+        
+        // Tick damage over time effects (these may kill the enemy)
+        if (this.damageOverTimeEffects.size > 0) {
+            this.updateDamageOverTime(delta);
+            if (this.state.isDead) {
+                return;
+            }
+        }
+        
         // For bosses, ensure Y position is maintained at all times
         if (this.isBoss && this.initialPositionSet && this.initialYPosition !== null) {
             // Force Y position to always be the initial value
@@ -247,6 +304,9 @@ export class Enemy {
             }
         }
         
+        // Update affixes, abilities and visual effects
+        this.updateAffixes(delta);
+        
         // Update terrain height
         this.updateTerrainHeight();
         
@@ -276,119 +336,23 @@ export class Enemy {
             Math.pow(playerPosition.z - this.position.z, 2)
         );
         
+        // Detection range after weather modifiers (e.g. fog)
+        const detectionRange = this.getDetectionRange();
+        
         // Debug log for targeting - log every 2 seconds to avoid spam
         if (Math.random() < 0.01) { // ~1% chance each frame to log
             const targetType = this.targetPlayer === this.player ? "player" : "remote player";
             console.debug(`Enemy ${this.id} targeting ${targetType}, distance: ${distanceToPlayer.toFixed(2)}, attack range: ${this.attackRange.toFixed(2)}`);
         }
         
-        // Special abilities for certain enemy types
-        if (this.type === 'frost_titan') {
-            // Initialize special ability cooldowns if not already
-            if (!this.specialAbilityCooldowns) {
-                this.specialAbilityCooldowns = {
-                    iceStorm: 0,
-                    frostNova: 0
-                };
-            }
-            
-            // Reduce cooldowns
-            if (this.specialAbilityCooldowns.iceStorm > 0) {
-                this.specialAbilityCooldowns.iceStorm -= delta;
-            }
-            
-            if (this.specialAbilityCooldowns.frostNova > 0) {
-                this.specialAbilityCooldowns.frostNova -= delta;
-            }
-            
-            // Ice Storm ability (ranged)
-            if (distanceToPlayer <= 10 && distanceToPlayer > this.attackRange && this.specialAbilityCooldowns.iceStorm <= 0) {
-                this.castIceStorm(playerPosition);
-                this.specialAbilityCooldowns.iceStorm = 8; // 8 second cooldown
-                return;
-            }
-            
-            // Frost Nova ability (close range)
-            if (distanceToPlayer <= this.attackRange * 1.5 && this.specialAbilityCooldowns.frostNova <= 0) {
-                this.castFrostNova();
-                this.specialAbilityCooldowns.frostNova = 5; // 5 second cooldown
-                return;
-            }
+        // Scripted boss abilities, the boss holds still while casting
+        if (this.bossController && this.bossController.update(delta, distanceToPlayer)) {
+            this.updateAnimations(delta);
+            return;
         }
         
-        // Check if target (player or remote player) is in attack range
-        if (distanceToPlayer <= this.attackRange) {
-            console.debug(`Enemy ${this.id} in attack range of target, distance: ${distanceToPlayer.toFixed(2)}, attack range: ${this.attackRange.toFixed(2)}, cooldown: ${this.state.attackCooldown.toFixed(2)}`);
-            
-            // Stop moving when in attack range
-            this.state.isMoving = false;
-            
-            // Still face the target even when not moving
-            this.faceTarget(playerPosition);
-            
-            // Attack target if cooldown is ready
-            if (this.state.attackCooldown <= 0) {
-                console.debug(`Enemy ${this.id} attacking target, cooldown ready`);
-                this.attackPlayer(); // This will attack whatever is set as targetPlayer
-                this.state.attackCooldown = 1 / this.attackSpeed;
-            } else {
-                console.debug(`Enemy ${this.id} waiting for attack cooldown: ${this.state.attackCooldown.toFixed(2)}`);
-            }
-            
-            // Set aggressive state when target is in attack range
-            this.state.isAggressive = true;
-            this.state.aggressionEndTime = Date.now() + (this.aggressionTimeout * 1000);
-        } else if (distanceToPlayer <= this.detectionRange || this.state.isAggressive) {
-            // Move towards target if within detection range or if enemy is in aggressive state
-            
-            // Check if aggression should end
-            if (this.state.isAggressive && Date.now() > this.state.aggressionEndTime && !this.persistentAggression) {
-                this.state.isAggressive = false;
-            }
-            
-            // Only chase if within detection range or still aggressive
-            if (distanceToPlayer <= this.detectionRange || this.state.isAggressive) {
-                this.state.isMoving = true;
-                
-                // Calculate direction to target
-                const directionX = playerPosition.x - this.position.x;
-                const directionZ = playerPosition.z - this.position.z;
-                
-                // Normalize direction
-                const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
-                const normalizedDirectionX = directionX / length;
-                const normalizedDirectionZ = directionZ / length;
-                
-                // Update rotation to face target
-                this.faceTarget(playerPosition);
-                
-                // Calculate new position
-                // Apply 1.5x speed multiplier for faster movement
-                const speedMultiplier = 1.5;
-                const moveSpeed = this.speed * delta * speedMultiplier;
-                const newX = this.position.x + normalizedDirectionX * moveSpeed;
-                const newZ = this.position.z + normalizedDirectionZ * moveSpeed;
-                
-                // Calculate proper Y position based on terrain height
-                let newY = this.position.y;
-                if (this.world && this.allowTerrainHeightUpdates) {
-                    const terrainHeight = this.world.getTerrainHeight(newX, newZ);
-                    if (terrainHeight !== null) {
-                        newY = terrainHeight + this.heightOffset;
-                    }
-                }
-                
-                // Update position
-                this.setPosition(newX, newY, newZ);
-                console.debug(`Enemy ${this.id} moving toward player, distance: ${distanceToPlayer.toFixed(2)}`);
-                
-                // If target is within detection range, refresh aggression timer
-                if (distanceToPlayer <= this.detectionRange) {
-                    this.state.isAggressive = true;
-                    this.state.aggressionEndTime = Date.now() + (this.aggressionTimeout * 1000);
-                }
-            }
-        }
+        // Run the AI state machine, the archetype behaviour decides how to chase and attack
+        this.ai.update(delta, playerPosition, distanceToPlayer, detectionRange);
         
         // Update model rotation to match enemy rotation
         if (this.modelGroup) {
@@ -399,6 +363,118 @@ export class Enemy {
         this.updateAnimations(delta);
     }
 
+    /**
+     * Keep the enemy aggressive for its aggression timeout
+     */
+    refreshAggression() {
+        this.state.isAggressive = true;
+        this.state.aggressionEndTime = Date.now() + (this.aggressionTimeout * 1000);
+    }
+    
+    /**
+     * Stand and attack the target when the attack cooldown is ready
+     * @param {THREE.Vector3} targetPosition - Position of the target
+     */
+    attackTarget(targetPosition) {
+        // Stop moving when in attack range
+        this.state.isMoving = false;
+        
+        // Still face the target even when not moving
+        this.faceTarget(targetPosition);
+        
+        // Attack target if cooldown is ready
+        if (this.state.attackCooldown <= 0) {
+            console.debug(`Enemy ${this.id} attacking target, cooldown ready`);
+            this.attackPlayer(); // This will attack whatever is set as targetPlayer
+            this.state.attackCooldown = 1 / this.attackSpeed;
+        }
+    }
+    
+    /**
+     * Move toward a position, steering around structures and other enemies
+     * @param {THREE.Vector3} targetPosition - Position to move to
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} [speedFactor=1] - Multiplies the movement speed
+     * @param {boolean} [useFlowField=true] - Follow the shared flow field, only for player targets
+     */
+    moveTowards(targetPosition, delta, speedFactor = 1, useFlowField = true) {
+        this.state.isMoving = true;
+        
+        // Steer around structures and other enemies, or straight at the target without navigation
+        const navigationManager = this.getNavigationManager();
+        let normalizedDirectionX;
+        let normalizedDirectionZ;
+        if (navigationManager) {
+            const direction = navigationManager.getSteeringDirection(this, targetPosition, useFlowField);
+            normalizedDirectionX = direction.x;
+            normalizedDirectionZ = direction.z;
+        } else {
+            const directionX = targetPosition.x - this.position.x;
+            const directionZ = targetPosition.z - this.position.z;
+            const length = Math.sqrt(directionX * directionX + directionZ * directionZ) || 1;
+            normalizedDirectionX = directionX / length;
+            normalizedDirectionZ = directionZ / length;
+        }
+        
+        this.moveInDirection(normalizedDirectionX, normalizedDirectionZ, delta, speedFactor);
+    }
+    
+    /**
+     * Move directly away from a position, e.g. to flee or to keep distance
+     * @param {THREE.Vector3} position - Position to move away from
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} [speedFactor=1] - Multiplies the movement speed
+     */
+    moveAwayFrom(position, delta, speedFactor = 1) {
+        this.state.isMoving = true;
+        
+        const directionX = this.position.x - position.x;
+        const directionZ = this.position.z - position.z;
+        const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
+        if (length === 0) return;
+        
+        this.moveInDirection(directionX / length, directionZ / length, delta, speedFactor);
+    }
+    
+    /**
+     * Move in a direction, sliding along structures and following the terrain
+     * @param {number} normalizedDirectionX - Normalized direction x
+     * @param {number} normalizedDirectionZ - Normalized direction z
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} speedFactor - Multiplies the movement speed
+     */
+    moveInDirection(normalizedDirectionX, normalizedDirectionZ, delta, speedFactor) {
+        // Update rotation to face the way the enemy walks
+        this.rotation.y = Math.atan2(normalizedDirectionX, normalizedDirectionZ);
+        
+        // Calculate new position
+        // Apply 1.5x speed multiplier for faster movement
+        const speedMultiplier = 1.5;
+        const moveSpeed = this.speed * delta * speedMultiplier * speedFactor;
+        let newX = this.position.x + normalizedDirectionX * moveSpeed;
+        let newZ = this.position.z + normalizedDirectionZ * moveSpeed;
+        
+        // Slide along walls instead of walking into structures
+        const navigationManager = this.getNavigationManager();
+        if (navigationManager) {
+            const move = navigationManager.resolveMove(this, newX, newZ);
+            newX = move.x;
+            newZ = move.z;
+        }
+        
+        // Calculate proper Y position based on terrain height
+        let newY = this.position.y;
+        if (this.world && this.allowTerrainHeightUpdates) {
+            const terrainHeight = this.world.getTerrainHeight(newX, newZ);
+            if (terrainHeight !== null) {
+                newY = terrainHeight + this.heightOffset;
+            }
+        }
+        
+        // Update position
+        this.setPosition(newX, newY, newZ);
+    }
+    
     /**
      * Find the closest player (local or remote) to target
      */
@@ -465,8 +541,14 @@ export class Enemy {
         // Play attack animation
         this.playAttackAnimation();
         
+        // Ranged enemies fire a projectile that deals the damage when it lands
+        const projectileConfig = ENEMY_PROJECTILES[this.type];
+        const projectileManager = projectileConfig ? this.getProjectileManager() : null;
+        if (projectileManager && this.targetPlayer) {
+            this.fireProjectile(projectileManager, projectileConfig);
+        }
         // Deal damage to target (player or remote player)
-        if (this.targetPlayer) {
+        else if (this.targetPlayer) {
             const isRemotePlayer = this.targetPlayer !== this.player;
             console.debug(`ENEMY TARGET: Enemy ${this.id} has target: ${isRemotePlayer ? 'REMOTE PLAYER' : 'PLAYER'}`);
             
@@ -475,7 +557,10 @@ export class Enemy {
                     console.debug(`ENEMY DAMAGE: Enemy ${this.id} dealing ${this.damage} damage to player`);
                     
                     // Apply damage to the target
-                    this.targetPlayer.takeDamage(this.damage);
+                    const damageDealt = this.targetPlayer.takeDamage(this.damage);
+                    
+                    // Remote players don't report damage back, so assume the full amount landed
+                    this.onAttackHit(this.targetPlayer, damageDealt !== undefined ? damageDealt : this.damage);
                 } catch (error) {
                     console.error(`Error in enemy attack: ${error.message}`);
                 }
@@ -492,56 +577,75 @@ export class Enemy {
         }, 500);
     }
     
-    castIceStorm(targetPosition) {
-        // Set attack state
-        this.state.isAttacking = true;
-        
-        // Create ice storm effect
-        // (This would be implemented with particle effects and area damage)
-        console.debug(`${this.name} casts Ice Storm at position ${targetPosition.x}, ${targetPosition.z}`);
-        
-        // Deal damage to player if in area
-        const distanceToPlayer = Math.sqrt(
-            Math.pow(targetPosition.x - this.player.getPosition().x, 2) +
-            Math.pow(targetPosition.z - this.player.getPosition().z, 2)
-        );
-        
-        if (distanceToPlayer < 5) {
-            this.player.takeDamage(this.damage * 1.5);
-            // Apply slow effect to player
-            this.player.applyEffect('slow', 3);
-        }
-        
-        // Reset attack state after a delay
-        setTimeout(() => {
-            this.state.isAttacking = false;
-        }, 1000);
+    /**
+     * Get the projectile manager of the enemy manager
+     * @returns {import("./EnemyProjectileManager.js").EnemyProjectileManager|null} The projectile manager
+     */
+    getProjectileManager() {
+        const game = this.player && this.player.game;
+        return (game && game.enemyManager && game.enemyManager.projectileManager) || null;
     }
     
-    castFrostNova() {
-        // Set attack state
-        this.state.isAttacking = true;
-        
-        // Create frost nova effect
-        // (This would be implemented with particle effects and area damage)
-        console.debug(`${this.name} casts Frost Nova`);
-        
-        // Deal damage to player if in area
-        const distanceToPlayer = Math.sqrt(
-            Math.pow(this.position.x - this.player.getPosition().x, 2) +
-            Math.pow(this.position.z - this.player.getPosition().z, 2)
-        );
-        
-        if (distanceToPlayer < this.attackRange * 1.5) {
-            this.player.takeDamage(this.damage);
-            // Apply freeze effect to player
-            this.player.applyEffect('freeze', 2);
+    /**
+     * Get the navigation manager of the enemy manager
+     * @returns {import("./EnemyNavigationManager.js").EnemyNavigationManager|null} The navigation manager
+     */
+    getNavigationManager() {
+        const game = this.player && this.player.game;
+        return (game && game.enemyManager && game.enemyManager.navigationManager) || null;
+    }
+    
+    /**
+     * Fire a projectile at the current target
+     * The projectile flies toward where the target is now, so moving targets can dodge it.
+     * @param {import("./EnemyProjectileManager.js").EnemyProjectileManager} projectileManager - The projectile manager
+     * @param {Object} projectileConfig - Entry of ENEMY_PROJECTILES for this enemy type
+     */
+    fireProjectile(projectileManager, projectileConfig) {
+        const position = this.position.clone();
+        position.y += ENEMY_PROJECTILE_SETTINGS.launchHeight * this.scale;
+        
+        const target = this.targetPlayer.getPosition().clone();
+        target.y += ENEMY_PROJECTILE_SETTINGS.targetHeight;
+        
+        projectileManager.spawn({
+            source: this,
+            position,
+            target,
+            damage: this.damage * projectileConfig.damageMultiplier,
+            maxDistance: this.attackRange * ENEMY_PROJECTILE_SETTINGS.rangeMultiplier,
+            config: projectileConfig
+        });
+        
+        console.debug(`ENEMY ATTACK: Enemy ${this.id} fired a ${projectileConfig.kind}`);
+    }
+    
+    /**
+     * Calculate the resistances of this enemy type at its level
+     * Resistances grow from the resistance start level, weaknesses always apply in full.
+     * @returns {Object<string, number>} Resistance per damage type
+     */
+    calculateResistances() {
+        const baseResistances = ENEMY_RESISTANCES[this.type] || {};
+        const levelsAboveStart = this.level - ENEMY_RESISTANCE_SETTINGS.startLevel + 1;
+        const scale = Math.max(0, Math.min(1, levelsAboveStart / ENEMY_RESISTANCE_SETTINGS.levelsToFull));
+        
+        const resistances = {};
+        for (const [damageType, value] of Object.entries(baseResistances)) {
+            resistances[damageType] = value > 0
+                ? Math.min(value * scale, ENEMY_RESISTANCE_SETTINGS.maxResistance)
+                : value;
         }
-        
-        // Reset attack state after a delay
-        setTimeout(() => {
-            this.state.isAttacking = false;
-        }, 800);
+        return resistances;
+    }
+    
+    /**
+     * Get the resistance to a damage type
+     * @param {string} damageType - Damage type from DAMAGE_TYPES
+     * @returns {number} Fraction of the damage resisted, negative for weaknesses
+     */
+    getResistance(damageType) {
+        return this.resistances[damageType] || 0;
     }
     
     /**
@@ -550,9 +654,22 @@ export class Enemy {
      * @param {boolean} knockback - Whether to apply knockback
      * @param {THREE.Vector3} knockbackDirection - Direction of knockback
      * @param {boolean} ignoreDefense - Whether to ignore defense (for true damage)
+     * @param {string} [damageType='physical'] - Damage type from DAMAGE_TYPES, resisted by the enemy
      * @returns {number} - The actual damage taken after reductions
      */
-    takeDamage(amount, knockback = false, knockbackDirection = null, ignoreDefense = false) {
+    takeDamage(amount, knockback = false, knockbackDirection = null, ignoreDefense = false, damageType = DAMAGE_TYPES.PHYSICAL) {
+        // Let affixes react to the hit (e.g. shields block it entirely)
+        for (const affix of this.activeAffixes) {
+            amount = affix.onDamaged(amount);
+        }
+        
+        if (amount <= 0) {
+            return 0;
+        }
+        
+        // Idle and patrolling enemies fight back
+        this.ai.onDamaged();
+        
         // Calculate actual damage after defense
         let actualDamage = amount;
         
@@ -587,12 +704,23 @@ export class Enemy {
             console.debug(`Enemy ${this.name} defense: ${defenseValue}, damage reduction: ${(reductionPercent * 100).toFixed(1)}%, raw damage: ${amount}, actual damage: ${actualDamage.toFixed(1)}`);
         }
         
+        // Apply resistance or weakness to the damage type
+        const resistance = this.getResistance(damageType);
+        if (resistance !== 0) {
+            actualDamage *= 1 - resistance;
+        }
+        
         // Round the damage to avoid floating point issues
         actualDamage = Math.round(actualDamage);
         
         // Ensure minimum damage of 1
         actualDamage = Math.max(1, actualDamage);
         
+        // Track when the fight started (used for time-to-kill metrics)
+        if (!this.firstDamageTime) {
+            this.firstDamageTime = Date.now();
+        }
+        
         // Reduce health by the actual damage
         this.health -= actualDamage;
         
@@ -613,6 +741,222 @@ export class Enemy {
         return actualDamage;
     }
     
+    /**
+     * Attach an affix to this enemy and run its spawn hook
+     * @param {Object} affixConfig - Affix definition from DIFFICULTY_SCALING.affixes.affixList
+     * @returns {import("./affixes/EnemyAffix.js").EnemyAffix} The affix instance
+     */
+    addAffix(affixConfig) {
+        const affix = EnemyAffixFactory.createAffix(this, affixConfig);
+        this.affixes.push(affixConfig);
+        this.activeAffixes.push(affix);
+        affix.onSpawn();
+        return affix;
+    }
+    
+    /**
+     * Check whether this enemy has an affix
+     * @param {string} affixId - The affix ID
+     * @returns {boolean} True if the affix is attached
+     */
+    hasAffix(affixId) {
+        return this.affixes.some(affix => affix.id === affixId);
+    }
+    
+    /**
+     * Add a visual effect to the enemy model
+     * @param {Object} effect - Effect description
+     * @param {string} effect.type - 'aura' for a ground ring or 'shield' for a bubble around the enemy
+     * @param {number} effect.color - Effect color
+     * @returns {THREE.Mesh|null} The created mesh, or null if the model isn't ready
+     */
+    addVisualEffect(effect) {
+        if (!this.modelGroup) {
+            return null;
+        }
+        
+        let mesh;
+        if (effect.type === 'shield') {
+            mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(1.1, 16, 12),
+                new THREE.MeshBasicMaterial({
+                    color: effect.color,
+                    transparent: true,
+                    opacity: 0.25,
+                    depthWrite: false
+                })
+            );
+            mesh.position.y = 0.6;
+        } else {
+            // Stack multiple auras as rings of increasing size
+            const auraCount = this.visualEffects.filter(e => e.userData.effectType === 'aura').length;
+            const innerRadius = 0.7 + auraCount * 0.2;
+            mesh = new THREE.Mesh(
+                new THREE.RingGeometry(innerRadius, innerRadius + 0.15, 32),
+                new THREE.MeshBasicMaterial({
+                    color: effect.color,
+                    transparent: true,
+                    opacity: 0.7,
+                    depthWrite: false,
+                    side: THREE.DoubleSide
+                })
+            );
+            mesh.rotation.x = -Math.PI / 2;
+            // Model group origin sits heightOffset above the ground
+            mesh.position.y = -this.heightOffset / this.scale + 0.05;
+        }
+        
+        mesh.userData.effectType = effect.type;
+        this.modelGroup.add(mesh);
+        this.visualEffects.push(mesh);
+        return mesh;
+    }
+    
+    /**
+     * Add an ability that the enemy uses whenever its cooldown is ready
+     * @param {Object} ability - Ability definition
+     * @param {string} ability.id - Ability ID
+     * @param {number} ability.cooldown - Cooldown in seconds
+     * @param {function(Enemy): boolean} [ability.canUse] - Optional condition checked before use
+     * @param {function(Enemy): void} ability.execute - Runs the ability
+     */
+    addAbility(ability) {
+        this.abilities.push({
+            ...ability,
+            remainingCooldown: ability.cooldown
+        });
+    }
+    
+    /**
+     * Update affixes, abilities and visual effects
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateAffixes(delta) {
+        for (const affix of this.activeAffixes) {
+            affix.onUpdate(delta);
+        }
+        
+        for (const ability of this.abilities) {
+            ability.remainingCooldown -= delta;
+            if (ability.remainingCooldown <= 0 && (!ability.canUse || ability.canUse(this))) {
+                ability.execute(this);
+                ability.remainingCooldown = ability.cooldown;
+            }
+        }
+        
+        // Gently pulse auras
+        if (this.visualEffects.length > 0) {
+            const pulse = 0.55 + Math.sin(Date.now() * 0.004) * 0.15;
+            for (const effect of this.visualEffects) {
+                if (effect.userData.effectType === 'aura') {
+                    effect.material.opacity = pulse;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Notify affixes that an attack landed
+     * @param {Object} target - The player (or remote player wrapper) that was hit
+     * @param {number} damage - Damage dealt
+     */
+    onAttackHit(target, damage) {
+        for (const affix of this.activeAffixes) {
+            affix.onHit(target, damage);
+        }
+    }
+    
+    /**
+     * Apply a damage over time effect
+     * Reapplying an effect from the same source refreshes it instead of stacking
+     * @param {string} sourceId - Identifies the source of the effect
+     * @param {Object} options - Effect options
+     * @param {number} options.damagePerSecond - Damage dealt per second
+     * @param {number} options.duration - Duration in seconds
+     * @param {string} [options.element] - Element of the damage
+     */
+    applyDamageOverTime(sourceId, { damagePerSecond, duration, element = 'physical' }) {
+        if (this.state.isDead || !(damagePerSecond > 0)) return;
+        
+        const existing = this.damageOverTimeEffects.get(sourceId);
+        this.damageOverTimeEffects.set(sourceId, {
+            damagePerSecond: existing ? Math.max(existing.damagePerSecond, damagePerSecond) : damagePerSecond,
+            remaining: duration,
+            tickTimer: existing ? existing.tickTimer : 0,
+            element
+        });
+    }
+    
+    /**
+     * Multiply the enemy damage for a while
+     * Reapplying a buff from the same source refreshes it instead of stacking
+     * @param {string} sourceId - Identifies the source of the buff
+     * @param {number} multiplier - Damage multiplier
+     * @param {number} duration - Duration in seconds
+     */
+    addDamageBuff(sourceId, multiplier, duration) {
+        const existing = this.damageBuffs.get(sourceId);
+        if (existing) {
+            existing.remaining = duration;
+            return;
+        }
+        
+        this.damage *= multiplier;
+        this.damageBuffs.set(sourceId, { multiplier, remaining: duration });
+    }
+    
+    /**
+     * Tick damage buffs and remove the expired ones
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateDamageBuffs(delta) {
+        for (const [sourceId, buff] of this.damageBuffs.entries()) {
+            buff.remaining -= delta;
+            if (buff.remaining <= 0) {
+                this.damage /= buff.multiplier;
+                this.damageBuffs.delete(sourceId);
+            }
+        }
+    }
+    
+    /**
+     * Tick damage over time effects
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateDamageOverTime(delta) {
+        for (const [sourceId, effect] of this.damageOverTimeEffects.entries()) {
+            effect.remaining -= delta;
+            effect.tickTimer += delta;
+            
+            if (effect.tickTimer >= this.damageOverTimeTickInterval) {
+                effect.tickTimer -= this.damageOverTimeTickInterval;
+                
+                const damageType = getDamageType(effect.element);
+                const damageDealt = this.takeDamage(effect.damagePerSecond * this.damageOverTimeTickInterval, false, null, false, damageType);
+                
+                // Show each tick as floating text colored by damage type, like skill hits
+                const effectsManager = this.player.game && this.player.game.effectsManager;
+                if (damageDealt > 0 && effectsManager) {
+                    effectsManager.createDamageText(damageDealt, this.getPosition(), damageType);
+                }
+                
+                if (this.state.isDead) {
+                    this.damageOverTimeEffects.clear();
+                    
+                    // die() already awarded the experience, only the quest progress is left
+                    if (this.player.game && this.player.game.questManager) {
+                        this.player.game.questManager.updateEnemyKill(this);
+                    }
+                    return;
+                }
+            }
+            
+            if (effect.remaining <= 0) {
+                this.damageOverTimeEffects.delete(sourceId);
+            }
+        }
+    }
+    
     /**
      * Updates the enemy's health bar (if any)
      * This method is called when health changes
@@ -705,6 +1049,20 @@ export class Enemy {
         // Track when the enemy died (used for timeout cleanup)
         this.deathStartTime = Date.now();
         
+        // Trigger affix death effects (explosions, clouds) and hide auras
+        for (const affix of this.activeAffixes) {
+            affix.onDeath();
+        }
+        this.ai.onDeath();
+
+        // Stop the boss encounter and remove its pending telegraphs
+        if (this.bossController) {
+            this.bossController.reset();
+        }
+        this.visualEffects.forEach(effect => {
+            effect.visible = false;
+        });
+        
         // Check if we're in multiplayer mode
         if (this.player.game && 
             this.player.game.multiplayerManager && 
@@ -879,6 +1237,11 @@ export class Enemy {
     }
 
     removeFromScene() {
+        // Release affix resources (aura meshes are disposed with the model group below)
+        this.activeAffixes.forEach(affix => affix.dispose());
+        this.activeAffixes = [];
+        this.visualEffects = [];
+        
         // Cancel any ongoing death animation
         if (this.deathAnimationFrameId) {
             cancelAnimationFrame(this.deathAnimationFrameId);
@@ -952,9 +1315,9 @@ export class Enemy {
             }
         }
         
-        // Clear any special ability cooldowns for boss enemies
-        if (this.isBoss && this.specialAbilityCooldowns) {
-            this.specialAbilityCooldowns = null;
+        // Stop the boss encounter
+        if (this.bossController) {
+            this.bossController.reset();
         }
     }
 
@@ -1205,6 +1568,18 @@ export class Enemy {
         return this.collisionRadius;
     }
     
+    /**
+     * Get the range at which the enemy notices its target
+     * @returns {number} Detection range including weather modifiers
+     */
+    getDetectionRange() {
+        const weatherManager = this.world && this.world.weatherManager;
+        if (weatherManager) {
+            return this.detectionRange * weatherManager.getDetectionRangeMultiplier();
+        }
+        return this.detectionRange;
+    }
+    
     /**
      * Stun the enemy for a specified duration
      * @param {number} duration - Duration of stun in seconds
@@ -13,6 +13,12 @@ import {
     DIFFICULTY_SCALING 
 } from '../../config/game-balance.js';
 import { ItemGenerator } from '../items/ItemGenerator.js';
+import { Item } from '../items/Item.js';
+import { QUEST_ITEMS, QUEST_MATERIAL_DROPS } from '../../config/quests.js';
+import { AffixHazardManager } from './affixes/AffixHazardManager.js';
+import { EnemyProjectileManager } from './EnemyProjectileManager.js';
+import { BossTelegraphManager } from './bosses/BossTelegraphManager.js';
+import { EnemyNavigationManager } from './EnemyNavigationManager.js';
 
 /**
  * @typedef {Object} EnemyType
@@ -25,6 +31,8 @@ import { ItemGenerator } from '../items/ItemGenerator.js';
  * @property {number} experienceValue - Experience points awarded when defeated
  * @property {number} [baseHealth] - Original health value before scaling
  * @property {boolean} [isBoss] - Whether this enemy is a boss
+ * @property {boolean} [isElite] - Whether this enemy is an elite
+ * @property {boolean} [isChampion] - Whether this enemy is a champion
  * @property {string} [attackSound] - Sound to play when attacking
  * @property {string} [deathSound] - Sound to play when dying
  * @property {number} [attackRange] - Range at which enemy can attack
@@ -109,6 +117,18 @@ export class EnemyManager {
         // Item generation
         this.itemGenerator = new ItemGenerator(game);
         
+        // Ground hazards created by enemy affixes (poison clouds, fire trails, etc.)
+        this.hazardManager = new AffixHazardManager(scene, game);
+        
+        // Arrows, bolts and orbs fired by ranged enemies
+        this.projectileManager = new EnemyProjectileManager(scene, game);
+        
+        // Ground warnings of scripted boss abilities
+        this.telegraphManager = new BossTelegraphManager(scene, game);
+        
+        // Pathfinding around structures and avoidance between enemies
+        this.navigationManager = new EnemyNavigationManager(game);
+        
         // Reference to the item drop manager (will be set by the game)
         this.itemDropManager = itemDropManager;
         
@@ -208,6 +228,18 @@ export class EnemyManager {
             }
         }
         
+        // Update affix hazards
+        this.hazardManager.update(delta);
+        
+        // Update enemy projectiles
+        this.projectileManager.update(delta);
+        
+        // Update boss telegraphs
+        this.telegraphManager.update(delta);
+        
+        // Update navigation before enemies move
+        this.navigationManager.update(delta, this.enemies);
+        
         // Track if any bosses are alive
         let bossAlive = false;
         
@@ -272,7 +304,18 @@ export class EnemyManager {
         }
     }
     
-    spawnEnemy(specificType = null, position = null, enemyId = null) {
+    /**
+     * Spawn an enemy
+     * @param {string} [specificType=null] - Enemy type to spawn (random if not provided)
+     * @param {THREE.Vector3} [position=null] - Spawn position (random if not provided)
+     * @param {string} [enemyId=null] - Enemy ID (generated if not provided)
+     * @param {Object} [options={}] - Spawn options
+     * @param {string} [options.rank] - Force a rank instead of rolling one
+     * @param {string[]} [options.affixIds] - Force a set of affixes instead of rolling them
+     * @param {boolean} [options.isSummon] - Minion summoned by another enemy, gives no experience or loot
+     * @returns {Enemy} The spawned enemy
+     */
+    spawnEnemy(specificType = null, position = null, enemyId = null, options = {}) {
         let enemyType;
         
         if (specificType) {
@@ -289,6 +332,16 @@ export class EnemyManager {
             enemyType = this.getRandomEnemyType();
         }
         
+        // Promote the enemy to elite or champion
+        const rank = options.rank || this.rollEnemyRank(enemyType);
+        if (rank === 'elite' || rank === 'champion') {
+            enemyType = {
+                ...enemyType,
+                isElite: rank === 'elite',
+                isChampion: rank === 'champion'
+            };
+        }
+        
         // Apply difficulty scaling
         const scaledEnemyType = this.applyDifficultyScaling(enemyType);
         
@@ -299,6 +352,19 @@ export class EnemyManager {
         const enemy = new Enemy(this.scene, this.player, scaledEnemyType);
         enemy.init();
         
+        // Summoned minions give no experience or loot
+        if (options.isSummon) {
+            enemy.isSummon = true;
+            enemy.experienceValue = 0;
+        }
+        
+        // Apply affixes
+        if (options.affixIds) {
+            this.assignAffixesById(enemy, options.affixIds);
+        } else {
+            this.rollAffixes(enemy);
+        }
+        
         // Set world reference before positioning so terrain height can be calculated properly
         enemy.world = this.game.world;
 
@@ -363,7 +429,10 @@ export class EnemyManager {
                 position: position,
                 health: enemy.health,
                 type: enemy.type,
-                isBoss: enemy.isBoss || false
+                isBoss: enemy.isBoss || false,
+                rank: enemy.rank,
+                isSummon: enemy.isSummon || false,
+                affixes: enemy.affixes.map(affix => affix.id)
             };
         });
         
@@ -449,6 +518,22 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Move enemies to positions interpolated between host snapshots (member only)
+     * Creation, removal and health still come from updateEnemiesFromHost when a snapshot arrives.
+     * @param {Object} enemiesState - Interpolated {position} by enemy ID
+     */
+    applyInterpolatedPositions(enemiesState) {
+        Object.entries(enemiesState).forEach(([id, { position }]) => {
+            const enemy = this.enemies.get(id);
+            if (!enemy) return;
+            
+            // Keep the height updateEnemiesFromHost fitted to the local terrain
+            const y = enemy.world && enemy.allowTerrainHeightUpdates && !enemy.isBoss ? enemy.getPosition().y : position.y;
+            enemy.setPosition(position.x, y, position.z);
+        });
+    }
+    
     /**
      * Create enemy from network data - simplified
      * @param {Object} enemyData - Enemy data received from host
@@ -474,8 +559,12 @@ export class EnemyManager {
         // Create position vector
         const positionVector = new THREE.Vector3(position.x, position.y, position.z);
         
-        // Spawn enemy with the specified ID
-        const enemy = this.spawnEnemy(enemyType.type, positionVector, enemyData.id);
+        // Spawn enemy with the specified ID, matching the host's rank and affixes
+        const enemy = this.spawnEnemy(enemyType.type, positionVector, enemyData.id, {
+            rank: enemyData.rank || 'normal',
+            isSummon: enemyData.isSummon || false,
+            affixIds: enemyData.affixes || []
+        });
         
         // Update enemy properties
         if (enemyData.health !== undefined) {
@@ -570,6 +659,18 @@ export class EnemyManager {
         }
         this.enemyPools.clear();
         
+        // Remove affix hazards
+        this.hazardManager.clear();
+        
+        // Remove enemy projectiles
+        this.projectileManager.clear();
+        
+        // Remove boss telegraphs
+        this.telegraphManager.clear();
+        
+        // Drop navigation data
+        this.navigationManager.clear();
+        
         // Dispose shared resources
         EnemyModelFactory.disposeSharedResources();
         
@@ -660,29 +761,128 @@ export class EnemyManager {
             (difficultySettings.itemQualityMultiplier - 1) * 100;
     }
 
-    assignRandomAffixes(enemy, count) {
-        // Copy available affixes
-        const availableAffixes = [...ENEMY_AFFIXES];
+    /**
+     * Roll the rank of a newly spawned enemy
+     * @param {EnemyType} enemyType - The enemy type being spawned
+     * @returns {string} 'boss', 'champion', 'elite' or 'normal'
+     */
+    rollEnemyRank(enemyType) {
+        if (enemyType.isBoss) {
+            return 'boss';
+        }
+        
+        const roll = Math.random();
+        if (roll < COMBAT_BALANCE.enemy.championSpawnChance) {
+            return 'champion';
+        }
+        if (roll < COMBAT_BALANCE.enemy.championSpawnChance + COMBAT_BALANCE.enemy.eliteSpawnChance) {
+            return 'elite';
+        }
+        return 'normal';
+    }
+    
+    /**
+     * Get how many affixes an enemy of the given rank should roll
+     * The base affix chance times the difficulty's affixChanceMultiplier gives the
+     * expected number of affixes, capped by maxAffixesPerEnemyType
+     * @param {string} rank - Enemy rank
+     * @returns {number} Number of affixes to assign
+     */
+    getAffixCount(rank) {
+        const affixSettings = DIFFICULTY_SCALING.affixes;
+        const maxAffixes = affixSettings.maxAffixesPerEnemyType[rank] || 0;
+        if (maxAffixes <= 0) {
+            return 0;
+        }
+        
+        const difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.currentDifficulty] || 
+                                  DIFFICULTY_SCALING.difficultyLevels.medium;
+        
+        const baseChance = rank === 'elite' ? affixSettings.eliteAffixChance : affixSettings.championAffixChance;
+        const expectedAffixes = baseChance * (difficultySettings.affixChanceMultiplier || 1);
+        
+        // Each additional affix is rolled against whatever is left of the expected count
+        let count = 0;
+        while (count < maxAffixes && Math.random() < expectedAffixes - count) {
+            count++;
+        }
+        
+        if (difficultySettings.guaranteedRareAffix) {
+            count = Math.max(count, 1);
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Roll and assign affixes based on the enemy's rank and the current difficulty
+     * @param {Enemy} enemy - The enemy to roll affixes for
+     */
+    rollAffixes(enemy) {
+        if (enemy.rank === 'normal') {
+            return;
+        }
+        
+        const count = this.getAffixCount(enemy.rank);
+        if (count === 0) {
+            return;
+        }
+        
+        const difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.currentDifficulty] || 
+                                  DIFFICULTY_SCALING.difficultyLevels.medium;
+        
+        this.assignRandomAffixes(enemy, count, !!difficultySettings.guaranteedRareAffix);
+    }
+    
+    /**
+     * Assign specific affixes to an enemy (used to mirror the host in multiplayer)
+     * @param {Enemy} enemy - The enemy to assign affixes to
+     * @param {string[]} affixIds - IDs of the affixes to assign
+     */
+    assignAffixesById(enemy, affixIds) {
+        affixIds.forEach(affixId => {
+            const affix = DIFFICULTY_SCALING.affixes.affixList.find(a => a.id === affixId);
+            if (affix) {
+                this.applyAffixToEnemy(enemy, affix);
+            }
+        });
         
-        // Assign random affixes
-        enemy.affixes = [];
+        this.updateAffixName(enemy);
+    }
+
+    /**
+     * Assign random affixes to an enemy
+     * @param {Enemy} enemy - The enemy to assign affixes to
+     * @param {number} count - Number of affixes to assign
+     * @param {boolean} [guaranteeRare=false] - Whether the first affix must be a rare one
+     */
+    assignRandomAffixes(enemy, count, guaranteeRare = false) {
+        // Copy available affixes
+        const availableAffixes = [...DIFFICULTY_SCALING.affixes.affixList];
         
         for (let i = 0; i < count && availableAffixes.length > 0; i++) {
+            // Pick the first affix from the rare pool when a rare affix is guaranteed
+            const rarePool = availableAffixes.filter(affix => affix.rare);
+            const pool = (i === 0 && guaranteeRare && rarePool.length > 0) ? rarePool : availableAffixes;
+            
             // Select random affix
-            const index = Math.floor(Math.random() * availableAffixes.length);
-            const affix = availableAffixes[index];
+            const affix = pool[Math.floor(Math.random() * pool.length)];
             
             // Remove from available affixes
-            availableAffixes.splice(index, 1);
+            availableAffixes.splice(availableAffixes.indexOf(affix), 1);
             
-            // Add to enemy
-            enemy.affixes.push(affix);
-            
-            // Apply affix effects
+            // Add to enemy and apply affix effects
             this.applyAffixToEnemy(enemy, affix);
         }
         
-        // Update enemy name to reflect affixes
+        this.updateAffixName(enemy);
+    }
+    
+    /**
+     * Update enemy name to reflect affixes
+     * @param {Enemy} enemy - The enemy to rename
+     */
+    updateAffixName(enemy) {
         if (enemy.affixes.length > 0) {
             const affixNames = enemy.affixes.map(affix => affix.name);
             enemy.name = `${affixNames.join(' ')} ${enemy.name}`;
@@ -690,6 +890,9 @@ export class EnemyManager {
     }
 
     applyAffixToEnemy(enemy, affix) {
+        // Attach the affix runtime (stat multipliers, aura and gameplay hooks)
+        enemy.addAffix(affix);
+        
         // Add visual effect
         if (affix.visualEffect) {
             enemy.addVisualEffect(affix.visualEffect);
@@ -704,7 +907,7 @@ export class EnemyManager {
         
         // Apply passive effects
         if (affix.id === 'fast') {
-            enemy.moveSpeed *= 1.5;
+            enemy.speed *= 1.5;
             enemy.attackSpeed *= 1.3;
         }
     }
@@ -792,11 +995,22 @@ export class EnemyManager {
         let difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.currentDifficulty] || 
                                 DIFFICULTY_SCALING.difficultyLevels.medium;
         
+        // Enemy level follows the player level, offset by difficulty (used for resistances)
+        scaledType.level = Math.max(1, playerLevel + (difficultySettings.enemyLevelOffset || 0));
+        
+        // Apply world tier multiplier (endgame scaling)
+        const worldTierMultiplier = this.getWorldTierMultiplier();
+        
+        // Apply dynamic difficulty adjustment based on player performance
+        const dynamicDifficultyFactor = this.getDynamicDifficultyFactor();
+        
         // Calculate combined scaling factor
         const combinedScalingFactor = this.difficultyMultiplier * 
                                      levelScalingFactor * 
                                      zoneDifficultyMultiplier * 
-                                     difficultySettings.healthMultiplier;
+                                     difficultySettings.healthMultiplier *
+                                     worldTierMultiplier *
+                                     dynamicDifficultyFactor;
         
         // Apply scaling to enemy stats using game-balance settings
         // Apply base health multiplier from combat balance
@@ -807,7 +1021,9 @@ export class EnemyManager {
         scaledType.damage = Math.round(scaledType.damage * 
                            COMBAT_BALANCE.enemy.damageMultiplier * 
                            difficultySettings.damageMultiplier * 
-                           levelScalingFactor);
+                           levelScalingFactor *
+                           worldTierMultiplier *
+                           dynamicDifficultyFactor);
         
         // Apply experience scaling
         scaledType.experienceValue = Math.round(scaledType.experienceValue * 
@@ -832,6 +1048,28 @@ export class EnemyManager {
         return scaledType;
     }
     
+    /**
+     * Get the enemy scaling multiplier of the active world tier
+     * @returns {number} World tier difficulty multiplier (1.0 when world tiers are unavailable)
+     */
+    getWorldTierMultiplier() {
+        if (this.game && this.game.worldTierManager) {
+            return this.game.worldTierManager.getDifficultyMultiplier();
+        }
+        return 1.0;
+    }
+    
+    /**
+     * Get the current dynamic difficulty adjustment factor
+     * @returns {number} Adjustment factor (1.0 when dynamic difficulty is disabled)
+     */
+    getDynamicDifficultyFactor() {
+        if (this.game && this.game.difficultyDirector) {
+            return this.game.difficultyDirector.getAdjustmentFactor();
+        }
+        return 1.0;
+    }
+    
     findNearestEnemy(position, maxDistance = 15) {
         // Find the nearest enemy within maxDistance
         let nearestEnemy = null;
@@ -862,19 +1100,79 @@ export class EnemyManager {
         // Mark this enemy as processed to prevent duplicate drops
         this.processedDrops.set(enemy.id, true);
         
+        // Summoned minions drop nothing
+        if (enemy.isSummon) {
+            return;
+        }
+        
+        // In multiplayer, drops are spawned by the host and sent to the members
+        const lootManager = this.game && this.game.multiplayerManager ? this.game.multiplayerManager.loot : null;
+        if (lootManager && lootManager.isRemoteAuthority()) {
+            return;
+        }
+        const isLootAuthority = lootManager && lootManager.isAuthority();
+        
+        // Instanced loot rolls the drops separately for every player
+        const recipients = isLootAuthority ? lootManager.getDropRecipients() : [null];
+        recipients.forEach(ownerId => {
+            this.rollEnemyDrops(enemy).forEach(item => {
+                const enemyPosition = enemy.getPosition();
+                if (isLootAuthority) {
+                    lootManager.spawnDrop(item, enemyPosition, ownerId);
+                } else if (this.itemDropManager) {
+                    // Use the item drop manager to create a visual drop
+                    this.itemDropManager.dropItem(item, enemyPosition);
+                } else if (this.game && this.game.player) {
+                    // Fallback: Add directly to player inventory if no drop manager
+                    this.game.player.addToInventory(item);
+                    
+                    // Show notification
+                    if (this.game.hudManager) {
+                        this.game.hudManager.showNotification(`Found ${item.name}`);
+                    }
+                }
+            });
+        });
+    }
+    
+    /**
+     * Roll the items an enemy drops
+     * @param {Enemy} enemy - The killed enemy
+     * @returns {Item[]} The dropped items, possibly none
+     */
+    rollEnemyDrops(enemy) {
+        const items = [];
+        
         // Check if enemy should drop an item
         const dropChance = enemy.isBoss ? DROP_CHANCES.bossDropChance : DROP_CHANCES.normalDropChance;
         
-        if (Math.random() < dropChance) {
+        // World tiers can grant extra drop rolls (e.g. 1.5x = one roll plus a 50% chance of a second)
+        const worldTierManager = this.game ? this.game.worldTierManager : null;
+        const quantityMultiplier = worldTierManager ? worldTierManager.getItemQuantityMultiplier() : 1.0;
+        const dropRolls = Math.floor(quantityMultiplier) + (Math.random() < quantityMultiplier % 1 ? 1 : 0);
+        
+        for (let roll = 0; roll < dropRolls; roll++) {
+            if (Math.random() >= dropChance) {
+                continue;
+            }
+            
             // Generate an item using the ItemGenerator
             let item;
             
             if (enemy.isBoss) {
                 // Generate a higher quality item for bosses
                 const bossLevel = Math.max(1, this.player.stats.getLevel());
+                let rarity = this.getRandomBossRarity();
+                
+                // Top world tiers guarantee a legendary (or better) boss drop
+                if (roll === 0 && worldTierManager && worldTierManager.hasGuaranteedLegendary() &&
+                    rarity !== 'legendary' && rarity !== 'mythic') {
+                    rarity = 'legendary';
+                }
+                
                 item = this.itemGenerator.generateItem({
                     level: bossLevel,
-                    rarity: this.getRandomBossRarity()
+                    rarity: rarity
                 });
             } else {
                 // Generate a regular item for normal enemies
@@ -885,20 +1183,31 @@ export class EnemyManager {
                 });
             }
             
-            // If we have an item drop manager, use it to create a visual drop
-            if (this.itemDropManager && item) {
-                const enemyPosition = enemy.getPosition();
-                this.itemDropManager.dropItem(item, enemyPosition);
-            } else if (this.game && this.game.player && item) {
-                // Fallback: Add directly to player inventory if no drop manager
-                this.game.player.addToInventory(item);
-                
-                // Show notification
-                if (this.game.hudManager) {
-                    this.game.hudManager.showNotification(`Found ${item.name}`);
-                }
+            if (item) {
+                items.push(item);
             }
         }
+        
+        // Quest materials (e.g. Bone Dust from skeletons) drop independently of regular loot
+        QUEST_MATERIAL_DROPS.forEach(drop => {
+            if (drop.enemyTypes.includes(enemy.type) && Math.random() < drop.chance) {
+                items.push(new Item({ ...QUEST_ITEMS[drop.item], name: drop.item, amount: drop.amount }));
+            }
+        });
+        
+        return items;
+    }
+    
+    /**
+     * Get a random roll for drop rarity, skewed towards rarer results by the world tier
+     * This is the only place the world tier item quality applies, drops pass the rolled
+     * rarity to the ItemGenerator.
+     * @returns {number} A value in [0, 1) where lower values mean rarer items
+     */
+    getRarityRoll() {
+        const qualityMultiplier = this.game && this.game.worldTierManager ?
+            this.game.worldTierManager.getItemQualityMultiplier() : 1.0;
+        return Math.random() / qualityMultiplier;
     }
     
     /**
@@ -907,7 +1216,7 @@ export class EnemyManager {
      * @returns {string} The rarity
      */
     getRandomBossRarity() {
-        const rand = Math.random();
+        const rand = this.getRarityRoll();
         
         if (rand < 0.05) return 'mythic';
         if (rand < 0.20) return 'legendary';
@@ -922,7 +1231,7 @@ export class EnemyManager {
      * @returns {string} The rarity
      */
     getRandomEnemyRarity() {
-        const rand = Math.random();
+        const rand = this.getRarityRoll();
         
         if (rand < 0.01) return 'mythic';
         if (rand < 0.05) return 'legendary';
@@ -1129,6 +1438,31 @@ export class EnemyManager {
         return closestEnemy;
     }
     
+    /**
+     * Get the closest living boss whose encounter has started
+     * @param {THREE.Vector3} position - Position to measure from
+     * @param {number} [maxDistance=Infinity] - Maximum distance
+     * @returns {Enemy|null} The boss, or null if no scripted boss is engaged
+     */
+    getEngagedBoss(position, maxDistance = Infinity) {
+        let closestBoss = null;
+        let closestDistance = maxDistance;
+        
+        this.enemies.forEach(enemy => {
+            if (!enemy.bossController || !enemy.bossController.isEngaged || enemy.isDead()) {
+                return;
+            }
+            
+            const distance = position.distanceTo(enemy.getPosition());
+            if (distance < closestDistance) {
+                closestBoss = enemy;
+                closestDistance = distance;
+            }
+        });
+        
+        return closestBoss;
+    }
+    
     removeAllEnemies() {
         // Remove all enemies
         this.enemies.forEach(enemy => {
@@ -1468,8 +1802,13 @@ export class EnemyManager {
                 // Check for item drops
                 this.handleEnemyDrop(enemy);
                 
-                // Increment kill counter for boss spawning (only for non-boss enemies)
-                if (!enemy.isBoss) {
+                // Feed kill timing to dynamic difficulty adjustment
+                if (this.game && this.game.difficultyDirector) {
+                    this.game.difficultyDirector.recordEnemyKill(enemy);
+                }
+                
+                // Increment kill counter for boss spawning (only for non-boss enemies that weren't summoned)
+                if (!enemy.isBoss && !enemy.isSummon) {
                     this.enemyKillCount++;
                 }
             }
@@ -0,0 +1,246 @@
+import { SpatialGrid } from '../../world/utils/SpatialGrid.js';
+import { NavigationGrid } from '../../world/navigation/NavigationGrid.js';
+import { FlowField } from '../../world/navigation/FlowField.js';
+import { NAVIGATION_SETTINGS } from '../../config/navigation.js';
+
+/**
+ * Steers enemies around structures and each other
+ * Enemies chasing the same player share one flow field on the navigation grid, so
+ * the cost of pathfinding doesn't grow with the number of enemies. Local avoidance
+ * pushes enemies aside from their neighbors. With large crowds (wave mode) fields are
+ * rebuilt less often and avoidance is limited to enemies near their target.
+ */
+export class EnemyNavigationManager {
+    /**
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     * @param {Object} [settings=NAVIGATION_SETTINGS] - Navigation settings
+     */
+    constructor(game, settings = NAVIGATION_SETTINGS) {
+        this.game = game;
+        this.settings = settings;
+
+        this.grid = null;
+        this.time = 0;
+
+        // Flow fields keyed by the position object of their target player
+        this.flowFields = new Map();
+
+        // Enemies bucketed by position for avoidance, rebuilt every update
+        this.agentGrid = new SpatialGrid(settings.avoidance.gridCellSize);
+
+        this.enemyCount = 0;
+        this.isCrowded = false;
+
+        this.steering = { x: 0, z: 0 };
+        this.move = { x: 0, z: 0 };
+        this.fieldDirection = { x: 0, z: 0 };
+    }
+
+    /**
+     * Get the navigation grid, created once the world exists
+     * @returns {NavigationGrid|null} The navigation grid
+     */
+    getGrid() {
+        if (!this.grid && this.game && this.game.world) {
+            this.grid = new NavigationGrid(this.game.world, this.settings);
+            this.grid.syncObstacles();
+        }
+        return this.grid;
+    }
+
+    /**
+     * Update obstacles, drop unused flow fields and bucket enemies for avoidance
+     * @param {number} delta - Time since last update in seconds
+     * @param {Map<string, import("./Enemy.js").Enemy>} enemies - Active enemies
+     */
+    update(delta, enemies) {
+        this.time += delta;
+
+        const grid = this.getGrid();
+        if (grid) {
+            grid.update(delta);
+        }
+
+        for (const [target, entry] of this.flowFields) {
+            if (this.time - entry.lastUsed > this.settings.flowFieldTimeout) {
+                this.flowFields.delete(target);
+            }
+        }
+
+        this.enemyCount = enemies.size;
+        this.isCrowded = this.enemyCount > this.settings.crowd.enemyCount;
+
+        this.agentGrid.clear();
+        if (this.isAvoidanceDisabled()) return;
+
+        enemies.forEach(enemy => {
+            if (enemy.isDead()) return;
+            if (!enemy.navigationAgent) {
+                enemy.navigationAgent = { enemy, position: enemy.position };
+            }
+            this.agentGrid.addObject(enemy.navigationAgent);
+        });
+    }
+
+    /**
+     * Check if avoidance is skipped entirely to save time
+     * @returns {boolean} True in critical performance mode
+     */
+    isAvoidanceDisabled() {
+        const world = this.game && this.game.world;
+        return !!(world && world.criticalPerformanceMode);
+    }
+
+    /**
+     * Get the direction an enemy should move in to reach its target
+     * @param {import("./Enemy.js").Enemy} enemy - The enemy
+     * @param {THREE.Vector3} targetPosition - Position of the target
+     * @param {boolean} [useFlowField=true] - Follow a flow field, only for player targets shared by many enemies
+     * @returns {{x: number, z: number}} Normalized direction (shared, copy it to keep it)
+     */
+    getSteeringDirection(enemy, targetPosition, useFlowField = true) {
+        const steering = this.steering;
+        const dx = targetPosition.x - enemy.position.x;
+        const dz = targetPosition.z - enemy.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz) || 1;
+        steering.x = dx / distance;
+        steering.z = dz / distance;
+
+        // Follow the flow field unless the target is close enough to walk straight at it
+        const grid = this.getGrid();
+        if (useFlowField && grid && distance > this.settings.directApproachCells * grid.cellSize) {
+            const field = this.getFlowField(targetPosition);
+            if (field && field.getDirection(enemy.position.x, enemy.position.z, this.fieldDirection)) {
+                steering.x = this.fieldDirection.x;
+                steering.z = this.fieldDirection.z;
+            }
+        }
+
+        if (this.shouldAvoid(distance)) {
+            this.addAvoidance(enemy, steering);
+        }
+
+        const length = Math.sqrt(steering.x * steering.x + steering.z * steering.z);
+        if (length > 0) {
+            steering.x /= length;
+            steering.z /= length;
+        }
+        return steering;
+    }
+
+    /**
+     * Get the flow field toward a target, rebuilding it when the target moved to another cell
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     * @returns {FlowField|null} The flow field, or null if no more fields may be created
+     */
+    getFlowField(targetPosition) {
+        let entry = this.flowFields.get(targetPosition);
+        if (!entry) {
+            if (this.flowFields.size >= this.settings.maxFlowFields) return null;
+            entry = {
+                field: new FlowField(this.grid, this.settings.flowFieldRadius),
+                lastBuilt: -Infinity,
+                lastUsed: this.time
+            };
+            this.flowFields.set(targetPosition, entry);
+        }
+
+        entry.lastUsed = this.time;
+
+        const interval = this.isCrowded ? this.settings.crowd.flowFieldUpdateInterval : this.settings.flowFieldUpdateInterval;
+        const isStale = !entry.field.isCurrentFor(targetPosition.x, targetPosition.z);
+        if (!entry.field.isBuilt || (isStale && this.time - entry.lastBuilt >= interval)) {
+            entry.field.build(targetPosition.x, targetPosition.z);
+            entry.lastBuilt = this.time;
+        }
+
+        return entry.field;
+    }
+
+    /**
+     * Check if an enemy uses local avoidance
+     * @param {number} distanceToTarget - Distance of the enemy to its target
+     * @returns {boolean} True if avoidance applies
+     */
+    shouldAvoid(distanceToTarget) {
+        if (this.isAvoidanceDisabled()) return false;
+
+        const crowd = this.settings.crowd;
+        return this.enemyCount <= crowd.avoidanceEnemyCount || distanceToTarget <= crowd.avoidanceRange;
+    }
+
+    /**
+     * Add the push away from nearby enemies to a direction
+     * @param {import("./Enemy.js").Enemy} enemy - The enemy
+     * @param {{x: number, z: number}} steering - Direction to add the push to
+     */
+    addAvoidance(enemy, steering) {
+        const avoidance = this.settings.avoidance;
+        const maxNeighbors = this.isCrowded ? this.settings.crowd.maxNeighbors : avoidance.maxNeighbors;
+        const neighbors = this.agentGrid.getObjectsNear(enemy.position, avoidance.radius);
+
+        let pushX = 0;
+        let pushZ = 0;
+        let count = 0;
+
+        for (const agent of neighbors) {
+            if (agent.enemy === enemy) continue;
+
+            const dx = enemy.position.x - agent.position.x;
+            const dz = enemy.position.z - agent.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance === 0) continue;
+
+            // Closer neighbors push harder
+            const weight = (avoidance.radius - distance) / avoidance.radius;
+            pushX += (dx / distance) * weight;
+            pushZ += (dz / distance) * weight;
+
+            if (++count >= maxNeighbors) break;
+        }
+
+        steering.x += pushX * avoidance.strength;
+        steering.z += pushZ * avoidance.strength;
+    }
+
+    /**
+     * Limit a move so it doesn't enter a structure, sliding along walls instead
+     * @param {import("./Enemy.js").Enemy} enemy - The moving enemy
+     * @param {number} newX - Wanted world x
+     * @param {number} newZ - Wanted world z
+     * @returns {{x: number, z: number}} Allowed position (shared, copy it to keep it)
+     */
+    resolveMove(enemy, newX, newZ) {
+        const move = this.move;
+        move.x = newX;
+        move.z = newZ;
+
+        const grid = this.getGrid();
+        // Enemies already inside a footprint (spawned there) may walk out freely
+        if (!grid || !grid.isBlockedAt(newX, newZ) || grid.isBlockedAt(enemy.position.x, enemy.position.z)) {
+            return move;
+        }
+
+        if (!grid.isBlockedAt(newX, enemy.position.z)) {
+            move.z = enemy.position.z;
+        } else if (!grid.isBlockedAt(enemy.position.x, newZ)) {
+            move.x = enemy.position.x;
+        } else {
+            move.x = enemy.position.x;
+            move.z = enemy.position.z;
+        }
+        return move;
+    }
+
+    /**
+     * Drop flow fields, avoidance buckets and footprints
+     */
+    clear() {
+        this.flowFields.clear();
+        this.agentGrid.clear();
+        if (this.grid) {
+            this.grid.clear();
+            this.grid = null;
+        }
+    }
+}
@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+import { ENEMY_PROJECTILE_SETTINGS } from '../../config/enemy.js';
+
+/**
+ * @typedef {Object} EnemyProjectileOptions
+ * @property {import("./Enemy.js").Enemy} source - The enemy firing the projectile
+ * @property {THREE.Vector3} position - Launch position
+ * @property {THREE.Vector3} target - Position the projectile is aimed at
+ * @property {number} damage - Damage dealt on hit
+ * @property {number} maxDistance - Distance after which the projectile fades
+ * @property {Object} config - Entry of ENEMY_PROJECTILES
+ */
+
+/**
+ * Manages projectiles fired by ranged enemies (arrows, bolts, orbs)
+ * Projectiles fly in a straight line toward where the target was when they were
+ * fired, so players can dodge them. Meshes are pooled per kind because ranged
+ * enemies fire several projectiles per second.
+ */
+export class EnemyProjectileManager {
+    /**
+     * Create a new projectile manager
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     * @param {Object} [settings=ENEMY_PROJECTILE_SETTINGS] - Projectile settings
+     */
+    constructor(scene, game, settings = ENEMY_PROJECTILE_SETTINGS) {
+        this.scene = scene;
+        this.game = game;
+        this.settings = settings;
+
+        /** @type {Array<Object>} */
+        this.projectiles = [];
+
+        // Unused meshes by kind
+        this.pools = new Map();
+
+        // Geometries are shared by kind, materials by kind and color
+        this.geometries = new Map();
+        this.materials = new Map();
+
+        this.segmentStart = new THREE.Vector3();
+        this.lookTarget = new THREE.Vector3();
+    }
+
+    /**
+     * Get the shared geometry of a projectile kind
+     * Geometries point along +Z so the mesh can be turned with lookAt.
+     * @param {string} kind - 'arrow', 'bolt' or 'orb'
+     * @returns {THREE.BufferGeometry} The geometry
+     */
+    getGeometry(kind) {
+        if (!this.geometries.has(kind)) {
+            let geometry;
+            switch (kind) {
+                case 'arrow':
+                    geometry = new THREE.CylinderGeometry(0.03, 0.03, 0.9, 6);
+                    geometry.rotateX(Math.PI / 2);
+                    break;
+                case 'bolt':
+                    geometry = new THREE.ConeGeometry(0.15, 0.8, 8);
+                    geometry.rotateX(-Math.PI / 2);
+                    break;
+                default:
+                    geometry = new THREE.SphereGeometry(0.3, 12, 12);
+            }
+            this.geometries.set(kind, geometry);
+        }
+        return this.geometries.get(kind);
+    }
+
+    /**
+     * Get the shared material of a projectile kind and color
+     * @param {string} kind - Projectile kind
+     * @param {number} color - Projectile color
+     * @returns {THREE.Material} The material
+     */
+    getMaterial(kind, color) {
+        const key = `${kind}:${color}`;
+        if (!this.materials.has(key)) {
+            this.materials.set(key, new THREE.MeshBasicMaterial({
+                color,
+                transparent: kind !== 'arrow',
+                opacity: kind === 'arrow' ? 1 : 0.85
+            }));
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Take a mesh from the pool or create one
+     * @param {string} kind - Projectile kind
+     * @param {number} color - Projectile color
+     * @returns {THREE.Mesh} The visible mesh
+     */
+    acquireMesh(kind, color) {
+        const pool = this.pools.get(kind);
+        let mesh = pool && pool.pop();
+
+        if (!mesh) {
+            mesh = new THREE.Mesh(this.getGeometry(kind));
+            this.scene.add(mesh);
+        }
+
+        mesh.material = this.getMaterial(kind, color);
+        mesh.scale.set(1, 1, 1);
+        mesh.visible = true;
+        return mesh;
+    }
+
+    /**
+     * Hide a mesh and return it to the pool
+     * @param {string} kind - Projectile kind
+     * @param {THREE.Mesh} mesh - The mesh
+     */
+    releaseMesh(kind, mesh) {
+        mesh.visible = false;
+        if (!this.pools.has(kind)) {
+            this.pools.set(kind, []);
+        }
+        this.pools.get(kind).push(mesh);
+    }
+
+    /**
+     * Fire a projectile
+     * @param {EnemyProjectileOptions} options - Projectile options
+     * @returns {Object} The projectile
+     */
+    spawn(options) {
+        const { config } = options;
+        const direction = options.target.clone().sub(options.position);
+        if (direction.lengthSq() === 0) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize();
+
+        const projectile = {
+            kind: config.kind,
+            source: options.source,
+            position: options.position.clone(),
+            velocity: direction.multiplyScalar(config.speed),
+            radius: config.radius,
+            damage: options.damage,
+            statusEffect: config.statusEffect || null,
+            lifetime: options.maxDistance / config.speed,
+            age: 0,
+            mesh: this.acquireMesh(config.kind, config.color)
+        };
+
+        this.updateMesh(projectile);
+
+        if (this.projectiles.length >= this.settings.maxActive) {
+            this.removeProjectile(0);
+        }
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Move projectiles and check their hits
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (this.projectiles.length === 0) return;
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.age += delta;
+
+            // Test the whole path of this frame, fast projectiles would pass through players otherwise
+            this.segmentStart.copy(projectile.position);
+            projectile.position.addScaledVector(projectile.velocity, delta);
+
+            if (this.checkHits(projectile) || projectile.age >= projectile.lifetime || this.isBelowTerrain(projectile)) {
+                this.removeProjectile(i);
+                continue;
+            }
+
+            this.updateMesh(projectile);
+        }
+    }
+
+    /**
+     * Move and turn the mesh of a projectile
+     * @param {Object} projectile - The projectile
+     */
+    updateMesh(projectile) {
+        const mesh = projectile.mesh;
+        mesh.position.copy(projectile.position);
+        this.lookTarget.copy(projectile.position).add(projectile.velocity);
+        mesh.lookAt(this.lookTarget);
+
+        if (projectile.kind === 'orb') {
+            const pulse = 1 + Math.sin(projectile.age * 12) * 0.15;
+            mesh.scale.set(pulse, pulse, pulse);
+        }
+    }
+
+    /**
+     * Check if a projectile hit the local player or, on the host, a remote player
+     * @param {Object} projectile - The projectile
+     * @returns {boolean} True if the projectile hit a player
+     */
+    checkHits(projectile) {
+        const player = this.game && this.game.player;
+        if (player && player.getHealth() > 0 && this.isHit(projectile, player.getPosition())) {
+            this.hitLocalPlayer(projectile, player);
+            return true;
+        }
+
+        // Remote players are damaged by the host, like enemy melee attacks
+        const multiplayerManager = this.game && this.game.multiplayerManager;
+        if (!multiplayerManager || !multiplayerManager.isHost || !multiplayerManager.remotePlayerManager) {
+            return false;
+        }
+
+        for (const [peerId, remotePlayer] of multiplayerManager.remotePlayerManager.getPlayers()) {
+            if (remotePlayer && remotePlayer.group && this.isHit(projectile, remotePlayer.group.position)) {
+                this.hitRemotePlayer(projectile, peerId);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if the path of a projectile in this frame passes a player
+     * Only the horizontal distance is tested, projectiles are aimed at player height.
+     * @param {Object} projectile - The projectile
+     * @param {THREE.Vector3} playerPosition - Position of the player
+     * @returns {boolean} True if the projectile hit
+     */
+    isHit(projectile, playerPosition) {
+        const startX = this.segmentStart.x;
+        const startZ = this.segmentStart.z;
+        const segmentX = projectile.position.x - startX;
+        const segmentZ = projectile.position.z - startZ;
+        const lengthSq = segmentX * segmentX + segmentZ * segmentZ;
+
+        // Closest point of the path to the player
+        let t = 0;
+        if (lengthSq > 0) {
+            t = ((playerPosition.x - startX) * segmentX + (playerPosition.z - startZ) * segmentZ) / lengthSq;
+            t = Math.max(0, Math.min(1, t));
+        }
+
+        const dx = playerPosition.x - (startX + segmentX * t);
+        const dz = playerPosition.z - (startZ + segmentZ * t);
+        const hitRadius = projectile.radius + this.settings.playerHitRadius;
+        return dx * dx + dz * dz <= hitRadius * hitRadius;
+    }
+
+    /**
+     * Damage the local player and apply the status effect of the projectile
+     * @param {Object} projectile - The projectile
+     * @param {import("../player/Player.js").Player} player - The local player
+     */
+    hitLocalPlayer(projectile, player) {
+        const damageDealt = player.takeDamage(projectile.damage);
+
+        if (projectile.statusEffect && damageDealt !== 0) {
+            const { type, duration, intensity } = projectile.statusEffect;
+            player.statusEffects.applyEffect(type, duration, intensity);
+        }
+
+        this.notifySource(projectile, player, damageDealt !== undefined ? damageDealt : projectile.damage);
+    }
+
+    /**
+     * Send the damage and status effect of a projectile to the member it hit
+     * @param {Object} projectile - The projectile
+     * @param {string} peerId - ID of the member
+     */
+    hitRemotePlayer(projectile, peerId) {
+        const multiplayerManager = this.game.multiplayerManager;
+        multiplayerManager.connection.sendToPeer(peerId, {
+            type: 'playerDamage',
+            amount: projectile.damage,
+            enemyId: projectile.source ? projectile.source.id : null,
+            effect: projectile.statusEffect
+        });
+
+        const remotePlayer = multiplayerManager.remotePlayerManager.getPlayer(peerId);
+        this.notifySource(projectile, remotePlayer, projectile.damage);
+    }
+
+    /**
+     * Let the affixes of the firing enemy react to the hit (e.g. vampiric healing)
+     * @param {Object} projectile - The projectile
+     * @param {Object} target - The player hit
+     * @param {number} damage - Damage dealt
+     */
+    notifySource(projectile, target, damage) {
+        const source = projectile.source;
+        if (source && source.isActive && !source.isDead()) {
+            source.onAttackHit(target, damage);
+        }
+    }
+
+    /**
+     * Check if a projectile flew into the ground
+     * @param {Object} projectile - The projectile
+     * @returns {boolean} True if the projectile is below the terrain
+     */
+    isBelowTerrain(projectile) {
+        if (!this.game || !this.game.world) return false;
+
+        const terrainHeight = this.game.world.getTerrainHeight(projectile.position.x, projectile.position.z);
+        return terrainHeight !== null && terrainHeight !== undefined && projectile.position.y < terrainHeight;
+    }
+
+    /**
+     * Remove a projectile and return its mesh to the pool
+     * @param {number} index - Index in the projectile list
+     */
+    removeProjectile(index) {
+        const [projectile] = this.projectiles.splice(index, 1);
+        this.releaseMesh(projectile.kind, projectile.mesh);
+        projectile.mesh = null;
+    }
+
+    /**
+     * Remove all projectiles
+     */
+    clear() {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            this.removeProjectile(i);
+        }
+    }
+
+    /**
+     * Remove all projectiles and free the pooled meshes and shared resources
+     */
+    dispose() {
+        this.clear();
+
+        this.pools.forEach(pool => pool.forEach(mesh => this.scene.remove(mesh)));
+        this.pools.clear();
+        this.geometries.forEach(geometry => geometry.dispose());
+        this.geometries.clear();
+        this.materials.forEach(material => material.dispose());
+        this.materials.clear();
+    }
+}
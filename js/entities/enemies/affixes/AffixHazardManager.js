@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {Object} HazardZoneOptions
+ * @property {THREE.Vector3} position - Center of the zone
+ * @property {number} radius - Zone radius
+ * @property {number} duration - Lifetime in seconds
+ * @property {number} damagePerSecond - Damage dealt per second to a player inside the zone
+ * @property {number} color - Zone color
+ * @property {{type: string, intensity: number}} [statusEffect] - Status effect applied while inside the zone
+ */
+
+/**
+ * @typedef {Object} HazardBlastOptions
+ * @property {THREE.Vector3} position - Center of the blast
+ * @property {number} radius - Blast radius
+ * @property {number} delay - Telegraph time before the blast deals damage (seconds)
+ * @property {number} damage - Damage dealt to a player inside the radius
+ * @property {number} color - Blast color
+ */
+
+/**
+ * Manages ground hazards left behind by enemy affixes (poison clouds, fire trails,
+ * ice patches, telegraphed blasts). Hazards are owned here rather than by the enemy
+ * so they keep working after the enemy that created them has died.
+ */
+export class AffixHazardManager {
+    /**
+     * Create a new hazard manager
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {import("../../../game/Game.js").Game} game - The main game instance
+     */
+    constructor(scene, game) {
+        this.scene = scene;
+        this.game = game;
+
+        /** @type {Array<Object>} */
+        this.hazards = [];
+
+        // Cap on simultaneous hazards - the oldest is removed when exceeded
+        this.maxHazards = 60;
+
+        // Damage zones deal damage in ticks rather than every frame
+        this.tickInterval = 0.5;
+
+        // How long a detonated blast stays visible (seconds)
+        this.blastFlashDuration = 0.3;
+    }
+
+    /**
+     * Create a lingering damage zone
+     * @param {HazardZoneOptions} options - Zone options
+     * @returns {Object} The created hazard
+     */
+    createZone(options) {
+        const geometry = new THREE.CircleGeometry(options.radius, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color: options.color,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        const hazard = {
+            kind: 'zone',
+            position: options.position.clone(),
+            radius: options.radius,
+            duration: options.duration,
+            elapsed: 0,
+            tickTimer: 0,
+            damagePerSecond: options.damagePerSecond,
+            statusEffect: options.statusEffect || null,
+            mesh: this.createGroundMesh(geometry, material, options.position)
+        };
+
+        return this.addHazard(hazard);
+    }
+
+    /**
+     * Create a telegraphed blast that deals damage once after a delay
+     * @param {HazardBlastOptions} options - Blast options
+     * @returns {Object} The created hazard
+     */
+    createBlast(options) {
+        const geometry = new THREE.RingGeometry(options.radius * 0.9, options.radius, 32);
+        const material = new THREE.MeshBasicMaterial({
+            color: options.color,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        // Inner disc grows until the blast goes off so players can see when to move
+        const fillGeometry = new THREE.CircleGeometry(options.radius, 32);
+        const fillMaterial = material.clone();
+        fillMaterial.opacity = 0.25;
+
+        const mesh = this.createGroundMesh(geometry, material, options.position);
+        const fill = new THREE.Mesh(fillGeometry, fillMaterial);
+        fill.scale.set(0.01, 0.01, 0.01);
+        mesh.add(fill);
+
+        const hazard = {
+            kind: 'blast',
+            position: options.position.clone(),
+            radius: options.radius,
+            delay: options.delay,
+            damage: options.damage,
+            elapsed: 0,
+            detonated: false,
+            duration: options.delay + this.blastFlashDuration,
+            mesh,
+            fill
+        };
+
+        return this.addHazard(hazard);
+    }
+
+    /**
+     * Create a flat mesh lying on the terrain
+     * @param {THREE.BufferGeometry} geometry - Hazard geometry
+     * @param {THREE.Material} material - Hazard material
+     * @param {THREE.Vector3} position - Hazard position
+     * @returns {THREE.Mesh} The created mesh
+     */
+    createGroundMesh(geometry, material, position) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = -Math.PI / 2;
+
+        let groundY = position.y;
+        if (this.game && this.game.world) {
+            try {
+                const terrainHeight = this.game.world.getTerrainHeight(position.x, position.z);
+                if (terrainHeight !== null && terrainHeight !== undefined && isFinite(terrainHeight)) {
+                    groundY = terrainHeight;
+                }
+            } catch (error) {
+                console.debug(`Error getting terrain height for hazard: ${error.message}`);
+            }
+        }
+
+        mesh.position.set(position.x, groundY + 0.05, position.z);
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Track a hazard, evicting the oldest one when over the cap
+     * @param {Object} hazard - The hazard to add
+     * @returns {Object} The added hazard
+     */
+    addHazard(hazard) {
+        if (this.hazards.length >= this.maxHazards) {
+            this.disposeHazard(this.hazards.shift());
+        }
+
+        this.hazards.push(hazard);
+        return hazard;
+    }
+
+    /**
+     * Update all hazards
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (this.hazards.length === 0) return;
+
+        for (let i = this.hazards.length - 1; i >= 0; i--) {
+            const hazard = this.hazards[i];
+            hazard.elapsed += delta;
+
+            if (hazard.kind === 'zone') {
+                this.updateZone(hazard, delta);
+            } else {
+                this.updateBlast(hazard);
+            }
+
+            if (hazard.elapsed >= hazard.duration) {
+                this.disposeHazard(hazard);
+                this.hazards.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Apply zone damage ticks and fade the zone out near the end of its lifetime
+     * @param {Object} hazard - Zone hazard
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateZone(hazard, delta) {
+        hazard.tickTimer += delta;
+
+        if (hazard.tickTimer >= this.tickInterval) {
+            hazard.tickTimer -= this.tickInterval;
+
+            if (this.isPlayerInside(hazard)) {
+                const player = this.game.player;
+
+                if (hazard.damagePerSecond > 0) {
+                    player.takeDamage(hazard.damagePerSecond * this.tickInterval);
+                }
+
+                if (hazard.statusEffect) {
+                    // Short duration so the effect wears off soon after leaving the zone
+                    player.applyEffect(hazard.statusEffect.type, this.tickInterval * 2, hazard.statusEffect.intensity);
+                }
+            }
+        }
+
+        const remaining = hazard.duration - hazard.elapsed;
+        if (remaining < 0.5) {
+            hazard.mesh.material.opacity = 0.35 * Math.max(0, remaining / 0.5);
+        }
+    }
+
+    /**
+     * Grow the blast telegraph and deal damage once it detonates
+     * @param {Object} hazard - Blast hazard
+     */
+    updateBlast(hazard) {
+        if (!hazard.detonated) {
+            const progress = Math.min(hazard.elapsed / hazard.delay, 1);
+            hazard.fill.scale.set(progress, progress, progress);
+
+            if (hazard.elapsed >= hazard.delay) {
+                hazard.detonated = true;
+                hazard.fill.material.opacity = 0.8;
+
+                if (this.isPlayerInside(hazard)) {
+                    this.game.player.takeDamage(hazard.damage);
+                }
+            }
+        } else {
+            const flashProgress = (hazard.elapsed - hazard.delay) / this.blastFlashDuration;
+            hazard.fill.material.opacity = 0.8 * Math.max(0, 1 - flashProgress);
+        }
+    }
+
+    /**
+     * Check whether the local player is inside a hazard
+     * @param {Object} hazard - The hazard to test
+     * @returns {boolean} True if the living local player is within the hazard radius
+     */
+    isPlayerInside(hazard) {
+        const player = this.game && this.game.player;
+        if (!player || player.getHealth() <= 0) {
+            return false;
+        }
+
+        const playerPosition = player.getPosition();
+        const dx = playerPosition.x - hazard.position.x;
+        const dz = playerPosition.z - hazard.position.z;
+        return dx * dx + dz * dz <= hazard.radius * hazard.radius;
+    }
+
+    /**
+     * Remove a hazard's meshes from the scene and free their resources
+     * @param {Object} hazard - The hazard to dispose
+     */
+    disposeHazard(hazard) {
+        if (!hazard || !hazard.mesh) return;
+
+        hazard.mesh.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                object.material.dispose();
+            }
+        });
+
+        this.scene.remove(hazard.mesh);
+        hazard.mesh = null;
+    }
+
+    /**
+     * Remove all hazards
+     */
+    clear() {
+        for (const hazard of this.hazards) {
+            this.disposeHazard(hazard);
+        }
+        this.hazards.length = 0;
+    }
+}
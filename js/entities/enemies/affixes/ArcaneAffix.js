@@ -0,0 +1,32 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Arcane affix - calls down telegraphed arcane beams on the target
+ */
+export class ArcaneAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.castTimer = this.effect.interval;
+    }
+
+    onUpdate(delta) {
+        this.castTimer -= delta;
+        if (this.castTimer > 0) return;
+
+        // Wait until a target is close enough before using the cooldown
+        if (!this.enemy.state.isAggressive || this.getDistanceToTarget() > this.effect.range) return;
+
+        this.castTimer = this.effect.interval;
+
+        const hazards = this.getHazardManager();
+        if (!hazards) return;
+
+        hazards.createBlast({
+            position: this.enemy.targetPlayer.getPosition(),
+            radius: this.effect.radius,
+            delay: this.effect.delay,
+            damage: this.enemy.damage * this.effect.damage,
+            color: this.config.auraColor
+        });
+    }
+}
@@ -0,0 +1,34 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Berserker affix - enrages at low health, gaining damage and movement speed
+ */
+export class BerserkerAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.enraged = false;
+    }
+
+    onUpdate(delta) {
+        const enemy = this.enemy;
+        const belowThreshold = enemy.health <= enemy.maxHealth * this.effect.healthThreshold;
+
+        if (belowThreshold && !this.enraged) {
+            this.enraged = true;
+            enemy.damage *= 1 + this.effect.damageBonus;
+            enemy.speed *= 1 + this.effect.speedBonus;
+            if (this.aura) {
+                this.aura.scale.setScalar(1.4);
+            }
+            console.debug(`${enemy.name} is enraged`);
+        } else if (!belowThreshold && this.enraged) {
+            // Regeneration or lifesteal can bring the enemy back above the threshold
+            this.enraged = false;
+            enemy.damage /= 1 + this.effect.damageBonus;
+            enemy.speed /= 1 + this.effect.speedBonus;
+            if (this.aura) {
+                this.aura.scale.setScalar(1);
+            }
+        }
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Base class for enemy affixes
+ * An affix is attached to a single enemy and reacts to its lifecycle through hooks.
+ * Subclasses override only the hooks they need; the base class applies the stat
+ * multipliers from the affix config and shows an aura in the affix color.
+ */
+export class EnemyAffix {
+    /**
+     * Create a new affix
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy this affix belongs to
+     * @param {Object} config - Affix definition from DIFFICULTY_SCALING.affixes.affixList
+     */
+    constructor(enemy, config) {
+        this.enemy = enemy;
+        this.config = config;
+        this.id = config.id;
+        this.name = config.name;
+
+        // Tuning values for the affix behaviour
+        this.effect = config.effect || {};
+
+        // Aura visual created on spawn
+        this.aura = null;
+    }
+
+    /**
+     * Called once when the affix is added to the enemy
+     */
+    onSpawn() {
+        const enemy = this.enemy;
+
+        // Apply stat multipliers
+        if (this.config.healthMultiplier) {
+            enemy.maxHealth = Math.round(enemy.maxHealth * this.config.healthMultiplier);
+            enemy.health = enemy.maxHealth;
+        }
+
+        if (this.config.damageMultiplier) {
+            enemy.damage = Math.round(enemy.damage * this.config.damageMultiplier);
+        }
+
+        // Show the affix aura
+        if (this.config.auraColor !== undefined) {
+            this.aura = enemy.addVisualEffect({
+                type: 'aura',
+                color: this.config.auraColor
+            });
+        }
+    }
+
+    /**
+     * Called every frame while the enemy is alive
+     * @param {number} delta - Time since last update in seconds
+     */
+    onUpdate(delta) {
+        // To be implemented by child classes
+    }
+
+    /**
+     * Called after the enemy lands an attack
+     * @param {Object} target - The player (or remote player wrapper) that was hit
+     * @param {number} damage - Damage dealt to the target
+     */
+    onHit(target, damage) {
+        // To be implemented by child classes
+    }
+
+    /**
+     * Called before the enemy takes damage, allowing the affix to change the amount
+     * @param {number} amount - Incoming damage before defense
+     * @returns {number} The damage amount to apply
+     */
+    onDamaged(amount) {
+        return amount;
+    }
+
+    /**
+     * Called when the enemy dies
+     */
+    onDeath() {
+        // To be implemented by child classes
+    }
+
+    /**
+     * Release anything the affix created outside of the enemy model
+     */
+    dispose() {
+        this.aura = null;
+    }
+
+    /**
+     * Get the shared hazard manager used for ground effects
+     * @returns {import("./AffixHazardManager.js").AffixHazardManager|null} The hazard manager, if available
+     */
+    getHazardManager() {
+        const game = this.enemy.player && this.enemy.player.game;
+        return (game && game.enemyManager && game.enemyManager.hazardManager) || null;
+    }
+
+    /**
+     * Get the horizontal distance from the enemy to its current target
+     * @returns {number} Distance to the target, or Infinity if there is no target
+     */
+    getDistanceToTarget() {
+        const target = this.enemy.targetPlayer;
+        if (!target) {
+            return Infinity;
+        }
+
+        const targetPosition = target.getPosition();
+        const dx = targetPosition.x - this.enemy.position.x;
+        const dz = targetPosition.z - this.enemy.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+}
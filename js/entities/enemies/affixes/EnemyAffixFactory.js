@@ -0,0 +1,44 @@
+import { EnemyAffix } from './EnemyAffix.js';
+import { FrozenAffix } from './FrozenAffix.js';
+import { MoltenAffix } from './MoltenAffix.js';
+import { TeleporterAffix } from './TeleporterAffix.js';
+import { ShieldedAffix } from './ShieldedAffix.js';
+import { VampiricAffix } from './VampiricAffix.js';
+import { BerserkerAffix } from './BerserkerAffix.js';
+import { ArcaneAffix } from './ArcaneAffix.js';
+import { PoisonAffix } from './PoisonAffix.js';
+
+/**
+ * Factory class for creating enemy affix runtimes
+ */
+export class EnemyAffixFactory {
+    /**
+     * Create the runtime for an affix
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy the affix is attached to
+     * @param {Object} config - Affix definition from DIFFICULTY_SCALING.affixes.affixList
+     * @returns {EnemyAffix} The created affix instance
+     */
+    static createAffix(enemy, config) {
+        switch (config.id) {
+            case 'frozen':
+                return new FrozenAffix(enemy, config);
+            case 'molten':
+                return new MoltenAffix(enemy, config);
+            case 'teleporter':
+                return new TeleporterAffix(enemy, config);
+            case 'shielded':
+                return new ShieldedAffix(enemy, config);
+            case 'vampiric':
+                return new VampiricAffix(enemy, config);
+            case 'berserker':
+                return new BerserkerAffix(enemy, config);
+            case 'arcane':
+                return new ArcaneAffix(enemy, config);
+            case 'poison':
+                return new PoisonAffix(enemy, config);
+            default:
+                // Unknown affixes still get their stat multipliers and aura
+                return new EnemyAffix(enemy, config);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Frozen affix - creates ice patches under the target that slow and damage
+ */
+export class FrozenAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.castTimer = this.effect.interval;
+    }
+
+    onUpdate(delta) {
+        this.castTimer -= delta;
+        if (this.castTimer > 0) return;
+
+        // Wait until a target is close enough before using the cooldown
+        if (!this.enemy.state.isAggressive || this.getDistanceToTarget() > this.effect.range) return;
+
+        this.castTimer = this.effect.interval;
+
+        const hazards = this.getHazardManager();
+        if (!hazards) return;
+
+        hazards.createZone({
+            position: this.enemy.targetPlayer.getPosition(),
+            radius: this.effect.radius,
+            duration: this.effect.duration,
+            damagePerSecond: this.enemy.damage * this.effect.damagePerSecond,
+            color: this.config.auraColor,
+            statusEffect: { type: 'slow', intensity: this.effect.slowIntensity }
+        });
+    }
+}
@@ -0,0 +1,44 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Molten affix - leaves fire trails while moving and explodes on death
+ */
+export class MoltenAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.trailTimer = 0;
+    }
+
+    onUpdate(delta) {
+        if (!this.enemy.state.isMoving) return;
+
+        this.trailTimer -= delta;
+        if (this.trailTimer <= 0) {
+            this.trailTimer = this.effect.trailInterval;
+
+            const hazards = this.getHazardManager();
+            if (!hazards) return;
+
+            hazards.createZone({
+                position: this.enemy.position,
+                radius: this.effect.trailRadius,
+                duration: this.effect.trailDuration,
+                damagePerSecond: this.enemy.damage * this.effect.trailDamagePerSecond,
+                color: this.config.auraColor
+            });
+        }
+    }
+
+    onDeath() {
+        const hazards = this.getHazardManager();
+        if (!hazards) return;
+
+        hazards.createBlast({
+            position: this.enemy.position,
+            radius: this.effect.explosionRadius,
+            delay: this.effect.explosionDelay,
+            damage: this.enemy.damage * this.effect.explosionDamage,
+            color: this.config.auraColor
+        });
+    }
+}
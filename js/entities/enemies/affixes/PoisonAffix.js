@@ -0,0 +1,43 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Poison affix - leaves poison clouds that deal damage over time
+ */
+export class PoisonAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.cloudTimer = this.effect.interval;
+    }
+
+    onUpdate(delta) {
+        // Only drop clouds while the enemy is engaged with a player
+        if (!this.enemy.state.isAggressive) return;
+
+        this.cloudTimer -= delta;
+        if (this.cloudTimer <= 0) {
+            this.cloudTimer = this.effect.interval;
+            this.createCloud(this.effect.radius);
+        }
+    }
+
+    onDeath() {
+        this.createCloud(this.effect.deathCloudRadius);
+    }
+
+    /**
+     * Leave a poison cloud at the enemy's position
+     * @param {number} radius - Cloud radius
+     */
+    createCloud(radius) {
+        const hazards = this.getHazardManager();
+        if (!hazards) return;
+
+        hazards.createZone({
+            position: this.enemy.position,
+            radius,
+            duration: this.effect.duration,
+            damagePerSecond: this.enemy.damage * this.effect.damagePerSecond,
+            color: this.config.auraColor
+        });
+    }
+}
@@ -0,0 +1,55 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Shielded affix - periodically becomes immune to damage
+ */
+export class ShieldedAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.shieldTimer = this.effect.interval;
+        this.shieldActive = false;
+        this.shield = null;
+    }
+
+    onSpawn() {
+        super.onSpawn();
+
+        // Shield bubble, shown only while the shield is up
+        this.shield = this.enemy.addVisualEffect({
+            type: 'shield',
+            color: this.config.auraColor
+        });
+        if (this.shield) {
+            this.shield.visible = false;
+        }
+    }
+
+    onUpdate(delta) {
+        this.shieldTimer -= delta;
+        if (this.shieldTimer > 0) return;
+
+        // Alternate between shielded and unshielded phases
+        this.shieldActive = !this.shieldActive;
+        this.shieldTimer = this.shieldActive ? this.effect.duration : this.effect.interval;
+
+        if (this.shield) {
+            this.shield.visible = this.shieldActive;
+        }
+    }
+
+    onDamaged(amount) {
+        return this.shieldActive ? 0 : amount;
+    }
+
+    onDeath() {
+        this.shieldActive = false;
+        if (this.shield) {
+            this.shield.visible = false;
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this.shield = null;
+    }
+}
@@ -0,0 +1,50 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Teleporter affix - may blink to a new position around the target when hit
+ */
+export class TeleporterAffix extends EnemyAffix {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.cooldown = 0;
+    }
+
+    onUpdate(delta) {
+        if (this.cooldown > 0) {
+            this.cooldown -= delta;
+        }
+    }
+
+    onDamaged(amount) {
+        if (this.cooldown <= 0 && this.enemy.targetPlayer && Math.random() < this.effect.chance) {
+            this.cooldown = this.effect.cooldown;
+            this.teleport();
+        }
+        return amount;
+    }
+
+    /**
+     * Move the enemy to a random point around its target
+     */
+    teleport() {
+        const enemy = this.enemy;
+        const targetPosition = enemy.targetPlayer.getPosition();
+        const angle = Math.random() * Math.PI * 2;
+        const distance = this.effect.minDistance + Math.random() * (this.effect.maxDistance - this.effect.minDistance);
+
+        const x = targetPosition.x + Math.cos(angle) * distance;
+        const z = targetPosition.z + Math.sin(angle) * distance;
+
+        // Calculate proper Y position based on terrain height
+        let y = enemy.position.y;
+        if (enemy.world && enemy.allowTerrainHeightUpdates) {
+            const terrainHeight = enemy.world.getTerrainHeight(x, z);
+            if (terrainHeight !== null) {
+                y = terrainHeight + enemy.heightOffset;
+            }
+        }
+
+        enemy.setPosition(x, y, z);
+        console.debug(`${enemy.name} teleported`);
+    }
+}
@@ -0,0 +1,14 @@
+import { EnemyAffix } from './EnemyAffix.js';
+
+/**
+ * Vampiric affix - heals the enemy for part of the damage it deals
+ */
+export class VampiricAffix extends EnemyAffix {
+    onHit(target, damage) {
+        if (!(damage > 0)) return;
+
+        const enemy = this.enemy;
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + damage * this.effect.lifeSteal);
+        enemy.updateHealthBar();
+    }
+}
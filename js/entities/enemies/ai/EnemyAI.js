@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { ENEMY_AI_SETTINGS } from '../../../config/enemy-behavior.js';
+
+/**
+ * States of the enemy AI
+ * @enum {string}
+ */
+export const AI_STATES = {
+    IDLE: 'idle',
+    PATROL: 'patrol',
+    ALERT: 'alert',
+    CHASE: 'chase',
+    ATTACK: 'attack',
+    FLEE: 'flee',
+    RETURN: 'return'
+};
+
+/**
+ * State machine driving an enemy
+ *
+ * idle ⇄ patrol → alert → chase ⇄ attack
+ *                          ↓  ↑      ↓
+ *                          flee ←────┘
+ * Chasing past the leash range or losing the target sends the enemy back to
+ * where it spawned (return), after which it idles again. The archetype behaviour
+ * decides how the enemy moves and fights in each state.
+ */
+export class EnemyAI {
+    /**
+     * Create a new state machine
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy
+     * @param {import("./EnemyBehavior.js").EnemyBehavior} behavior - The archetype behaviour
+     * @param {Object} [settings=ENEMY_AI_SETTINGS] - AI settings
+     */
+    constructor(enemy, behavior, settings = ENEMY_AI_SETTINGS) {
+        this.enemy = enemy;
+        this.behavior = behavior;
+        this.settings = settings;
+
+        this.state = AI_STATES.IDLE;
+        this.stateTime = 0;
+        this.idleDuration = this.getRandomIdleTime();
+        this.hasFled = false;
+
+        // Spawn point, set on the first update once the enemy is positioned
+        this.home = null;
+        this.patrolTarget = new THREE.Vector3();
+    }
+
+    /**
+     * Change the state
+     * @param {string} state - One of AI_STATES
+     */
+    setState(state) {
+        if (this.state === state) return;
+
+        console.debug(`Enemy ${this.enemy.id} AI: ${this.state} -> ${state}`);
+        this.state = state;
+        this.stateTime = 0;
+    }
+
+    /**
+     * Check if the enemy is fighting a target
+     * @returns {boolean} True while alert, chasing, attacking or fleeing
+     */
+    isEngaged() {
+        return this.state === AI_STATES.ALERT || this.state === AI_STATES.CHASE ||
+            this.state === AI_STATES.ATTACK || this.state === AI_STATES.FLEE;
+    }
+
+    /**
+     * Make the enemy notice its target, e.g. when alerted by its pack
+     */
+    alert() {
+        if (this.isEngaged() || this.state === AI_STATES.RETURN) return;
+
+        this.setState(AI_STATES.ALERT);
+        this.enemy.refreshAggression();
+        this.behavior.onAlert();
+    }
+
+    /**
+     * Called when the enemy takes damage, idle enemies fight back
+     */
+    onDamaged() {
+        this.alert();
+    }
+
+    /**
+     * Called when the enemy dies
+     */
+    onDeath() {
+        this.behavior.onDeath();
+    }
+
+    /**
+     * Update the state machine
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     * @param {number} distance - Horizontal distance to the target
+     * @param {number} detectionRange - Detection range after weather modifiers
+     */
+    update(delta, targetPosition, distance, detectionRange) {
+        if (!this.home) {
+            this.home = this.enemy.position.clone();
+        }
+        this.stateTime += delta;
+
+        // Abilities of the archetype (heals, summons) take the whole frame
+        if (this.isEngaged() && this.state !== AI_STATES.FLEE && this.behavior.onEngagedUpdate(delta, targetPosition)) {
+            return;
+        }
+
+        switch (this.state) {
+            case AI_STATES.IDLE:
+                this.updateIdle(targetPosition, distance, detectionRange);
+                break;
+            case AI_STATES.PATROL:
+                this.updatePatrol(delta, targetPosition, distance, detectionRange);
+                break;
+            case AI_STATES.ALERT:
+                this.enemy.faceTarget(targetPosition);
+                if (this.stateTime >= this.settings.alertDuration) {
+                    this.setState(AI_STATES.CHASE);
+                }
+                break;
+            case AI_STATES.CHASE:
+                this.updateChase(delta, targetPosition, distance, detectionRange);
+                break;
+            case AI_STATES.ATTACK:
+                this.updateAttack(delta, targetPosition, distance);
+                break;
+            case AI_STATES.FLEE:
+                this.updateFlee(delta, targetPosition);
+                break;
+            case AI_STATES.RETURN:
+                this.updateReturn(delta);
+                break;
+        }
+    }
+
+    /**
+     * Check if the enemy can engage a target
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     * @param {number} distance - Horizontal distance to the target
+     * @param {number} detectionRange - Detection range
+     * @returns {boolean} True if the target is detected and within the leash range of home
+     */
+    canEngage(targetPosition, distance, detectionRange) {
+        return distance <= detectionRange && this.getHorizontalDistance(this.home, targetPosition) <= this.settings.leashRange;
+    }
+
+    /**
+     * Stand still, then start a patrol
+     */
+    updateIdle(targetPosition, distance, detectionRange) {
+        if (this.canEngage(targetPosition, distance, detectionRange)) {
+            this.alert();
+            return;
+        }
+
+        if (this.stateTime >= this.idleDuration) {
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.random() * this.settings.patrolRadius;
+            this.patrolTarget.set(
+                this.home.x + Math.cos(angle) * radius,
+                this.home.y,
+                this.home.z + Math.sin(angle) * radius
+            );
+            this.setState(AI_STATES.PATROL);
+        }
+    }
+
+    /**
+     * Walk to the patrol point
+     */
+    updatePatrol(delta, targetPosition, distance, detectionRange) {
+        if (this.canEngage(targetPosition, distance, detectionRange)) {
+            this.alert();
+            return;
+        }
+
+        const reached = this.getHorizontalDistance(this.enemy.position, this.patrolTarget) < 0.5;
+        if (reached || this.stateTime >= this.settings.patrolTimeout) {
+            this.idleDuration = this.getRandomIdleTime();
+            this.setState(AI_STATES.IDLE);
+            return;
+        }
+
+        this.enemy.moveTowards(this.patrolTarget, delta, this.settings.patrolSpeedMultiplier, false);
+    }
+
+    /**
+     * Follow the target until it is in attack range
+     */
+    updateChase(delta, targetPosition, distance, detectionRange) {
+        const enemy = this.enemy;
+
+        if (this.updateCommonTransitions(distance)) return;
+
+        if (distance <= enemy.attackRange) {
+            this.setState(AI_STATES.ATTACK);
+            this.updateAttack(delta, targetPosition, distance);
+            return;
+        }
+
+        // Aggression wears off for enemies without persistent aggression
+        if (enemy.state.isAggressive && Date.now() > enemy.state.aggressionEndTime && !enemy.persistentAggression) {
+            enemy.state.isAggressive = false;
+        }
+
+        if (distance > detectionRange && !enemy.state.isAggressive) {
+            // Target lost
+            this.setState(AI_STATES.RETURN);
+            return;
+        }
+
+        this.behavior.chase(delta, targetPosition);
+
+        if (distance <= detectionRange) {
+            enemy.refreshAggression();
+        }
+    }
+
+    /**
+     * Fight the target while it is in attack range
+     */
+    updateAttack(delta, targetPosition, distance) {
+        if (this.updateCommonTransitions(distance)) return;
+
+        if (distance > this.enemy.attackRange) {
+            this.setState(AI_STATES.CHASE);
+            return;
+        }
+
+        this.behavior.attack(delta, targetPosition, distance);
+        this.enemy.refreshAggression();
+    }
+
+    /**
+     * Switch to fleeing or returning when needed while fighting
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} True if the state changed
+     */
+    updateCommonTransitions(distance) {
+        if (this.getHorizontalDistance(this.home, this.enemy.position) > this.settings.leashRange) {
+            this.setState(AI_STATES.RETURN);
+            return true;
+        }
+
+        if (!this.hasFled && this.behavior.options.fleeDuration > 0 && this.behavior.shouldFlee()) {
+            this.hasFled = true;
+            this.setState(AI_STATES.FLEE);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Run away from the target, then fight again
+     */
+    updateFlee(delta, targetPosition) {
+        if (this.stateTime >= this.behavior.options.fleeDuration) {
+            this.setState(AI_STATES.CHASE);
+            return;
+        }
+
+        if (this.getHorizontalDistance(this.home, this.enemy.position) > this.settings.leashRange) {
+            this.setState(AI_STATES.RETURN);
+            return;
+        }
+
+        this.enemy.moveAwayFrom(targetPosition, delta, this.settings.fleeSpeedMultiplier);
+    }
+
+    /**
+     * Walk back to the spawn point, ignoring the target
+     */
+    updateReturn(delta) {
+        const enemy = this.enemy;
+
+        if (this.getHorizontalDistance(enemy.position, this.home) < 1) {
+            enemy.state.isAggressive = false;
+            if (this.settings.healOnReturn) {
+                enemy.health = enemy.maxHealth;
+                enemy.updateHealthBar();
+            }
+            this.hasFled = false;
+            this.idleDuration = this.getRandomIdleTime();
+            this.setState(AI_STATES.IDLE);
+            return;
+        }
+
+        enemy.moveTowards(this.home, delta, this.settings.returnSpeedMultiplier, false);
+    }
+
+    /**
+     * Get the horizontal distance between two positions
+     * @param {THREE.Vector3} a - First position
+     * @param {THREE.Vector3} b - Second position
+     * @returns {number} The distance
+     */
+    getHorizontalDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Get a random time to stand still
+     * @returns {number} Seconds
+     */
+    getRandomIdleTime() {
+        const { min, max } = this.settings.idleTime;
+        return min + Math.random() * (max - min);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Base class for enemy archetype behaviours
+ * The state machine in EnemyAI decides when an enemy chases, attacks or flees;
+ * the behaviour decides how. The base class is the melee archetype: walk up to the
+ * target and attack. Subclasses override only the hooks they need.
+ */
+export class EnemyBehavior {
+    /**
+     * Create a new behaviour
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy this behaviour belongs to
+     * @param {Object} options - Entry of ENEMY_ARCHETYPES merged with the type's archetypeOptions
+     */
+    constructor(enemy, options) {
+        this.enemy = enemy;
+        this.options = options;
+    }
+
+    /**
+     * Called every frame while the enemy is engaged (alert, chase or attack)
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     * @returns {boolean} True if the enemy used an ability and neither moves nor attacks this frame
+     */
+    onEngagedUpdate(delta, targetPosition) {
+        return false;
+    }
+
+    /**
+     * Called when the enemy spots a target
+     */
+    onAlert() {
+        // To be implemented by child classes
+    }
+
+    /**
+     * Called when the enemy dies
+     */
+    onDeath() {
+        // To be implemented by child classes
+    }
+
+    /**
+     * Move while chasing the target
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     */
+    chase(delta, targetPosition) {
+        this.enemy.moveTowards(targetPosition, delta);
+    }
+
+    /**
+     * Act while the target is in attack range
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     * @param {number} distance - Horizontal distance to the target
+     */
+    attack(delta, targetPosition, distance) {
+        this.enemy.attackTarget(targetPosition);
+    }
+
+    /**
+     * Check if the enemy should run away
+     * @returns {boolean} True if the health is below the flee threshold
+     */
+    shouldFlee() {
+        const threshold = this.options.fleeHealthThreshold;
+        return threshold > 0 && !this.enemy.isBoss && this.enemy.getHealth() / this.enemy.getMaxHealth() <= threshold;
+    }
+
+    /**
+     * Get living enemies near this enemy
+     * @param {number} radius - Search radius
+     * @returns {Array<import("../Enemy.js").Enemy>} Nearby enemies, not including this one
+     */
+    getNearbyAllies(radius) {
+        const game = this.enemy.player && this.enemy.player.game;
+        if (!game || !game.enemyManager) return [];
+
+        return game.enemyManager.getEnemiesNearPosition(this.enemy.position, radius)
+            .filter(ally => ally !== this.enemy && ally.isActive && !ally.isDead());
+    }
+}
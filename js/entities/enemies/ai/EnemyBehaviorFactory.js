@@ -0,0 +1,40 @@
+import { ENEMY_ARCHETYPES } from '../../../config/enemy-behavior.js';
+import { EnemyBehavior } from './EnemyBehavior.js';
+import { KiterBehavior } from './KiterBehavior.js';
+import { SupportBehavior } from './SupportBehavior.js';
+import { SummonerBehavior } from './SummonerBehavior.js';
+import { PackBehavior } from './PackBehavior.js';
+
+/**
+ * Factory class for creating enemy archetype behaviours
+ */
+export class EnemyBehaviorFactory {
+    /**
+     * Create the behaviour of an archetype
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy the behaviour belongs to
+     * @param {string} archetype - Key of ENEMY_ARCHETYPES
+     * @param {Object} [archetypeOptions] - Values overriding the archetype defaults
+     * @returns {EnemyBehavior} The created behaviour
+     */
+    static createBehavior(enemy, archetype, archetypeOptions = {}) {
+        if (!ENEMY_ARCHETYPES[archetype]) {
+            console.warn(`Unknown enemy archetype ${archetype}, using melee`);
+            archetype = 'melee';
+        }
+
+        const options = { ...ENEMY_ARCHETYPES[archetype], ...archetypeOptions };
+
+        switch (archetype) {
+            case 'kiter':
+                return new KiterBehavior(enemy, options);
+            case 'support':
+                return new SupportBehavior(enemy, options);
+            case 'summoner':
+                return new SummonerBehavior(enemy, options);
+            case 'pack':
+                return new PackBehavior(enemy, options);
+            default:
+                return new EnemyBehavior(enemy, options);
+        }
+    }
+}
@@ -0,0 +1,21 @@
+import { EnemyBehavior } from './EnemyBehavior.js';
+
+/**
+ * Kiter behaviour - archers and casters keep their distance and back off from a
+ * target that comes too close while their attack recharges
+ */
+export class KiterBehavior extends EnemyBehavior {
+    attack(delta, targetPosition, distance) {
+        const enemy = this.enemy;
+        const retreatRange = enemy.attackRange * this.options.retreatRangeFraction;
+
+        if (distance < retreatRange && enemy.state.attackCooldown > 0) {
+            enemy.moveAwayFrom(targetPosition, delta);
+            // Back off while still facing the target
+            enemy.faceTarget(targetPosition);
+            return;
+        }
+
+        super.attack(delta, targetPosition, distance);
+    }
+}
@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+import { EnemyBehavior } from './EnemyBehavior.js';
+
+/**
+ * Pack behaviour - a pack member that spots a target alerts the rest of its pack,
+ * and members approach from different sides to surround the target
+ */
+export class PackBehavior extends EnemyBehavior {
+    constructor(enemy, options) {
+        super(enemy, options);
+
+        // Side this member flanks from: -1 left, 0 straight, 1 right
+        this.flankSide = Math.floor(Math.random() * 3) - 1;
+        this.flankTarget = new THREE.Vector3();
+    }
+
+    onAlert() {
+        for (const ally of this.getNearbyAllies(this.options.packRadius)) {
+            if (ally.type === this.enemy.type && ally.ai && !ally.ai.isEngaged()) {
+                ally.ai.alert();
+            }
+        }
+    }
+
+    chase(delta, targetPosition) {
+        const enemy = this.enemy;
+        const flankDistance = this.options.flankDistance;
+        const dx = enemy.position.x - targetPosition.x;
+        const dz = enemy.position.z - targetPosition.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        // Close in directly once near, or when this member attacks head-on
+        if (this.flankSide === 0 || distance <= flankDistance * 2) {
+            enemy.moveTowards(targetPosition, delta);
+            return;
+        }
+
+        // Aim beside the target, perpendicular to the line between enemy and target
+        this.flankTarget.set(
+            targetPosition.x - (dz / distance) * flankDistance * this.flankSide,
+            targetPosition.y,
+            targetPosition.z + (dx / distance) * flankDistance * this.flankSide
+        );
+        enemy.moveTowards(this.flankTarget, delta, 1, false);
+    }
+}
@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { KiterBehavior } from './KiterBehavior.js';
+
+/**
+ * Summoner behaviour - stays back and raises minions to fight for it
+ * Only the host spawns enemies in multiplayer, members get the minions from the host.
+ * Minions die with their summoner.
+ */
+export class SummonerBehavior extends KiterBehavior {
+    constructor(enemy, options) {
+        super(enemy, options);
+        this.summonCooldown = options.summonCooldown / 2;
+
+        /** @type {Array<import("../Enemy.js").Enemy>} */
+        this.summons = [];
+    }
+
+    onEngagedUpdate(delta, targetPosition) {
+        this.summonCooldown -= delta;
+        if (this.summonCooldown > 0) return false;
+
+        this.summons = this.summons.filter(summon => summon.isActive && !summon.isDead());
+        const count = Math.min(this.options.summonCount, this.options.maxSummons - this.summons.length);
+        if (count <= 0) return false;
+
+        const enemyManager = this.getEnemyManager();
+        if (!enemyManager) return false;
+
+        this.summonCooldown = this.options.summonCooldown;
+        this.summon(enemyManager, count, targetPosition);
+        return true;
+    }
+
+    /**
+     * Minions don't outlive their summoner
+     */
+    onDeath() {
+        this.summons.forEach(summon => {
+            if (summon.isActive && !summon.isDead()) {
+                summon.die();
+            }
+        });
+        this.summons = [];
+    }
+
+    /**
+     * Get the enemy manager if this client may spawn enemies
+     * @returns {import("../EnemyManager.js").EnemyManager|null} The enemy manager
+     */
+    getEnemyManager() {
+        const game = this.enemy.player && this.enemy.player.game;
+        const enemyManager = game && game.enemyManager;
+        if (!enemyManager || (enemyManager.isMultiplayer && !enemyManager.isHost)) return null;
+        return enemyManager;
+    }
+
+    /**
+     * Raise minions around the summoner
+     * @param {import("../EnemyManager.js").EnemyManager} enemyManager - The enemy manager
+     * @param {number} count - Number of minions
+     * @param {THREE.Vector3} targetPosition - Position of the target player
+     */
+    summon(enemyManager, count, targetPosition) {
+        const enemy = this.enemy;
+        enemy.faceTarget(targetPosition);
+        enemy.playAttackAnimation();
+        setTimeout(() => {
+            enemy.state.isAttacking = false;
+        }, 500);
+
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const position = enemy.position.clone().add(
+                new THREE.Vector3(Math.cos(angle) * this.options.summonRadius, 0, Math.sin(angle) * this.options.summonRadius)
+            );
+
+            // Minions give no experience or loot, otherwise summoners could be farmed
+            const summon = enemyManager.spawnEnemy(this.options.summonType, position, null, { rank: 'normal', isSummon: true });
+            if (summon) {
+                this.summons.push(summon);
+                // Minions join the fight right away
+                summon.ai.alert();
+            }
+        }
+
+        console.debug(`${enemy.name} summons ${count} ${this.options.summonType}`);
+    }
+}
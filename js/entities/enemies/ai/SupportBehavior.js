@@ -0,0 +1,98 @@
+import { KiterBehavior } from './KiterBehavior.js';
+
+/**
+ * Support behaviour - stays back and heals wounded allies or empowers allies in combat
+ */
+export class SupportBehavior extends KiterBehavior {
+    constructor(enemy, options) {
+        super(enemy, options);
+        this.healCooldown = options.healCooldown / 2;
+        this.buffCooldown = options.buffCooldown / 2;
+    }
+
+    onEngagedUpdate(delta, targetPosition) {
+        this.healCooldown -= delta;
+        this.buffCooldown -= delta;
+
+        if (this.healCooldown <= 0 && this.healAlly()) {
+            this.healCooldown = this.options.healCooldown;
+            return true;
+        }
+
+        if (this.buffCooldown <= 0 && this.buffAlly()) {
+            this.buffCooldown = this.options.buffCooldown;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Heal the most wounded ally nearby
+     * @returns {boolean} True if an ally was healed
+     */
+    healAlly() {
+        const options = this.options;
+        let target = null;
+        let lowestFraction = options.healThreshold;
+
+        for (const ally of this.getNearbyAllies(options.allyRange)) {
+            const fraction = ally.getHealth() / ally.getMaxHealth();
+            if (fraction < lowestFraction) {
+                lowestFraction = fraction;
+                target = ally;
+            }
+        }
+
+        if (!target) return false;
+
+        target.health = Math.min(target.maxHealth, target.health + target.maxHealth * options.healFraction);
+        target.updateHealthBar();
+        target.showRegenerationEffect();
+        this.cast(target);
+
+        console.debug(`${this.enemy.name} heals ${target.name}`);
+        return true;
+    }
+
+    /**
+     * Empower the closest ally fighting a player that isn't empowered yet
+     * @returns {boolean} True if an ally was empowered
+     */
+    buffAlly() {
+        const options = this.options;
+        const sourceId = `support_${this.enemy.id}`;
+        let target = null;
+        let closestDistance = Infinity;
+
+        for (const ally of this.getNearbyAllies(options.allyRange)) {
+            if (!ally.ai || !ally.ai.isEngaged() || ally.damageBuffs.has(sourceId)) continue;
+
+            const distance = this.enemy.position.distanceTo(ally.position);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                target = ally;
+            }
+        }
+
+        if (!target) return false;
+
+        target.addDamageBuff(sourceId, options.buffDamageMultiplier, options.buffDuration);
+        this.cast(target);
+
+        console.debug(`${this.enemy.name} empowers ${target.name}`);
+        return true;
+    }
+
+    /**
+     * Play the cast toward an ally
+     * @param {import("../Enemy.js").Enemy} ally - The ally
+     */
+    cast(ally) {
+        this.enemy.faceTarget(ally.position);
+        this.enemy.playAttackAnimation();
+        setTimeout(() => {
+            this.enemy.state.isAttacking = false;
+        }, 500);
+    }
+}
@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+import { BOSS_SETTINGS } from '../../../config/boss.js';
+
+/**
+ * Runs the script of a boss encounter
+ * Tracks the phase from the boss health, rotates through the abilities of the phase
+ * as their cooldowns come ready and enrages the boss when the fight takes too long.
+ * Abilities warn with ground telegraphs from the BossTelegraphManager before they
+ * deal damage.
+ */
+export class BossController {
+    /**
+     * Create a new boss controller
+     * @param {import("../Enemy.js").Enemy} enemy - The boss
+     * @param {Object} script - Entry of BOSS_SCRIPTS
+     * @param {Object} [settings=BOSS_SETTINGS] - Boss settings
+     */
+    constructor(enemy, script, settings = BOSS_SETTINGS) {
+        this.enemy = enemy;
+        this.script = script;
+        this.settings = settings;
+
+        this.phaseIndex = 0;
+        this.rotationIndex = 0;
+        this.isEngaged = false;
+        this.isEnraged = false;
+        this.fightTime = 0;
+
+        // Time left until any ability may be used again
+        this.globalCooldown = settings.globalCooldown;
+
+        // Time left of the current cast, the boss stands still while casting
+        this.castRemaining = 0;
+
+        // Remaining cooldowns by ability ID
+        this.cooldowns = new Map();
+        Object.entries(script.abilities).forEach(([id, ability]) => {
+            this.cooldowns.set(id, ability.cooldown / 2);
+        });
+    }
+
+    /**
+     * Get the current phase
+     * @returns {Object} Entry of the script phases
+     */
+    getPhase() {
+        return this.script.phases[this.phaseIndex];
+    }
+
+    /**
+     * Get the time left until the boss enrages
+     * @returns {number|null} Seconds until enrage, 0 if enraged, null if not engaged
+     */
+    getEnrageRemaining() {
+        if (!this.isEngaged) return null;
+        return Math.max(0, this.script.enrageTime - this.fightTime);
+    }
+
+    /**
+     * Update the encounter
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} distanceToTarget - Horizontal distance to the target player
+     * @returns {boolean} True while the boss is casting and must not move or attack
+     */
+    update(delta, distanceToTarget) {
+        if (!this.isEngaged) {
+            if (distanceToTarget > this.settings.engageRange) {
+                return false;
+            }
+            this.isEngaged = true;
+        }
+
+        this.fightTime += delta;
+        if (!this.isEnraged && this.fightTime >= this.script.enrageTime) {
+            this.enrage();
+        }
+
+        this.updatePhase();
+
+        for (const [id, remaining] of this.cooldowns) {
+            if (remaining > 0) {
+                this.cooldowns.set(id, remaining - delta);
+            }
+        }
+
+        if (this.castRemaining > 0) {
+            this.castRemaining -= delta;
+            if (this.castRemaining <= 0) {
+                this.enemy.state.isAttacking = false;
+            }
+            return true;
+        }
+
+        if (this.globalCooldown > 0) {
+            this.globalCooldown -= delta;
+            return false;
+        }
+
+        return this.useNextAbility(distanceToTarget);
+    }
+
+    /**
+     * Move to the next phase when the boss health drops below its threshold
+     */
+    updatePhase() {
+        const healthFraction = this.enemy.getHealth() / this.enemy.getMaxHealth();
+        const phases = this.script.phases;
+
+        while (this.phaseIndex < phases.length - 1 && healthFraction <= phases[this.phaseIndex + 1].healthThreshold) {
+            this.phaseIndex++;
+            this.rotationIndex = 0;
+            this.onPhaseStart(phases[this.phaseIndex]);
+        }
+    }
+
+    /**
+     * Apply the changes of a new phase
+     * @param {Object} phase - The phase
+     */
+    onPhaseStart(phase) {
+        console.debug(`${this.enemy.name} enters phase ${this.phaseIndex + 1}: ${phase.name}`);
+
+        if (phase.damageMultiplier) {
+            this.enemy.damage *= phase.damageMultiplier;
+        }
+
+        this.notify(phase.message || `${this.enemy.name}: ${phase.name}`);
+    }
+
+    /**
+     * Enrage the boss, it hits harder, moves faster and uses abilities more often
+     */
+    enrage() {
+        const enrage = this.settings.enrage;
+        this.isEnraged = true;
+        this.enemy.damage *= enrage.damageMultiplier;
+        this.enemy.speed *= enrage.speedMultiplier;
+        this.enemy.addVisualEffect({ type: 'aura', color: enrage.auraColor });
+
+        console.debug(`${this.enemy.name} is enraged`);
+        this.notify(`${this.enemy.name} is enraged!`);
+    }
+
+    /**
+     * Use the next ability of the phase rotation that is ready and in range
+     * @param {number} distanceToTarget - Horizontal distance to the target player
+     * @returns {boolean} True if an ability was used
+     */
+    useNextAbility(distanceToTarget) {
+        const abilityIds = this.getPhase().abilities;
+
+        for (let i = 0; i < abilityIds.length; i++) {
+            const index = (this.rotationIndex + i) % abilityIds.length;
+            const id = abilityIds[index];
+            const ability = this.script.abilities[id];
+
+            if (!ability || this.cooldowns.get(id) > 0 || !this.isInRange(ability, distanceToTarget)) {
+                continue;
+            }
+
+            this.useAbility(id, ability);
+            this.rotationIndex = index + 1;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if the target is within the range an ability is used at
+     * @param {Object} ability - The ability
+     * @param {number} distanceToTarget - Horizontal distance to the target player
+     * @returns {boolean} True if in range
+     */
+    isInRange(ability, distanceToTarget) {
+        const minRange = ability.minRange || 0;
+        const maxRange = ability.maxRange !== undefined ? ability.maxRange : Infinity;
+        return distanceToTarget >= minRange && distanceToTarget <= maxRange;
+    }
+
+    /**
+     * Use an ability
+     * @param {string} id - Ability ID
+     * @param {Object} ability - The ability
+     */
+    useAbility(id, ability) {
+        const enemy = this.enemy;
+        console.debug(`${enemy.name} uses ${ability.name}`);
+
+        const cooldownMultiplier = this.isEnraged ? this.settings.enrage.cooldownMultiplier : 1;
+        this.cooldowns.set(id, ability.cooldown * cooldownMultiplier);
+        this.globalCooldown = this.settings.globalCooldown * cooldownMultiplier;
+
+        enemy.state.isAttacking = true;
+        enemy.playAttackAnimation();
+        this.faceTarget();
+
+        if (ability.telegraph) {
+            this.createTelegraphs(ability);
+        }
+        if (ability.summon) {
+            this.summon(ability.summon);
+        }
+
+        this.castRemaining = ability.castTime !== undefined ? ability.castTime : (ability.telegraph ? ability.telegraph.delay : 0.5);
+    }
+
+    /**
+     * Turn the boss toward its target
+     */
+    faceTarget() {
+        const enemy = this.enemy;
+        const targetPosition = enemy.targetPlayer.getPosition();
+        enemy.rotation.y = Math.atan2(targetPosition.x - enemy.position.x, targetPosition.z - enemy.position.z);
+    }
+
+    /**
+     * Create the ground telegraphs of an ability
+     * @param {Object} ability - The ability
+     */
+    createTelegraphs(ability) {
+        const telegraphManager = this.getTelegraphManager();
+        if (!telegraphManager) return;
+
+        const enemy = this.enemy;
+        const telegraph = ability.telegraph;
+        const targetPosition = enemy.targetPlayer.getPosition().clone();
+        const origin = telegraph.origin === 'target' ? targetPosition : enemy.position.clone();
+        const direction = targetPosition.clone().sub(enemy.position);
+
+        const options = {
+            ...telegraph,
+            position: origin,
+            direction,
+            damage: enemy.damage * (ability.damageMultiplier || 1),
+            statusEffect: ability.statusEffect,
+            owner: enemy
+        };
+        telegraphManager.createTelegraph(options);
+
+        // Extra circles scattered around the origin (e.g. Blizzard)
+        for (let i = 1; i < (telegraph.count || 1); i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = telegraph.spread * (0.5 + Math.random() * 0.5);
+            const position = origin.clone().add(new THREE.Vector3(Math.cos(angle) * distance, 0, Math.sin(angle) * distance));
+            telegraphManager.createTelegraph({ ...options, position });
+        }
+    }
+
+    /**
+     * Spawn enemies around the boss
+     * Only the host spawns enemies in multiplayer, members get them from the host.
+     * @param {{type: string, count: number, radius: number}} summon - Summon definition
+     */
+    summon(summon) {
+        const game = this.enemy.player && this.enemy.player.game;
+        const enemyManager = game && game.enemyManager;
+        if (!enemyManager || (enemyManager.isMultiplayer && !enemyManager.isHost)) return;
+
+        for (let i = 0; i < summon.count; i++) {
+            const angle = (i / summon.count) * Math.PI * 2;
+            const position = this.enemy.position.clone().add(
+                new THREE.Vector3(Math.cos(angle) * summon.radius, 0, Math.sin(angle) * summon.radius)
+            );
+            enemyManager.spawnEnemy(summon.type, position, null, { rank: 'normal' });
+        }
+    }
+
+    /**
+     * Get the telegraph manager of the enemy manager
+     * @returns {import("./BossTelegraphManager.js").BossTelegraphManager|null} The telegraph manager
+     */
+    getTelegraphManager() {
+        const game = this.enemy.player && this.enemy.player.game;
+        return (game && game.enemyManager && game.enemyManager.telegraphManager) || null;
+    }
+
+    /**
+     * Show a notification about the encounter
+     * @param {string} message - The message
+     */
+    notify(message) {
+        const game = this.enemy.player && this.enemy.player.game;
+        if (game && game.hudManager) {
+            game.hudManager.showNotification(message);
+        }
+    }
+
+    /**
+     * Stop the current cast, e.g. when the boss dies
+     */
+    reset() {
+        this.castRemaining = 0;
+        this.isEngaged = false;
+
+        const telegraphManager = this.getTelegraphManager();
+        if (telegraphManager) {
+            telegraphManager.clearOwner(this.enemy);
+        }
+    }
+}
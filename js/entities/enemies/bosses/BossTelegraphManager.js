@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+import { BOSS_SETTINGS } from '../../../config/boss.js';
+
+/**
+ * @typedef {Object} BossTelegraphOptions
+ * @property {'circle'|'cone'|'line'} shape - Shape of the warned area
+ * @property {THREE.Vector3} position - Center of a circle, apex of a cone or start of a line
+ * @property {THREE.Vector3} [direction] - Direction cones and lines point in
+ * @property {number} [radius] - Circle and cone radius
+ * @property {number} [angle] - Cone angle in radians
+ * @property {number} [length] - Line length
+ * @property {number} [width] - Line width
+ * @property {number} delay - Warning time before the damage (seconds)
+ * @property {number} damage - Damage dealt to a player inside the area
+ * @property {{type: string, duration: number, intensity: number}} [statusEffect] - Applied to a player inside the area
+ * @property {number} color - Telegraph color
+ * @property {import("../Enemy.js").Enemy} [owner] - Boss that cast the telegraph
+ */
+
+/**
+ * Manages the ground telegraphs of boss abilities
+ * A telegraph shows the area an ability will hit and fills up until the damage is
+ * dealt, so players can step out in time. Like affix hazards, telegraphs only damage
+ * the local player, every client runs the boss abilities against its own player.
+ */
+export class BossTelegraphManager {
+    /**
+     * Create a new telegraph manager
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {import("../../../game/Game.js").Game} game - The main game instance
+     * @param {Object} [settings=BOSS_SETTINGS] - Boss settings
+     */
+    constructor(scene, game, settings = BOSS_SETTINGS) {
+        this.scene = scene;
+        this.game = game;
+        this.settings = settings;
+
+        /** @type {Array<Object>} */
+        this.telegraphs = [];
+    }
+
+    /**
+     * Create a telegraph
+     * @param {BossTelegraphOptions} options - Telegraph options
+     * @returns {Object} The created telegraph
+     */
+    createTelegraph(options) {
+        const direction = options.direction ? options.direction.clone().setY(0) : new THREE.Vector3(0, 0, 1);
+        if (direction.lengthSq() === 0) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize();
+
+        const material = new THREE.MeshBasicMaterial({
+            color: options.color,
+            transparent: true,
+            opacity: this.settings.telegraphOpacity,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const fillMaterial = material.clone();
+        fillMaterial.opacity = this.settings.telegraphOpacity * 2;
+
+        // The area and the fill that grows until the damage is dealt
+        const area = new THREE.Mesh(this.createGeometry(options), material);
+        const fill = new THREE.Mesh(this.createGeometry(options), fillMaterial);
+        area.rotation.x = -Math.PI / 2;
+        fill.rotation.x = -Math.PI / 2;
+        fill.position.y = 0.01;
+        this.setFillProgress(options.shape, fill, 0);
+
+        const group = new THREE.Group();
+        group.add(area);
+        group.add(fill);
+        group.position.set(options.position.x, this.getGroundHeight(options.position) + 0.05, options.position.z);
+        group.rotation.y = Math.atan2(direction.x, direction.z);
+        this.scene.add(group);
+
+        const telegraph = {
+            shape: options.shape,
+            position: options.position.clone(),
+            direction,
+            radius: options.radius || 0,
+            angle: options.angle || 0,
+            length: options.length || 0,
+            width: options.width || 0,
+            delay: options.delay,
+            damage: options.damage,
+            statusEffect: options.statusEffect || null,
+            owner: options.owner || null,
+            elapsed: 0,
+            detonated: false,
+            duration: options.delay + this.settings.telegraphFlashDuration,
+            group,
+            fill
+        };
+
+        if (this.telegraphs.length >= this.settings.maxTelegraphs) {
+            this.disposeTelegraph(this.telegraphs.shift());
+        }
+        this.telegraphs.push(telegraph);
+        return telegraph;
+    }
+
+    /**
+     * Create the flat geometry of a telegraph
+     * Shapes point along -Y, which faces +Z of the group once laid on the ground.
+     * @param {BossTelegraphOptions} options - Telegraph options
+     * @returns {THREE.BufferGeometry} The geometry
+     */
+    createGeometry(options) {
+        switch (options.shape) {
+            case 'cone':
+                return new THREE.CircleGeometry(options.radius, 24, -Math.PI / 2 - options.angle / 2, options.angle);
+            case 'line': {
+                const geometry = new THREE.PlaneGeometry(options.width, options.length);
+                geometry.translate(0, -options.length / 2, 0);
+                return geometry;
+            }
+            default:
+                return new THREE.CircleGeometry(options.radius, 32);
+        }
+    }
+
+    /**
+     * Grow the fill of a telegraph
+     * Lines fill from the boss outward, circles and cones from the center.
+     * @param {string} shape - Telegraph shape
+     * @param {THREE.Mesh} fill - The fill mesh
+     * @param {number} progress - Fill progress from 0 to 1
+     */
+    setFillProgress(shape, fill, progress) {
+        const scale = Math.max(progress, 0.01);
+        if (shape === 'line') {
+            fill.scale.set(1, scale, 1);
+        } else {
+            fill.scale.set(scale, scale, 1);
+        }
+    }
+
+    /**
+     * Get the terrain height at a position
+     * @param {THREE.Vector3} position - The position
+     * @returns {number} Terrain height, or the position height if unknown
+     */
+    getGroundHeight(position) {
+        if (this.game && this.game.world) {
+            try {
+                const terrainHeight = this.game.world.getTerrainHeight(position.x, position.z);
+                if (terrainHeight !== null && terrainHeight !== undefined && isFinite(terrainHeight)) {
+                    return terrainHeight;
+                }
+            } catch (error) {
+                console.debug(`Error getting terrain height for telegraph: ${error.message}`);
+            }
+        }
+        return position.y;
+    }
+
+    /**
+     * Update all telegraphs
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (this.telegraphs.length === 0) return;
+
+        for (let i = this.telegraphs.length - 1; i >= 0; i--) {
+            const telegraph = this.telegraphs[i];
+            telegraph.elapsed += delta;
+
+            if (!telegraph.detonated) {
+                this.setFillProgress(telegraph.shape, telegraph.fill, Math.min(telegraph.elapsed / telegraph.delay, 1));
+
+                if (telegraph.elapsed >= telegraph.delay) {
+                    this.detonate(telegraph);
+                }
+            } else {
+                const flashProgress = (telegraph.elapsed - telegraph.delay) / this.settings.telegraphFlashDuration;
+                telegraph.fill.material.opacity = 0.8 * Math.max(0, 1 - flashProgress);
+            }
+
+            if (telegraph.elapsed >= telegraph.duration) {
+                this.disposeTelegraph(telegraph);
+                this.telegraphs.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Deal the damage of a telegraph to the local player if inside
+     * Telegraphs of a boss that died or left the fight in the meantime deal no damage.
+     * @param {Object} telegraph - The telegraph
+     */
+    detonate(telegraph) {
+        telegraph.detonated = true;
+        telegraph.fill.material.opacity = 0.8;
+
+        if (!this.isOwnerActive(telegraph)) {
+            return;
+        }
+
+        const player = this.game && this.game.player;
+        if (!player || player.getHealth() <= 0 || !this.isInside(telegraph, player.getPosition())) {
+            return;
+        }
+
+        const damageDealt = player.takeDamage(telegraph.damage);
+        if (telegraph.statusEffect && damageDealt !== 0) {
+            const { type, duration, intensity } = telegraph.statusEffect;
+            player.applyEffect(type, duration, intensity);
+        }
+    }
+
+    /**
+     * Check whether the boss that cast a telegraph is still fighting
+     * @param {Object} telegraph - The telegraph
+     * @returns {boolean} True if the owner is alive and engaged, or the telegraph has no owner
+     */
+    isOwnerActive(telegraph) {
+        const owner = telegraph.owner;
+        if (!owner) return true;
+        if (owner.isDead()) return false;
+        return !owner.bossController || owner.bossController.isEngaged;
+    }
+
+    /**
+     * Check whether a position is inside the area of a telegraph
+     * @param {Object} telegraph - The telegraph
+     * @param {THREE.Vector3} position - The position to test
+     * @returns {boolean} True if the position is inside
+     */
+    isInside(telegraph, position) {
+        const dx = position.x - telegraph.position.x;
+        const dz = position.z - telegraph.position.z;
+
+        switch (telegraph.shape) {
+            case 'cone': {
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                if (distance > telegraph.radius) return false;
+                if (distance === 0) return true;
+                const cosine = (dx * telegraph.direction.x + dz * telegraph.direction.z) / distance;
+                return cosine >= Math.cos(telegraph.angle / 2);
+            }
+            case 'line': {
+                const along = dx * telegraph.direction.x + dz * telegraph.direction.z;
+                const across = dx * telegraph.direction.z - dz * telegraph.direction.x;
+                return along >= 0 && along <= telegraph.length && Math.abs(across) <= telegraph.width / 2;
+            }
+            default:
+                return dx * dx + dz * dz <= telegraph.radius * telegraph.radius;
+        }
+    }
+
+    /**
+     * Remove a telegraph's meshes from the scene and free their resources
+     * @param {Object} telegraph - The telegraph to dispose
+     */
+    disposeTelegraph(telegraph) {
+        if (!telegraph || !telegraph.group) return;
+
+        telegraph.group.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                object.material.dispose();
+            }
+        });
+
+        this.scene.remove(telegraph.group);
+        telegraph.group = null;
+    }
+
+    /**
+     * Remove all telegraphs cast by a boss
+     * @param {import("../Enemy.js").Enemy} owner - The boss
+     */
+    clearOwner(owner) {
+        for (let i = this.telegraphs.length - 1; i >= 0; i--) {
+            if (this.telegraphs[i].owner === owner) {
+                this.disposeTelegraph(this.telegraphs[i]);
+                this.telegraphs.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Remove all telegraphs
+     */
+    clear() {
+        for (const telegraph of this.telegraphs) {
+            this.disposeTelegraph(telegraph);
+        }
+        this.telegraphs.length = 0;
+    }
+}
@@ -0,0 +1,340 @@
+import { Item } from './Item.js';
+import { ITEM_TEMPLATES } from '../../config/items.js';
+import { COMBAT_BALANCE } from '../../config/game-balance.js';
+import {
+    RARITY_ORDER,
+    CRAFTING_MATERIALS,
+    SALVAGE_YIELD,
+    CRAFTING_RECIPES,
+    CRAFTABLE_TYPES,
+    REROLL_COSTS,
+    UPGRADE_COSTS
+} from '../../config/crafting.js';
+
+/**
+ * @typedef {Object} CraftingCost
+ * @property {number} gold - Gold to pay
+ * @property {Object.<string, number>} materials - Amount by material id
+ */
+
+/**
+ * Salvages items into materials and spends materials on crafting and enchanting
+ * Every action returns {success, message} so the CraftingUI can show the result.
+ */
+export class ItemCrafter {
+    /**
+     * Create a new ItemCrafter
+     * @param {import("../../game/Game.js").Game} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Get the player
+     * @returns {import("../player/Player.js").Player} The player
+     */
+    get player() {
+        return this.game.player;
+    }
+
+    /**
+     * Get the template an item was generated from
+     * @param {Object} item - The item
+     * @returns {Object|null} The template or null if unknown
+     */
+    getTemplate(item) {
+        return ITEM_TEMPLATES.find(template => template.id === item.templateId) || null;
+    }
+
+    /**
+     * Get the secondary stat types an item can roll
+     * Templates without a list of possible stats can roll any stat from the game balance config.
+     * @param {Object} item - The item
+     * @returns {string[]} Stat types
+     */
+    getSecondaryStatTypes(item) {
+        const template = this.getTemplate(item);
+        if (template && Array.isArray(template.possibleSecondaryStats) && template.possibleSecondaryStats.length > 0) {
+            return template.possibleSecondaryStats;
+        }
+        return Object.keys(COMBAT_BALANCE.items.secondaryStatBaseValues);
+    }
+
+    /**
+     * Check whether an item can be salvaged
+     * @param {Object} item - The item
+     * @returns {boolean} True if the item can be salvaged
+     */
+    canSalvage(item) {
+        return !!item && SALVAGE_YIELD.salvageableTypes.includes(item.type);
+    }
+
+    /**
+     * Get the range of materials salvaging an item gives
+     * @param {Object} item - The item
+     * @returns {Array<{materialId: string, min: number, max: number}>} Material ranges
+     */
+    getSalvageYield(item) {
+        const rarityIndex = Math.max(0, RARITY_ORDER.indexOf(item.rarity || 'common'));
+        const yields = [{
+            materialId: CRAFTING_MATERIALS[RARITY_ORDER[rarityIndex]].id,
+            min: SALVAGE_YIELD.amount.min,
+            max: SALVAGE_YIELD.amount.max
+        }];
+
+        if (rarityIndex > 0) {
+            yields.push({
+                materialId: CRAFTING_MATERIALS[RARITY_ORDER[rarityIndex - 1]].id,
+                min: SALVAGE_YIELD.lowerTierAmount.min,
+                max: SALVAGE_YIELD.lowerTierAmount.max
+            });
+        }
+
+        return yields;
+    }
+
+    /**
+     * Destroy one of an inventory item and give its materials to the player
+     * @param {Object} item - Item from the player inventory
+     * @returns {{success: boolean, message: string}} Result
+     */
+    salvageItem(item) {
+        if (!this.canSalvage(item)) {
+            return { success: false, message: `${item.name} can't be salvaged` };
+        }
+
+        if (!this.player.removeFromInventory(item.name, 1)) {
+            return { success: false, message: `You don't have ${item.name}` };
+        }
+
+        const gained = this.getSalvageYield(item).map(({ materialId, min, max }) => {
+            const amount = min + Math.floor(Math.random() * (max - min + 1));
+            this.player.addMaterial(materialId, amount);
+            return `${amount} ${this.getMaterialName(materialId)}`;
+        });
+
+        return { success: true, message: `Salvaged ${item.name} into ${gained.join(' and ')}` };
+    }
+
+    /**
+     * Get the display name of a material
+     * @param {string} materialId - Material id
+     * @returns {string} Material name
+     */
+    getMaterialName(materialId) {
+        const material = Object.values(CRAFTING_MATERIALS).find(m => m.id === materialId);
+        return material ? material.name : materialId;
+    }
+
+    /**
+     * Check whether the player can pay a cost
+     * @param {CraftingCost} cost - The cost
+     * @returns {boolean} True if the player has enough gold and materials
+     */
+    canAfford(cost) {
+        if (this.player.getGold() < (cost.gold || 0)) {
+            return false;
+        }
+        return Object.entries(cost.materials || {}).every(([materialId, amount]) =>
+            this.player.getMaterialCount(materialId) >= amount
+        );
+    }
+
+    /**
+     * Take the gold and materials of a cost from the player
+     * @param {CraftingCost} cost - The cost
+     * @returns {boolean} True if the cost was paid
+     */
+    payCost(cost) {
+        if (!this.canAfford(cost)) {
+            return false;
+        }
+
+        this.player.removeGold(cost.gold || 0);
+        Object.entries(cost.materials || {}).forEach(([materialId, amount]) => {
+            this.player.removeMaterial(materialId, amount);
+        });
+        return true;
+    }
+
+    /**
+     * Describe a cost for the UI
+     * @param {CraftingCost} cost - The cost
+     * @returns {string} Cost text, e.g. "50 gold, 8 Iron Scrap"
+     */
+    formatCost(cost) {
+        const parts = [`${cost.gold || 0} gold`];
+        Object.entries(cost.materials || {}).forEach(([materialId, amount]) => {
+            parts.push(`${amount} ${this.getMaterialName(materialId)}`);
+        });
+        return parts.join(', ');
+    }
+
+    /**
+     * Get all crafting recipes
+     * @returns {Array} Recipes from config/crafting.js
+     */
+    getRecipes() {
+        return CRAFTING_RECIPES;
+    }
+
+    /**
+     * Craft a new item of a chosen type
+     * @param {string} recipeId - Recipe id
+     * @param {string} type - Item type (weapon, armor, accessory)
+     * @param {string} subType - Item subtype (e.g. staff, ring)
+     * @returns {{success: boolean, message: string, item?: Object}} Result
+     */
+    craftItem(recipeId, type, subType) {
+        const recipe = CRAFTING_RECIPES.find(r => r.id === recipeId);
+        if (!recipe) {
+            return { success: false, message: 'Unknown recipe' };
+        }
+
+        if (!CRAFTABLE_TYPES[type] || !CRAFTABLE_TYPES[type].includes(subType)) {
+            return { success: false, message: `A ${subType} ${type} can't be crafted` };
+        }
+
+        if (!this.payCost(recipe.cost)) {
+            return { success: false, message: `Not enough gold or materials for ${recipe.name}` };
+        }
+
+        const item = this.game.itemGenerator.generateItem({
+            level: this.player.getLevel(),
+            type,
+            subType,
+            rarity: recipe.rarity
+        });
+        this.player.addToInventory(item);
+
+        return { success: true, message: `Crafted ${item.name}`, item };
+    }
+
+    /**
+     * Get the cost of rerolling a secondary stat of an item
+     * @param {Object} item - The item
+     * @returns {CraftingCost} The cost
+     */
+    getRerollCost(item) {
+        return REROLL_COSTS[item.rarity] || REROLL_COSTS.common;
+    }
+
+    /**
+     * Replace one secondary stat of an item with a new random stat
+     * @param {Object} item - Item from the player inventory
+     * @param {number} statIndex - Index of the stat in item.secondaryStats
+     * @returns {{success: boolean, message: string}} Result
+     */
+    rerollSecondaryStat(item, statIndex) {
+        const stats = item.secondaryStats || [];
+        if (!stats[statIndex]) {
+            return { success: false, message: 'This item has no such stat' };
+        }
+
+        if ((item.amount || 1) > 1) {
+            return { success: false, message: 'Only single items can be enchanted' };
+        }
+
+        const otherTypes = stats.filter((stat, index) => index !== statIndex).map(stat => stat.type);
+        const candidates = this.getSecondaryStatTypes(item).filter(type => !otherTypes.includes(type));
+        if (candidates.length === 0) {
+            return { success: false, message: `${item.name} has no other stats to roll` };
+        }
+
+        if (!this.payCost(this.getRerollCost(item))) {
+            return { success: false, message: 'Not enough gold or materials to reroll' };
+        }
+
+        stats[statIndex] = this.rollSecondaryStat(candidates, item);
+        Item.prototype.calculateEffectiveStats.call(item);
+        this.refreshEquipment(item);
+
+        return { success: true, message: `Rerolled ${item.name}: ${stats[statIndex].type} ${stats[statIndex].value}` };
+    }
+
+    /**
+     * Roll a secondary stat for an item
+     * @param {string[]} candidates - Stat types to choose from
+     * @param {Object} item - The item
+     * @returns {{type: string, value: number, element?: string}} The stat
+     */
+    rollSecondaryStat(candidates, item) {
+        const itemGenerator = this.game.itemGenerator;
+        const type = itemGenerator.randomElement(candidates);
+        const stat = { type, value: itemGenerator.generateStatValue(type, item.level || 1, item.rarity || 'common') };
+        if (type === 'elementalDamage') {
+            stat.element = itemGenerator.randomElement(['fire', 'ice', 'lightning', 'holy']);
+        }
+        return stat;
+    }
+
+    /**
+     * Get the cost of upgrading an item to the next rarity
+     * @param {Object} item - The item
+     * @returns {CraftingCost|null} The cost or null if the item has the highest rarity
+     */
+    getUpgradeCost(item) {
+        return UPGRADE_COSTS[item.rarity || 'common'] || null;
+    }
+
+    /**
+     * Upgrade an item to the next rarity
+     * Base stats stay rarity independent like on dropped items, the effective stats grow
+     * with the rarity multiplier of the new rarity and the item gains a secondary stat.
+     * @param {Object} item - Item from the player inventory
+     * @returns {{success: boolean, message: string}} Result
+     */
+    upgradeRarity(item) {
+        const currentRarity = item.rarity || 'common';
+        const nextRarity = RARITY_ORDER[RARITY_ORDER.indexOf(currentRarity) + 1];
+        const cost = this.getUpgradeCost(item);
+        if (!nextRarity || !cost) {
+            return { success: false, message: `${item.name} can't be upgraded further` };
+        }
+
+        if ((item.amount || 1) > 1) {
+            return { success: false, message: 'Only single items can be enchanted' };
+        }
+
+        if (!this.payCost(cost)) {
+            return { success: false, message: 'Not enough gold or materials to upgrade' };
+        }
+
+        const oldName = item.name;
+        item.rarity = nextRarity;
+
+        const existingTypes = (item.secondaryStats || []).map(stat => stat.type);
+        const candidates = this.getSecondaryStatTypes(item).filter(type => !existingTypes.includes(type));
+        if (candidates.length > 0) {
+            item.secondaryStats = [...(item.secondaryStats || []), this.rollSecondaryStat(candidates, item)];
+        }
+
+        // Set items keep their set name
+        const template = this.getTemplate(item);
+        if (template && !item.setId) {
+            if (nextRarity === 'legendary' || nextRarity === 'mythic') {
+                item.name = template.name;
+                Item.prototype.enhanceItemName.call(item);
+            } else {
+                item.name = this.game.itemGenerator.generateItemName(template, nextRarity, null);
+            }
+        }
+
+        Item.prototype.calculateEffectiveStats.call(item);
+        this.refreshEquipment(item);
+
+        return { success: true, message: `${oldName} is now ${item.name} (${nextRarity})` };
+    }
+
+    /**
+     * Recalculate equipment bonuses if the changed item is equipped
+     * @param {Object} item - The changed item
+     */
+    refreshEquipment(item) {
+        const inventory = this.player.inventory;
+        if (Object.values(inventory.getEquipment()).includes(item)) {
+            inventory.calculateEquipmentBonuses();
+        }
+    }
+}
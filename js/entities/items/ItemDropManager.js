@@ -31,16 +31,23 @@ export class ItemDropManager {
      * Drop an item at a specific position
      * @param {Item} item - The item to drop
      * @param {THREE.Vector3} position - The position to drop the item
+     * @param {Object} [options={}] - Drop options
+     * @param {boolean} [options.shared=false] - Multiplayer drop visible to everyone, picked up through the host
+     * @param {boolean} [options.scatter=true] - Add a small random offset to the position
      * @returns {string} The ID of the dropped item
      */
-    dropItem(item, position) {
+    dropItem(item, position, options = {}) {
+        const { shared = false, scatter = true } = options;
+        
         // Create a group for the item
         const itemGroup = new THREE.Group();
         itemGroup.position.copy(position);
         
         // Add a small random offset to prevent items from stacking exactly
-        itemGroup.position.x += (Math.random() - 0.5) * 0.5;
-        itemGroup.position.z += (Math.random() - 0.5) * 0.5;
+        if (scatter) {
+            itemGroup.position.x += (Math.random() - 0.5) * 0.5;
+            itemGroup.position.z += (Math.random() - 0.5) * 0.5;
+        }
         
         // Ensure item is above ground and more visible
         if (this.game && this.game.world) {
@@ -103,7 +110,8 @@ export class ItemDropManager {
             group: itemGroup,
             model: itemModel,
             ring: ring,
-            dropTime: Date.now()
+            dropTime: Date.now(),
+            shared: shared
         });
         
         // Show notification
@@ -175,14 +183,20 @@ export class ItemDropManager {
                 const distance = playerPosition.distanceTo(itemPosition);
                 
                 // Remove items that are too far away
-                if (distance > this.autoRemoveDistance) {
+                // Shared drops stay for the other players and only expire with time
+                if (distance > this.autoRemoveDistance && !itemData.shared) {
                     this.removeDroppedItem(id, itemData);
                     continue;
                 }
                 
                 // Auto-pickup if player is close enough (instant pickup)
                 if (distance < 1.5) {
-                    this.pickupItem(id);
+                    if (itemData.shared && this.game.multiplayerManager && this.game.multiplayerManager.isActive()) {
+                        // The host decides who gets a shared drop
+                        this.game.multiplayerManager.loot.requestPickup(id);
+                    } else {
+                        this.pickupItem(id);
+                    }
                     continue; // Skip to next item since this one was picked up
                 }
             }
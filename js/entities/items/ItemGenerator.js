@@ -63,7 +63,38 @@ export class ItemGenerator {
         
         return item;
     }
-    
+
+    /**
+     * Create an item straight from a template, without random stats
+     * Used for consumables sold by vendors, which are always the same.
+     * @param {string} templateId - Id of the template in ITEM_TEMPLATES
+     * @param {Object} options - Creation options
+     * @param {number} options.level - Item level (defaults to 1)
+     * @param {number} options.amount - Stack size (defaults to 1)
+     * @returns {Item|null} - The item or null if the template doesn't exist
+     */
+    generateFromTemplate(templateId, options = {}) {
+        const template = ITEM_TEMPLATES.find(t => t.id === templateId);
+        if (!template) {
+            console.warn(`No item template found with id ${templateId}`);
+            return null;
+        }
+
+        return new Item({
+            name: template.name,
+            description: template.description,
+            type: template.type,
+            subType: template.subType,
+            icon: template.icon,
+            level: options.level || 1,
+            rarity: 'common',
+            amount: options.amount || 1,
+            baseStats: JSON.parse(JSON.stringify(template.baseStats || {})),
+            visual: template.visual ? { ...template.visual } : {},
+            templateId: template.id
+        });
+    }
+
     // Helper methods for item generation
     selectRandomItemType() {
         const types = ['weapon', 'armor', 'accessory', 'consumable'];
@@ -158,6 +189,10 @@ export class ItemGenerator {
                 baseStats[key] = Math.round(value * randomFactor * levelScalingFactor * 
                                 (1 + COMBAT_BALANCE.player.armorDamageReduction * level));
             }
+            // Weapon attack speed is a multiplier around 1.0, keep it fractional and don't scale it by level
+            else if (key === 'attackSpeed' && template.type === 'weapon') {
+                baseStats[key] = Math.round(value * randomFactor * 100) / 100;
+            }
             // Apply regular level scaling for other stats
             else {
                 baseStats[key] = Math.round(value * randomFactor * levelScalingFactor);
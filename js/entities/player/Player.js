@@ -19,6 +19,7 @@
  * @property {PlayerMovement} movement - Manages player movement and positioning
  * @property {PlayerSkills} skills - Manages player skills and abilities
  * @property {PlayerCombat} combat - Manages player combat interactions
+ * @property {PlayerCombatStats} combatStats - Applies item combat stats (crit, attack speed, DoT, etc.) to hits
  */
 import { PlayerStats } from './PlayerStats.js';
 import { PlayerState } from './PlayerState.js';
@@ -28,6 +29,7 @@ import { PlayerMovement } from './PlayerMovement.js';
 import { PlayerSkills } from './PlayerSkills.js';
 import { PlayerCombat } from './PlayerCombat.js';
 import { PlayerStatusEffects } from './PlayerStatusEffects.js';
+import { PlayerCombatStats } from './PlayerCombatStats.js';
 
 export class Player {
     /**
@@ -48,6 +50,7 @@ export class Player {
         this.stats = new PlayerStats();
         this.inventory = new PlayerInventory();
         this.model = new PlayerModel(scene, game);
+        this.combatStats = new PlayerCombatStats(this.inventory, game);
         
         // Components that need to be initialized after model is created
         this.movement = null;
@@ -128,6 +131,9 @@ export class Player {
         if (this.statusEffects) {
             this.statusEffects.update(delta);
         }
+        
+        // Update item damage stacks
+        this.combatStats.update(delta);
     }
     
     // Movement methods
@@ -292,17 +298,28 @@ export class Player {
     // Stats and progression
     /**
      * Adds experience points to the player
-     * May trigger level up if enough experience is gained
+     * May trigger level up if enough experience is gained.
+     * The amount is scaled by the active world tier's experience multiplier.
      * 
      * @param {number} amount - The amount of experience to add
      */
     addExperience(amount) {
+        // Apply world tier experience bonus
+        if (this.game && this.game.worldTierManager) {
+            amount = Math.round(amount * this.game.worldTierManager.getExperienceMultiplier());
+        }
+        
         const newLevel = this.stats.addExperience(amount);
         
         // Show level up notification if level changed
         if (newLevel > 0 && this.game && this.game.hudManager) {
             this.game.hudManager.showLevelUp(newLevel);
         }
+        
+        // Announce any world tiers unlocked by this level up
+        if (newLevel > 0 && this.game && this.game.worldTierManager) {
+            this.game.worldTierManager.onPlayerLevelUp(newLevel);
+        }
     }
     
     /**
@@ -564,6 +581,16 @@ export class Player {
         return this.inventory.removeFromInventory(itemName, amount);
     }
     
+    /**
+     * Counts how many of an item the player is carrying
+     * 
+     * @param {string} itemName - The name of the item
+     * @returns {number} Total amount in the inventory
+     */
+    getItemCount(itemName) {
+        return this.inventory.getItemCount(itemName);
+    }
+    
     /**
      * Equips an item from the inventory
      * This method equips an item from the player's inventory to the appropriate equipment slot.
@@ -592,11 +619,20 @@ export class Player {
     
     /**
      * Adds gold to the player's inventory
+     * Found and rewarded gold is scaled by the active world tier's gold multiplier.
      * 
      * @param {number} amount - The amount of gold to add
+     * @param {boolean} [applyWorldTier=true] - False for gold that isn't loot, e.g. from selling items
+     * @returns {number} The amount of gold added
      */
-    addGold(amount) {
+    addGold(amount, applyWorldTier = true) {
+        // Apply world tier gold bonus
+        if (applyWorldTier && this.game && this.game.worldTierManager) {
+            amount = Math.round(amount * this.game.worldTierManager.getGoldMultiplier());
+        }
+        
         this.inventory.addGold(amount);
+        return amount;
     }
     
     /**
@@ -609,6 +645,37 @@ export class Player {
         return this.inventory.removeGold(amount);
     }
     
+    /**
+     * Adds crafting materials to the player's inventory
+     * 
+     * @param {string} materialId - The material id from config/crafting.js
+     * @param {number} amount - The amount to add
+     */
+    addMaterial(materialId, amount) {
+        this.inventory.addMaterial(materialId, amount);
+    }
+    
+    /**
+     * Removes crafting materials from the player's inventory
+     * 
+     * @param {string} materialId - The material id
+     * @param {number} amount - The amount to remove
+     * @returns {boolean} True if the player had enough of the material
+     */
+    removeMaterial(materialId, amount) {
+        return this.inventory.removeMaterial(materialId, amount);
+    }
+    
+    /**
+     * Counts how much of a crafting material the player has
+     * 
+     * @param {string} materialId - The material id
+     * @returns {number} Amount of the material
+     */
+    getMaterialCount(materialId) {
+        return this.inventory.getMaterialCount(materialId);
+    }
+    
     // State management
     /**
      * Sets whether the player is in water
@@ -173,6 +173,9 @@ export class PlayerCombat {
         // Apply damage to health
         this.playerStats.setHealth(this.playerStats.getHealth() - reducedDamage);
         
+        // Feed dynamic difficulty adjustment
+        this.game?.difficultyDirector?.recordDamageTaken(reducedDamage);
+        
         // Sound effect
         if (this.game?.audioManager) {
             this.game.audioManager.playSound('playerHit');
@@ -200,6 +203,9 @@ export class PlayerCombat {
         this.playerState.setDead(true);
         this.playerState.setMoving(false);
         
+        // Feed dynamic difficulty adjustment
+        this.game?.difficultyDirector?.recordDeath();
+        
         // Visual and sound effects
         this.playerModel.getModelGroup().rotation.x = Math.PI / 2;
         if (this.game?.audioManager) {
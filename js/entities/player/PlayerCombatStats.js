@@ -0,0 +1,210 @@
+/**
+ * PlayerCombatStats.js
+ * Turns the combat stats of equipped items (crit, attack speed, elemental damage,
+ * damage over time and stacking damage) into effective numbers and applies them to hits
+ */
+import { COMBAT_BALANCE } from '../../config/game-balance.js';
+
+/**
+ * @typedef {Object} HitResult
+ * @property {number} damage - Final damage of the hit
+ * @property {number} baseDamage - Damage before combat stats were applied
+ * @property {number} elementalDamage - Part of the damage added by elemental bonuses
+ * @property {boolean} isCritical - Whether the hit was a critical hit
+ * @property {string|null} element - Element of the hit, if any
+ */
+
+export class PlayerCombatStats {
+    /**
+     * Creates a new PlayerCombatStats instance
+     * @param {import('./PlayerInventory.js').PlayerInventory} playerInventory - The player's inventory
+     * @param {Object} [game=null] - The main game instance
+     */
+    constructor(playerInventory, game = null) {
+        this.playerInventory = playerInventory;
+        this.game = game;
+
+        /**
+         * Current number of stacking damage stacks
+         * @type {number}
+         */
+        this.stacks = 0;
+
+        /**
+         * Time left before the stacks are lost (seconds)
+         * @type {number}
+         */
+        this.stackTimer = 0;
+    }
+
+    /**
+     * Get the cached equipment bonuses
+     * @returns {Object} Equipment bonuses from the inventory
+     */
+    getBonuses() {
+        return this.playerInventory.getEquipmentBonuses();
+    }
+
+    /**
+     * Get the critical hit chance
+     * @returns {number} Critical hit chance as a percentage
+     */
+    getCritChance() {
+        const critChance = COMBAT_BALANCE.player.baseCritChance * 100 + this.getBonuses().critChanceBonus;
+        return Math.min(critChance, COMBAT_BALANCE.player.maxCritChance);
+    }
+
+    /**
+     * Get the damage multiplier applied to critical hits
+     * @returns {number} Critical damage multiplier
+     */
+    getCritDamageMultiplier() {
+        return COMBAT_BALANCE.player.critDamageMultiplier + this.getBonuses().critDamageBonus / 100;
+    }
+
+    /**
+     * Get the attack speed multiplier (skill cooldowns are divided by this value)
+     * @returns {number} Attack speed multiplier
+     */
+    getAttackSpeedMultiplier() {
+        const multiplier = 1 + this.getBonuses().attackSpeedBonus / 100;
+        return Math.max(COMBAT_BALANCE.player.minAttackSpeedMultiplier,
+            Math.min(COMBAT_BALANCE.player.maxAttackSpeedMultiplier, multiplier));
+    }
+
+    /**
+     * Get the elemental damage bonus
+     * @returns {number} Elemental damage bonus as a percentage
+     */
+    getElementalDamageBonus() {
+        return this.getBonuses().elementalDamageBonus;
+    }
+
+    /**
+     * Get the element of the player's hits
+     * @returns {string|null} Element name or null for purely physical hits
+     */
+    getElement() {
+        return this.getBonuses().element;
+    }
+
+    /**
+     * Get the maximum number of damage stacks from all equipped items
+     * @returns {number} Maximum stacks
+     */
+    getMaxStacks() {
+        return this.getBonuses().stackingDamage.reduce((max, stat) => Math.max(max, stat.maxStacks), 0);
+    }
+
+    /**
+     * Get the damage bonus from the current stacks
+     * Each item's stacks are capped by that item's maxStacks
+     * @returns {number} Damage bonus as a percentage
+     */
+    getStackingDamageBonus() {
+        return this.getBonuses().stackingDamage.reduce(
+            (total, stat) => total + Math.min(this.stacks, stat.maxStacks) * stat.value, 0);
+    }
+
+    /**
+     * Apply combat stats to an outgoing hit and record it for stacking damage
+     * @param {number} baseDamage - Damage calculated by the skill
+     * @returns {HitResult} The resolved hit
+     */
+    resolveHit(baseDamage) {
+        let damage = baseDamage;
+
+        // Stacking damage from previous hits
+        const stackingBonus = this.getStackingDamageBonus();
+        if (stackingBonus > 0) {
+            damage *= 1 + stackingBonus / 100;
+        }
+
+        // Elemental bonus damage
+        let elementalDamage = damage * this.getElementalDamageBonus() / 100;
+        damage += elementalDamage;
+
+        // Critical hit roll
+        const isCritical = Math.random() * 100 < this.getCritChance();
+        if (isCritical) {
+            damage *= this.getCritDamageMultiplier();
+            elementalDamage *= this.getCritDamageMultiplier();
+        }
+
+        this.registerHit();
+
+        return {
+            damage: Math.round(damage),
+            baseDamage,
+            elementalDamage: Math.round(elementalDamage),
+            isCritical,
+            element: this.getElement()
+        };
+    }
+
+    /**
+     * Add a damage stack and refresh the stack timer
+     */
+    registerHit() {
+        const maxStacks = this.getMaxStacks();
+        if (maxStacks <= 0) {
+            this.stacks = 0;
+            return;
+        }
+
+        this.stacks = Math.min(this.stacks + 1, maxStacks);
+        this.stackTimer = COMBAT_BALANCE.player.stackingDamageDuration;
+    }
+
+    /**
+     * Apply on-hit item effects (damage over time) to an enemy
+     * @param {import('../enemies/Enemy.js').Enemy} enemy - The enemy that was hit
+     * @param {HitResult} hit - The resolved hit
+     */
+    applyOnHitEffects(enemy, hit) {
+        if (!enemy || enemy.isDead() || typeof enemy.applyDamageOverTime !== 'function') {
+            return;
+        }
+
+        this.getBonuses().damageOverTime.forEach(stat => {
+            enemy.applyDamageOverTime(`item_${stat.element}`, {
+                damagePerSecond: hit.damage * stat.value / 100,
+                duration: COMBAT_BALANCE.player.damageOverTimeDuration,
+                element: stat.element
+            });
+        });
+    }
+
+    /**
+     * Update stack decay
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        if (this.stacks <= 0) return;
+
+        this.stackTimer -= delta;
+        if (this.stackTimer <= 0) {
+            this.stacks = 0;
+            this.stackTimer = 0;
+        }
+    }
+
+    /**
+     * Get the effective combat numbers for display
+     * @returns {Object} Effective combat stats
+     */
+    getSummary() {
+        const bonuses = this.getBonuses();
+        return {
+            critChance: this.getCritChance(),
+            critDamage: this.getCritDamageMultiplier() * 100,
+            attackSpeed: this.getAttackSpeedMultiplier() * 100,
+            elementalDamage: this.getElementalDamageBonus(),
+            element: this.getElement(),
+            damageOverTime: bonuses.damageOverTime.map(stat => ({ ...stat })),
+            stacks: this.stacks,
+            maxStacks: this.getMaxStacks(),
+            stackingDamage: this.getStackingDamageBonus()
+        };
+    }
+}
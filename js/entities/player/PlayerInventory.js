@@ -9,6 +9,9 @@ export class PlayerInventory {
         this.inventory = [];
         this.gold = 0;
         
+        // Crafting materials by material id (see config/crafting.js)
+        this.materials = {};
+        
         // Initialize equipment with expanded slots
         this.equipment = {
             weapon: null,
@@ -23,12 +26,31 @@ export class PlayerInventory {
         };
         
         // Equipment stat bonuses cache
-        this.equipmentBonuses = {
+        this.equipmentBonuses = this.createEmptyBonuses();
+    }
+    
+    /**
+     * Create an empty equipment bonuses object
+     * @returns {Object} Bonuses with every stat set to zero
+     */
+    createEmptyBonuses() {
+        return {
             manaBonus: 0,
             healthBonus: 0,
             attackBonus: 0,
             defenseBonus: 0,
-            speedBonus: 0
+            speedBonus: 0,
+            // Combat stats (percentages)
+            critChanceBonus: 0,
+            critDamageBonus: 0,
+            attackSpeedBonus: 0,
+            elementalDamageBonus: 0,
+            // Element of the first elemental stat found on the equipment
+            element: null,
+            // Damage over time effects applied on hit ({value, element})
+            damageOverTime: [],
+            // Per-hit stacking damage buffs ({value, maxStacks})
+            stackingDamage: []
         };
     }
     
@@ -46,6 +68,17 @@ export class PlayerInventory {
         }
     }
     
+    /**
+     * Count how many of an item the player is carrying
+     * @param {string} itemName - Name of the item
+     * @returns {number} Total amount in the inventory
+     */
+    getItemCount(itemName) {
+        return this.inventory
+            .filter(i => i.name === itemName)
+            .reduce((total, i) => total + (i.amount || 1), 0);
+    }
+    
     removeFromInventory(itemName, amount = 1) {
         // Find item in inventory
         const itemIndex = this.inventory.findIndex(i => i.name === itemName);
@@ -139,13 +172,7 @@ export class PlayerInventory {
      */
     calculateEquipmentBonuses() {
         // Reset bonuses
-        this.equipmentBonuses = {
-            manaBonus: 0,
-            healthBonus: 0,
-            attackBonus: 0,
-            defenseBonus: 0,
-            speedBonus: 0
-        };
+        this.equipmentBonuses = this.createEmptyBonuses();
         
         // Loop through all equipped items
         Object.values(this.equipment).forEach(item => {
@@ -177,6 +204,29 @@ export class PlayerInventory {
                 if (item.baseStats.movementSpeed) {
                     this.equipmentBonuses.speedBonus += item.baseStats.movementSpeed;
                 }
+                
+                // Add critical hit bonuses
+                if (item.baseStats.critChance) {
+                    this.equipmentBonuses.critChanceBonus += item.baseStats.critChance;
+                }
+                
+                if (item.baseStats.critDamage) {
+                    this.equipmentBonuses.critDamageBonus += item.baseStats.critDamage;
+                }
+                
+                // Weapon attack speed is a multiplier where 1.0 is neutral, other items add a percent
+                if (item.baseStats.attackSpeed) {
+                    if (item.type === 'weapon') {
+                        this.equipmentBonuses.attackSpeedBonus += (item.baseStats.attackSpeed - 1) * 100;
+                    } else {
+                        this.equipmentBonuses.attackSpeedBonus += item.baseStats.attackSpeed;
+                    }
+                }
+                
+                // Add elemental damage bonus
+                if (item.baseStats.elementalDamage) {
+                    this.equipmentBonuses.elementalDamageBonus += item.baseStats.elementalDamage;
+                }
             }
             
             // Process secondary stats
@@ -192,6 +242,29 @@ export class PlayerInventory {
                         this.equipmentBonuses.defenseBonus += stat.value;
                     } else if (stat.type === 'movementSpeed') {
                         this.equipmentBonuses.speedBonus += stat.value;
+                    } else if (stat.type === 'critChance') {
+                        this.equipmentBonuses.critChanceBonus += stat.value;
+                    } else if (stat.type === 'critDamage') {
+                        this.equipmentBonuses.critDamageBonus += stat.value;
+                    } else if (stat.type === 'attackSpeed') {
+                        this.equipmentBonuses.attackSpeedBonus += stat.value;
+                    } else if (stat.type === 'elementalDamage') {
+                        this.equipmentBonuses.elementalDamageBonus += stat.value;
+                    } else if (stat.type === 'damageOverTime') {
+                        this.equipmentBonuses.damageOverTime.push({
+                            value: stat.value,
+                            element: stat.element || 'physical'
+                        });
+                    } else if (stat.type === 'stackingDamage') {
+                        this.equipmentBonuses.stackingDamage.push({
+                            value: stat.value,
+                            maxStacks: stat.maxStacks || 1
+                        });
+                    }
+                    
+                    // The first elemental stat decides the element of the player's hits
+                    if (stat.element && !this.equipmentBonuses.element) {
+                        this.equipmentBonuses.element = stat.element;
                     }
                 });
             }
@@ -211,6 +284,30 @@ export class PlayerInventory {
         return false;
     }
     
+    // Crafting material management
+    addMaterial(materialId, amount) {
+        this.materials[materialId] = (this.materials[materialId] || 0) + amount;
+    }
+    
+    removeMaterial(materialId, amount) {
+        if (this.getMaterialCount(materialId) >= amount) {
+            this.materials[materialId] -= amount;
+            if (this.materials[materialId] === 0) {
+                delete this.materials[materialId];
+            }
+            return true;
+        }
+        return false;
+    }
+    
+    getMaterialCount(materialId) {
+        return this.materials[materialId] || 0;
+    }
+    
+    getMaterials() {
+        return this.materials;
+    }
+    
     // Getters
     getInventory() {
         return this.inventory;
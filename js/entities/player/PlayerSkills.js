@@ -331,6 +331,17 @@ export class PlayerSkills {
         this.skills.forEach(skill => skill.updateCooldown(delta));
     }
     
+    /**
+     * Get the attack speed multiplier from the player's equipment
+     * @returns {number} - Multiplier applied to skill cooldowns (1 when unavailable)
+     */
+    getAttackSpeedMultiplier() {
+        if (this.game && this.game.player && this.game.player.combatStats) {
+            return this.game.player.combatStats.getAttackSpeedMultiplier();
+        }
+        return 1;
+    }
+    
     /**
      * Activates a skill by its index in the skills array
      * Handles mana cost, cooldown, targeting, and effect creation
@@ -366,7 +377,7 @@ export class PlayerSkills {
         this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
         
         // Start cooldown on the template (shared cooldown)
-        skillTemplate.startCooldown();
+        skillTemplate.startCooldown(this.getAttackSpeedMultiplier());
         
         // We no longer clean up existing instances of this skill
         // This allows multiple instances of the same skill to exist simultaneously
@@ -552,7 +563,7 @@ export class PlayerSkills {
                 this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
                 
                 // Start cooldown
-                skillTemplate.startCooldown();
+                skillTemplate.startCooldown(this.getAttackSpeedMultiplier());
                 
                 // Create a new instance of the skill
                 const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
@@ -615,7 +626,7 @@ export class PlayerSkills {
                     this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
                     
                     // Start cooldown
-                    skillTemplate.startCooldown();
+                    skillTemplate.startCooldown(this.getAttackSpeedMultiplier());
                     
                     // Create a new instance of the skill
                     const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
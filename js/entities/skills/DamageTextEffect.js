@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { SkillEffect } from './SkillEffect.js';
+import { DAMAGE_TYPES, DAMAGE_TYPE_COLORS } from '../../config/damage-types.js';
+
+/**
+ * Floating combat text showing the damage of a hit
+ * The number rises above the target and fades out, colored by damage type.
+ */
+export class DamageTextEffect extends SkillEffect {
+    /**
+     * Create a new DamageTextEffect
+     * @param {Object} config - Configuration object
+     * @param {number} config.amount - Damage amount
+     * @param {string} [config.damageType] - Damage type from DAMAGE_TYPES, selects the color
+     * @param {boolean} [config.isCritical] - Critical hits are shown larger
+     * @param {number} [config.duration] - Duration in seconds
+     */
+    constructor(config) {
+        // Create a temporary skill object to pass to the parent constructor
+        const tempSkill = {
+            duration: config.duration || 1.0,
+            position: new THREE.Vector3(),
+            damage: config.amount || 0
+        };
+
+        super(tempSkill);
+
+        this.amount = Math.round(config.amount || 0);
+        this.damageType = config.damageType || DAMAGE_TYPES.PHYSICAL;
+        this.isCritical = config.isCritical || false;
+        this.riseSpeed = 1.5;
+        this.texture = null;
+    }
+
+    /**
+     * Create the damage text
+     * @param {THREE.Vector3} position - Position of the damaged target
+     * @param {THREE.Vector3} direction - Direction is not used for this effect but required by interface
+     * @returns {THREE.Sprite} - The created effect
+     */
+    create(position, direction) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+
+        const context = canvas.getContext('2d');
+        context.font = 'bold 40px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 6;
+        context.strokeStyle = '#000000';
+
+        const text = this.isCritical ? `${this.amount}!` : `${this.amount}`;
+        context.strokeText(text, 64, 32);
+        context.fillStyle = DAMAGE_TYPE_COLORS[this.damageType] || DAMAGE_TYPE_COLORS[DAMAGE_TYPES.PHYSICAL];
+        context.fillText(text, 64, 32);
+
+        this.texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: this.texture,
+            transparent: true,
+            depthTest: false, // Keep the text readable in front of the target
+            depthWrite: false
+        });
+
+        const sprite = new THREE.Sprite(material);
+        const scale = this.isCritical ? 1.4 : 1;
+        sprite.scale.set(1.6 * scale, 0.8 * scale, 1);
+        sprite.renderOrder = 999;
+
+        // Start above the target, spread a little so simultaneous hits don't overlap
+        sprite.position.set(
+            position.x + (Math.random() - 0.5) * 0.8,
+            position.y + 2.2,
+            position.z + (Math.random() - 0.5) * 0.8
+        );
+
+        this.effect = sprite;
+        this.isActive = true;
+
+        return sprite;
+    }
+
+    /**
+     * Update the damage text
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (!this.isActive || !this.effect) return;
+
+        this.elapsedTime += delta;
+
+        // Check if effect has expired
+        if (this.elapsedTime >= this.skill.duration) {
+            this.isActive = false;
+            return;
+        }
+
+        // Rise and fade out over the second half of the lifetime
+        this.effect.position.y += this.riseSpeed * delta;
+        const lifeRatio = this.elapsedTime / this.skill.duration;
+        this.effect.material.opacity = lifeRatio < 0.5 ? 1 : Math.max(0, 2 * (1 - lifeRatio));
+    }
+
+    /**
+     * Dispose of the effect and its texture
+     */
+    dispose() {
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+
+        super.dispose();
+    }
+}
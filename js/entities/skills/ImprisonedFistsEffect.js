@@ -395,7 +395,7 @@ export class ImprisonedFistsEffect extends SkillEffect {
                 );
                 // Apply damage over time (25% of initial damage per second)
                 const dotDamage = (this.skill.damage * 0.25) * delta;
-                targetData.enemy.takeDamage(dotDamage);
+                targetData.enemy.takeDamage(dotDamage, false, null, false, this.skill.getDamageType());
             } else {
                 // Lock expired, remove from array
                 this.targetedEnemies.splice(i, 1);
@@ -425,7 +425,7 @@ export class ImprisonedFistsEffect extends SkillEffect {
             });
 
             // Apply damage immediately
-            enemy.takeDamage(this.skill.damage);
+            enemy.takeDamage(this.skill.damage, false, null, false, this.skill.getDamageType());
             
             // Immediately freeze the enemy in place
             enemy.setPosition(
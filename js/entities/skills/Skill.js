@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { SkillEffectFactory } from './SkillEffectFactory.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { DAMAGE_TYPES } from '../../config/damage-types.js';
 
 /**
  * Base class for all skills
@@ -32,6 +34,8 @@ export class Skill {
     icon;
     /** @type {string} */
     variant;
+    /** @type {string} */
+    damageType;
     /** @type {Object} */
     sounds;
     /** @type {number} */
@@ -69,6 +73,7 @@ export class Skill {
         this.hits = config.hits || 1;
         this.icon = config.icon || '🤛';
         this.variant = config.variant || '';
+        this.damageType = config.damageType || DAMAGE_TYPES.PHYSICAL;
 
         for (const key in config) {
             if (Object.prototype.hasOwnProperty.call(config, key)) {
@@ -271,6 +276,17 @@ export class Skill {
         }
     }
     
+    /**
+     * Get the damage type of the skill
+     * The active variant can change the damage type (e.g. Inferno Dragon deals fire damage)
+     * @returns {string} - Damage type from DAMAGE_TYPES
+     */
+    getDamageType() {
+        const tree = SKILL_TREES[this.name];
+        const variant = this.variant && tree && tree.variants ? tree.variants[this.variant] : null;
+        return (variant && variant.damageType) || this.damageType;
+    }
+    
     /**
      * Get the damage value of the skill
      * @returns {number} - The damage value
@@ -469,9 +485,10 @@ export class Skill {
     
     /**
      * Start the skill's cooldown
+     * @param {number} [attackSpeedMultiplier=1] - Attack speed multiplier, higher values shorten the cooldown
      */
-    startCooldown() {
-        this.currentCooldown = this.cooldown;
+    startCooldown(attackSpeedMultiplier = 1) {
+        this.currentCooldown = this.cooldown / attackSpeedMultiplier;
     }
     
     /**
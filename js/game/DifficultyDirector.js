@@ -0,0 +1,220 @@
+import { DIFFICULTY_SCALING } from '../config/game-balance.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
+
+/**
+ * @typedef {Object} DifficultySample
+ * @property {number} damageTaken - Total damage taken by the player in the window
+ * @property {number} kills - Number of enemies killed in the window
+ * @property {number[]} killTimes - Time (in seconds) taken to kill each regular enemy
+ * @property {number} deaths - Number of player deaths in the window
+ */
+
+/**
+ * Dynamic difficulty adjustment
+ * Samples player performance (damage taken, time to kill, deaths) and periodically
+ * nudges an adjustment factor that EnemyManager applies when scaling new enemies.
+ * All tuning values come from DIFFICULTY_SCALING.dynamicDifficulty.
+ */
+export class DifficultyDirector {
+    /**
+     * Create a new DifficultyDirector
+     * @param {import("./Game.js").Game} game - The main game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = DIFFICULTY_SCALING.dynamicDifficulty;
+        this.enabled = this.config.enabled;
+
+        // Current adjustment factor (1.0 = no adjustment)
+        this.adjustmentFactor = 1.0;
+
+        // Time accumulated since the last adjustment (in seconds)
+        this.timeSinceAdjustment = 0;
+
+        // Scores from the last adjustment, kept for the debug display
+        this.lastScores = { damageTaken: 0, timeToKill: 0, deathFrequency: 0, combined: 0 };
+
+        this.resetSample();
+    }
+
+    /**
+     * Load the enabled state from storage
+     * @returns {Promise<boolean>} True if initialization was successful
+     */
+    async init() {
+        try {
+            const stored = await storageService.loadData(STORAGE_KEYS.DYNAMIC_DIFFICULTY);
+            if (stored !== null && stored !== undefined) {
+                this.enabled = stored === true || stored === 'true';
+            }
+        } catch (error) {
+            console.warn('Error loading dynamic difficulty setting:', error);
+        }
+
+        console.debug(`DifficultyDirector initialized (enabled: ${this.enabled})`);
+        return true;
+    }
+
+    /**
+     * Start a new sampling window
+     */
+    resetSample() {
+        /** @type {DifficultySample} */
+        this.sample = {
+            damageTaken: 0,
+            kills: 0,
+            killTimes: [],
+            deaths: 0
+        };
+    }
+
+    /**
+     * Enable or disable dynamic difficulty
+     * Disabling resets the adjustment factor so enemies return to their normal strength
+     * @param {boolean} enabled - Whether dynamic difficulty is enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        if (!enabled) {
+            this.adjustmentFactor = 1.0;
+        }
+
+        this.timeSinceAdjustment = 0;
+        this.resetSample();
+        storageService.saveData(STORAGE_KEYS.DYNAMIC_DIFFICULTY, enabled.toString());
+    }
+
+    /**
+     * Get the current adjustment factor
+     * @returns {number} Factor applied to enemy health and damage
+     */
+    getAdjustmentFactor() {
+        return this.enabled ? this.adjustmentFactor : 1.0;
+    }
+
+    /**
+     * Record damage taken by the local player
+     * @param {number} amount - Damage after reductions
+     */
+    recordDamageTaken(amount) {
+        if (!this.enabled || !(amount > 0)) return;
+        this.sample.damageTaken += amount;
+    }
+
+    /**
+     * Record an enemy kill
+     * @param {import("../entities/enemies/Enemy.js").Enemy} enemy - The enemy that was killed
+     */
+    recordEnemyKill(enemy) {
+        if (!this.enabled || !enemy) return;
+
+        this.sample.kills++;
+
+        // Bosses are meant to be long fights and would skew the time-to-kill metric
+        if (!enemy.isBoss && enemy.firstDamageTime && enemy.deathStartTime) {
+            const killTime = (enemy.deathStartTime - enemy.firstDamageTime) / 1000;
+            if (killTime >= 0) {
+                this.sample.killTimes.push(killTime);
+            }
+        }
+    }
+
+    /**
+     * Record a player death
+     */
+    recordDeath() {
+        if (!this.enabled) return;
+        this.sample.deaths++;
+    }
+
+    /**
+     * Update the director, applying an adjustment once the cooldown has elapsed
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (!this.enabled) return;
+
+        this.timeSinceAdjustment += delta;
+
+        if (this.timeSinceAdjustment >= this.config.adjustmentCooldown) {
+            this.adjust();
+            this.timeSinceAdjustment = 0;
+        }
+    }
+
+    /**
+     * Compute scores from the current sample and move the adjustment factor towards the target
+     * Positive scores mean the player is doing well and difficulty should increase
+     */
+    adjust() {
+        const sample = this.sample;
+
+        // Skip idle windows - there's nothing to learn from them
+        if (sample.kills === 0 && sample.damageTaken === 0 && sample.deaths === 0) {
+            this.resetSample();
+            return;
+        }
+
+        const { metrics, thresholds, adjustmentRate, maxAdjustmentFactor } = this.config;
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        const encounters = Math.max(1, sample.kills);
+
+        // Damage taken per encounter as a fraction of max health
+        const maxHealth = this.game.player ? this.game.player.getMaxHealth() : 1;
+        const damageRatio = sample.damageTaken / (maxHealth * encounters);
+        const damageScore = clamp((thresholds.highDamageTaken - damageRatio) / thresholds.highDamageTaken);
+
+        // Average time to kill relative to the expected time
+        let timeToKillScore = 0;
+        if (sample.killTimes.length > 0) {
+            const averageKillTime = sample.killTimes.reduce((sum, t) => sum + t, 0) / sample.killTimes.length;
+            const killTimeRatio = averageKillTime / metrics.expectedTimeToKill;
+            timeToKillScore = clamp((1 - killTimeRatio) / thresholds.fastKillTime);
+        }
+
+        // Deaths only ever pull difficulty down
+        const deathRate = sample.deaths / encounters;
+        const deathScore = sample.deaths > 0 ? -clamp(deathRate / thresholds.highDeathRate) : 0;
+
+        const combinedScore = damageScore * metrics.damageTakenWeight +
+                              timeToKillScore * metrics.timeToKillWeight +
+                              deathScore * metrics.deathFrequencyWeight;
+
+        // Ease towards the target factor and keep it within the configured cap
+        const targetFactor = 1 + combinedScore * maxAdjustmentFactor;
+        const newFactor = this.adjustmentFactor + (targetFactor - this.adjustmentFactor) * adjustmentRate;
+        this.adjustmentFactor = Math.max(1 - maxAdjustmentFactor, Math.min(1 + maxAdjustmentFactor, newFactor));
+
+        this.lastScores = {
+            damageTaken: damageScore,
+            timeToKill: timeToKillScore,
+            deathFrequency: deathScore,
+            combined: combinedScore
+        };
+
+        console.debug(`Dynamic difficulty adjusted to ${this.adjustmentFactor.toFixed(3)} ` +
+            `(damage: ${damageScore.toFixed(2)}, ttk: ${timeToKillScore.toFixed(2)}, deaths: ${deathScore.toFixed(2)})`);
+
+        this.resetSample();
+    }
+
+    /**
+     * Get a snapshot of the director state for debugging
+     * @returns {Object} Current factor, last scores and the in-progress sample
+     */
+    getDebugInfo() {
+        return {
+            enabled: this.enabled,
+            adjustmentFactor: this.getAdjustmentFactor(),
+            nextAdjustmentIn: Math.max(0, this.config.adjustmentCooldown - this.timeSinceAdjustment),
+            lastScores: { ...this.lastScores },
+            sample: {
+                damageTaken: this.sample.damageTaken,
+                kills: this.sample.kills,
+                deaths: this.sample.deaths
+            }
+        };
+    }
+}
@@ -21,7 +21,11 @@ import { MenuManager } from '../menu-system/MenuManager.js';
 import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { MultiplayerManager } from '../multiplayer/MultiplayerManager.js';
 import { ItemGenerator } from '../entities/items/ItemGenerator.js';
+import { ItemCrafter } from '../entities/items/ItemCrafter.js';
 import { ItemDropManager } from '../entities/items/ItemDropManager.js';
+import { WorldTierManager } from './WorldTierManager.js';
+import { DifficultyDirector } from './DifficultyDirector.js';
+import { VendorManager } from './VendorManager.js';
 import { STORAGE_KEYS } from '../config/storage-keys.js';
 import storageService from '../save-manager/StorageService.js';
 
@@ -54,6 +58,9 @@ import storageService from '../save-manager/StorageService.js';
  * @property {AudioManager} audioManager - Manages sound effects and music
  * @property {SaveManager} saveManager - Handles saving and loading game state
  * @property {string} difficulty - Current game difficulty setting
+ * @property {WorldTierManager} worldTierManager - Manages the endgame world tier and its multipliers
+ * @property {DifficultyDirector} difficultyDirector - Adjusts enemy strength based on player performance
+ * @property {VendorManager} vendorManager - Manages vendor stock, buying and selling
  * @property {MenuManager} menuManager - Manages game menus and UI screens
  * @property {number} _lastMemoryLog - Timestamp of the last memory usage log
  */
@@ -71,6 +78,7 @@ export class Game {
         this.events = new GameEvents();
         this.loadingManager = new LoadingManager().getManager();
         this.itemGenerator = new ItemGenerator(this);
+        this.itemCrafter = new ItemCrafter(this);
         
         // Default difficulty (will be updated in init)
         this.difficulty = 'medium';
@@ -279,6 +287,14 @@ export class Game {
             this.hudManager = new HUDManager(this);
             await this.hudManager.init();
             
+            // Initialize world tier manager (enemy scaling and drops depend on it)
+            this.worldTierManager = new WorldTierManager(this);
+            await this.worldTierManager.init();
+            
+            // Initialize dynamic difficulty adjustment
+            this.difficultyDirector = new DifficultyDirector(this);
+            await this.difficultyDirector.init();
+            
             this.updateLoadingProgress(75, 'Spawning enemies...', 'Initializing enemy AI and models');
             
             // Initialize enemy manager
@@ -302,6 +318,9 @@ export class Game {
             // Initialize quest manager
             this.questManager = new QuestManager(this);
             
+            // Initialize vendor stock and the gold economy
+            this.vendorManager = new VendorManager(this);
+            
             this.updateLoadingProgress(90, 'Loading audio...', 'Initializing sound effects and music');
             
             // Initialize audio manager
@@ -598,8 +617,8 @@ export class Game {
         
         // Only reset player position if this is a new game, not a loaded game
         if (!isLoadedGame) {
-            console.debug("Starting new game - resetting player position to default");
-            this.player.setPosition(0, 1, -13);
+            console.debug("Starting new game - moving player to the world spawn point");
+            this.world.movePlayerToSpawn();
         } else {
             console.debug("Starting loaded game - keeping saved player position");
         }
@@ -758,11 +777,26 @@ export class Game {
         // Update enemies
         this.enemyManager.update(delta);
         
+        // Update dynamic difficulty adjustment
+        if (this.difficultyDirector) {
+            this.difficultyDirector.update(delta);
+        }
+        
         // Update item drops
         if (this.itemDropManager) {
             this.itemDropManager.update(delta);
         }
         
+        // Update quest timers and escort/defend objectives
+        if (this.questManager) {
+            this.questManager.update(delta);
+        }
+        
+        // Update vendor restock timers
+        if (this.vendorManager) {
+            this.vendorManager.update(delta);
+        }
+        
         // Check collisions
         this.collisionManager.update();
         
@@ -782,6 +816,11 @@ export class Game {
             this.multiplayerManager.update(delta);
         }
         
+        // Count play time of the save slot
+        if (this.saveManager) {
+            this.saveManager.update(delta);
+        }
+        
         // Render scene using safe render method
         if (!this.safeRender(this.scene, this.camera)) {
             console.warn("Safe render failed, skipping frame");
@@ -0,0 +1,270 @@
+import { VENDOR_CONFIG, ITEM_SELL_PRICES, VENDOR_CONSUMABLES } from '../config/vendors.js';
+
+/**
+ * @typedef {Object} VendorState
+ * @property {string} id - Vendor id, derived from its position so it's the same after reloading the world
+ * @property {string} name - Vendor display name
+ * @property {Object[]} gear - Gear for sale, removed when bought
+ * @property {number} restockTimer - Seconds until the gear is replaced
+ */
+
+/**
+ * @typedef {Object} BuybackEntry
+ * @property {Object} item - The sold item (amount 1)
+ * @property {number} price - Gold received for it, which is also the price to buy it back
+ */
+
+/**
+ * Manages the gold economy of the village vendors
+ * Keeps the stock of every vendor, refreshes it on a timer and handles buying,
+ * selling and buying back items. The ShopUI only displays what this returns.
+ */
+export class VendorManager {
+    /**
+     * Create a new VendorManager
+     * @param {import("./Game.js").Game} game - The main game instance
+     */
+    constructor(game) {
+        this.game = game;
+
+        /** @type {Map<string, VendorState>} */
+        this.vendors = new Map();
+
+        /** @type {BuybackEntry[]} Most recent sale first */
+        this.buyback = [];
+    }
+
+    /**
+     * Get the state of a vendor, creating it with fresh stock the first time
+     * @param {string} id - Vendor id
+     * @param {string} [name] - Vendor display name
+     * @returns {VendorState} The vendor
+     */
+    getVendor(id, name = 'Merchant') {
+        let vendor = this.vendors.get(id);
+        if (!vendor) {
+            vendor = { id, name, gear: [], restockTimer: 0 };
+            this.vendors.set(id, vendor);
+            this.restock(vendor);
+        }
+        return vendor;
+    }
+
+    /**
+     * Replace the gear of a vendor with new items around the player level
+     * @param {VendorState} vendor - The vendor
+     */
+    restock(vendor) {
+        const itemGenerator = this.game.itemGenerator;
+        const playerLevel = this.game.player ? this.game.player.getLevel() : 1;
+        const { min, max } = VENDOR_CONFIG.gearLevelOffset;
+
+        vendor.gear = [];
+        if (itemGenerator) {
+            for (let i = 0; i < VENDOR_CONFIG.gearStockSize; i++) {
+                const level = Math.max(1, playerLevel + min + Math.floor(Math.random() * (max - min + 1)));
+                const type = VENDOR_CONFIG.gearTypes[Math.floor(Math.random() * VENDOR_CONFIG.gearTypes.length)];
+                vendor.gear.push({ ...itemGenerator.generateItem({ level, type }) });
+            }
+        }
+
+        vendor.restockTimer = VENDOR_CONFIG.restockInterval;
+        console.debug(`Vendor ${vendor.name} restocked with ${vendor.gear.length} items`);
+    }
+
+    /**
+     * Count down the restock timers
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.vendors.forEach(vendor => {
+            vendor.restockTimer -= delta;
+            if (vendor.restockTimer <= 0) {
+                this.restock(vendor);
+            }
+        });
+    }
+
+    /**
+     * Get the gold a vendor pays for one of an item
+     * @param {Object} item - The item
+     * @returns {number} Sell price
+     */
+    getSellPrice(item) {
+        const consumable = VENDOR_CONSUMABLES.find(entry => entry.templateId === item.templateId);
+        if (consumable) {
+            return Math.max(1, Math.floor(consumable.price / VENDOR_CONFIG.buyPriceMultiplier));
+        }
+
+        const basePrice = ITEM_SELL_PRICES[item.rarity] || ITEM_SELL_PRICES.common;
+        const level = item.level || 1;
+        return Math.round(basePrice * (1 + (level - 1) * VENDOR_CONFIG.levelPriceScaling));
+    }
+
+    /**
+     * Get the gold a vendor asks for one of an item
+     * @param {Object} item - The item
+     * @returns {number} Buy price
+     */
+    getBuyPrice(item) {
+        const consumable = VENDOR_CONSUMABLES.find(entry => entry.templateId === item.templateId);
+        if (consumable) {
+            return consumable.price;
+        }
+        return this.getSellPrice(item) * VENDOR_CONFIG.buyPriceMultiplier;
+    }
+
+    /**
+     * Get the consumables every vendor sells
+     * @returns {Array<{item: Object, price: number}>} Consumables with their price
+     */
+    getConsumables() {
+        if (!this.game.itemGenerator) return [];
+
+        return VENDOR_CONSUMABLES
+            .map(entry => this.game.itemGenerator.generateFromTemplate(entry.templateId))
+            .filter(Boolean)
+            .map(item => ({ item, price: this.getBuyPrice(item) }));
+    }
+
+    /**
+     * Take gold from the player
+     * @param {number} price - Gold to pay
+     * @returns {boolean} True if the player could pay
+     */
+    pay(price) {
+        if (!this.game.player || this.game.player.getGold() < price) {
+            return false;
+        }
+        return this.game.player.removeGold(price);
+    }
+
+    /**
+     * Buy a consumable
+     * @param {string} templateId - Template id of the consumable
+     * @returns {{success: boolean, message: string}} Result of the purchase
+     */
+    buyConsumable(templateId) {
+        const item = this.game.itemGenerator ? this.game.itemGenerator.generateFromTemplate(templateId) : null;
+        if (!item || !VENDOR_CONSUMABLES.some(entry => entry.templateId === templateId)) {
+            return { success: false, message: 'This item is not for sale' };
+        }
+
+        const price = this.getBuyPrice(item);
+        if (!this.pay(price)) {
+            return { success: false, message: `Not enough gold for ${item.name}` };
+        }
+
+        this.game.player.addToInventory(item);
+        return { success: true, message: `Bought ${item.name} for ${price} gold` };
+    }
+
+    /**
+     * Buy a gear item from a vendor
+     * @param {string} vendorId - Vendor id
+     * @param {string} itemId - Id of the item in the vendor stock
+     * @returns {{success: boolean, message: string}} Result of the purchase
+     */
+    buyGear(vendorId, itemId) {
+        const vendor = this.vendors.get(vendorId);
+        const index = vendor ? vendor.gear.findIndex(item => item.id === itemId) : -1;
+        if (index < 0) {
+            return { success: false, message: 'This item is no longer for sale' };
+        }
+
+        const item = vendor.gear[index];
+        const price = this.getBuyPrice(item);
+        if (!this.pay(price)) {
+            return { success: false, message: `Not enough gold for ${item.name}` };
+        }
+
+        vendor.gear.splice(index, 1);
+        this.game.player.addToInventory(item);
+        return { success: true, message: `Bought ${item.name} for ${price} gold` };
+    }
+
+    /**
+     * Sell one of an inventory item
+     * @param {Object} item - Item from the player inventory
+     * @returns {{success: boolean, message: string}} Result of the sale
+     */
+    sellItem(item) {
+        if (!this.game.player || !this.game.player.removeFromInventory(item.name, 1)) {
+            return { success: false, message: `You don't have ${item.name}` };
+        }
+
+        const price = this.getSellPrice(item);
+        this.game.player.addGold(price, false);
+
+        const soldItem = { ...item, amount: 1 };
+        delete soldItem.slotIndex;
+        this.buyback.unshift({ item: soldItem, price });
+        this.buyback.length = Math.min(this.buyback.length, VENDOR_CONFIG.buybackLimit);
+
+        return { success: true, message: `Sold ${item.name} for ${price} gold` };
+    }
+
+    /**
+     * Buy back a recently sold item for the price it was sold at
+     * @param {number} index - Index in the buyback list
+     * @returns {{success: boolean, message: string}} Result of the purchase
+     */
+    buybackItem(index) {
+        const entry = this.buyback[index];
+        if (!entry) {
+            return { success: false, message: 'This item can no longer be bought back' };
+        }
+
+        if (!this.pay(entry.price)) {
+            return { success: false, message: `Not enough gold for ${entry.item.name}` };
+        }
+
+        this.buyback.splice(index, 1);
+        this.game.player.addToInventory(entry.item);
+        return { success: true, message: `Bought back ${entry.item.name} for ${entry.price} gold` };
+    }
+
+    /**
+     * Get the vendor stock and buyback list for saving
+     * @returns {Object} Vendor state
+     */
+    getState() {
+        return {
+            vendors: Array.from(this.vendors.values()).map(vendor => ({
+                id: vendor.id,
+                name: vendor.name,
+                gear: vendor.gear,
+                restockTimer: vendor.restockTimer
+            })),
+            buyback: this.buyback
+        };
+    }
+
+    /**
+     * Restore saved vendor stock and buyback list
+     * @param {Object} state - State from getState
+     */
+    restoreState(state) {
+        this.vendors.clear();
+        this.buyback = [];
+        if (!state) return;
+
+        if (Array.isArray(state.vendors)) {
+            state.vendors.forEach(vendor => {
+                if (!vendor || !vendor.id) return;
+                this.vendors.set(vendor.id, {
+                    id: vendor.id,
+                    name: vendor.name || 'Merchant',
+                    gear: Array.isArray(vendor.gear) ? vendor.gear : [],
+                    restockTimer: typeof vendor.restockTimer === 'number' ? vendor.restockTimer : 0
+                });
+            });
+        }
+
+        if (Array.isArray(state.buyback)) {
+            this.buyback = state.buyback
+                .filter(entry => entry && entry.item && typeof entry.price === 'number')
+                .slice(0, VENDOR_CONFIG.buybackLimit);
+        }
+    }
+}
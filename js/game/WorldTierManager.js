@@ -0,0 +1,274 @@
+import { DIFFICULTY_SCALING } from '../config/game-balance.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
+
+/**
+ * @typedef {Object} WorldTier
+ * @property {number} tier - Tier number (1-based)
+ * @property {string} name - Display name of the tier
+ * @property {number} requiredLevel - Player level needed to select the tier
+ * @property {number} difficultyMultiplier - Multiplier applied to enemy health and damage
+ * @property {number} itemQualityMultiplier - Multiplier applied to drop rarity rolls
+ * @property {number} itemQuantityMultiplier - Multiplier applied to the number of drops
+ * @property {number} experienceMultiplier - Multiplier applied to experience gained
+ * @property {number} goldMultiplier - Multiplier applied to gold gained
+ * @property {boolean} [guaranteedLegendary] - Whether bosses always drop a legendary or better item
+ */
+
+/**
+ * Manages the endgame World Tier system
+ * Tracks the tier chosen by the player and exposes the multipliers defined in
+ * DIFFICULTY_SCALING.worldTiers to the enemy, loot and progression systems
+ */
+export class WorldTierManager {
+    /**
+     * Create a new WorldTierManager
+     * @param {import("./Game.js").Game} game - The main game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = DIFFICULTY_SCALING.worldTiers;
+
+        // Tier chosen by the player (may be higher than the active tier if the player is under-leveled)
+        this.selectedTier = 1;
+
+        // Highest tier the player has been told about, used to avoid repeating unlock notifications
+        this.lastAnnouncedTier = 1;
+    }
+
+    /**
+     * Load the selected tier from storage
+     * @returns {Promise<boolean>} True if initialization was successful
+     */
+    async init() {
+        try {
+            const storedTier = await storageService.loadData(STORAGE_KEYS.WORLD_TIER);
+            this.selectedTier = this.validateTier(parseInt(storedTier)) || 1;
+        } catch (error) {
+            console.warn('Error loading world tier, defaulting to World Tier I:', error);
+            this.selectedTier = 1;
+        }
+
+        this.lastAnnouncedTier = this.getHighestUnlockedTier();
+        console.debug(`WorldTierManager initialized with tier ${this.selectedTier}`);
+        return true;
+    }
+
+    /**
+     * Get all tier definitions
+     * @returns {WorldTier[]} Tier definitions from game balance config
+     */
+    getTiers() {
+        return this.config.tiers;
+    }
+
+    /**
+     * Get the definition of a tier
+     * @param {number} tier - Tier number
+     * @returns {WorldTier|null} The tier definition or null if it doesn't exist
+     */
+    getTier(tier) {
+        return this.config.tiers.find(t => t.tier === tier) || null;
+    }
+
+    /**
+     * Check that a tier number exists in the config
+     * @param {number} tier - Tier number to validate
+     * @returns {number|null} The tier number if valid, otherwise null
+     */
+    validateTier(tier) {
+        return this.getTier(tier) ? tier : null;
+    }
+
+    /**
+     * Get the player level needed to select a tier
+     * @param {number} tier - Tier number
+     * @returns {number} Required player level
+     */
+    getRequiredLevel(tier) {
+        const tierConfig = this.getTier(tier);
+        if (!tierConfig) {
+            return Infinity;
+        }
+
+        // Every tier above the first is gated behind the global unlock level
+        const requiredLevel = tierConfig.requiredLevel || 1;
+        return tier > 1 ? Math.max(requiredLevel, this.config.unlockLevel) : requiredLevel;
+    }
+
+    /**
+     * Get the current player level
+     * @returns {number} Player level, or 1 if the player isn't available yet
+     */
+    getPlayerLevel() {
+        if (this.game && this.game.player && this.game.player.stats) {
+            return this.game.player.stats.getLevel();
+        }
+        return 1;
+    }
+
+    /**
+     * Check whether a tier is unlocked for a given player level
+     * @param {number} tier - Tier number
+     * @param {number} [level] - Player level (defaults to the current player level)
+     * @returns {boolean} True if the tier can be selected
+     */
+    isTierUnlocked(tier, level = this.getPlayerLevel()) {
+        return level >= this.getRequiredLevel(tier);
+    }
+
+    /**
+     * Get the highest tier unlocked for a given player level
+     * @param {number} [level] - Player level (defaults to the current player level)
+     * @returns {number} Highest unlocked tier number
+     */
+    getHighestUnlockedTier(level = this.getPlayerLevel()) {
+        let highest = 1;
+        for (const tierConfig of this.config.tiers) {
+            if (this.isTierUnlocked(tierConfig.tier, level)) {
+                highest = Math.max(highest, tierConfig.tier);
+            }
+        }
+        return highest;
+    }
+
+    /**
+     * Get the tier currently in effect
+     * The selected tier is clamped to what the player has unlocked, so a stored
+     * tier never applies to a fresh or lower-level character
+     * @returns {WorldTier} The active tier definition
+     */
+    getActiveTier() {
+        const activeTier = Math.min(this.selectedTier, this.getHighestUnlockedTier());
+        return this.getTier(activeTier) || this.config.tiers[0];
+    }
+
+    /**
+     * Get the selected tier number
+     * @returns {number} Selected tier number
+     */
+    getSelectedTier() {
+        return this.selectedTier;
+    }
+
+    /**
+     * Select a world tier
+     * @param {number} tier - Tier number to select
+     * @param {Object} [options] - Selection options
+     * @param {boolean} [options.silent=false] - Skip the HUD notification
+     * @param {boolean} [options.persist=true] - Store the selection in settings storage
+     * @returns {boolean} True if the tier was selected
+     */
+    setTier(tier, { silent = false, persist = true } = {}) {
+        tier = parseInt(tier);
+
+        if (!this.validateTier(tier)) {
+            console.warn(`Unknown world tier: ${tier}`);
+            return false;
+        }
+
+        if (!this.isTierUnlocked(tier)) {
+            if (!silent && this.game && this.game.hudManager) {
+                this.game.hudManager.showNotification(
+                    `${this.getTier(tier).name} unlocks at level ${this.getRequiredLevel(tier)}`
+                );
+            }
+            return false;
+        }
+
+        this.selectedTier = tier;
+
+        if (persist) {
+            storageService.saveData(STORAGE_KEYS.WORLD_TIER, tier.toString());
+        }
+
+        console.debug(`World tier set to ${this.getTier(tier).name}`);
+
+        if (!silent && this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`World tier changed to ${this.getTier(tier).name}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Restore the selected tier from save data without checking unlocks
+     * The active tier is still clamped by getActiveTier()
+     * @param {number} tier - Tier number from the save
+     */
+    restoreTier(tier) {
+        const validTier = this.validateTier(parseInt(tier));
+        if (validTier) {
+            this.selectedTier = validTier;
+        }
+        this.lastAnnouncedTier = Math.max(this.lastAnnouncedTier, this.getHighestUnlockedTier());
+    }
+
+    /**
+     * Notify the player about tiers unlocked by a level up
+     * @param {number} level - The new player level
+     */
+    onPlayerLevelUp(level) {
+        const highestTier = this.getHighestUnlockedTier(level);
+        if (highestTier <= this.lastAnnouncedTier) {
+            return;
+        }
+
+        for (let tier = this.lastAnnouncedTier + 1; tier <= highestTier; tier++) {
+            const tierConfig = this.getTier(tier);
+            if (tierConfig && this.game && this.game.hudManager) {
+                this.game.hudManager.showNotification(`${tierConfig.name} unlocked! Select it in the game settings.`);
+            }
+        }
+
+        this.lastAnnouncedTier = highestTier;
+    }
+
+    /**
+     * Get the enemy health/damage multiplier for the active tier
+     * @returns {number} Difficulty multiplier
+     */
+    getDifficultyMultiplier() {
+        return this.getActiveTier().difficultyMultiplier || 1;
+    }
+
+    /**
+     * Get the item quality multiplier for the active tier
+     * @returns {number} Item quality multiplier
+     */
+    getItemQualityMultiplier() {
+        return this.getActiveTier().itemQualityMultiplier || 1;
+    }
+
+    /**
+     * Get the item quantity multiplier for the active tier
+     * @returns {number} Item quantity multiplier
+     */
+    getItemQuantityMultiplier() {
+        return this.getActiveTier().itemQuantityMultiplier || 1;
+    }
+
+    /**
+     * Get the experience multiplier for the active tier
+     * @returns {number} Experience multiplier
+     */
+    getExperienceMultiplier() {
+        return this.getActiveTier().experienceMultiplier || 1;
+    }
+
+    /**
+     * Get the gold multiplier for the active tier
+     * @returns {number} Gold multiplier
+     */
+    getGoldMultiplier() {
+        return this.getActiveTier().goldMultiplier || 1;
+    }
+
+    /**
+     * Check whether bosses are guaranteed to drop a legendary item in the active tier
+     * @returns {boolean} True if legendary drops are guaranteed
+     */
+    hasGuaranteedLegendary() {
+        return !!this.getActiveTier().guaranteedLegendary;
+    }
+}
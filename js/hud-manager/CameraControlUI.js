@@ -874,6 +874,22 @@ export class CameraControlUI extends UIComponent {
         return false;
     }
     
+    /**
+     * Rotate the camera around the player by an amount (used by the gamepad right stick)
+     * @param {number} deltaRotationX - Change of the vertical rotation in radians
+     * @param {number} deltaRotationY - Change of the horizontal rotation in radians
+     */
+    rotateCamera(deltaRotationX, deltaRotationY) {
+        const maxVerticalRotation = THREE.MathUtils.degToRad(89);
+        const rotationX = Math.max(-maxVerticalRotation,
+            Math.min(maxVerticalRotation, this.cameraState.rotationX + deltaRotationX));
+        const rotationY = this.cameraState.rotationY + deltaRotationY;
+        
+        this.cameraState.rotationX = rotationX;
+        this.cameraState.rotationY = rotationY;
+        this.updateCameraOrbit(rotationX, rotationY);
+    }
+    
     /**
      * Update the visual indicator based on drag distance
      * @param {number} deltaX - X distance from start position
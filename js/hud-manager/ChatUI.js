@@ -0,0 +1,260 @@
+import { UIComponent } from '../UIComponent.js';
+import { CHAT_CONFIG } from '../config/multiplayer.js';
+
+/**
+ * Chat UI component
+ * Party chat panel with quick chat and ping buttons, available in multiplayer games
+ */
+export class ChatUI extends UIComponent {
+    /**
+     * Create a new ChatUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('chat-panel', game);
+        this.isOpen = false;
+        this.unreadCount = 0;
+        this.removeMessageListener = null;
+    }
+
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.messagesElement = document.getElementById('chat-messages');
+        this.inputElement = document.getElementById('chat-input');
+        this.buttonElement = document.getElementById('chat-button');
+        this.unreadElement = document.getElementById('chat-unread');
+
+        if (this.inputElement) {
+            this.inputElement.maxLength = CHAT_CONFIG.maxLength;
+            this.inputElement.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    // Close the chat without opening the game menu
+                    event.stopPropagation();
+                    this.close();
+                }
+            });
+        }
+
+        const form = document.getElementById('chat-form');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submitInput();
+            });
+        }
+
+        const closeButton = document.getElementById('chat-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+
+        if (this.buttonElement) {
+            this.buttonElement.addEventListener('click', () => this.toggleChat());
+        }
+
+        this.renderQuickChat();
+        this.hide();
+        return true;
+    }
+
+    /**
+     * Get the chat manager of the multiplayer session
+     * @returns {import('../multiplayer/MultiplayerChatManager.js').MultiplayerChatManager|null} The chat manager
+     */
+    get chat() {
+        return this.game.multiplayerManager ? this.game.multiplayerManager.chat : null;
+    }
+
+    /**
+     * Check if a multiplayer session is running
+     * @returns {boolean} True if the chat can be used
+     */
+    isAvailable() {
+        return !!(this.game.multiplayerManager && this.game.multiplayerManager.isActive());
+    }
+
+    /**
+     * Show the chat button only in multiplayer games
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        const available = this.isAvailable();
+
+        // Subscribe once the multiplayer manager exists
+        if (!this.removeMessageListener && this.chat) {
+            this.removeMessageListener = this.chat.onMessage(entry => this.addMessage(entry));
+        }
+
+        if (this.buttonElement) {
+            this.buttonElement.style.display = available ? 'block' : 'none';
+        }
+
+        if (!available && this.isOpen) {
+            this.close();
+        }
+        if (!available && this.messagesElement && this.messagesElement.childElementCount > 0) {
+            this.messagesElement.innerHTML = '';
+            this.setUnreadCount(0);
+        }
+    }
+
+    /**
+     * Add the quick chat and ping buttons
+     */
+    renderQuickChat() {
+        const quickElement = document.getElementById('chat-quick');
+        if (!quickElement) return;
+
+        quickElement.innerHTML = '';
+        CHAT_CONFIG.quickChat.forEach(({ emoji, text }) => {
+            quickElement.appendChild(this.createQuickButton(emoji, text, () => {
+                if (this.chat) {
+                    this.chat.sendMessage(`${emoji} ${text}`, true);
+                }
+            }));
+        });
+
+        Object.entries(CHAT_CONFIG.pingKinds).forEach(([kind, { icon }]) => {
+            const button = this.createQuickButton(icon, `Ping ${kind} at your position`, () => this.pingPlayerPosition(kind));
+            button.classList.add('ping');
+            quickElement.appendChild(button);
+        });
+    }
+
+    /**
+     * Create a quick chat button
+     * @param {string} label - Button label
+     * @param {string} title - Tooltip
+     * @param {function(): void} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createQuickButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'chat-quick-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Ping the position of the local player
+     * @param {string} [kind='location'] - One of CHAT_CONFIG.pingKinds
+     */
+    pingPlayerPosition(kind = 'location') {
+        if (!this.chat || !this.game.player) return;
+        this.chat.sendPing(this.game.player.getPosition(), kind);
+    }
+
+    /**
+     * Send the text of the input field
+     */
+    submitInput() {
+        if (!this.inputElement || !this.chat) return;
+
+        if (this.chat.sendMessage(this.inputElement.value)) {
+            this.inputElement.value = '';
+        }
+
+        // Return to the game after sending, like most games do
+        this.inputElement.blur();
+    }
+
+    /**
+     * Open the chat and focus the input field
+     */
+    open() {
+        if (!this.isAvailable()) return;
+
+        this.isOpen = true;
+        this.show();
+        this.setUnreadCount(0);
+        this.scrollToBottom();
+        if (this.inputElement) {
+            this.inputElement.focus();
+        }
+    }
+
+    /**
+     * Close the chat
+     */
+    close() {
+        this.isOpen = false;
+        if (this.inputElement) {
+            this.inputElement.blur();
+        }
+        this.hide();
+    }
+
+    /**
+     * Open or close the chat
+     */
+    toggleChat() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show a new chat message
+     * @param {import('../multiplayer/MultiplayerChatManager.js').ChatEntry} entry - The chat entry
+     */
+    addMessage(entry) {
+        if (!this.messagesElement) return;
+
+        const element = document.createElement('div');
+        element.className = 'chat-message';
+        element.classList.toggle('quick', entry.quick);
+        element.classList.toggle('system', entry.system);
+
+        if (!entry.system) {
+            const name = document.createElement('span');
+            name.className = 'chat-message-name';
+            name.style.color = entry.color;
+            name.textContent = `${entry.name}:`;
+            element.appendChild(name);
+        }
+
+        // textContent keeps messages of other players from injecting markup
+        const text = document.createElement('span');
+        text.className = 'chat-message-text';
+        text.textContent = entry.text;
+        element.appendChild(text);
+
+        this.messagesElement.appendChild(element);
+        while (this.messagesElement.childElementCount > CHAT_CONFIG.historySize) {
+            this.messagesElement.firstElementChild.remove();
+        }
+        this.scrollToBottom();
+
+        if (!this.isOpen && !entry.system) {
+            this.setUnreadCount(this.unreadCount + 1);
+        }
+    }
+
+    /**
+     * Show the number of unread messages on the chat button
+     * @param {number} count - Unread messages
+     */
+    setUnreadCount(count) {
+        this.unreadCount = count;
+        if (!this.unreadElement) return;
+
+        this.unreadElement.textContent = count > 9 ? '9+' : String(count);
+        this.unreadElement.style.display = count > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Keep the newest message in view
+     */
+    scrollToBottom() {
+        if (this.messagesElement) {
+            this.messagesElement.scrollTop = this.messagesElement.scrollHeight;
+        }
+    }
+}
@@ -0,0 +1,328 @@
+import { UIComponent } from '../UIComponent.js';
+import { CRAFTING_MATERIALS, CRAFTABLE_TYPES } from '../config/crafting.js';
+
+/**
+ * Crafting UI component
+ * Panel next to the inventory items for salvaging, crafting and enchanting items
+ */
+export class CraftingUI extends UIComponent {
+    /**
+     * Create a new CraftingUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('crafting-panel', game);
+        this.activeTab = 'salvage';
+
+        // Current choices of the craft and enchant tabs
+        this.selectedRecipeId = null;
+        this.selectedType = Object.keys(CRAFTABLE_TYPES)[0];
+        this.selectedSubType = CRAFTABLE_TYPES[this.selectedType][0];
+        this.selectedItem = null;
+    }
+
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.materialsElement = document.getElementById('crafting-materials');
+        this.bodyElement = document.getElementById('crafting-body');
+        this.messageElement = document.getElementById('crafting-message');
+
+        const openButton = document.getElementById('inventory-crafting');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+
+        const closeButton = document.getElementById('crafting-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.hide());
+        }
+
+        this.container.querySelectorAll('.crafting-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.selectTab(tab.dataset.tab));
+        });
+
+        this.hide();
+        return true;
+    }
+
+    /**
+     * Get the item crafter of the game
+     * @returns {import('../entities/items/ItemCrafter.js').ItemCrafter} The crafter
+     */
+    get crafter() {
+        return this.game.itemCrafter;
+    }
+
+    /**
+     * Show the panel with up to date content
+     */
+    show() {
+        super.show();
+        this.showMessage('');
+        this.refresh();
+    }
+
+    /**
+     * Switch between the salvage, craft and enchant tabs
+     * @param {string} tab - Tab name
+     */
+    selectTab(tab) {
+        this.activeTab = tab;
+        this.container.querySelectorAll('.crafting-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        this.refresh();
+    }
+
+    /**
+     * Redraw the materials and the active tab
+     */
+    refresh() {
+        if (!this.bodyElement || !this.game.player) return;
+
+        this.renderMaterials();
+        this.bodyElement.innerHTML = '';
+
+        if (this.activeTab === 'salvage') {
+            this.renderSalvage();
+        } else if (this.activeTab === 'craft') {
+            this.renderCraft();
+        } else {
+            this.renderEnchant();
+        }
+    }
+
+    /**
+     * Show the result of an action and update the inventory
+     * @param {{success: boolean, message: string}} result - Result of the action
+     */
+    handleResult(result) {
+        this.showMessage(result.message, !result.success);
+        this.refresh();
+
+        const inventoryUI = this.game.hudManager && this.game.hudManager.components.inventoryUI;
+        if (inventoryUI) {
+            inventoryUI.updateInventoryItems();
+        }
+    }
+
+    /**
+     * Show the amount of every material
+     */
+    renderMaterials() {
+        if (!this.materialsElement) return;
+
+        this.materialsElement.innerHTML = '';
+        Object.values(CRAFTING_MATERIALS).forEach(material => {
+            const element = document.createElement('span');
+            element.className = 'crafting-material';
+            element.title = material.name;
+            element.textContent = `${material.icon} ${this.game.player.getMaterialCount(material.id)}`;
+            this.materialsElement.appendChild(element);
+        });
+    }
+
+    /**
+     * List the inventory items that can be salvaged
+     */
+    renderSalvage() {
+        const items = this.game.player.getInventory().filter(item => this.crafter.canSalvage(item));
+        if (items.length === 0) {
+            this.renderEmpty('No items to salvage');
+            return;
+        }
+
+        items.forEach(item => {
+            const yields = this.crafter.getSalvageYield(item)
+                .map(({ materialId, min, max }) => `${min}-${max} ${this.crafter.getMaterialName(materialId)}`)
+                .join(', ');
+
+            const row = this.createItemRow(item, yields);
+            row.appendChild(this.createButton('Salvage', () => this.handleResult(this.crafter.salvageItem(item))));
+            this.bodyElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the recipe, type and subtype choice and the craft button
+     */
+    renderCraft() {
+        const recipes = this.crafter.getRecipes();
+        if (!recipes.some(recipe => recipe.id === this.selectedRecipeId)) {
+            this.selectedRecipeId = recipes[0].id;
+        }
+        const recipe = recipes.find(r => r.id === this.selectedRecipeId);
+
+        this.bodyElement.appendChild(this.createSelect('Recipe',
+            recipes.map(r => ({ value: r.id, label: r.name })),
+            this.selectedRecipeId,
+            value => { this.selectedRecipeId = value; this.refresh(); }));
+
+        this.bodyElement.appendChild(this.createSelect('Type',
+            Object.keys(CRAFTABLE_TYPES).map(type => ({ value: type, label: type })),
+            this.selectedType,
+            value => {
+                this.selectedType = value;
+                this.selectedSubType = CRAFTABLE_TYPES[value][0];
+                this.refresh();
+            }));
+
+        this.bodyElement.appendChild(this.createSelect('Kind',
+            CRAFTABLE_TYPES[this.selectedType].map(subType => ({ value: subType, label: subType })),
+            this.selectedSubType,
+            value => { this.selectedSubType = value; this.refresh(); }));
+
+        const description = document.createElement('p');
+        description.className = 'crafting-details';
+        description.textContent = `${recipe.description} Cost: ${this.crafter.formatCost(recipe.cost)}`;
+        this.bodyElement.appendChild(description);
+
+        const button = this.createButton('Craft', () => {
+            this.handleResult(this.crafter.craftItem(recipe.id, this.selectedType, this.selectedSubType));
+        });
+        button.disabled = !this.crafter.canAfford(recipe.cost);
+        this.bodyElement.appendChild(button);
+    }
+
+    /**
+     * Show the item choice, a reroll button per secondary stat and the upgrade button
+     */
+    renderEnchant() {
+        const items = this.game.player.getInventory().filter(item => this.crafter.canSalvage(item));
+        if (items.length === 0) {
+            this.renderEmpty('No items to enchant');
+            return;
+        }
+
+        if (!items.includes(this.selectedItem)) {
+            this.selectedItem = items[0];
+        }
+        const item = this.selectedItem;
+
+        this.bodyElement.appendChild(this.createSelect('Item',
+            items.map((entry, index) => ({ value: String(index), label: entry.name })),
+            String(items.indexOf(item)),
+            value => { this.selectedItem = items[parseInt(value)]; this.refresh(); }));
+
+        const rerollCost = this.crafter.getRerollCost(item);
+        const stats = item.secondaryStats || [];
+        if (stats.length === 0) {
+            this.renderEmpty('This item has no secondary stats to reroll');
+        }
+        stats.forEach((stat, index) => {
+            const label = stat.element ? `${stat.element} ${stat.type}` : stat.type;
+            const row = this.createItemRow({ ...item, icon: '✦', name: `${label} +${stat.value}` },
+                `Reroll: ${this.crafter.formatCost(rerollCost)}`);
+            const button = this.createButton('Reroll', () => {
+                this.handleResult(this.crafter.rerollSecondaryStat(item, index));
+            });
+            button.disabled = !this.crafter.canAfford(rerollCost);
+            row.appendChild(button);
+            this.bodyElement.appendChild(row);
+        });
+
+        const upgradeCost = this.crafter.getUpgradeCost(item);
+        const upgradeRow = this.createItemRow(item,
+            upgradeCost ? `Upgrade rarity: ${this.crafter.formatCost(upgradeCost)}` : 'Highest rarity reached');
+        const upgradeButton = this.createButton('Upgrade', () => this.handleResult(this.crafter.upgradeRarity(item)));
+        upgradeButton.disabled = !upgradeCost || !this.crafter.canAfford(upgradeCost);
+        upgradeRow.appendChild(upgradeButton);
+        this.bodyElement.appendChild(upgradeRow);
+    }
+
+    /**
+     * Create a row showing an item and a detail line
+     * @param {Object} item - The item
+     * @param {string} details - Detail text
+     * @returns {HTMLElement} The row
+     */
+    createItemRow(item, details) {
+        const row = document.createElement('div');
+        row.className = 'crafting-row';
+
+        const icon = document.createElement('span');
+        icon.textContent = item.icon || '📦';
+        row.appendChild(icon);
+
+        const info = document.createElement('div');
+        info.className = 'crafting-row-info';
+        const name = document.createElement('span');
+        name.className = `item-${item.rarity || 'common'}`;
+        name.textContent = item.amount > 1 ? `${item.name} x${item.amount}` : item.name;
+        const detail = document.createElement('span');
+        detail.className = 'crafting-details';
+        detail.textContent = details;
+        info.appendChild(name);
+        info.appendChild(detail);
+        row.appendChild(info);
+
+        return row;
+    }
+
+    /**
+     * Create an action button
+     * @param {string} label - Button label
+     * @param {function(): void} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'crafting-action';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create a labelled select
+     * @param {string} label - Field label
+     * @param {Array<{value: string, label: string}>} options - Options
+     * @param {string} value - Selected value
+     * @param {function(string): void} onChange - Change handler
+     * @returns {HTMLElement} The field
+     */
+    createSelect(label, options, value, onChange) {
+        const field = document.createElement('label');
+        field.className = 'crafting-field';
+        field.textContent = label;
+
+        const select = document.createElement('select');
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        field.appendChild(select);
+
+        return field;
+    }
+
+    /**
+     * Show a placeholder text in the panel body
+     * @param {string} text - Placeholder text
+     */
+    renderEmpty(text) {
+        const empty = document.createElement('div');
+        empty.className = 'crafting-empty';
+        empty.textContent = text;
+        this.bodyElement.appendChild(empty);
+    }
+
+    /**
+     * Show the result of the last action
+     * @param {string} message - Message text
+     * @param {boolean} [isWarning=false] - Highlight the message as a warning
+     */
+    showMessage(message, isWarning = false) {
+        if (!this.messageElement) return;
+
+        this.messageElement.textContent = message;
+        this.messageElement.classList.toggle('warning', isWarning);
+    }
+}
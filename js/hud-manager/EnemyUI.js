@@ -1,8 +1,9 @@
 import { UIComponent } from '../UIComponent.js';
+import { BOSS_SETTINGS } from '../config/boss.js';
 
 /**
  * Enemy UI component
- * Displays enemy health and information
+ * Displays enemy health and information, and a larger bar for engaged bosses
  */
 export class EnemyUI extends UIComponent {
     /**
@@ -14,6 +15,16 @@ export class EnemyUI extends UIComponent {
         this.enemyName = null;
         this.enemyHealthBar = null;
         this.enemyHealthText = null;
+        
+        // Boss health bar
+        this.bossContainer = null;
+        this.bossName = null;
+        this.bossPhase = null;
+        this.bossEnrage = null;
+        this.bossHealthBar = null;
+        this.bossHealthText = null;
+        this.bossPhaseMarkers = null;
+        this.displayedBoss = null;
     }
     
     /**
@@ -40,9 +51,44 @@ export class EnemyUI extends UIComponent {
         // Hide initially
         this.hide();
         
+        this.initBossHealthBar();
+        
         return true;
     }
     
+    /**
+     * Create the boss health bar
+     */
+    initBossHealthBar() {
+        this.bossContainer = document.getElementById('boss-health-container');
+        if (!this.bossContainer) {
+            this.bossContainer = document.createElement('div');
+            this.bossContainer.id = 'boss-health-container';
+            document.body.appendChild(this.bossContainer);
+        }
+        
+        this.bossContainer.innerHTML = `
+            <div id="boss-header">
+                <span id="boss-name"></span>
+                <span id="boss-phase"></span>
+                <span id="boss-enrage"></span>
+            </div>
+            <div id="boss-health-bar-container">
+                <div id="boss-health-bar"></div>
+                <div id="boss-phase-markers"></div>
+                <div id="boss-health-text"></div>
+            </div>
+        `;
+        
+        this.bossName = document.getElementById('boss-name');
+        this.bossPhase = document.getElementById('boss-phase');
+        this.bossEnrage = document.getElementById('boss-enrage');
+        this.bossHealthBar = document.getElementById('boss-health-bar');
+        this.bossHealthText = document.getElementById('boss-health-text');
+        this.bossPhaseMarkers = document.getElementById('boss-phase-markers');
+        this.bossContainer.style.display = 'none';
+    }
+    
     /**
      * Update the enemy UI
      */
@@ -51,7 +97,11 @@ export class EnemyUI extends UIComponent {
         const playerPosition = this.game.player.getPosition();
         const closestEnemy = this.game.enemyManager.getClosestEnemy(playerPosition, 30);
         
-        if (closestEnemy && !closestEnemy.isDead()) {
+        // The boss bar replaces the regular bar while the boss is the closest enemy
+        const boss = this.game.enemyManager.getEngagedBoss(playerPosition, BOSS_SETTINGS.engageRange);
+        this.updateBossHealthBar(boss);
+        
+        if (closestEnemy && !closestEnemy.isDead() && closestEnemy !== boss) {
             // Show enemy health bar
             this.container.style.display = 'block'; // Explicitly set display to block
             
@@ -73,4 +123,44 @@ export class EnemyUI extends UIComponent {
             this.container.style.display = 'none'; // Explicitly set display to none
         }
     }
-}
\ No newline at end of file
+    
+    /**
+     * Update the boss health bar
+     * @param {import("../entities/enemies/Enemy.js").Enemy|null} boss - The engaged boss
+     */
+    updateBossHealthBar(boss) {
+        if (!boss) {
+            this.bossContainer.style.display = 'none';
+            this.displayedBoss = null;
+            return;
+        }
+        
+        const controller = boss.bossController;
+        this.bossContainer.style.display = 'block';
+        
+        // Name and phase markers only change with the boss
+        if (this.displayedBoss !== boss) {
+            this.displayedBoss = boss;
+            this.bossName.textContent = boss.getName();
+            this.bossPhaseMarkers.innerHTML = controller.script.phases
+                .slice(1)
+                .map(phase => `<div class="boss-phase-marker" style="left: ${phase.healthThreshold * 100}%"></div>`)
+                .join('');
+        }
+        
+        const currentHealth = Math.max(0, Math.round(boss.getHealth()));
+        const maxHealth = Math.round(boss.getMaxHealth());
+        this.bossHealthBar.style.width = `${(currentHealth / maxHealth) * 100}%`;
+        this.bossHealthText.textContent = `${currentHealth}/${maxHealth}`;
+        this.bossPhase.textContent = controller.getPhase().name;
+        
+        if (controller.isEnraged) {
+            this.bossEnrage.textContent = 'ENRAGED';
+            this.bossEnrage.classList.add('enraged');
+        } else {
+            const remaining = Math.ceil(controller.getEnrageRemaining());
+            this.bossEnrage.textContent = `Enrage ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+            this.bossEnrage.classList.remove('enraged');
+        }
+    }
+}
@@ -3,6 +3,9 @@ import { EnemyUI } from './EnemyUI.js';
 import { SkillsUI } from './SkillsUI.js';
 import { DialogUI } from './DialogUI.js';
 import { InventoryUI } from './InventoryUI.js';
+import { ShopUI } from './ShopUI.js';
+import { CraftingUI } from './CraftingUI.js';
+import { ChatUI } from './ChatUI.js';
 import { SkillTreeUI } from './SkillTreeUI.js';
 import { SkillSelectionUI } from './SkillSelectionUI.js';
 import { VirtualJoystickUI } from './VirtualJoystickUI.js';
@@ -92,6 +95,14 @@ export class HUDManager {
         this.components.inventoryUI = new InventoryUI(this.game);
         this.components.inventoryUI.init();
         
+        // Create crafting panel next to the inventory
+        this.components.craftingUI = new CraftingUI(this.game);
+        this.components.craftingUI.init();
+        
+        // Create vendor shop UI
+        this.components.shopUI = new ShopUI(this.game);
+        this.components.shopUI.init();
+        
         // Create skill tree UI
         this.components.skillTreeUI = new SkillTreeUI(this.game);
         this.components.skillTreeUI.init();
@@ -120,6 +131,10 @@ export class HUDManager {
         this.components.notificationsUI = new NotificationsUI(this.game);
         this.components.notificationsUI.init();
         
+        // Create party chat UI
+        this.components.chatUI = new ChatUI(this.game);
+        this.components.chatUI.init();
+        
         // Create mini map UI
         this.components.miniMapUI = new MiniMapUI(this.game);
         this.components.miniMapUI.init();
@@ -164,6 +179,9 @@ export class HUDManager {
         // Update notifications UI
         this.components.notificationsUI.update(delta);
         
+        // Update party chat UI
+        this.components.chatUI.update(delta);
+        
         // Update UI buttons
         this.components.homeButton.update(delta);
         this.components.skillTreeButton.update(delta);
@@ -212,6 +230,22 @@ export class HUDManager {
         this.components.inventoryUI.toggleInventory();
     }
     
+    /**
+     * Open the party chat and focus its input field
+     */
+    openChat() {
+        this.components.chatUI.open();
+    }
+    
+    /**
+     * Open the shop of a vendor
+     * @param {string} vendorId - Vendor id
+     * @param {string} vendorName - Vendor display name
+     */
+    openShop(vendorId, vendorName) {
+        this.components.shopUI.open(vendorId, vendorName);
+    }
+    
     /**
      * Toggle skill tree visibility
      */
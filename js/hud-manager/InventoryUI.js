@@ -262,6 +262,30 @@ export class InventoryUI extends UIComponent {
                             <div class="stat-label">Level</div>
                             <div class="stat-value" id="stat-level">1</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Crit Chance</div>
+                            <div class="stat-value" id="stat-crit-chance">0%</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Crit Damage</div>
+                            <div class="stat-value" id="stat-crit-damage">150%</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Attack Speed</div>
+                            <div class="stat-value" id="stat-attack-speed">100%</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Elemental</div>
+                            <div class="stat-value" id="stat-elemental">+0%</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Damage Over Time</div>
+                            <div class="stat-value" id="stat-damage-over-time">-</div>
+                        </div>
+                        <div class="stat-item">
+                            <div class="stat-label">Damage Stacks</div>
+                            <div class="stat-value" id="stat-damage-stacks">-</div>
+                        </div>
                     </div>
                 `;
                 
@@ -368,6 +392,12 @@ export class InventoryUI extends UIComponent {
             // Hide any open item popup
             this.hideItemPopup();
             
+            // Close the crafting panel with the inventory
+            const craftingUI = this.game.hudManager && this.game.hudManager.components.craftingUI;
+            if (craftingUI) {
+                craftingUI.hide();
+            }
+            
             // Hide inventory
             this.hide();
             this.isInventoryOpen = false;
@@ -412,6 +442,12 @@ export class InventoryUI extends UIComponent {
         // Get player inventory
         const inventory = this.game.player.getInventory();
         
+        // Update gold display
+        const goldValue = document.getElementById('gold-value');
+        if (goldValue) {
+            goldValue.textContent = this.game.player.getGold();
+        }
+        
         // Create a grid of slots first (6x5 grid = 30 slots)
         const totalSlots = 30;
         const slots = [];
@@ -631,6 +667,47 @@ export class InventoryUI extends UIComponent {
         if (defenseElement) defenseElement.textContent = Number(defense).toFixed();
         if (speedElement) speedElement.textContent = Number(speed).toFixed();
         if (levelElement) levelElement.textContent = level;
+        
+        // Update effective combat stats from equipment
+        this.updateCombatStats();
+    }
+    
+    /**
+     * Update the effective combat stats (crit, attack speed, elemental, DoT, stacks)
+     */
+    updateCombatStats() {
+        const combatStats = this.game.player.combatStats;
+        if (!combatStats) return;
+        
+        const summary = combatStats.getSummary();
+        
+        const critChanceElement = document.getElementById('stat-crit-chance');
+        const critDamageElement = document.getElementById('stat-crit-damage');
+        const attackSpeedElement = document.getElementById('stat-attack-speed');
+        const elementalElement = document.getElementById('stat-elemental');
+        const damageOverTimeElement = document.getElementById('stat-damage-over-time');
+        const damageStacksElement = document.getElementById('stat-damage-stacks');
+        
+        if (critChanceElement) critChanceElement.textContent = `${summary.critChance.toFixed(1)}%`;
+        if (critDamageElement) critDamageElement.textContent = `${summary.critDamage.toFixed()}%`;
+        if (attackSpeedElement) attackSpeedElement.textContent = `${summary.attackSpeed.toFixed()}%`;
+        
+        if (elementalElement) {
+            const element = summary.element ? ` ${summary.element}` : '';
+            elementalElement.textContent = `+${summary.elementalDamage.toFixed()}%${element}`;
+        }
+        
+        if (damageOverTimeElement) {
+            damageOverTimeElement.textContent = summary.damageOverTime.length > 0
+                ? summary.damageOverTime.map(dot => `${dot.value}%/s ${dot.element}`).join(', ')
+                : '-';
+        }
+        
+        if (damageStacksElement) {
+            damageStacksElement.textContent = summary.maxStacks > 0
+                ? `${summary.stacks}/${summary.maxStacks} (+${summary.stackingDamage.toFixed()}%)`
+                : '-';
+        }
     }
     
     /**
@@ -2,7 +2,8 @@ import { UIComponent } from '../UIComponent.js';
 
 /**
  * Map Selection UI component
- * Handles the map selector button and displays a coming soon modal
+ * Lists the bundled maps with a preview and details, loads the selected map
+ * and lets the player return to the procedural world
  */
 export class MapSelectionUI extends UIComponent {
     /**
@@ -10,12 +11,26 @@ export class MapSelectionUI extends UIComponent {
      * @param {Object} game - Reference to the game instance
      */
     constructor(game) {
-        super('map-selection-modal', game);
+        super('map-selector-overlay', game);
         this.mapSelectorButton = null;
-        this.modal = null;
-        this.okButton = null;
+        this.overlay = null;
+        this.mapList = null;
+        this.preview = null;
+        this.loadButton = null;
+        this.clearButton = null;
+        this.closeButton = null;
+        this.loadingOverlay = null;
+        this.currentMapDisplay = null;
+
+        /** @type {import('../world/maps/MapLoader.js').MapData[]} */
+        this.maps = [];
+        this.selectedMapId = null;
+        this.isLoading = false;
+
+        // Whether the game was paused by this component
+        this.pausedGame = false;
     }
-    
+
     /**
      * Initialize the component
      * @returns {boolean} - True if initialization was successful
@@ -24,30 +39,31 @@ export class MapSelectionUI extends UIComponent {
         try {
             // Get references to DOM elements
             this.mapSelectorButton = document.getElementById('map-selector-button');
-            this.modal = document.getElementById('map-selection-modal');
-            this.okButton = document.getElementById('map-selection-ok-btn');
-            
+            this.overlay = document.getElementById('map-selector-overlay');
+            this.mapList = document.getElementById('map-list');
+            this.preview = document.getElementById('map-preview-large');
+            this.loadButton = document.getElementById('loadSelectedMap');
+            this.clearButton = document.getElementById('clearCurrentMap');
+            this.closeButton = document.getElementById('closeMapSelector');
+            this.loadingOverlay = document.getElementById('mapLoadingOverlay');
+            this.currentMapDisplay = document.getElementById('currentMapDisplay');
+
             if (!this.mapSelectorButton) {
                 console.error('Map selector button not found');
                 return false;
             }
-            
-            if (!this.modal) {
-                console.error('Map selection modal not found');
-                return false;
-            }
-            
-            if (!this.okButton) {
-                console.error('Map selection OK button not found');
+
+            if (!this.overlay || !this.mapList) {
+                console.error('Map selector overlay not found');
                 return false;
             }
-            
+
             // Set up event listeners
             this.setupEventListeners();
-            
-            // Initially hide the modal and ensure it doesn't block interactions
+
+            // Initially hide the overlay and ensure it doesn't block interactions
             this.forceHide();
-            
+
             console.log('MapSelectionUI initialized successfully');
             return true;
         } catch (error) {
@@ -55,32 +71,45 @@ export class MapSelectionUI extends UIComponent {
             return false;
         }
     }
-    
+
     /**
      * Set up event listeners
      */
     setupEventListeners() {
-        // Map selector button click handler
         this.mapSelectorButton.addEventListener('click', (event) => {
             event.preventDefault();
             event.stopPropagation();
-            this.showMapSelectionModal();
-        });
-        
-        // OK button click handler
-        this.okButton.addEventListener('click', (event) => {
-            event.preventDefault();
-            event.stopPropagation();
-            this.hide();
+            this.showMapSelector();
         });
-        
-        // Modal overlay click handler (close modal when clicking outside)
-        this.modal.addEventListener('click', (event) => {
-            if (event.target === this.modal) {
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', (event) => {
+                event.preventDefault();
                 this.hide();
+            });
+        }
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.returnToProceduralWorld();
+            });
+        }
+
+        if (this.loadButton) {
+            this.loadButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.loadSelectedMap();
+            });
+        }
+
+        this.mapList.addEventListener('click', (event) => {
+            const item = event.target.closest('.map-list-item');
+            if (item) {
+                this.selectMap(item.dataset.mapId);
             }
         });
-        
+
         // Escape key handler
         document.addEventListener('keydown', (event) => {
             if (event.key === 'Escape' && this.isVisible()) {
@@ -88,90 +117,318 @@ export class MapSelectionUI extends UIComponent {
             }
         });
     }
-    
+
     /**
-     * Show the map selection modal
+     * Get the world's map loader
+     * @returns {import('../world/maps/MapLoader.js').MapLoader|null} Map loader
      */
-    showMapSelectionModal() {
-        console.log('Showing map selection modal');
-        
-        // Clear any stuck touches before showing modal
-        // if (touchManager.hasActiveTouches()) {
-        //     console.debug('MapSelectionUI: Clearing stuck touches before showing modal');
-        //     touchManager.clearAllTouches(); // Removed TouchManager dependency
-        // }
-        
+    getMapLoader() {
+        return this.game.world ? this.game.world.mapLoader : null;
+    }
+
+    /**
+     * Load the map list and show the selector
+     */
+    async showMapSelector() {
+        console.log('Showing map selector');
         this.show();
-        
-        // Focus the OK button for keyboard navigation
-        setTimeout(() => {
-            if (this.okButton) {
-                this.okButton.focus();
+
+        const mapLoader = this.getMapLoader();
+        if (!mapLoader) return;
+
+        this.maps = await mapLoader.loadIndex();
+
+        // Preselect the loaded map, otherwise the first one
+        const currentMap = this.game.world.currentMap;
+        const selectedId = this.selectedMapId || (currentMap ? currentMap.id : null);
+        this.renderMapList();
+        this.renderCurrentMap();
+        this.selectMap(selectedId || (this.maps[0] ? this.maps[0].id : null));
+    }
+
+    /**
+     * Fill the map list
+     */
+    renderMapList() {
+        this.mapList.innerHTML = '';
+
+        if (this.maps.length === 0) {
+            this.mapList.innerHTML = '<div class="no-maps-message"><p>No maps available</p></div>';
+            return;
+        }
+
+        this.maps.forEach(map => {
+            const item = document.createElement('div');
+            item.className = 'map-list-item';
+            item.dataset.mapId = map.id;
+
+            const preview = document.createElement('div');
+            preview.className = 'map-list-preview';
+            preview.appendChild(this.createPreviewCanvas(map, 40));
+
+            const name = document.createElement('div');
+            name.className = 'map-list-name';
+            name.textContent = map.name;
+
+            item.appendChild(preview);
+            item.appendChild(name);
+            this.mapList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show which map the world is currently built from
+     */
+    renderCurrentMap() {
+        if (!this.currentMapDisplay) return;
+
+        const currentMap = this.game.world ? this.game.world.currentMap : null;
+        this.currentMapDisplay.innerHTML = '';
+
+        const name = document.createElement('div');
+        name.className = 'current-map-name';
+        name.textContent = currentMap ? `Current: ${currentMap.name}` : 'Current: Procedural World';
+        this.currentMapDisplay.appendChild(name);
+
+        const description = document.createElement('div');
+        description.className = 'current-map-description';
+        description.textContent = currentMap ? currentMap.description : 'Endless, randomly generated terrain';
+        this.currentMapDisplay.appendChild(description);
+
+        if (this.clearButton) {
+            this.clearButton.disabled = !currentMap;
+        }
+    }
+
+    /**
+     * Select a map and show its details
+     * @param {string|null} mapId - Id of the map to select
+     */
+    selectMap(mapId) {
+        const map = this.maps.find(entry => entry.id === mapId) || null;
+        this.selectedMapId = map ? map.id : null;
+
+        this.mapList.querySelectorAll('.map-list-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.mapId === this.selectedMapId);
+        });
+
+        this.setText('selectedMapName', map ? map.name : 'Select a map');
+        this.setText('selectedMapDescription', map ? map.description : 'Choose a map from the list to view details');
+        this.setText('mapSizeStat', map && map.size ? `${map.size} x ${map.size}` : '-');
+        this.setText('structuresStat', map ? map.structures.length : '-');
+        this.setText('pathsStat', map ? map.paths.length : '-');
+        this.setText('environmentStat', map ? map.environment.length : '-');
+
+        if (this.preview) {
+            this.preview.innerHTML = '';
+            if (map) {
+                this.preview.appendChild(this.createPreviewCanvas(map, 220));
+            }
+        }
+
+        if (this.loadButton) {
+            const currentMap = this.game.world ? this.game.world.currentMap : null;
+            const isCurrent = !!(map && currentMap && currentMap.id === map.id);
+            this.loadButton.disabled = !map || isCurrent || this.isLoading;
+            this.loadButton.textContent = isCurrent ? 'Currently Loaded' : 'Load Map';
+        }
+    }
+
+    /**
+     * Set the text of an element by id
+     * @param {string} id - Element id
+     * @param {string|number} text - Text to show
+     */
+    setText(id, text) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = text;
+        }
+    }
+
+    /**
+     * Draw a top-down preview of a map
+     * @param {import('../world/maps/MapLoader.js').MapData} map - Map to draw
+     * @param {number} size - Canvas size in pixels
+     * @returns {HTMLCanvasElement} Preview canvas
+     */
+    createPreviewCanvas(map, size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        // Fit the zones and spawn into the canvas
+        const extent = map.zones.reduce((max, zone) => Math.max(max,
+            Math.abs(zone.center.x) + zone.radius,
+            Math.abs(zone.center.z) + zone.radius), Math.max(Math.abs(map.spawn.x), Math.abs(map.spawn.z)));
+        const scale = size / 2 / (extent || 1);
+        const toCanvas = (x, z) => [size / 2 + x * scale, size / 2 + z * scale];
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, size, size);
+
+        map.zones.forEach(zone => {
+            const [x, y] = toCanvas(zone.center.x, zone.center.z);
+            ctx.globalAlpha = 0.6;
+            ctx.fillStyle = zone.color || '#4a7023';
+            ctx.beginPath();
+            ctx.arc(x, y, zone.radius * scale, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+
+        ctx.strokeStyle = '#d2b48c';
+        ctx.lineWidth = Math.max(1, size / 110);
+        map.paths.forEach(path => {
+            if (!path.points || path.points.length < 2) return;
+            ctx.beginPath();
+            path.points.forEach((point, index) => {
+                const [x, y] = toCanvas(point.x, point.z);
+                if (index === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+
+        const markerSize = Math.max(2, size / 55);
+        ctx.fillStyle = '#ccc';
+        map.structures.forEach(structure => {
+            if (!structure.position) return;
+            const [x, y] = toCanvas(structure.position.x, structure.position.z);
+            ctx.fillRect(x - markerSize / 2, y - markerSize / 2, markerSize, markerSize);
+        });
+
+        // Spawn point
+        const [spawnX, spawnY] = toCanvas(map.spawn.x, map.spawn.z);
+        ctx.fillStyle = '#ffcc00';
+        ctx.beginPath();
+        ctx.arc(spawnX, spawnY, markerSize * 1.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        return canvas;
+    }
+
+    /**
+     * Load the selected map into the world
+     */
+    async loadSelectedMap() {
+        if (!this.selectedMapId || this.isLoading || !this.game.world) return;
+
+        const map = this.maps.find(entry => entry.id === this.selectedMapId);
+        await this.runWithLoading(() => this.game.world.loadMap(this.selectedMapId), loaded => {
+            if (loaded && this.game.hudManager) {
+                this.game.hudManager.showNotification(`Entered ${map ? map.name : 'map'}`);
+            }
+        });
+    }
+
+    /**
+     * Unload the current map and return to the procedural world
+     */
+    async returnToProceduralWorld() {
+        if (this.isLoading || !this.game.world || !this.game.world.currentMap) return;
+
+        await this.runWithLoading(() => this.game.world.clearMap(), cleared => {
+            if (cleared && this.game.hudManager) {
+                this.game.hudManager.showNotification('Returned to the procedural world');
             }
-        }, 100);
+        });
+    }
+
+    /**
+     * Run a world change with the loading overlay shown, then close the selector
+     * @param {function(): Promise<boolean>} action - World change to run
+     * @param {function(boolean): void} onComplete - Called with the result of the action
+     */
+    async runWithLoading(action, onComplete) {
+        this.isLoading = true;
+        if (this.loadingOverlay) this.loadingOverlay.style.display = 'flex';
+
+        let result = false;
+        try {
+            result = await action();
+        } catch (error) {
+            console.error('Error changing map:', error);
+        } finally {
+            this.isLoading = false;
+            if (this.loadingOverlay) this.loadingOverlay.style.display = 'none';
+        }
+
+        onComplete(result);
+        if (result) {
+            this.hide();
+        } else {
+            this.renderCurrentMap();
+            this.selectMap(this.selectedMapId);
+        }
     }
-    
+
     /**
-     * Show the modal
+     * Show the selector and pause the game
      */
     show() {
-        if (this.modal) {
-            this.modal.style.display = 'flex';
-            this.modal.style.visibility = 'visible';
-            this.modal.style.pointerEvents = 'auto';
+        if (this.overlay) {
+            this.overlay.style.display = 'flex';
+            this.overlay.style.visibility = 'visible';
+            this.overlay.style.pointerEvents = 'auto';
             // Add a slight delay to trigger CSS animations
             setTimeout(() => {
-                this.modal.classList.add('show');
+                this.overlay.classList.add('show');
             }, 10);
         }
+
+        if (this.game && this.game.isRunning) {
+            this.game.pause(false);
+            this.pausedGame = true;
+        }
     }
-    
+
     /**
-     * Hide the modal
+     * Hide the selector and resume the game
      */
     hide() {
-        if (this.modal) {
-            this.modal.classList.remove('show');
+        if (this.overlay) {
+            this.overlay.classList.remove('show');
             // Immediately disable pointer events to prevent blocking
-            this.modal.style.pointerEvents = 'none';
-            
-            // Clear any stuck touches when hiding modal
-            // if (touchManager.hasActiveTouches()) {
-            //     console.debug('MapSelectionUI: Clearing stuck touches after hiding modal');
-            //     touchManager.clearAllTouches(); // Removed TouchManager dependency
-            // }
-            
+            this.overlay.style.pointerEvents = 'none';
+
             // Wait for animation to complete before hiding
             setTimeout(() => {
-                this.modal.style.display = 'none';
-                this.modal.style.visibility = 'hidden';
+                this.overlay.style.display = 'none';
+                this.overlay.style.visibility = 'hidden';
             }, 300);
         }
+
+        if (this.pausedGame) {
+            this.pausedGame = false;
+            this.game.resume(false);
+        }
     }
-    
+
     /**
-     * Force hide the modal immediately without animation
-     * Used during initialization to ensure modal doesn't block interactions
+     * Force hide the overlay immediately without animation
+     * Used during initialization to ensure the overlay doesn't block interactions
      */
     forceHide() {
-        if (this.modal) {
-            this.modal.classList.remove('show');
-            this.modal.style.display = 'none';
-            this.modal.style.visibility = 'hidden';
-            this.modal.style.pointerEvents = 'none';
+        if (this.overlay) {
+            this.overlay.classList.remove('show');
+            this.overlay.style.display = 'none';
+            this.overlay.style.visibility = 'hidden';
+            this.overlay.style.pointerEvents = 'none';
         }
     }
-    
+
     /**
-     * Check if the modal is visible
-     * @returns {boolean} - True if modal is visible
+     * Check if the selector is visible
+     * @returns {boolean} - True if the selector is visible
      */
     isVisible() {
-        if (!this.modal) return false;
-        const computedStyle = window.getComputedStyle(this.modal);
+        if (!this.overlay) return false;
+        const computedStyle = window.getComputedStyle(this.overlay);
         return computedStyle.display !== 'none' && computedStyle.visibility !== 'hidden';
     }
-    
+
     /**
      * Update the component
      * @param {number} delta - Time since last update in seconds
@@ -179,24 +436,11 @@ export class MapSelectionUI extends UIComponent {
     update(delta) {
         // No continuous updates needed for this component
     }
-    
+
     /**
      * Cleanup the component
      */
     cleanup() {
-        // Remove event listeners if needed
-        if (this.mapSelectorButton) {
-            this.mapSelectorButton.removeEventListener('click', this.showMapSelectionModal);
-        }
-        
-        if (this.okButton) {
-            this.okButton.removeEventListener('click', this.hide);
-        }
-        
-        if (this.modal) {
-            this.modal.removeEventListener('click', this.hide);
-        }
-        
         console.log('MapSelectionUI cleaned up');
     }
-}
\ No newline at end of file
+}
@@ -195,6 +195,11 @@ export class MiniMapUI extends UIComponent {
             this.dragStartX = e.clientX;
             this.dragStartY = e.clientY;
         }
+        
+        // Remember where the map was touched to tell taps from drags
+        this.tapStartX = this.dragStartX;
+        this.tapStartY = this.dragStartY;
+        this.dragDistance = 0;
     }
     
     /**
@@ -224,6 +229,7 @@ export class MiniMapUI extends UIComponent {
         // Update map offset
         this.mapOffsetX += deltaX;
         this.mapOffsetY += deltaY;
+        this.dragDistance += Math.abs(deltaX) + Math.abs(deltaY);
         
         // Limit offset to prevent dragging too far
         this.mapOffsetX = Math.max(-this.maxMapOffset, Math.min(this.mapOffsetX, this.maxMapOffset));
@@ -241,9 +247,35 @@ export class MiniMapUI extends UIComponent {
      * Handle map drag end
      */
     onMapDragEnd() {
+        if (this.isDragging && this.dragDistance < 5) {
+            this.onMapTap(this.tapStartX, this.tapStartY);
+        }
         this.isDragging = false;
     }
     
+    /**
+     * Ping the tapped place for the party in multiplayer games
+     * @param {number} clientX - X position of the tap on the screen
+     * @param {number} clientY - Y position of the tap on the screen
+     */
+    onMapTap(clientX, clientY) {
+        const multiplayerManager = this.game.multiplayerManager;
+        if (!multiplayerManager || !multiplayerManager.isActive() || !this.game.player) return;
+        
+        // Reverse the mapping used to draw world positions on the map
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = (clientX - rect.left) * (this.mapSize / rect.width);
+        const canvasY = (clientY - rect.top) * (this.mapSize / rect.height);
+        const playerPosition = this.game.player.getPosition();
+        
+        multiplayerManager.chat.sendPing({
+            x: playerPosition.x + (canvasX - this.mapSize / 2 - this.mapOffsetX) / this.scale,
+            y: playerPosition.y,
+            z: playerPosition.z + (canvasY - this.mapSize / 2 - this.mapOffsetY) / this.scale
+        });
+        this.renderMiniMap();
+    }
+    
     /**
      * Reset map position (center it)
      */
@@ -311,7 +343,12 @@ export class MiniMapUI extends UIComponent {
                     const hasMoved = this._lastPlayerPos.distanceTo(currentPos) > 1;
                     const hasRotated = Math.abs(this._lastPlayerRot - currentRot) > 0.1;
                     
-                    if (hasMoved || hasRotated) {
+                    // Keep animating pings, and redraw once more after the last one expired
+                    const hasPings = !!this.game.multiplayerManager && this.game.multiplayerManager.chat.getActivePings().length > 0;
+                    const pingsChanged = hasPings || this._hadPings;
+                    this._hadPings = hasPings;
+                    
+                    if (hasMoved || hasRotated || pingsChanged) {
                         this.renderMiniMap();
                         this._lastPlayerPos.copy(currentPos);
                         this._lastPlayerRot = currentRot;
@@ -796,6 +833,9 @@ export class MiniMapUI extends UIComponent {
             return;
         }
         
+        // Draw the pings of the party below the players
+        this.drawPings(playerX, playerY, centerX, centerY);
+        
         const remotePlayerManager = this.game.multiplayerManager.remotePlayerManager;
         const remotePlayers = remotePlayerManager.getPlayers();
         
@@ -861,6 +901,47 @@ export class MiniMapUI extends UIComponent {
         }
     }
     
+    /**
+     * Draw the active pings of the party on the mini map
+     * Pings outside the map are pinned to its edge so players can see where to go.
+     * @param {number} playerX - Player's X position in the world
+     * @param {number} playerY - Player's Y position in the world (Z in 3D space)
+     * @param {number} centerX - Center X of the mini map
+     * @param {number} centerY - Center Y of the mini map
+     */
+    drawPings(playerX, playerY, centerX, centerY) {
+        const pings = this.game.multiplayerManager.chat.getActivePings();
+        if (pings.length === 0) return;
+        
+        const maxDistance = this.mapSize / 2 - 8;
+        const pulse = 6 + 2 * Math.sin(Date.now() / 150);
+        
+        pings.forEach(ping => {
+            let relX = (ping.position.x - playerX) * this.scale + this.mapOffsetX;
+            let relY = (ping.position.z - playerY) * this.scale + this.mapOffsetY;
+            
+            const distFromCenter = Math.sqrt(relX * relX + relY * relY);
+            if (distFromCenter > maxDistance) {
+                relX *= maxDistance / distFromCenter;
+                relY *= maxDistance / distFromCenter;
+            }
+            
+            const screenX = centerX + relX;
+            const screenY = centerY + relY;
+            
+            this.ctx.strokeStyle = ping.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, pulse, 0, Math.PI * 2);
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = ping.color;
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, 2, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
     /**
      * Set the scale factor for the mini map
      * @param {number} scale - New scale factor
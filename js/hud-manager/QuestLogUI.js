@@ -42,11 +42,16 @@ export class QuestLogUI extends UIComponent {
         } else {
             // Add active quests
             activeQuests.forEach(quest => {
+                const objectives = (quest.objectives || [])
+                    .map(objective => `<div class="quest-objective">${this.formatObjective(objective)}</div>`)
+                    .join('');
+                
                 // Create quest item HTML
                 const questHTML = `
                     <div class="quest-item">
                         <div class="quest-name ${quest.isMainQuest ? 'main-quest' : ''}">${quest.name}</div>
-                        <div class="quest-objective">${this.formatObjective(quest.objective)}</div>
+                        ${this.formatStage(quest)}
+                        ${objectives}
                     </div>
                 `;
                 
@@ -56,6 +61,24 @@ export class QuestLogUI extends UIComponent {
         }
     }
     
+    /**
+     * Format the stage line of a quest (stage number and time left)
+     * @param {Object} quest - Active quest
+     * @returns {string} - Stage HTML, empty for single-stage quests without a timer
+     */
+    formatStage(quest) {
+        const parts = [];
+        if (quest.stages && quest.stages.length > 1) {
+            parts.push(`Stage ${quest.stageIndex + 1}/${quest.stages.length}`);
+        }
+        if (quest.timeRemaining !== null && quest.timeRemaining !== undefined) {
+            const seconds = Math.max(0, Math.ceil(quest.timeRemaining));
+            parts.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`);
+        }
+        
+        return parts.length > 0 ? `<div class="quest-stage">${parts.join(' - ')}</div>` : '';
+    }
+    
     /**
      * Format quest objective based on type
      * @param {Object} objective - Quest objective
@@ -69,6 +92,19 @@ export class QuestLogUI extends UIComponent {
                 return `Find ${objective.progress}/${objective.count} ${objective.target}s`;
             case 'explore':
                 return `Discover ${objective.progress}/${objective.count} zones`;
+            case 'collect':
+                return `Collect ${objective.progress}/${objective.count} ${objective.item}`;
+            case 'escort':
+                if (objective.progress >= 1) {
+                    return `${objective.npc} escorted`;
+                }
+                if (objective.escort && objective.escort.waiting) {
+                    return `Escort ${objective.npc} (waiting for you)`;
+                }
+                return `Escort ${objective.npc} (${Math.round(objective.escort ?
+                    objective.escort.getRemainingDistance() : objective.distance)}m left)`;
+            case 'defend':
+                return `Defend the area ${Math.floor(objective.progress)}/${objective.duration}s`;
             default:
                 return objective.description || 'Complete the objective';
         }
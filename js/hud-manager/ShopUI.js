@@ -0,0 +1,202 @@
+import { UIComponent } from '../UIComponent.js';
+
+/**
+ * Shop UI component
+ * Lets the player buy from, sell to and buy back from a village vendor
+ */
+export class ShopUI extends UIComponent {
+    /**
+     * Create a new ShopUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('shop', game);
+        this.vendorId = null;
+        this.activeTab = 'buy';
+        this.isShopOpen = false;
+    }
+
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.titleElement = document.getElementById('shop-title');
+        this.goldElement = document.getElementById('shop-gold-value');
+        this.restockElement = document.getElementById('shop-restock');
+        this.listElement = document.getElementById('shop-list');
+        this.messageElement = document.getElementById('shop-message');
+
+        const closeButton = document.getElementById('shop-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+
+        this.container.querySelectorAll('.shop-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.selectTab(tab.dataset.tab));
+        });
+
+        this.hide();
+        return true;
+    }
+
+    /**
+     * Open the shop of a vendor and pause the game
+     * @param {string} vendorId - Vendor id
+     * @param {string} vendorName - Vendor display name
+     */
+    open(vendorId, vendorName) {
+        const vendorManager = this.game.vendorManager;
+        if (!vendorManager) {
+            console.warn('VendorManager not available, shop cannot be opened');
+            return;
+        }
+
+        const vendor = vendorManager.getVendor(vendorId, vendorName);
+        this.vendorId = vendorId;
+        if (this.titleElement) {
+            this.titleElement.textContent = vendor.name;
+        }
+
+        this.showMessage('');
+        this.selectTab('buy');
+        this.show();
+        this.isShopOpen = true;
+        this.game.pause(false);
+    }
+
+    /**
+     * Close the shop and resume the game
+     */
+    close() {
+        if (!this.isShopOpen) return;
+
+        this.hide();
+        this.isShopOpen = false;
+        this.vendorId = null;
+        this.game.resume(false);
+    }
+
+    /**
+     * Switch between the buy, sell and buyback lists
+     * @param {string} tab - Tab name
+     */
+    selectTab(tab) {
+        this.activeTab = tab;
+        this.container.querySelectorAll('.shop-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        this.renderList();
+    }
+
+    /**
+     * Render the gold, restock time and the list of the active tab
+     */
+    renderList() {
+        const vendorManager = this.game.vendorManager;
+        if (!vendorManager || !this.vendorId || !this.listElement) return;
+
+        const vendor = vendorManager.getVendor(this.vendorId);
+        if (this.goldElement) {
+            this.goldElement.textContent = this.game.player.getGold();
+        }
+        if (this.restockElement) {
+            const minutes = Math.ceil(Math.max(0, vendor.restockTimer) / 60);
+            this.restockElement.textContent = `New stock in ${minutes} min`;
+        }
+
+        this.listElement.innerHTML = '';
+
+        if (this.activeTab === 'buy') {
+            this.renderSection('Consumables', vendorManager.getConsumables(), 'Buy',
+                ({ item }) => vendorManager.buyConsumable(item.templateId));
+            this.renderSection('Gear', vendor.gear.map(item => ({ item, price: vendorManager.getBuyPrice(item) })), 'Buy',
+                ({ item }) => vendorManager.buyGear(this.vendorId, item.id));
+        } else if (this.activeTab === 'sell') {
+            const inventory = this.game.player.getInventory();
+            this.renderSection(null, inventory.map(item => ({ item, price: vendorManager.getSellPrice(item) })), 'Sell',
+                ({ item }) => vendorManager.sellItem(item), false);
+        } else {
+            this.renderSection(null, vendorManager.buyback, 'Buy Back',
+                (entry) => vendorManager.buybackItem(vendorManager.buyback.indexOf(entry)));
+        }
+    }
+
+    /**
+     * Render a list of items with a price and an action button
+     * @param {string|null} title - Section title
+     * @param {Array<{item: Object, price: number}>} entries - Items with their price
+     * @param {string} actionLabel - Label of the action button
+     * @param {function({item: Object, price: number}): {success: boolean, message: string}} action - Action of the button
+     * @param {boolean} [requiresGold=true] - Disable the button when the player can't pay the price
+     */
+    renderSection(title, entries, actionLabel, action, requiresGold = true) {
+        if (title) {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            this.listElement.appendChild(heading);
+        }
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'shop-empty';
+            empty.textContent = 'Nothing here';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        const gold = this.game.player.getGold();
+        entries.forEach(entry => {
+            const { item, price } = entry;
+            const row = document.createElement('div');
+            row.className = 'shop-row';
+
+            const icon = document.createElement('div');
+            icon.className = 'shop-item-icon';
+            icon.textContent = item.icon || '📦';
+            row.appendChild(icon);
+
+            const info = document.createElement('div');
+            info.className = 'shop-item-info';
+            const name = document.createElement('span');
+            name.className = `item-${item.rarity || 'common'}`;
+            name.textContent = item.amount > 1 ? `${item.name} x${item.amount}` : item.name;
+            const details = document.createElement('span');
+            details.className = 'shop-item-details';
+            details.textContent = `Level ${item.level || 1} ${item.rarity || 'common'} ${item.subType || item.type || ''}`;
+            info.appendChild(name);
+            info.appendChild(details);
+            row.appendChild(info);
+
+            const priceElement = document.createElement('div');
+            priceElement.className = 'shop-item-price';
+            priceElement.textContent = `${price} gold`;
+            row.appendChild(priceElement);
+
+            const button = document.createElement('button');
+            button.className = 'shop-action';
+            button.textContent = actionLabel;
+            button.disabled = requiresGold && price > gold;
+            button.addEventListener('click', () => {
+                const result = action(entry);
+                this.showMessage(result.message, !result.success);
+                this.renderList();
+            });
+            row.appendChild(button);
+
+            this.listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the result of the last purchase or sale
+     * @param {string} message - Message text
+     * @param {boolean} [isWarning=false] - Highlight the message as a warning
+     */
+    showMessage(message, isWarning = false) {
+        if (!this.messageElement) return;
+
+        this.messageElement.textContent = message;
+        this.messageElement.classList.toggle('warning', isWarning);
+    }
+}
@@ -3,7 +3,8 @@
  * Dynamically generates and updates the controls display in the settings menu
  */
 
-import { MOVEMENT_KEYS, ACTION_KEYS, UI_KEYS, SKILL_KEYS } from '../config/input.js';
+import { KEY_BINDING_ACTIONS } from '../config/input.js';
+import keyBindingManager from '../KeyBindingManager.js';
 
 export class ControlsDisplay {
     /**
@@ -13,12 +14,17 @@ export class ControlsDisplay {
         // Update keyboard controls
         this.updateKeyboardControls();
         
+        // Keep the keyboard controls in sync with the active key bindings
+        if (!this.unsubscribeBindings) {
+            this.unsubscribeBindings = keyBindingManager.onChange(() => this.updateKeyboardControls());
+        }
+        
         // Update mobile controls
         this.updateMobileControls();
     }
     
     /**
-     * Update the keyboard controls display based on the input configuration
+     * Update the keyboard controls display based on the active key bindings
      */
     static updateKeyboardControls() {
         const keyboardControlsContainer = document.getElementById('keyboard-controls-container');
@@ -52,7 +58,9 @@ export class ControlsDisplay {
         controlsColumn.appendChild(movementTitle);
         
         // Add movement controls
-        this.addControlRow(controlsColumn, this.formatKeys(MOVEMENT_KEYS.FORWARD.concat(MOVEMENT_KEYS.BACKWARD, MOVEMENT_KEYS.LEFT, MOVEMENT_KEYS.RIGHT)), 'Movement');
+        const movementKeys = ['FORWARD', 'BACKWARD', 'LEFT', 'RIGHT']
+            .flatMap(action => keyBindingManager.getKeys(action));
+        this.addControlRow(controlsColumn, this.formatKeys(movementKeys), 'Movement');
         
         // Add combat section title
         const combatTitle = document.createElement('h4');
@@ -60,36 +68,25 @@ export class ControlsDisplay {
         controlsColumn.appendChild(combatTitle);
         
         // Add primary attack
-        this.addControlRow(controlsColumn, this.formatKey(SKILL_KEYS.PRIMARY_ATTACK), 'Primary Attack');
+        this.addControlRow(controlsColumn, this.formatKeys(keyBindingManager.getKeys('PRIMARY_ATTACK')), 'Primary Attack');
         
-        // Add skill keys
+        // Add skill keys (primary binding of each skill)
         const skillKeys = [];
         for (let i = 1; i <= 9; i++) {
-            const key = SKILL_KEYS[`SKILL_${i}`];
+            const key = keyBindingManager.getKeys(`SKILL_${i}`)[0];
             if (key) skillKeys.push(key);
         }
         this.addControlRow(controlsColumn, this.formatKeys(skillKeys), 'Skills');
         
-        // Add actions section title
-        const actionsTitle = document.createElement('h4');
-        actionsTitle.textContent = 'Actions';
-        controlsColumn.appendChild(actionsTitle);
-        
-        // Add action keys
-        for (const [action, key] of Object.entries(ACTION_KEYS)) {
-            const description = this.formatActionDescription(action);
-            this.addControlRow(controlsColumn, this.formatKey(key), description);
-        }
-        
-        // Add UI section title
-        const uiTitle = document.createElement('h4');
-        uiTitle.textContent = 'UI Controls';
-        controlsColumn.appendChild(uiTitle);
-        
-        // Add UI keys
-        for (const [action, key] of Object.entries(UI_KEYS)) {
-            const description = this.formatActionDescription(action);
-            this.addControlRow(controlsColumn, this.formatKey(key), description);
+        // Add the actions and UI controls sections
+        for (const group of ['Actions', 'UI Controls']) {
+            const groupTitle = document.createElement('h4');
+            groupTitle.textContent = group;
+            controlsColumn.appendChild(groupTitle);
+            
+            KEY_BINDING_ACTIONS.filter(action => action.group === group).forEach(action => {
+                this.addControlRow(controlsColumn, this.formatKeys(keyBindingManager.getKeys(action.id)), action.label);
+            });
         }
     }
     
@@ -201,6 +198,10 @@ export class ControlsDisplay {
                 if (keyCode.startsWith('Key')) {
                     return keyCode.charAt(3);
                 }
+                // For numpad keys, prefix the key with "Num"
+                if (keyCode.startsWith('Numpad')) {
+                    return `Num ${keyCode.slice(6)}`;
+                }
                 return keyCode;
         }
     }
@@ -211,43 +212,9 @@ export class ControlsDisplay {
      * @returns {string} - The formatted keys
      */
     static formatKeys(keyCodes) {
-        if (!keyCodes || keyCodes.length === 0) return '';
+        if (!keyCodes || keyCodes.length === 0) return 'Unbound';
         
         // Format each key and join with commas
         return keyCodes.map(key => this.formatKey(key)).join(', ');
     }
-    
-    /**
-     * Format an action name to a user-friendly description
-     * @param {string} action - The action name
-     * @returns {string} - The formatted description
-     */
-    static formatActionDescription(action) {
-        if (!action) return '';
-        
-        // Split by underscore and capitalize each word
-        const words = action.split('_').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-        );
-        
-        // Handle special cases
-        switch (action) {
-            case 'TOGGLE_HUD':
-                return 'Toggle HUD Visibility';
-            case 'TOGGLE_INVENTORY':
-                return 'Toggle Inventory';
-            case 'TOGGLE_SKILL_TREE':
-                return 'Toggle Skill Tree';
-            case 'TOGGLE_MINIMAP':
-                return 'Toggle Mini Map';
-            case 'MINIMAP_ZOOM_IN':
-                return 'Zoom In Mini Map';
-            case 'MINIMAP_ZOOM_OUT':
-                return 'Zoom Out Mini Map';
-            case 'START_GAME':
-                return 'Start Game';
-            default:
-                return words.join(' ');
-        }
-    }
 }
\ No newline at end of file
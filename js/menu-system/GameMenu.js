@@ -4,6 +4,7 @@
  */
 
 import { IMenu } from './IMenu.js';
+import { CHARACTER_MODELS } from '../config/player-models.js';
 
 export class GameMenu extends IMenu {
     /**
@@ -16,6 +17,13 @@ export class GameMenu extends IMenu {
         this.settingsMenuButton = document.getElementById('settings-menu-button');
         this.googleSignInButton = document.getElementById('google-signin-button');
         this.multiplayerButton = document.getElementById('multiplayer-button');
+        this.slotPicker = document.getElementById('save-slot-picker');
+        this.slotList = document.getElementById('save-slot-list');
+        this.newCharacterButton = document.getElementById('new-character-button');
+        this.closeSlotPickerButton = document.getElementById('close-save-slot-picker-btn');
+        this.importSaveButton = document.getElementById('import-save-button');
+        this.importSaveInput = document.getElementById('import-save-input');
+        this.slotMessage = document.getElementById('save-slot-message');
         this.setupEventListeners();
         
         // Listen for Google sign-in/sign-out events
@@ -64,99 +72,52 @@ export class GameMenu extends IMenu {
                     }
                     
                     console.debug("Game resumed - enemies and player are now active");
-                } else  if (this.game.saveManager && this.game.saveManager.hasSaveData()) {
-                    try {
-                        const loadResult = await this.game.saveManager.loadGame();
-                        
-                        if (loadResult) {
-                            console.debug("Game data loaded successfully");
-                            this.hide();
-                            
-                            // Start the game with loaded data - this will set isPaused to false and start the game loop
-                            // Pass true to indicate this is a loaded game, so player position isn't reset
-                            this.game.start(true);
-                            
-                            // Make sure settings button is visible
-                            const homeButton = document.getElementById('home-button');
-                            if (homeButton) {
-                                homeButton.style.display = 'block';
-                            }
-                            
-                            // Show all HUD elements
-                            if (this.game.hudManager) {
-                                this.game.hudManager.showAllUI();
-                            }
-                            
-                            console.debug("Game started with loaded data - enemies and player are now active");
-                        } else {
-                            console.debug("No save data found or failed to load, starting new game instead");
-                            
-                            // Start a new game instead
-                            this.hide();
-                            
-                            // Start the game - this will set isPaused to false and start the game loop
-                            // Pass false to indicate this is a new game, so player position should be reset
-                            this.game.start(false);
-                            
-                            // Make sure settings button is visible
-                            const homeButton = document.getElementById('home-button');
-                            if (homeButton) {
-                                homeButton.style.display = 'block';
-                            }
-                            
-                            // Show all HUD elements
-                            if (this.game.hudManager) {
-                                this.game.hudManager.showAllUI();
-                            }
-                        }
-                    } catch (error) {
-                        console.error("Error loading game data:", error);
-                        alert('An error occurred while loading the game. Starting a new game instead.');
-                        
-                        // Start a new game instead
-                        this.hide();
-                        
-                        // Start the game - this will set isPaused to false and start the game loop
-                        this.game.start(false);
-                        
-                        // Make sure settings button is visible
-                        const homeButton = document.getElementById('home-button');
-                        if (homeButton) {
-                            homeButton.style.display = 'block';
-                        }
-                        
-                        // Show all HUD elements
-                        if (this.game.hudManager) {
-                            this.game.hudManager.showAllUI();
-                        }
-                    }
+                } else if (this.game.saveManager && this.game.saveManager.slots.getSlots().length > 0) {
+                    // Let the player choose which character to play
+                    await this.showSlotPicker();
                 } else {
                     // Game has never been started - start a new game
                     console.debug("New Game button clicked - starting new game...");
-                    this.hide();
-                    
-                    // Hide the main background when starting the game
-                    
-                    // Start the game - this will set isPaused to false and start the game loop
-                    // Pass false to indicate this is a new game, so player position should be reset
-                    this.game.start(false);
-                    
-                    // Make sure settings button is visible
-                    const homeButton = document.getElementById('home-button');
-                    if (homeButton) {
-                        homeButton.style.display = 'block';
-                    }
-                    
-                    // Show all HUD elements
-                    if (this.game.hudManager) {
-                        this.game.hudManager.showAllUI();
+                    if (this.game.saveManager) {
+                        await this.game.saveManager.createCharacter();
                     }
                     
+                    // Pass false to indicate this is a new game, so player position should be reset
+                    this.startGame(false);
                     console.debug("New game started - enemies and player are now active");
                 }
             })
         }
 
+        if (this.newCharacterButton) {
+            this.newCharacterButton.addEventListener('click', async () => {
+                const slots = this.game.saveManager.slots;
+                const name = prompt('Name your new character:', slots.getDefaultSlotName());
+                if (name === null) {
+                    return;
+                }
+                
+                await this.game.saveManager.createCharacter(name);
+                this.startGame(false);
+            });
+        }
+
+        if (this.closeSlotPickerButton) {
+            this.closeSlotPickerButton.addEventListener('click', () => this.hideSlotPicker());
+        }
+
+        if (this.importSaveButton && this.importSaveInput) {
+            this.importSaveButton.addEventListener('click', () => this.importSaveInput.click());
+            this.importSaveInput.addEventListener('change', async () => {
+                const file = this.importSaveInput.files[0];
+                // Allow importing the same file again
+                this.importSaveInput.value = '';
+                if (file) {
+                    await this.importSave(file);
+                }
+            });
+        }
+
         // Settings button
         if (this.settingsMenuButton) {
             this.settingsMenuButton.addEventListener('click', () => {
@@ -204,6 +165,240 @@ export class GameMenu extends IMenu {
 
     }
 
+    /**
+     * Hide the menu and start the game
+     * @param {boolean} isLoadedGame - Whether the game was loaded from a save slot
+     * @private
+     */
+    startGame(isLoadedGame) {
+        this.hide();
+        
+        // Start the game - this will set isPaused to false and start the game loop
+        this.game.start(isLoadedGame);
+        
+        // Make sure settings button is visible
+        const homeButton = document.getElementById('home-button');
+        if (homeButton) {
+            homeButton.style.display = 'block';
+        }
+        
+        // Show all HUD elements
+        if (this.game.hudManager) {
+            this.game.hudManager.showAllUI();
+        }
+    }
+
+    /**
+     * Load a save slot and start the game with it
+     * @param {string} slotId - Slot ID
+     * @private
+     */
+    async playSlot(slotId) {
+        const saveManager = this.game.saveManager;
+        
+        try {
+            await saveManager.selectSlot(slotId);
+            
+            if (!(await saveManager.hasSaveData())) {
+                // The slot was never saved, start it as a new character
+                console.debug("Save slot is empty, starting new game");
+                await saveManager.applyCharacterData({ skillTree: null, selectedSkills: null, model: null });
+                this.startGame(false);
+                return;
+            }
+            
+            const loadResult = await saveManager.loadGame();
+            if (loadResult) {
+                console.debug("Game data loaded successfully");
+                // Pass true to indicate this is a loaded game, so player position isn't reset
+                this.startGame(true);
+                console.debug("Game started with loaded data - enemies and player are now active");
+            } else {
+                // Keep the save untouched instead of starting over in its slot
+                console.debug("Failed to load save slot");
+                await this.showSlotPicker();
+                const reason = saveManager.loadError || 'Unknown error';
+                this.showSlotMessage(`${saveManager.slots.getActiveSlot().name} could not be loaded: ${reason} The save was kept.`, true);
+            }
+        } catch (error) {
+            console.error("Error loading game data:", error);
+            await this.showSlotPicker();
+            this.showSlotMessage(`An error occurred while loading the game: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Show the save slot picker
+     * @private
+     */
+    async showSlotPicker() {
+        if (!this.slotPicker) {
+            return;
+        }
+        
+        // Pick up slots synced from Google Drive since the game started
+        await this.game.saveManager.slots.loadIndex();
+        this.renderSlots();
+        this.slotPicker.style.display = 'flex';
+    }
+
+    /**
+     * Hide the save slot picker
+     * @private
+     */
+    hideSlotPicker() {
+        if (this.slotPicker) {
+            this.slotPicker.style.display = 'none';
+        }
+        this.showSlotMessage(null);
+    }
+
+    /**
+     * Show a message above the save slots
+     * @param {string|null} message - The message, null to hide it
+     * @param {boolean} [isError=false] - Whether the message is an error
+     * @private
+     */
+    showSlotMessage(message, isError = false) {
+        if (!this.slotMessage) {
+            return;
+        }
+        
+        this.slotMessage.textContent = message || '';
+        this.slotMessage.classList.toggle('error', isError);
+        this.slotMessage.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Download the save file of a slot
+     * @param {string} slotId - Slot ID
+     * @private
+     */
+    async exportSlot(slotId) {
+        try {
+            const { fileName, content } = await this.game.saveManager.exportSlot(slotId);
+            const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+            this.showSlotMessage(`Exported ${fileName}`);
+        } catch (error) {
+            console.error("Error exporting save:", error);
+            this.showSlotMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Import a save file into a new slot
+     * @param {File} file - The selected file
+     * @private
+     */
+    async importSave(file) {
+        try {
+            const slot = await this.game.saveManager.importSave(await file.text());
+            this.renderSlots();
+            this.showSlotMessage(`Imported ${slot.name}`);
+        } catch (error) {
+            console.error("Error importing save:", error);
+            this.showSlotMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Render the list of save slots
+     * @private
+     */
+    renderSlots() {
+        if (!this.slotList) {
+            return;
+        }
+        
+        const slots = this.game.saveManager.slots;
+        this.slotList.innerHTML = '';
+        
+        slots.getSlots().forEach(slot => {
+            const element = document.createElement('div');
+            element.className = 'save-slot';
+            element.classList.toggle('active', slot.id === slots.activeSlotId);
+            
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'save-slot-name';
+            name.textContent = slot.name;
+            info.appendChild(name);
+            
+            const model = CHARACTER_MODELS.find(m => m.id === slot.modelId);
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.textContent = `Level ${slot.level} ${model ? model.name : ''} · ${this.formatPlayTime(slot.playTime)} played`;
+            info.appendChild(details);
+            
+            const saved = document.createElement('div');
+            saved.className = 'save-slot-details';
+            saved.textContent = slot.updatedAt ? `Saved ${new Date(slot.updatedAt).toLocaleString()}` : 'Never saved';
+            info.appendChild(saved);
+            
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            actions.appendChild(this.createSlotButton('Play', () => {
+                this.hideSlotPicker();
+                this.playSlot(slot.id);
+            }));
+            actions.appendChild(this.createSlotButton('Copy', async () => {
+                await slots.copySlot(slot.id);
+                this.renderSlots();
+            }));
+            actions.appendChild(this.createSlotButton('Export', () => this.exportSlot(slot.id)));
+            actions.appendChild(this.createSlotButton('Rename', async () => {
+                const newName = prompt('Rename character:', slot.name);
+                if (newName !== null) {
+                    await slots.renameSlot(slot.id, newName);
+                    this.renderSlots();
+                }
+            }));
+            const deleteButton = this.createSlotButton('Delete', async () => {
+                if (confirm(`Delete ${slot.name}? This can't be undone.`)) {
+                    await slots.deleteSlot(slot.id);
+                    this.renderSlots();
+                }
+            });
+            deleteButton.classList.add('delete-slot-btn');
+            actions.appendChild(deleteButton);
+            
+            element.appendChild(info);
+            element.appendChild(actions);
+            this.slotList.appendChild(element);
+        });
+    }
+
+    /**
+     * Create a button of a save slot
+     * @param {string} label - Button label
+     * @param {function(): void} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     * @private
+     */
+    createSlotButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Format a play time for the slot picker
+     * @param {number} seconds - Play time in seconds
+     * @returns {string} The play time, e.g. "3h 20m"
+     * @private
+     */
+    formatPlayTime(seconds) {
+        const minutes = Math.floor((seconds || 0) / 60);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
     /**
      * Get the menu type/name
      * @returns {string} The menu type/name
@@ -234,6 +429,7 @@ export class GameMenu extends IMenu {
         if (this.element) {
             this.element.style.display = 'none';
         }
+        this.hideSlotPicker();
     }
 
     /**
@@ -194,6 +194,20 @@ export class SettingsMenu extends UIComponent {
         }
     }
     
+    /**
+     * Hide the settings menu
+     * Tabs are deactivated so they stop key captures and timers of the open tab.
+     */
+    hide() {
+        Object.values(this.tabs).forEach(tab => {
+            if (tab) {
+                tab.onDeactivate();
+            }
+        });
+        
+        super.hide();
+    }
+    
     /**
      * Resize all tab components
      * @private
@@ -1,10 +1,18 @@
 /**
  * ControlsTab.js
- * Manages the controls display tab UI component
+ * Manages the controls tab: key binding profiles, rebinding, gamepad settings and the controls display
  */
 
 import { SettingsTab } from './SettingsTab.js';
 import { ControlsDisplay } from '../ControlsDisplay.js';
+import {
+    KEY_BINDING_ACTIONS,
+    MAX_KEYS_PER_ACTION,
+    DEFAULT_PROFILE_NAME,
+    GAMEPAD_BUTTON_NAMES
+} from '../../config/input.js';
+import keyBindingManager from '../../KeyBindingManager.js';
+import { GamepadInput } from '../../GamepadInput.js';
 
 export class ControlsTab extends SettingsTab {
     /**
@@ -14,19 +22,46 @@ export class ControlsTab extends SettingsTab {
      */
     constructor(game, settingsMenu) {
         super('controls', game, settingsMenu);
+
+        this.profileSelect = document.getElementById('key-binding-profile-select');
+        this.profileNameInput = document.getElementById('key-binding-profile-name');
+        this.createProfileButton = document.getElementById('key-binding-create-profile-button');
+        this.deleteProfileButton = document.getElementById('key-binding-delete-profile-button');
+        this.resetButton = document.getElementById('key-binding-reset-button');
+        this.bindingList = document.getElementById('key-binding-list');
+        this.messageElement = document.getElementById('key-binding-message');
+
+        // Action and slot waiting for a key ({action, slot, button}), or null
+        this.capture = null;
+        this.handleCaptureKey = this.handleCaptureKey.bind(this);
         
+        // Gamepad settings
+        this.gamepadStatus = document.getElementById('gamepad-status');
+        this.leftDeadzoneSlider = document.getElementById('gamepad-left-deadzone-slider');
+        this.leftDeadzoneValue = document.getElementById('gamepad-left-deadzone-value');
+        this.rightDeadzoneSlider = document.getElementById('gamepad-right-deadzone-slider');
+        this.rightDeadzoneValue = document.getElementById('gamepad-right-deadzone-value');
+        this.cameraSensitivitySlider = document.getElementById('gamepad-camera-sensitivity-slider');
+        this.cameraSensitivityValue = document.getElementById('gamepad-camera-sensitivity-value');
+        this.invertYCheckbox = document.getElementById('gamepad-invert-y-checkbox');
+        this.gamepadButtonList = document.getElementById('gamepad-button-list');
+        this.gamepadMessage = document.getElementById('gamepad-message');
+        this.gamepadResetButton = document.getElementById('gamepad-reset-button');
+
         this.init();
     }
-    
+
     /**
-     * Initialize the controls display
+     * Initialize the controls display and the key binding editor
      * @returns {boolean} - True if initialization was successful
      */
     init() {
         this.initializeControlsDisplay();
+        this.initializeKeyBindings();
+        this.initializeGamepadSettings();
         return true;
     }
-    
+
     /**
      * Initialize the controls display
      * @private
@@ -35,7 +70,399 @@ export class ControlsTab extends SettingsTab {
         // Initialize the controls display using static methods
         ControlsDisplay.initialize();
     }
-    
+
+    /**
+     * Set up the profile controls and the rebinding list
+     * @private
+     */
+    initializeKeyBindings() {
+        if (this.profileSelect) {
+            this.profileSelect.addEventListener('change', () => {
+                this.cancelCapture();
+                keyBindingManager.selectProfile(this.profileSelect.value);
+                this.showMessage(`Using the "${this.profileSelect.value}" profile`);
+            });
+        }
+
+        if (this.createProfileButton) {
+            this.createProfileButton.addEventListener('click', () => this.createProfile());
+        }
+
+        if (this.deleteProfileButton) {
+            this.deleteProfileButton.addEventListener('click', () => {
+                const name = keyBindingManager.activeProfile;
+                if (keyBindingManager.deleteProfile(name)) {
+                    this.showMessage(`Deleted the "${name}" profile`);
+                }
+            });
+        }
+
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => {
+                this.cancelCapture();
+                keyBindingManager.resetToDefaults();
+                this.showMessage('Key bindings reset to default');
+            });
+        }
+
+        // Redraw whenever the bindings change, including changes synced from another tab
+        keyBindingManager.onChange(() => this.renderKeyBindings());
+        this.renderKeyBindings();
+    }
+
+    /**
+     * Create a profile from the current bindings using the entered name
+     * @private
+     */
+    createProfile() {
+        const name = this.profileNameInput ? this.profileNameInput.value.trim() : '';
+        if (!name) {
+            this.showMessage('Enter a name for the new profile', true);
+            return;
+        }
+
+        if (!keyBindingManager.createProfile(name)) {
+            this.showMessage(`A profile named "${name}" already exists`, true);
+            return;
+        }
+
+        this.profileNameInput.value = '';
+        this.showMessage(`Created the "${name}" profile`);
+    }
+
+    /**
+     * Render the profile list and a row of key buttons for every action
+     * @private
+     */
+    renderKeyBindings() {
+        if (this.profileSelect) {
+            this.profileSelect.innerHTML = '';
+            keyBindingManager.getProfileNames().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                this.profileSelect.appendChild(option);
+            });
+            this.profileSelect.value = keyBindingManager.activeProfile;
+        }
+
+        if (this.deleteProfileButton) {
+            this.deleteProfileButton.disabled = keyBindingManager.activeProfile === DEFAULT_PROFILE_NAME;
+        }
+
+        if (!this.bindingList) return;
+        this.bindingList.innerHTML = '';
+
+        const conflicts = keyBindingManager.getConflicts();
+        let currentGroup = null;
+
+        KEY_BINDING_ACTIONS.forEach(action => {
+            if (action.group !== currentGroup) {
+                currentGroup = action.group;
+                const groupTitle = document.createElement('h4');
+                groupTitle.textContent = currentGroup;
+                this.bindingList.appendChild(groupTitle);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'control-row key-binding-row';
+
+            const label = document.createElement('span');
+            label.className = 'control-description';
+            label.textContent = action.label;
+            row.appendChild(label);
+
+            const keys = keyBindingManager.getKeys(action.id);
+            for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+                const key = keys[slot];
+                const button = document.createElement('button');
+                button.className = 'control-key key-binding-button';
+                button.textContent = key ? ControlsDisplay.formatKey(key) : '-';
+                button.title = slot === 0 ? 'Primary key' : 'Alternate key';
+                if (key && conflicts.has(key)) {
+                    button.classList.add('conflict');
+                }
+                button.addEventListener('click', () => this.startCapture(action.id, slot, button));
+                row.appendChild(button);
+            }
+
+            this.bindingList.appendChild(row);
+        });
+
+        if (conflicts.size > 0) {
+            this.showMessage(`Some keys are bound to more than one action: ${Array.from(conflicts.keys())
+                .map(key => ControlsDisplay.formatKey(key)).join(', ')}`, true);
+        }
+    }
+
+    /**
+     * Wait for the next key press to bind it to an action slot
+     * @param {string} action - Action id
+     * @param {number} slot - Slot index
+     * @param {HTMLButtonElement} button - Button of the slot
+     * @private
+     */
+    startCapture(action, slot, button) {
+        this.cancelCapture();
+
+        this.capture = { action, slot, button };
+        keyBindingManager.isCapturing = true;
+        button.textContent = 'Press a key...';
+        button.classList.add('capturing');
+        this.showMessage('Press a key to bind it, Backspace to clear the slot or Escape to cancel');
+
+        // Capture phase so menu shortcuts don't react to the key
+        window.addEventListener('keydown', this.handleCaptureKey, true);
+    }
+
+    /**
+     * Stop waiting for a key
+     * @private
+     */
+    cancelCapture() {
+        if (!this.capture) return;
+
+        window.removeEventListener('keydown', this.handleCaptureKey, true);
+        keyBindingManager.isCapturing = false;
+        this.capture = null;
+        this.renderKeyBindings();
+    }
+
+    /**
+     * Bind the pressed key to the action slot being edited
+     * @param {KeyboardEvent} event - Key event
+     * @private
+     */
+    handleCaptureKey(event) {
+        // The menu was closed while waiting, let the key reach the game
+        if (this.settingsMenu && !this.settingsMenu.visible) {
+            this.cancelCapture();
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        const { action, slot } = this.capture;
+        const label = KEY_BINDING_ACTIONS.find(a => a.id === action).label;
+
+        if (event.code === 'Escape') {
+            this.cancelCapture();
+            this.showMessage('');
+            return;
+        }
+
+        // Stop capturing before the bindings change, the change redraws the list
+        window.removeEventListener('keydown', this.handleCaptureKey, true);
+        keyBindingManager.isCapturing = false;
+        this.capture = null;
+
+        if (event.code === 'Backspace') {
+            keyBindingManager.clearKey(action, slot);
+            this.showMessage(`Cleared a key from ${label}`);
+            return;
+        }
+
+        const { success, conflict } = keyBindingManager.setKey(action, slot, event.code);
+        if (!success) {
+            this.renderKeyBindings();
+            this.showMessage(`${ControlsDisplay.formatKey(event.code)} can't be bound`, true);
+        } else if (conflict) {
+            const conflictLabel = KEY_BINDING_ACTIONS.find(a => a.id === conflict).label;
+            this.showMessage(`${ControlsDisplay.formatKey(event.code)} was moved from ${conflictLabel} to ${label}`, true);
+        } else {
+            this.showMessage(`${label} bound to ${ControlsDisplay.formatKey(event.code)}`);
+        }
+    }
+
+    /**
+     * Show a status message below the key binding list
+     * @param {string} message - Message text
+     * @param {boolean} [isWarning=false] - Highlight the message as a warning
+     * @private
+     */
+    showMessage(message, isWarning = false) {
+        if (!this.messageElement) return;
+
+        this.messageElement.textContent = message;
+        this.messageElement.classList.toggle('warning', isWarning);
+    }
+
+    /**
+     * Get the gamepad input of the game
+     * @returns {GamepadInput|null} Gamepad input or null before the game is set up
+     * @private
+     */
+    getGamepadInput() {
+        return this.game && this.game.inputHandler ? this.game.inputHandler.gamepad : null;
+    }
+
+    /**
+     * Set up the gamepad deadzone, sensitivity and button mapping controls
+     * @private
+     */
+    initializeGamepadSettings() {
+        const sliders = [
+            [this.leftDeadzoneSlider, 'leftStickDeadzone'],
+            [this.rightDeadzoneSlider, 'rightStickDeadzone'],
+            [this.cameraSensitivitySlider, 'cameraSensitivity']
+        ];
+
+        sliders.forEach(([slider, setting]) => {
+            if (!slider) return;
+            slider.addEventListener('input', () => {
+                const gamepadInput = this.getGamepadInput();
+                if (gamepadInput) {
+                    gamepadInput.updateSettings({ [setting]: parseFloat(slider.value) });
+                }
+            });
+        });
+
+        if (this.invertYCheckbox) {
+            this.invertYCheckbox.addEventListener('change', () => {
+                const gamepadInput = this.getGamepadInput();
+                if (gamepadInput) {
+                    gamepadInput.updateSettings({ invertCameraY: this.invertYCheckbox.checked });
+                }
+            });
+        }
+
+        if (this.gamepadResetButton) {
+            this.gamepadResetButton.addEventListener('click', () => {
+                const gamepadInput = this.getGamepadInput();
+                if (gamepadInput) {
+                    gamepadInput.cancelCapture();
+                    gamepadInput.resetToDefaults();
+                    this.showGamepadMessage('Gamepad settings reset to default');
+                }
+            });
+        }
+
+        this.renderGamepadSettings();
+    }
+
+    /**
+     * Show the current gamepad settings and a mapping row for every action
+     * @private
+     */
+    renderGamepadSettings() {
+        const gamepadInput = this.getGamepadInput();
+        if (!gamepadInput) return;
+
+        // Subscribe once the input handler exists, it may be created after this tab
+        if (!this.unsubscribeGamepad) {
+            this.unsubscribeGamepad = gamepadInput.onChange(() => this.renderGamepadSettings());
+        }
+
+        const { settings } = gamepadInput;
+        const gamepad = gamepadInput.findGamepad();
+        if (this.gamepadStatus) {
+            this.gamepadStatus.textContent = gamepad ? `Connected: ${gamepad.id}` : 'No controller connected';
+        }
+
+        const values = [
+            [this.leftDeadzoneSlider, this.leftDeadzoneValue, settings.leftStickDeadzone, 2],
+            [this.rightDeadzoneSlider, this.rightDeadzoneValue, settings.rightStickDeadzone, 2],
+            [this.cameraSensitivitySlider, this.cameraSensitivityValue, settings.cameraSensitivity, 1]
+        ];
+        values.forEach(([slider, label, value, digits]) => {
+            if (slider) slider.value = value;
+            if (label) label.textContent = value.toFixed(digits);
+        });
+
+        if (this.invertYCheckbox) {
+            this.invertYCheckbox.checked = settings.invertCameraY;
+        }
+
+        if (!this.gamepadButtonList) return;
+        this.gamepadButtonList.innerHTML = '';
+
+        KEY_BINDING_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'control-row key-binding-row';
+
+            const label = document.createElement('span');
+            label.className = 'control-description';
+            label.textContent = action.label;
+            row.appendChild(label);
+
+            const button = document.createElement('button');
+            button.className = 'control-key key-binding-button';
+            row.appendChild(button);
+
+            // Movement is always on the left stick
+            if (action.group === 'Movement') {
+                button.textContent = 'Left Stick';
+                button.disabled = true;
+            } else {
+                const buttonIndex = settings.buttons[action.id];
+                button.textContent = buttonIndex === undefined ? '-' : this.formatGamepadButton(buttonIndex);
+                button.addEventListener('click', () => this.captureGamepadButton(action.id, button));
+            }
+
+            this.gamepadButtonList.appendChild(row);
+        });
+    }
+
+    /**
+     * Get the display name of a gamepad button
+     * @param {number} index - Standard gamepad button index
+     * @returns {string} Button name
+     * @private
+     */
+    formatGamepadButton(index) {
+        return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+    }
+
+    /**
+     * Wait for a controller button and map it to an action
+     * @param {string} action - Action id
+     * @param {HTMLButtonElement} button - Button of the action row
+     * @private
+     */
+    async captureGamepadButton(action, button) {
+        const gamepadInput = this.getGamepadInput();
+        if (!gamepadInput) return;
+
+        if (!gamepadInput.isConnected()) {
+            this.showGamepadMessage('Connect a controller and press any button first', true);
+            return;
+        }
+
+        button.textContent = 'Press a button...';
+        button.classList.add('capturing');
+        this.showGamepadMessage('Press a controller button, or wait to cancel');
+
+        const label = GamepadInput.getActionLabel(action);
+        const index = await gamepadInput.captureButton();
+        if (index === null) {
+            this.renderGamepadSettings();
+            this.showGamepadMessage('');
+            return;
+        }
+
+        const conflict = gamepadInput.setButton(action, index);
+        if (conflict) {
+            const conflictLabel = GamepadInput.getActionLabel(conflict);
+            this.showGamepadMessage(`${this.formatGamepadButton(index)} was moved from ${conflictLabel} to ${label}`, true);
+        } else {
+            this.showGamepadMessage(`${label} mapped to ${this.formatGamepadButton(index)}`);
+        }
+    }
+
+    /**
+     * Show a status message below the gamepad mapping list
+     * @param {string} message - Message text
+     * @param {boolean} [isWarning=false] - Highlight the message as a warning
+     * @private
+     */
+    showGamepadMessage(message, isWarning = false) {
+        if (!this.gamepadMessage) return;
+
+        this.gamepadMessage.textContent = message;
+        this.gamepadMessage.classList.toggle('warning', isWarning);
+    }
+
     /**
      * Called when the tab is activated
      */
@@ -43,5 +470,35 @@ export class ControlsTab extends SettingsTab {
         // Update the controls display when the tab is activated
         ControlsDisplay.updateKeyboardControls();
         ControlsDisplay.updateMobileControls();
+        this.renderKeyBindings();
+        this.renderGamepadSettings();
+    }
+
+    /**
+     * Called when the tab is deactivated
+     */
+    onDeactivate() {
+        this.cancelCapture();
+        
+        const gamepadInput = this.getGamepadInput();
+        if (gamepadInput) {
+            gamepadInput.cancelCapture();
+        }
+    }
+
+    /**
+     * Reset the key bindings of the active profile to defaults
+     * @returns {Promise<boolean>} - Promise resolving to true if reset was successful
+     */
+    async resetToDefaults() {
+        this.cancelCapture();
+        keyBindingManager.resetToDefaults();
+
+        const gamepadInput = this.getGamepadInput();
+        if (gamepadInput) {
+            gamepadInput.cancelCapture();
+            gamepadInput.resetToDefaults();
+        }
+        return true;
     }
-}
\ No newline at end of file
+}
@@ -21,6 +21,11 @@ export class DebugTab extends SettingsTab {
         this.showPerformanceInfoCheckbox = document.getElementById('show-debug-info-checkbox');
         this.disableFullScreenCheckbox = document.getElementById('disable-full-screen-checkbox');
         this.logEnabledCheckbox = document.getElementById('log-enabled-checkbox');
+        this.dynamicDifficultyCheckbox = document.getElementById('dynamic-difficulty-checkbox');
+        this.dynamicDifficultyInfo = document.getElementById('dynamic-difficulty-info');
+        
+        // Interval for refreshing the dynamic difficulty readout while the tab is visible
+        this.dynamicDifficultyInterval = null;
         
         // Initialize storage service and tab
         this.initializeTab();
@@ -63,6 +68,8 @@ export class DebugTab extends SettingsTab {
             this.disableFullScreenCheckbox.checked = newValue === true || newValue === 'true';
         } else if (key === STORAGE_KEYS.LOG_ENABLED && this.logEnabledCheckbox) {
             this.logEnabledCheckbox.checked = newValue === true || newValue === 'true';
+        } else if (key === STORAGE_KEYS.DYNAMIC_DIFFICULTY && this.dynamicDifficultyCheckbox) {
+            this.dynamicDifficultyCheckbox.checked = newValue === true || newValue === 'true';
         }
     }
     
@@ -147,9 +154,52 @@ export class DebugTab extends SettingsTab {
             });
         }
         
+        if (this.dynamicDifficultyCheckbox) {
+            // Set current dynamic difficulty state synchronously
+            const dynamicDifficulty = this.loadSettingSync(STORAGE_KEYS.DYNAMIC_DIFFICULTY, true);
+            
+            // Handle both boolean and string values
+            this.dynamicDifficultyCheckbox.checked = dynamicDifficulty === true || dynamicDifficulty === 'true';
+            
+            // Add change event listener
+            this.dynamicDifficultyCheckbox.addEventListener('change', () => {
+                if (this.game && this.game.difficultyDirector) {
+                    // setEnabled also persists the value
+                    this.game.difficultyDirector.setEnabled(this.dynamicDifficultyCheckbox.checked);
+                } else {
+                    this.saveSetting(STORAGE_KEYS.DYNAMIC_DIFFICULTY, this.dynamicDifficultyCheckbox.checked.toString());
+                }
+                
+                this.updateDynamicDifficultyInfo();
+            });
+        }
+        
         return true;
     }
     
+    /**
+     * Refresh the dynamic difficulty readout
+     */
+    updateDynamicDifficultyInfo() {
+        if (!this.dynamicDifficultyInfo) {
+            return;
+        }
+        
+        if (!this.game || !this.game.difficultyDirector) {
+            this.dynamicDifficultyInfo.textContent = 'Dynamic difficulty is not available';
+            return;
+        }
+        
+        const info = this.game.difficultyDirector.getDebugInfo();
+        const scores = info.lastScores;
+        
+        this.dynamicDifficultyInfo.textContent =
+            `Factor: ${info.adjustmentFactor.toFixed(3)} | ` +
+            `Next adjustment: ${Math.ceil(info.nextAdjustmentIn)}s | ` +
+            `Scores (damage/ttk/deaths): ${scores.damageTaken.toFixed(2)} / ${scores.timeToKill.toFixed(2)} / ${scores.deathFrequency.toFixed(2)} | ` +
+            `Sample: ${Math.round(info.sample.damageTaken)} dmg, ${info.sample.kills} kills, ${info.sample.deaths} deaths`;
+    }
+    
     /**
      * Called when the tab is activated
      */
@@ -158,6 +208,45 @@ export class DebugTab extends SettingsTab {
         if (!this.initialized && !this.isLoading) {
             this.initializeTab();
         }
+        
+        // Keep the dynamic difficulty readout live while the tab is open
+        this.updateDynamicDifficultyInfo();
+        if (!this.dynamicDifficultyInterval) {
+            this.dynamicDifficultyInterval = setInterval(() => {
+                // Stop once the settings menu is closed, even if the tab wasn't deactivated
+                if (this.settingsMenu && !this.settingsMenu.visible) {
+                    this.stopDynamicDifficultyUpdates();
+                    return;
+                }
+                this.updateDynamicDifficultyInfo();
+            }, 1000);
+        }
+    }
+    
+    /**
+     * Stop the live dynamic difficulty readout
+     * @private
+     */
+    stopDynamicDifficultyUpdates() {
+        if (this.dynamicDifficultyInterval) {
+            clearInterval(this.dynamicDifficultyInterval);
+            this.dynamicDifficultyInterval = null;
+        }
+    }
+    
+    /**
+     * Called when the tab is deactivated, also when the settings menu hides
+     */
+    onDeactivate() {
+        this.stopDynamicDifficultyUpdates();
+    }
+    
+    /**
+     * Clean up the tab
+     */
+    dispose() {
+        this.stopDynamicDifficultyUpdates();
+        super.dispose();
     }
     
     /**
@@ -187,6 +276,10 @@ export class DebugTab extends SettingsTab {
             savePromises.push(this.saveSetting(STORAGE_KEYS.LOG_ENABLED, this.logEnabledCheckbox.checked.toString()));
         }
         
+        if (this.dynamicDifficultyCheckbox) {
+            savePromises.push(this.saveSetting(STORAGE_KEYS.DYNAMIC_DIFFICULTY, this.dynamicDifficultyCheckbox.checked.toString()));
+        }
+        
         // Wait for all saves to complete
         await Promise.all(savePromises);
         return true;
@@ -215,6 +308,13 @@ export class DebugTab extends SettingsTab {
                     this.logEnabledCheckbox.checked = false;
                 }
                 
+                if (this.dynamicDifficultyCheckbox) {
+                    this.dynamicDifficultyCheckbox.checked = true;
+                    if (this.game && this.game.difficultyDirector) {
+                        this.game.difficultyDirector.setEnabled(true);
+                    }
+                }
+                
                 // Save the default settings
                 await this.saveSettings();
                 
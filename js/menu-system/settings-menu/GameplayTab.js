@@ -6,6 +6,7 @@
 import { SettingsTab } from './SettingsTab.js';
 import { STORAGE_KEYS } from '../../config/storage-keys.js';
 import { DIFFICULTY_SCALING } from '../../config/game-balance.js';
+import { WorldSeed } from '../../world/utils/WorldSeed.js';
 import storageService from '../../save-manager/StorageService.js';
 import googleAuthManager from '../../save-manager/GoogleAuthManager.js';
 
@@ -29,6 +30,10 @@ export class GameplayTab extends SettingsTab {
         
         // Game settings elements
         this.difficultySelect = document.getElementById('difficulty-select');
+        this.worldTierSelect = document.getElementById('world-tier-select');
+        this.worldSeedInput = document.getElementById('world-seed-input');
+        this.worldSeedRandomButton = document.getElementById('world-seed-random-button');
+        this.worldSeedApplyButton = document.getElementById('world-seed-apply-button');
         this.customSkillsCheckbox = document.getElementById('custom-skills-checkbox');
         
         // Camera settings
@@ -68,6 +73,8 @@ export class GameplayTab extends SettingsTab {
     init() {
         this.initializeGoogleLogin();
         this.initializeDifficultySettings();
+        this.initializeWorldTierSettings();
+        this.initializeWorldSeedSettings();
         this.initializeReleaseSettings();
         
         // Material quality is now applied only during game initialization
@@ -86,6 +93,10 @@ export class GameplayTab extends SettingsTab {
         // Update UI based on the key that changed
         if (key === STORAGE_KEYS.DIFFICULTY && this.difficultySelect) {
             this.difficultySelect.value = newValue || 'basic';
+        } else if (key === STORAGE_KEYS.WORLD_TIER && this.worldTierSelect) {
+            this.updateWorldTierOptions();
+        } else if (key === STORAGE_KEYS.WORLD_SEED && this.worldSeedInput) {
+            this.worldSeedInput.value = newValue || '';
         } else if (key === STORAGE_KEYS.CUSTOM_SKILLS && this.customSkillsCheckbox) {
             this.customSkillsCheckbox.checked = newValue === true || newValue === 'true';
         } else if (key === STORAGE_KEYS.CAMERA_ZOOM && this.cameraZoomSlider) {
@@ -426,6 +437,152 @@ export class GameplayTab extends SettingsTab {
         }
     }
     
+    /**
+     * Initialize world tier selection
+     * @private
+     */
+    initializeWorldTierSettings() {
+        if (!this.worldTierSelect) {
+            return;
+        }
+        
+        this.updateWorldTierOptions();
+        
+        // Add change event listener
+        this.worldTierSelect.addEventListener('change', () => {
+            const selectedTier = parseInt(this.worldTierSelect.value);
+            
+            if (this.game && this.game.worldTierManager) {
+                // setTier persists the selection and notifies the player
+                if (!this.game.worldTierManager.setTier(selectedTier)) {
+                    // Revert to the current tier if the selection was rejected
+                    this.worldTierSelect.value = this.game.worldTierManager.getSelectedTier().toString();
+                }
+            } else {
+                this.saveSetting(STORAGE_KEYS.WORLD_TIER, selectedTier.toString());
+            }
+        });
+    }
+    
+    /**
+     * Rebuild the world tier options, disabling tiers the player hasn't unlocked yet
+     * @private
+     */
+    updateWorldTierOptions() {
+        if (!this.worldTierSelect) {
+            return;
+        }
+        
+        const worldTierManager = this.game ? this.game.worldTierManager : null;
+        const tiers = DIFFICULTY_SCALING.worldTiers.tiers;
+        
+        // Clear existing options
+        while (this.worldTierSelect.options.length > 0) {
+            this.worldTierSelect.remove(0);
+        }
+        
+        for (const tier of tiers) {
+            const option = document.createElement('option');
+            option.value = tier.tier.toString();
+            
+            const isUnlocked = worldTierManager ? worldTierManager.isTierUnlocked(tier.tier) : tier.tier === 1;
+            const requiredLevel = worldTierManager ? worldTierManager.getRequiredLevel(tier.tier) : tier.requiredLevel;
+            option.textContent = isUnlocked ? tier.name : `${tier.name} (Level ${requiredLevel})`;
+            option.disabled = !isUnlocked;
+            
+            this.worldTierSelect.appendChild(option);
+        }
+        
+        const selectedTier = worldTierManager ?
+            worldTierManager.getSelectedTier() :
+            parseInt(this.loadSettingSync(STORAGE_KEYS.WORLD_TIER, 1)) || 1;
+        this.worldTierSelect.value = selectedTier.toString();
+    }
+    
+    /**
+     * Initialize world seed input and buttons
+     * @private
+     */
+    initializeWorldSeedSettings() {
+        if (!this.worldSeedInput) {
+            return;
+        }
+        
+        this.updateWorldSeedInput();
+        
+        if (this.worldSeedRandomButton) {
+            this.worldSeedRandomButton.addEventListener('click', () => {
+                this.worldSeedInput.value = WorldSeed.generateSeed().toString();
+            });
+        }
+        
+        if (this.worldSeedApplyButton) {
+            this.worldSeedApplyButton.addEventListener('click', () => this.applyWorldSeed());
+        }
+    }
+    
+    /**
+     * Show the seed of the current world in the input
+     * @private
+     */
+    updateWorldSeedInput() {
+        if (!this.worldSeedInput) {
+            return;
+        }
+        
+        this.worldSeedInput.value = this.game && this.game.world ?
+            this.game.world.getSeed().toString() :
+            this.loadSettingSync(STORAGE_KEYS.WORLD_SEED, '');
+    }
+    
+    /**
+     * Regenerate the world from the seed in the input
+     * @private
+     */
+    async applyWorldSeed() {
+        const seed = WorldSeed.normalize(this.worldSeedInput.value);
+        const hudManager = this.game ? this.game.hudManager : null;
+        
+        if (seed === null) {
+            hudManager && hudManager.showNotification('Enter a world seed first');
+            return;
+        }
+        
+        // Members always use the host's world
+        const multiplayerManager = this.game ? this.game.multiplayerManager : null;
+        if (multiplayerManager && multiplayerManager.connection && multiplayerManager.connection.isConnected && !multiplayerManager.isHost) {
+            hudManager && hudManager.showNotification('Only the host can change the world seed');
+            this.updateWorldSeedInput();
+            return;
+        }
+        
+        if (!this.game || !this.game.world) {
+            await this.saveSetting(STORAGE_KEYS.WORLD_SEED, seed.toString());
+            this.worldSeedInput.value = seed.toString();
+            return;
+        }
+        
+        this.worldSeedApplyButton.disabled = true;
+        try {
+            if (await this.game.world.setSeed(seed)) {
+                hudManager && hudManager.showNotification(`World regenerated from seed ${seed}`);
+            }
+        } catch (error) {
+            console.error('Error applying world seed:', error);
+        } finally {
+            this.worldSeedApplyButton.disabled = false;
+            this.updateWorldSeedInput();
+        }
+    }
+    
+    /**
+     * Refresh level-dependent options and the world seed when the tab is shown
+     */
+    onActivate() {
+        this.updateWorldTierOptions();
+        this.updateWorldSeedInput();
+    }
+    
     /**
      * Initialize release settings (moved from ReleaseTab)
      * @private
@@ -551,6 +708,13 @@ export class GameplayTab extends SettingsTab {
             }
         }
         
+        if (this.worldTierSelect && this.game && this.game.worldTierManager) {
+            const selectedTier = parseInt(this.worldTierSelect.value) || 1;
+            if (selectedTier !== this.game.worldTierManager.getSelectedTier()) {
+                this.game.worldTierManager.setTier(selectedTier, { silent: true });
+            }
+        }
+        
         if (this.customSkillsCheckbox) {
             savePromises.push(this.saveSetting(STORAGE_KEYS.CUSTOM_SKILLS, this.customSkillsCheckbox.checked.toString()));
         }
@@ -586,6 +750,10 @@ export class GameplayTab extends SettingsTab {
             console.debug('Reset difficulty to basic');
         }
         
+        if (this.worldTierSelect) {
+            this.worldTierSelect.value = '1';
+        }
+        
         if (this.customSkillsCheckbox) {
             this.customSkillsCheckbox.checked = false;
         }
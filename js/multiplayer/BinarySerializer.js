@@ -17,7 +17,17 @@ export const MessageType = {
     PLAYER_POSITION: 8,
     HOST_LEFT: 9,
     PLAYER_DAMAGE: 10,
-    SHARE_EXPERIENCE: 11
+    SHARE_EXPERIENCE: 11,
+    ITEM_DROP: 12,
+    ITEM_PICKUP_REQUEST: 13,
+    ITEM_PICKUP: 14,
+    LOOT_MODE: 15,
+    SNAPSHOT: 16,
+    CHAT_MESSAGE: 17,
+    PING: 18,
+    CHAT_MUTE: 19,
+    WEATHER: 20,
+    WORLD_SEED: 21
 };
 
 // Schema definitions for different message types
@@ -33,8 +43,18 @@ const SCHEMAS = {
     [MessageType.PLAYER_INPUT]: ['input'],
     [MessageType.PLAYER_POSITION]: ['position', 'rotation', 'animation', 'modelId'],
     [MessageType.HOST_LEFT]: [],
-    [MessageType.PLAYER_DAMAGE]: ['amount', 'enemyId'],
-    [MessageType.SHARE_EXPERIENCE]: ['amount', 'enemyId', 'playerCount']
+    [MessageType.PLAYER_DAMAGE]: ['amount', 'enemyId', 'effect'],
+    [MessageType.SHARE_EXPERIENCE]: ['amount', 'enemyId', 'playerCount'],
+    [MessageType.ITEM_DROP]: ['dropId', 'item', 'position', 'ownerId'],
+    [MessageType.ITEM_PICKUP_REQUEST]: ['dropId'],
+    [MessageType.ITEM_PICKUP]: ['dropId', 'playerId'],
+    [MessageType.LOOT_MODE]: ['mode'],
+    [MessageType.SNAPSHOT]: ['seq', 'baseSeq', 'time', 'players', 'enemies', 'removed'],
+    [MessageType.CHAT_MESSAGE]: ['playerId', 'text', 'quick'],
+    [MessageType.PING]: ['playerId', 'position', 'kind'],
+    [MessageType.CHAT_MUTE]: ['playerId', 'muted'],
+    [MessageType.WEATHER]: ['weather', 'previousWeather', 'transition', 'timeRemaining'],
+    [MessageType.WORLD_SEED]: ['seed']
 };
 
 export class BinarySerializer {
@@ -240,6 +260,16 @@ export class BinarySerializer {
             case 'hostLeft': return MessageType.HOST_LEFT;
             case 'playerDamage': return MessageType.PLAYER_DAMAGE;
             case 'shareExperience': return MessageType.SHARE_EXPERIENCE;
+            case 'itemDrop': return MessageType.ITEM_DROP;
+            case 'itemPickupRequest': return MessageType.ITEM_PICKUP_REQUEST;
+            case 'itemPickup': return MessageType.ITEM_PICKUP;
+            case 'lootMode': return MessageType.LOOT_MODE;
+            case 'snapshot': return MessageType.SNAPSHOT;
+            case 'chatMessage': return MessageType.CHAT_MESSAGE;
+            case 'ping': return MessageType.PING;
+            case 'chatMute': return MessageType.CHAT_MUTE;
+            case 'weather': return MessageType.WEATHER;
+            case 'worldSeed': return MessageType.WORLD_SEED;
             default: return undefined;
         }
     }
@@ -263,6 +293,16 @@ export class BinarySerializer {
             case MessageType.HOST_LEFT: return 'hostLeft';
             case MessageType.PLAYER_DAMAGE: return 'playerDamage';
             case MessageType.SHARE_EXPERIENCE: return 'shareExperience';
+            case MessageType.ITEM_DROP: return 'itemDrop';
+            case MessageType.ITEM_PICKUP_REQUEST: return 'itemPickupRequest';
+            case MessageType.ITEM_PICKUP: return 'itemPickup';
+            case MessageType.LOOT_MODE: return 'lootMode';
+            case MessageType.SNAPSHOT: return 'snapshot';
+            case MessageType.CHAT_MESSAGE: return 'chatMessage';
+            case MessageType.PING: return 'ping';
+            case MessageType.CHAT_MUTE: return 'chatMute';
+            case MessageType.WEATHER: return 'weather';
+            case MessageType.WORLD_SEED: return 'worldSeed';
             default: return 'unknown';
         }
     }
@@ -362,4 +402,131 @@ export class BinarySerializer {
             z: 0
         };
     }
-}
\ No newline at end of file
+    /**
+     * Quantize a vector to integers for snapshots
+     * Small integers take fewer bytes than floats and make unchanged positions compare equal.
+     * @param {Object|Array} vector - The vector as {x, y, z} or [x, y, z]
+     * @param {number} precision - Steps per unit
+     * @returns {Array} The quantized vector as [x, y, z]
+     */
+    static quantizeVector(vector, precision) {
+        const values = Array.isArray(vector) ? vector : BinarySerializer.optimizeVector(vector) || [0, 0, 0];
+        return values.map(value => Math.round((value || 0) * precision));
+    }
+
+    /**
+     * Restore a quantized vector
+     * @param {Array} array - The quantized vector [x, y, z]
+     * @param {number} precision - Steps per unit
+     * @returns {Object} The vector object {x, y, z}
+     */
+    static dequantizeVector(array, precision) {
+        return {
+            x: array[0] / precision,
+            y: array[1] / precision,
+            z: array[2] / precision
+        };
+    }
+
+    /**
+     * Encode a snapshot as the changes since a baseline snapshot
+     * Every entity only carries the fields that differ from the baseline, entities
+     * missing from the snapshot are listed in removed. Without a baseline the full
+     * snapshot is sent as a keyframe.
+     * @param {Object|null} baseline - The previous snapshot sent, or null for a keyframe
+     * @param {Object} snapshot - The snapshot as {seq, time, players, enemies}
+     * @returns {Object} The snapshot message data
+     */
+    static createSnapshotDelta(baseline, snapshot) {
+        const delta = {
+            seq: snapshot.seq,
+            baseSeq: baseline ? baseline.seq : null,
+            time: snapshot.time,
+            players: {},
+            enemies: {},
+            removed: { players: [], enemies: [] }
+        };
+
+        ['players', 'enemies'].forEach(group => {
+            const previous = baseline ? baseline[group] : {};
+            const current = snapshot[group];
+
+            Object.entries(current).forEach(([id, entity]) => {
+                const changes = BinarySerializer.diffEntity(previous[id], entity);
+                if (changes) {
+                    delta[group][id] = changes;
+                }
+            });
+
+            Object.keys(previous).forEach(id => {
+                if (!current[id]) {
+                    delta.removed[group].push(id);
+                }
+            });
+        });
+
+        return delta;
+    }
+
+    /**
+     * Get the fields of an entity that changed
+     * @param {Object|undefined} previous - The entity in the baseline
+     * @param {Object} current - The entity now
+     * @returns {Object|null} The changed fields, or null if nothing changed
+     */
+    static diffEntity(previous, current) {
+        if (!previous) return { ...current };
+
+        let changes = null;
+        Object.entries(current).forEach(([field, value]) => {
+            if (!BinarySerializer.valuesEqual(previous[field], value)) {
+                changes = changes || {};
+                changes[field] = value;
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Compare two snapshot field values
+     * Arrays are compared element by element, other values by identity.
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if the values are equal
+     */
+    static valuesEqual(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((value, index) => value === b[index]);
+        }
+        return a === b;
+    }
+
+    /**
+     * Rebuild a full snapshot from a baseline and a snapshot message
+     * @param {Object|null} baseline - The last snapshot received
+     * @param {Object} delta - The snapshot message data
+     * @returns {Object|null} The full snapshot, or null if the message is based on a snapshot we don't have
+     */
+    static applySnapshotDelta(baseline, delta) {
+        const isKeyframe = delta.baseSeq === null || delta.baseSeq === undefined;
+        if (!isKeyframe && (!baseline || baseline.seq !== delta.baseSeq)) {
+            return null;
+        }
+
+        const snapshot = { seq: delta.seq, time: delta.time, players: {}, enemies: {} };
+        const removed = delta.removed || {};
+
+        ['players', 'enemies'].forEach(group => {
+            if (!isKeyframe) {
+                Object.assign(snapshot[group], baseline[group]);
+                (removed[group] || []).forEach(id => delete snapshot[group][id]);
+            }
+
+            Object.entries(delta[group] || {}).forEach(([id, changes]) => {
+                snapshot[group][id] = { ...snapshot[group][id], ...changes };
+            });
+        });
+
+        return snapshot;
+    }
+}
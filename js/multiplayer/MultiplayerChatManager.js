@@ -0,0 +1,461 @@
+/**
+ * MultiplayerChatManager.js
+ * Party chat and world pings, relayed and moderated by the host
+ */
+
+import * as THREE from 'three';
+import { CHAT_CONFIG } from '../config/multiplayer.js';
+import { BinarySerializer } from './BinarySerializer.js';
+
+/**
+ * @typedef {Object} ChatEntry
+ * @property {string|null} playerId - Sender, or null for system messages
+ * @property {string} name - Display name of the sender
+ * @property {string} color - Color of the sender
+ * @property {string} text - Message text
+ * @property {boolean} quick - True for quick chat messages
+ * @property {boolean} system - True for messages of the game itself
+ */
+
+/**
+ * @typedef {Object} Ping
+ * @property {string} playerId - Player who pinged
+ * @property {string} kind - One of CHAT_CONFIG.pingKinds
+ * @property {{x: number, y: number, z: number}} position - World position
+ * @property {string} color - Marker color
+ * @property {number} expiresAt - Time the ping disappears
+ * @property {THREE.Group|null} marker - Marker in the 3D view
+ */
+
+export class MultiplayerChatManager {
+    /**
+     * Initialize the multiplayer chat manager
+     * @param {MultiplayerManager} multiplayerManager - Reference to the main multiplayer manager
+     */
+    constructor(multiplayerManager) {
+        this.multiplayerManager = multiplayerManager;
+        /** @type {ChatEntry[]} */
+        this.messages = [];
+        /** @type {Ping[]} */
+        this.pings = [];
+        this.mutedPlayers = new Set();
+        this.sentMessageTimes = []; // Times of the recent local messages
+        this.peerMessageTimes = new Map(); // Times of the recent messages by member (host only)
+        this.lastPingTime = 0;
+        this.peerPingTimes = new Map(); // Time of the last ping by member (host only)
+        this.listeners = new Set();
+    }
+
+    /**
+     * Get the connection manager
+     * @returns {import('./MultiplayerConnectionManager.js').MultiplayerConnectionManager} The connection manager
+     */
+    get connection() {
+        return this.multiplayerManager.connection;
+    }
+
+    /**
+     * Get the peer ID of the local player
+     * @returns {string|null} The local peer ID
+     */
+    get localPlayerId() {
+        return this.connection.peer ? this.connection.peer.id : null;
+    }
+
+    /**
+     * Listen for new chat messages
+     * @param {function(ChatEntry): void} listener - Called with every message added
+     * @returns {function(): void} Removes the listener
+     */
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Get the display name of a player
+     * @param {string} playerId - The player ID
+     * @returns {string} The name shown in the chat
+     */
+    getPlayerName(playerId) {
+        if (playerId === this.localPlayerId) return 'You';
+
+        const hostId = this.connection.isHost ? this.localPlayerId : this.connection.hostId;
+        if (playerId === hostId) return 'Host';
+
+        return `Player ${playerId.substring(0, 8)}`;
+    }
+
+    /**
+     * Get the color of a player
+     * @param {string} playerId - The player ID
+     * @returns {string} The assigned color
+     */
+    getPlayerColor(playerId) {
+        return this.multiplayerManager.assignedColors.get(playerId) || '#FFFFFF';
+    }
+
+    /**
+     * Check if a player is muted by the host
+     * @param {string} playerId - The player ID
+     * @returns {boolean} True if the player can't chat or ping
+     */
+    isMuted(playerId) {
+        return this.mutedPlayers.has(playerId);
+    }
+
+    /**
+     * Record a message and check it against the rate limit
+     * @param {number[]} times - Times of the recent messages, updated in place
+     * @param {number} now - Current time
+     * @returns {boolean} True if the message exceeds the limit and must be dropped
+     */
+    isRateLimited(times, now) {
+        const { messages, interval } = CHAT_CONFIG.rateLimit;
+        while (times.length > 0 && now - times[0] > interval) {
+            times.shift();
+        }
+
+        if (times.length >= messages) {
+            return true;
+        }
+        times.push(now);
+        return false;
+    }
+
+    /**
+     * Clean up message text from the network or the input field
+     * @param {*} text - The raw text
+     * @returns {string} The trimmed and shortened text, empty if invalid
+     */
+    sanitizeText(text) {
+        if (typeof text !== 'string') return '';
+        return text.replace(/\s+/g, ' ').trim().slice(0, CHAT_CONFIG.maxLength);
+    }
+
+    /**
+     * Send a chat message to the party
+     * @param {string} rawText - The message text
+     * @param {boolean} [quick=false] - True for quick chat messages
+     * @returns {boolean} True if the message was sent
+     */
+    sendMessage(rawText, quick = false) {
+        const text = this.sanitizeText(rawText);
+        if (!text || !this.multiplayerManager.isActive()) return false;
+
+        if (this.isMuted(this.localPlayerId)) {
+            this.addSystemMessage('You have been muted by the host');
+            return false;
+        }
+
+        if (this.isRateLimited(this.sentMessageTimes, Date.now())) {
+            this.addSystemMessage('You are sending messages too fast');
+            return false;
+        }
+
+        this.addMessage(this.localPlayerId, text, quick);
+
+        if (this.connection.isHost) {
+            this.connection.broadcast({ type: 'chatMessage', playerId: this.localPlayerId, text, quick });
+        } else {
+            this.connection.sendToPeer(this.connection.hostId, { type: 'chatMessage', text, quick });
+        }
+        return true;
+    }
+
+    /**
+     * Relay a chat message of a member to the others (host only)
+     * @param {string} peerId - The member who sent the message
+     * @param {Object} data - The chatMessage message
+     */
+    handleMessageFromMember(peerId, data) {
+        const text = this.sanitizeText(data.text);
+        if (!text || this.isMuted(peerId)) return;
+
+        if (!this.peerMessageTimes.has(peerId)) {
+            this.peerMessageTimes.set(peerId, []);
+        }
+        if (this.isRateLimited(this.peerMessageTimes.get(peerId), Date.now())) {
+            console.debug(`[MultiplayerChatManager] Dropping message of ${peerId}, rate limit exceeded`);
+            return;
+        }
+
+        this.addMessage(peerId, text, !!data.quick);
+        this.sendToOthers(peerId, { type: 'chatMessage', playerId: peerId, text, quick: !!data.quick });
+    }
+
+    /**
+     * Show a chat message relayed by the host (member only)
+     * @param {Object} data - The chatMessage message
+     */
+    handleMessage(data) {
+        const text = this.sanitizeText(data.text);
+        if (!text || !data.playerId) return;
+
+        this.addMessage(data.playerId, text, !!data.quick);
+    }
+
+    /**
+     * Add a message of a player to the history
+     * @param {string} playerId - The sender
+     * @param {string} text - The message text
+     * @param {boolean} quick - True for quick chat messages
+     */
+    addMessage(playerId, text, quick) {
+        this.addEntry({
+            playerId,
+            name: this.getPlayerName(playerId),
+            color: this.getPlayerColor(playerId),
+            text,
+            quick,
+            system: false
+        });
+    }
+
+    /**
+     * Add a message of the game itself, only shown locally
+     * @param {string} text - The message text
+     */
+    addSystemMessage(text) {
+        this.addEntry({ playerId: null, name: '', color: '#AAAAAA', text, quick: false, system: true });
+    }
+
+    /**
+     * Add an entry to the history and tell the listeners
+     * @param {ChatEntry} entry - The chat entry
+     */
+    addEntry(entry) {
+        this.messages.push(entry);
+        if (this.messages.length > CHAT_CONFIG.historySize) {
+            this.messages.shift();
+        }
+        this.listeners.forEach(listener => listener(entry));
+    }
+
+    /**
+     * Ping a place in the world for the party
+     * @param {{x: number, y: number, z: number}} position - The world position
+     * @param {string} [kind='location'] - One of CHAT_CONFIG.pingKinds
+     * @returns {boolean} True if the ping was sent
+     */
+    sendPing(position, kind = 'location') {
+        if (!position || !CHAT_CONFIG.pingKinds[kind] || !this.multiplayerManager.isActive()) return false;
+
+        if (this.isMuted(this.localPlayerId)) {
+            this.addSystemMessage('You have been muted by the host');
+            return false;
+        }
+
+        const now = Date.now();
+        if (now - this.lastPingTime < CHAT_CONFIG.pingCooldown) return false;
+        this.lastPingTime = now;
+
+        this.addPing(this.localPlayerId, position, kind);
+
+        const optimizedPosition = BinarySerializer.optimizeVector(position);
+        if (this.connection.isHost) {
+            this.connection.broadcast({ type: 'ping', playerId: this.localPlayerId, position: optimizedPosition, kind });
+        } else {
+            this.connection.sendToPeer(this.connection.hostId, { type: 'ping', position: optimizedPosition, kind });
+        }
+        return true;
+    }
+
+    /**
+     * Relay a ping of a member to the others (host only)
+     * @param {string} peerId - The member who pinged
+     * @param {Object} data - The ping message
+     */
+    handlePingFromMember(peerId, data) {
+        const position = BinarySerializer.restoreVector(data.position);
+        if (!position || !CHAT_CONFIG.pingKinds[data.kind] || this.isMuted(peerId)) return;
+
+        const now = Date.now();
+        if (now - (this.peerPingTimes.get(peerId) || 0) < CHAT_CONFIG.pingCooldown) return;
+        this.peerPingTimes.set(peerId, now);
+
+        this.addPing(peerId, position, data.kind);
+        this.sendToOthers(peerId, { type: 'ping', playerId: peerId, position: data.position, kind: data.kind });
+    }
+
+    /**
+     * Show a ping relayed by the host (member only)
+     * @param {Object} data - The ping message
+     */
+    handlePing(data) {
+        const position = BinarySerializer.restoreVector(data.position);
+        if (!position || !data.playerId || !CHAT_CONFIG.pingKinds[data.kind]) return;
+
+        this.addPing(data.playerId, position, data.kind);
+    }
+
+    /**
+     * Add a ping and its marker
+     * A new ping of a player replaces their previous one.
+     * @param {string} playerId - Player who pinged
+     * @param {{x: number, y: number, z: number}} position - World position
+     * @param {string} kind - One of CHAT_CONFIG.pingKinds
+     */
+    addPing(playerId, position, kind) {
+        this.pings.filter(ping => ping.playerId === playerId).forEach(ping => this.removePing(ping));
+
+        const pingKind = CHAT_CONFIG.pingKinds[kind];
+        /** @type {Ping} */
+        const ping = {
+            playerId,
+            kind,
+            position: { x: position.x, y: position.y, z: position.z },
+            color: pingKind.color || this.getPlayerColor(playerId),
+            expiresAt: Date.now() + CHAT_CONFIG.pingDuration,
+            marker: null
+        };
+        ping.marker = this.createPingMarker(ping);
+        this.pings.push(ping);
+
+        this.addSystemMessage(`${this.getPlayerName(playerId)} pinged ${pingKind.icon}`);
+    }
+
+    /**
+     * Create the marker of a ping in the 3D view
+     * @param {Ping} ping - The ping
+     * @returns {THREE.Group|null} The marker, or null without a scene
+     */
+    createPingMarker(ping) {
+        const game = this.multiplayerManager.game;
+        if (!game.scene) return null;
+
+        let y = ping.position.y;
+        if (game.world && typeof game.world.getTerrainHeight === 'function') {
+            const terrainHeight = game.world.getTerrainHeight(ping.position.x, ping.position.z);
+            if (terrainHeight !== null && terrainHeight !== undefined && isFinite(terrainHeight)) {
+                y = terrainHeight;
+            }
+        }
+
+        const color = new THREE.Color(ping.color);
+        const marker = new THREE.Group();
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.8, 1.1, 32),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9, side: THREE.DoubleSide, depthWrite: false })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.1;
+        marker.add(ring);
+
+        const beam = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.08, 0.08, 6, 8),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, depthWrite: false })
+        );
+        beam.position.y = 3;
+        marker.add(beam);
+
+        marker.position.set(ping.position.x, y, ping.position.z);
+        game.scene.add(marker);
+        return marker;
+    }
+
+    /**
+     * Remove a ping and its marker
+     * @param {Ping} ping - The ping
+     */
+    removePing(ping) {
+        if (ping.marker) {
+            if (ping.marker.parent) {
+                ping.marker.parent.remove(ping.marker);
+            }
+            ping.marker.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            ping.marker = null;
+        }
+        this.pings = this.pings.filter(entry => entry !== ping);
+    }
+
+    /**
+     * Get the pings that are still visible
+     * @returns {Ping[]} The active pings
+     */
+    getActivePings() {
+        return this.pings;
+    }
+
+    /**
+     * Send a message to every member except one (host only)
+     * @param {string} excludedPeerId - The member to skip, usually the sender
+     * @param {Object} data - The message
+     */
+    sendToOthers(excludedPeerId, data) {
+        this.connection.peers.forEach((conn, peerId) => {
+            if (peerId !== excludedPeerId) {
+                this.connection.sendToPeer(peerId, data);
+            }
+        });
+    }
+
+    /**
+     * Mute or unmute a player
+     * @param {string} playerId - The player ID
+     * @param {boolean} muted - True to mute
+     */
+    setMuted(playerId, muted) {
+        if (muted) {
+            this.mutedPlayers.add(playerId);
+        } else {
+            this.mutedPlayers.delete(playerId);
+        }
+    }
+
+    /**
+     * Apply a mute decided by the host (member only)
+     * @param {Object} data - The chatMute message
+     */
+    handleChatMute(data) {
+        if (!data.playerId) return;
+
+        this.setMuted(data.playerId, !!data.muted);
+        const name = data.playerId === this.localPlayerId ? 'You have' : `${this.getPlayerName(data.playerId)} has`;
+        this.addSystemMessage(`${name} been ${data.muted ? 'muted' : 'unmuted'} by the host`);
+    }
+
+    /**
+     * Animate the ping markers and remove expired pings
+     * @param {number} deltaTime - Time elapsed since the last frame
+     */
+    update(deltaTime) {
+        if (this.pings.length === 0) return;
+
+        const now = Date.now();
+        [...this.pings].forEach(ping => {
+            const remaining = ping.expiresAt - now;
+            if (remaining <= 0) {
+                this.removePing(ping);
+                return;
+            }
+
+            if (ping.marker) {
+                const pulse = 1 + 0.25 * Math.sin(now / 150);
+                ping.marker.children[0].scale.set(pulse, pulse, pulse);
+
+                // Fade out during the last second
+                const fade = Math.min(1, remaining / 1000);
+                ping.marker.children[0].material.opacity = 0.9 * fade;
+                ping.marker.children[1].material.opacity = 0.6 * fade;
+            }
+        });
+    }
+
+    /**
+     * Clear the chat, pings and mutes when leaving a session
+     */
+    reset() {
+        [...this.pings].forEach(ping => this.removePing(ping));
+        this.messages = [];
+        this.mutedPlayers.clear();
+        this.sentMessageTimes = [];
+        this.peerMessageTimes.clear();
+        this.peerPingTimes.clear();
+        this.lastPingTime = 0;
+    }
+}
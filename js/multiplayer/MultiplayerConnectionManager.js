@@ -4,7 +4,12 @@
  */
 
 import { DEFAULT_CHARACTER_MODEL } from '../config/player-models.js';
+import { MULTIPLAYER_TRANSPORTS, TRANSPORT_CONFIG, HOST_MIGRATION_CONFIG, SNAPSHOT_CONFIG } from '../config/multiplayer.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
 import { BinarySerializer } from './BinarySerializer.js';
+import { PeerJSTransport } from './transports/PeerJSTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
 
 export class MultiplayerConnectionManager {
     /**
@@ -13,7 +18,9 @@ export class MultiplayerConnectionManager {
      */
     constructor(multiplayerManager) {
         this.multiplayerManager = multiplayerManager;
-        this.peer = null; // PeerJS instance
+        this.peer = null; // Transport of the local player (PeerJS or WebSocket relay)
+        this.transportType = TRANSPORT_CONFIG.defaultTransport;
+        this.relayUrl = null; // WebSocket relay URL, defaults to the game server
         this.peers = new Map(); // Map of connected peers
         this.isHost = false;
         this.isConnected = false;
@@ -21,6 +28,11 @@ export class MultiplayerConnectionManager {
         this.roomId = null; // Room ID (if host)
         this.serializer = new BinarySerializer(); // Binary serializer for efficient data transfer
         this.useBinaryFormat = false; // Flag to indicate if binary format is enabled
+        this.isMigrating = false; // True while the members elect and reconnect to a new host
+        this.pendingConnections = []; // Connections that arrived before this member took over as host
+        this.snapshotSeq = 0; // Sequence number of the last snapshot sent (host only)
+        this.lastSentSnapshot = null; // Baseline of the next snapshot delta (host only)
+        this.forceKeyframe = false; // Send the next snapshot in full, e.g. for a new member
     }
 
     /**
@@ -28,6 +40,13 @@ export class MultiplayerConnectionManager {
      */
     async init() {
         try {
+            // Load the transport the player last used
+            const storedTransport = await storageService.loadData(STORAGE_KEYS.MULTIPLAYER_TRANSPORT);
+            if (Object.values(MULTIPLAYER_TRANSPORTS).includes(storedTransport)) {
+                this.transportType = storedTransport;
+            }
+            this.relayUrl = await storageService.loadData(STORAGE_KEYS.RELAY_URL) || null;
+            
             // Initialize binary serializer
             const serializerInitialized = await this.serializer.init();
             if (serializerInitialized) {
@@ -45,30 +64,58 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Choose how players connect
+     * @param {string} transportType - One of MULTIPLAYER_TRANSPORTS
+     * @param {string} [relayUrl] - WebSocket relay URL, empty for the game server
+     */
+    setTransport(transportType, relayUrl) {
+        if (!Object.values(MULTIPLAYER_TRANSPORTS).includes(transportType)) {
+            console.warn(`[MultiplayerConnectionManager] Unknown transport: ${transportType}`);
+            return;
+        }
+        
+        this.transportType = transportType;
+        storageService.saveData(STORAGE_KEYS.MULTIPLAYER_TRANSPORT, transportType);
+        
+        if (relayUrl !== undefined) {
+            this.relayUrl = relayUrl.trim() || null;
+            storageService.saveData(STORAGE_KEYS.RELAY_URL, this.relayUrl || '');
+        }
+    }
+
+    /**
+     * Create the transport chosen by the player
+     * @returns {PeerJSTransport|WebSocketTransport} A new transport
+     */
+    createTransport() {
+        if (this.transportType === MULTIPLAYER_TRANSPORTS.WEBSOCKET) {
+            return new WebSocketTransport(this.relayUrl || WebSocketTransport.getDefaultUrl());
+        }
+        return new PeerJSTransport();
+    }
+
     /**
      * Host a new game
-     * Creates a PeerJS instance and waits for connections
+     * Opens the chosen transport and waits for connections
      */
     async hostGame() {
         try {
             this.multiplayerManager.ui.updateConnectionStatus('Initializing host...');
             
-            // Initialize PeerJS
-            this.peer = new Peer();
-            
-            // Wait for peer to open
-            await new Promise((resolve, reject) => {
-                this.peer.on('open', id => {
-                    this.roomId = id;
-                    resolve();
-                });
-                this.peer.on('error', err => reject(err));
-            });
+            // Open the transport, its ID is the room ID
+            this.peer = this.createTransport();
+            this.roomId = await this.peer.host();
             
             // Set host flag
             this.isHost = true;
             this.isConnected = true;
             
+            // The host owns enemy spawning
+            if (this.multiplayerManager.game.enemyManager) {
+                this.multiplayerManager.game.enemyManager.setMultiplayerMode(true, true);
+            }
+            
             // Update multiplayer button to show "Disconnect"
             this.multiplayerManager.ui.updateMultiplayerButton(true);
 
@@ -80,7 +127,7 @@ export class MultiplayerConnectionManager {
             this.multiplayerManager.ui.updateHostEntry(this.roomId, hostColor);
             
             // Set up connection handler
-            this.peer.on('connection', conn => {
+            this.peer.onConnection(conn => {
                 this.handleNewConnection(conn);
                 // Show connection info screen when a player joins
                 this.multiplayerManager.ui.showConnectionInfoScreen();
@@ -111,51 +158,30 @@ export class MultiplayerConnectionManager {
         try {
             this.multiplayerManager.ui.updateConnectionStatus('Connecting to host...');
             
-            // Initialize PeerJS
-            this.peer = new Peer();
+            // Open the transport and connect to host
+            this.peer = this.createTransport();
+            const conn = await this.peer.connect(roomId);
             
-            // Wait for peer to open
-            await new Promise((resolve, reject) => {
-                this.peer.on('open', id => resolve());
-                this.peer.on('error', err => reject(err));
-            });
+            this.setupHostConnection(conn);
             
-            // Connect to host
-            this.hostId = roomId;
-            const conn = this.peer.connect(roomId, {
-                reliable: true
-            });
+            // Members follow the enemies of the host
+            if (this.multiplayerManager.game.enemyManager) {
+                this.multiplayerManager.game.enemyManager.setMultiplayerMode(true, false);
+            }
             
-            // Set up connection
-            conn.on('open', () => {
-                // Add to peers map
-                this.peers.set(roomId, conn);
-                
-                // Set connected flag
-                this.isConnected = true;
-                
-                // Update multiplayer button to show "Disconnect"
-                this.multiplayerManager.ui.updateMultiplayerButton(true);
-                
-                // Update connection status
-                this.multiplayerManager.ui.updateConnectionStatus('Connected to host! Waiting for game to start...', 'connection-info-status-bar');
-                
-                // Show the connection info screen instead of waiting screen
-                this.multiplayerManager.ui.showConnectionInfoScreen();
-                
-                // The connect button is already disabled in the UI handler
-                
-                // Set up data handler
-                conn.on('data', data => this.handleDataFromHost(this.processReceivedData(data)));
-                
-                // Set up close handler
-                conn.on('close', () => this.handleDisconnect(roomId));
-            });
+            // Accept the other members if this member is elected host later
+            this.peer.onConnection(conn => this.handleMigratedConnection(conn));
             
-            conn.on('error', err => {
-                console.error('Connection error:', err);
-                this.multiplayerManager.ui.updateConnectionStatus('Connection error: ' + err.message);
-            });
+            // Update multiplayer button to show "Disconnect"
+            this.multiplayerManager.ui.updateMultiplayerButton(true);
+            
+            // Update connection status
+            this.multiplayerManager.ui.updateConnectionStatus('Connected to host! Waiting for game to start...', 'connection-info-status-bar');
+            
+            // Show the connection info screen instead of waiting screen
+            this.multiplayerManager.ui.showConnectionInfoScreen();
+            
+            // The connect button is already disabled in the UI handler
             
             return true;
         } catch (error) {
@@ -165,14 +191,61 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Use an open connection as the connection to the host (member only)
+     * @param {import('./transports/PeerJSTransport.js').TransportConnection} conn - The connection to the host
+     */
+    setupHostConnection(conn) {
+        // The relay accepts room codes in any case, use the host ID it answered with
+        this.hostId = conn.peer;
+        
+        // Add to peers map
+        this.peers.set(this.hostId, conn);
+        
+        // Set connected flag
+        this.isConnected = true;
+        
+        // Snapshots of a previous host don't apply to this one
+        this.multiplayerManager.snapshots.reset();
+        
+        // Set up data handler
+        conn.on('data', data => this.handleDataFromHost(this.processReceivedData(data)));
+        
+        // Set up close handler
+        conn.on('close', () => this.handleDisconnect(conn.peer));
+        
+        conn.on('error', err => {
+            console.error('Connection error:', err);
+            this.multiplayerManager.ui.updateConnectionStatus('Connection error: ' + err.message);
+        });
+    }
+
+    /**
+     * Handle a connection to a member who became host during a host migration
+     * Connections can arrive before this member noticed that the old host left.
+     * @param {import('./transports/PeerJSTransport.js').TransportConnection} conn - The connection from another member
+     */
+    handleMigratedConnection(conn) {
+        if (this.isHost) {
+            this.handleNewConnection(conn);
+        } else if (this.isMigrating || this.isConnected) {
+            this.pendingConnections.push(conn);
+        } else {
+            conn.close();
+        }
+    }
+
     /**
      * Handle new connection from a member (host only)
-     * @param {DataConnection} conn - The PeerJS connection
+     * @param {import('./transports/PeerJSTransport.js').TransportConnection} conn - The connection to the member
      */
     handleNewConnection(conn) {
         // Add to peers map
         this.peers.set(conn.peer, conn);
         
+        // The new member has no baseline for snapshot deltas yet
+        this.forceKeyframe = true;
+        
         // Assign a color to the player if not already assigned
         if (!this.multiplayerManager.assignedColors.has(conn.peer)) {
             // Get next available color
@@ -215,6 +288,29 @@ export class MultiplayerConnectionManager {
             colors: colors
         });
         
+        // Send the world seed so the new member generates the same world
+        if (this.multiplayerManager.game.world) {
+            conn.send({
+                type: 'worldSeed',
+                seed: this.multiplayerManager.game.world.getSeed()
+            });
+        }
+        
+        // Send the current weather so the new member starts in sync
+        const weatherManager = this.multiplayerManager.game.world && this.multiplayerManager.game.world.weatherManager;
+        if (weatherManager) {
+            conn.send({
+                type: 'weather',
+                ...weatherManager.getState()
+            });
+        }
+        
+        // Send the loot mode so the new member knows how drops are shared
+        this.sendToPeer(conn.peer, {
+            type: 'lootMode',
+            mode: this.multiplayerManager.loot.lootMode
+        });
+        
         // Notify other peers about the new player and their color
         this.peers.forEach((peerConn, peerId) => {
             if (peerId !== conn.peer) {
@@ -226,8 +322,10 @@ export class MultiplayerConnectionManager {
             }
         });
         
-        // Create remote player with the assigned color
-        this.multiplayerManager.remotePlayerManager.createRemotePlayer(conn.peer, playerColor);
+        // Create remote player with the assigned color, members reconnecting after a host migration already have one
+        if (!this.multiplayerManager.remotePlayerManager.getPlayer(conn.peer)) {
+            this.multiplayerManager.remotePlayerManager.createRemotePlayer(conn.peer, playerColor);
+        }
     }
 
     /**
@@ -244,6 +342,9 @@ export class MultiplayerConnectionManager {
             case 'gameState':
                 this.multiplayerManager.updateGameState(data);
                 break;
+            case 'snapshot':
+                this.multiplayerManager.receiveSnapshot(data);
+                break;
             case 'startGame':
                 this.multiplayerManager.startGame();
                 break;
@@ -253,8 +354,10 @@ export class MultiplayerConnectionManager {
                     this.multiplayerManager.assignedColors.set(data.playerId, data.playerColor);
                 }
                 
-                // Create remote player with the assigned color
-                this.multiplayerManager.remotePlayerManager.createRemotePlayer(data.playerId, data.playerColor);
+                // Create remote player with the assigned color, unless they rejoined after a host migration
+                if (!this.multiplayerManager.remotePlayerManager.getPlayer(data.playerId)) {
+                    this.multiplayerManager.remotePlayerManager.createRemotePlayer(data.playerId, data.playerColor);
+                }
                 break;
             case 'playerLeft':
                 this.multiplayerManager.remotePlayerManager.removePlayer(data.playerId);
@@ -331,7 +434,24 @@ export class MultiplayerConnectionManager {
                 // Handle damage to the local player from an enemy
                 if (data.amount && this.multiplayerManager.game.player) {
                     console.debug(`[MultiplayerConnectionManager] Player taking damage: ${data.amount} from enemy ID: ${data.enemyId}`);
-                    this.multiplayerManager.game.player.takeDamage(data.amount);
+                    const damageDealt = this.multiplayerManager.game.player.takeDamage(data.amount);
+                    
+                    // Status effect of an enemy projectile, e.g. the slow of a necromancer bolt
+                    if (data.effect && damageDealt !== 0) {
+                        this.multiplayerManager.game.player.applyEffect(data.effect.type, data.effect.duration, data.effect.intensity);
+                    }
+                }
+                break;
+            case 'worldSeed':
+                // Members use the host's world without replacing their own stored seed
+                if (this.multiplayerManager.game.world) {
+                    this.multiplayerManager.game.world.setSeed(data.seed, { persist: false });
+                }
+                break;
+            case 'weather':
+                // Weather is owned by the host
+                if (this.multiplayerManager.game.world && this.multiplayerManager.game.world.weatherManager) {
+                    this.multiplayerManager.game.world.weatherManager.applyState(data);
                 }
                 break;
             case 'shareExperience':
@@ -341,6 +461,26 @@ export class MultiplayerConnectionManager {
                     this.multiplayerManager.game.player.addExperience(data.amount);
                 }
                 break;
+            case 'itemDrop':
+                // Drops are spawned by the host
+                this.multiplayerManager.loot.handleItemDrop(data);
+                break;
+            case 'itemPickup':
+                // The host decided who picked up a shared drop
+                this.multiplayerManager.loot.handleItemPickup(data);
+                break;
+            case 'lootMode':
+                this.multiplayerManager.loot.handleLootMode(data);
+                break;
+            case 'chatMessage':
+                this.multiplayerManager.chat.handleMessage(data);
+                break;
+            case 'ping':
+                this.multiplayerManager.chat.handlePing(data);
+                break;
+            case 'chatMute':
+                this.multiplayerManager.chat.handleChatMute(data);
+                break;
             default:
                 console.error('Unknown data type from host:', data.type);
         }
@@ -441,6 +581,17 @@ export class MultiplayerConnectionManager {
                         });
                     }
                     break;
+                case 'itemPickupRequest':
+                    // Member walked over a shared drop - first request wins
+                    this.multiplayerManager.loot.handlePickupRequest(peerId, data);
+                    break;
+                case 'chatMessage':
+                    // Checked against mutes and the rate limit, then relayed to the other members
+                    this.multiplayerManager.chat.handleMessageFromMember(peerId, data);
+                    break;
+                case 'ping':
+                    this.multiplayerManager.chat.handlePingFromMember(peerId, data);
+                    break;
                 default:
                     console.error('[MultiplayerConnectionManager] Unknown data type from member:', data.type);
             }
@@ -455,8 +606,28 @@ export class MultiplayerConnectionManager {
      * the 'hostLeft' message handler and the handleDisconnect method
      */
     handleHostDisconnection() {
+        // The hostLeft message is followed by the closed connection, handle the host leaving once
+        if (this.isMigrating || !this.hostId) {
+            return;
+        }
+        
         console.debug('[MultiplayerConnectionManager] Host disconnected from game');
         
+        // Continue the session with a new host if other members are left
+        const oldHostId = this.hostId;
+        const newHostId = this.electNewHost(oldHostId);
+        if (newHostId) {
+            this.migrateHost(oldHostId, newHostId);
+            return;
+        }
+        
+        this.endSessionAfterHostLeft();
+    }
+
+    /**
+     * End the session and continue in local mode after the host left (member only)
+     */
+    endSessionAfterHostLeft() {
         this.isConnected = false;
         this.multiplayerManager.ui.updateMultiplayerButton(false);
         this.multiplayerManager.ui.updateConnectionStatus('Disconnected from host');
@@ -493,6 +664,135 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Elect the new host among the remaining players
+     * Every member knows all player IDs from the player colors, so all of them pick the same lowest ID.
+     * @param {string} oldHostId - The ID of the host that left
+     * @returns {string|null} The ID of the new host, or null if no other member is left
+     */
+    electNewHost(oldHostId) {
+        const playerIds = new Set(this.multiplayerManager.assignedColors.keys());
+        playerIds.add(this.peer.id);
+        playerIds.delete(oldHostId);
+        
+        if (playerIds.size < 2) {
+            return null;
+        }
+        return [...playerIds].sort()[0];
+    }
+
+    /**
+     * Move the session to a new host, keeping the characters and the enemies alive (member only)
+     * @param {string} oldHostId - The ID of the host that left
+     * @param {string} newHostId - The ID of the elected host
+     */
+    async migrateHost(oldHostId, newHostId) {
+        this.isMigrating = true;
+        this.hostId = null;
+        this.peers.delete(oldHostId);
+        
+        // Remove the old host from the world
+        this.multiplayerManager.remotePlayerManager.removePlayer(oldHostId);
+        this.multiplayerManager.assignedColors.delete(oldHostId);
+        
+        const isNewHost = newHostId === this.peer.id;
+        console.debug(`[MultiplayerConnectionManager] Host ${oldHostId} left, new host is ${newHostId}`);
+        if (this.multiplayerManager.game.hudManager) {
+            this.multiplayerManager.game.hudManager.showNotification(
+                isNewHost ? 'The host has left the game - you are the new host' : 'The host has left the game - moving to a new host',
+                'info'
+            );
+        }
+        
+        try {
+            if (isNewHost) {
+                await this.takeOverAsHost();
+            } else {
+                await this.reconnectToNewHost(newHostId);
+            }
+        } catch (error) {
+            console.error('[MultiplayerConnectionManager] Host migration failed:', error);
+            this.isMigrating = false;
+            this.endSessionAfterHostLeft();
+        }
+    }
+
+    /**
+     * Become the host after the old host left
+     * Enemies mirrored from the old host stay alive, this client now simulates and broadcasts them.
+     */
+    async takeOverAsHost() {
+        this.roomId = await this.peer.takeOver();
+        this.isHost = true;
+        this.isConnected = true;
+        this.isMigrating = false;
+        this.lastSentSnapshot = null;
+        
+        // Take over enemy authority and spawning
+        if (this.multiplayerManager.game.enemyManager) {
+            this.multiplayerManager.game.enemyManager.setMultiplayerMode(true, true);
+        }
+        
+        // Accept the members that reconnected before the take over finished
+        const pendingConnections = this.pendingConnections;
+        this.pendingConnections = [];
+        pendingConnections.forEach(conn => this.handleNewConnection(conn));
+        
+        // Show the host in the player list
+        this.multiplayerManager.ui.updateHostEntry(this.peer.id, this.multiplayerManager.assignedColors.get(this.peer.id));
+        
+        // Remove members that don't come back
+        const expectedMembers = this.multiplayerManager.remotePlayerManager ?
+            [...this.multiplayerManager.remotePlayerManager.getPlayers().keys()] : [];
+        setTimeout(() => {
+            if (!this.isHost) return;
+            
+            expectedMembers.forEach(peerId => {
+                if (!this.peers.has(peerId)) {
+                    console.debug(`[MultiplayerConnectionManager] Member ${peerId} did not reconnect after host migration`);
+                    this.multiplayerManager.remotePlayerManager.removePlayer(peerId);
+                    this.multiplayerManager.assignedColors.delete(peerId);
+                    this.multiplayerManager.ui.removePlayerFromList(peerId);
+                }
+            });
+        }, HOST_MIGRATION_CONFIG.memberTimeout);
+        
+        console.debug(`[MultiplayerConnectionManager] Took over as host of room ${this.roomId}`);
+    }
+
+    /**
+     * Connect to the elected host, retrying while it takes over
+     * @param {string} newHostId - The ID of the new host
+     */
+    async reconnectToNewHost(newHostId) {
+        for (let attempt = 1; attempt <= HOST_MIGRATION_CONFIG.reconnectAttempts; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, HOST_MIGRATION_CONFIG.reconnectDelay));
+            
+            // Left the game while waiting
+            if (!this.peer) return;
+            
+            try {
+                const conn = await this.peer.rejoin(newHostId);
+                this.setupHostConnection(conn);
+                this.isMigrating = false;
+                
+                // The closed connections of other members belong to the old session
+                this.pendingConnections.forEach(pending => pending.close());
+                this.pendingConnections = [];
+                
+                console.debug(`[MultiplayerConnectionManager] Reconnected to new host ${newHostId}`);
+                if (this.multiplayerManager.game.hudManager) {
+                    this.multiplayerManager.game.hudManager.showNotification('Reconnected to the new host', 'info');
+                }
+                return;
+            } catch (error) {
+                console.debug(`[MultiplayerConnectionManager] Attempt ${attempt} to reach new host failed:`, error.message);
+            }
+        }
+        
+        throw new Error(`Could not reach new host ${newHostId}`);
+    }
+
     /**
      * Handle disconnection of a peer
      * @param {string} peerId - The ID of the peer that disconnected
@@ -561,6 +861,36 @@ export class MultiplayerConnectionManager {
         }
     }
     
+    /**
+     * Mute or unmute the chat and pings of a player (host only)
+     * @param {string} peerId - The ID of the peer to mute
+     * @param {boolean} [muted=true] - False to unmute
+     */
+    mutePlayer(peerId, muted = true) {
+        if (!this.isHost) {
+            console.error('[MultiplayerConnectionManager] Only the host can mute players');
+            return;
+        }
+        
+        if (this.peers.has(peerId)) {
+            this.multiplayerManager.chat.setMuted(peerId, muted);
+            
+            // Tell everyone, so the muted player knows why their messages don't arrive
+            this.broadcast({
+                type: 'chatMute',
+                playerId: peerId,
+                muted
+            });
+            
+            console.debug(`[MultiplayerConnectionManager] Player ${peerId} has been ${muted ? 'muted' : 'unmuted'} by the host`);
+            
+            // Show notification
+            if (this.multiplayerManager.game.hudManager) {
+                this.multiplayerManager.game.hudManager.showNotification(muted ? 'Player has been muted' : 'Player has been unmuted', 'info');
+            }
+        }
+    }
+
     /**
      * Send data to a specific peer
      * @param {string} peerId - The ID of the peer to send data to
@@ -574,13 +904,16 @@ export class MultiplayerConnectionManager {
                 const binaryData = this.serializer.serialize(data);
                 if (binaryData) {
                     conn.send(binaryData);
+                    this.multiplayerManager.networkStats.recordSent(binaryData);
                 } else {
                     // Fallback to JSON if serialization fails
                     conn.send(data);
+                    this.multiplayerManager.networkStats.recordSent(data);
                 }
             } else {
                 // Use JSON format
                 conn.send(data);
+                this.multiplayerManager.networkStats.recordSent(data);
             }
         }
     }
@@ -597,17 +930,20 @@ export class MultiplayerConnectionManager {
                 this.peers.forEach(conn => {
                     conn.send(binaryData);
                 });
+                this.multiplayerManager.networkStats.recordSent(binaryData, this.peers.size);
             } else {
                 // Fallback to JSON if serialization fails
                 this.peers.forEach(conn => {
                     conn.send(data);
                 });
+                this.multiplayerManager.networkStats.recordSent(data, this.peers.size);
             }
         } else {
             // Use JSON format
             this.peers.forEach(conn => {
                 conn.send(data);
             });
+            this.multiplayerManager.networkStats.recordSent(data, this.peers.size);
         }
     }
     
@@ -617,6 +953,8 @@ export class MultiplayerConnectionManager {
      * @returns {Object} The processed data object
      */
     processReceivedData(data) {
+        this.multiplayerManager.networkStats.recordReceived(data);
+        
         try {
             // Check if data is binary (Uint8Array or ArrayBuffer)
             if (this.useBinaryFormat && (data instanceof Uint8Array || data instanceof ArrayBuffer)) {
@@ -763,11 +1101,14 @@ export class MultiplayerConnectionManager {
                 const binaryData = this.serializer.serialize(playerData);
                 if (binaryData) {
                     hostConn.send(binaryData);
+                    this.multiplayerManager.networkStats.recordSent(binaryData);
                 } else {
                     hostConn.send(playerData);
+                    this.multiplayerManager.networkStats.recordSent(playerData);
                 }
             } else {
                 hostConn.send(playerData);
+                this.multiplayerManager.networkStats.recordSent(playerData);
             }
         } catch (error) {
             console.error('[MultiplayerConnectionManager] Error sending player data:', error);
@@ -776,7 +1117,7 @@ export class MultiplayerConnectionManager {
 
     /**
      * Broadcast game state to all members (host only)
-     * Optimized to focus on enemy data and minimize bandwidth
+     * Sent as a sequenced snapshot that only carries what changed since the previous one
      */
     broadcastGameState() {
         if (!this.isHost) {
@@ -880,15 +1221,59 @@ export class MultiplayerConnectionManager {
             enemies = this.multiplayerManager.game.enemyManager.getSerializableEnemyData();
         }
         
-        // Create optimized game state packet
-        const gameState = {
-            type: 'gameState',
-            players, // Still include players but with minimal data
-            enemies  // Primary focus - enemy data
-        };
+        const snapshot = this.createSnapshot(players, enemies);
+        
+        // Send a full keyframe regularly so members that missed a baseline can resync
+        const isKeyframe = !this.lastSentSnapshot || this.forceKeyframe ||
+            snapshot.seq % SNAPSHOT_CONFIG.keyframeInterval === 0;
+        const delta = BinarySerializer.createSnapshotDelta(isKeyframe ? null : this.lastSentSnapshot, snapshot);
+        this.lastSentSnapshot = snapshot;
+        this.forceKeyframe = false;
         
         // Send to all peers
-        this.broadcast(gameState);
+        this.broadcast({
+            type: 'snapshot',
+            ...delta
+        });
+        this.multiplayerManager.networkStats.recordSnapshot();
+    }
+
+    /**
+     * Quantize the collected player and enemy state into the next snapshot (host only)
+     * @param {Object} players - Player state by ID as {position, rotation, animation}
+     * @param {Object} enemies - Enemy state by ID from EnemyManager.getSerializableEnemyData
+     * @returns {Object} The snapshot as {seq, time, players, enemies}
+     */
+    createSnapshot(players, enemies) {
+        const { positionPrecision, rotationPrecision } = SNAPSHOT_CONFIG;
+        const snapshot = {
+            seq: ++this.snapshotSeq,
+            time: Date.now(),
+            players: {},
+            enemies: {}
+        };
+        
+        Object.entries(players).forEach(([id, player]) => {
+            const rotationY = typeof player.rotation === 'number' ? player.rotation : player.rotation.y;
+            snapshot.players[id] = {
+                position: BinarySerializer.quantizeVector(player.position, positionPrecision),
+                rotation: Math.round(rotationY * rotationPrecision),
+                animation: player.animation
+            };
+        });
+        
+        Object.entries(enemies).forEach(([id, enemy]) => {
+            snapshot.enemies[id] = {
+                position: BinarySerializer.quantizeVector(enemy.position, positionPrecision),
+                health: enemy.health,
+                type: enemy.type,
+                isBoss: enemy.isBoss,
+                rank: enemy.rank,
+                affixes: enemy.affixes
+            };
+        });
+        
+        return snapshot;
     }
 
 
@@ -908,7 +1293,13 @@ export class MultiplayerConnectionManager {
             this.peer = null;
         }
         
+        // The chat and pings belong to the session
+        this.multiplayerManager.chat.reset();
+        
         // Reset flags
+        this.pendingConnections = [];
+        this.isMigrating = false;
+        this.lastSentSnapshot = null;
         this.isHost = false;
         this.isConnected = false;
         this.hostId = null;
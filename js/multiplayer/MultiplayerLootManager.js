@@ -0,0 +1,224 @@
+/**
+ * MultiplayerLootManager.js
+ * Host-authoritative item drops and pickup arbitration
+ */
+
+import { Item } from '../entities/items/Item.js';
+import { LOOT_MODES, MULTIPLAYER_LOOT_CONFIG } from '../config/multiplayer.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
+import { BinarySerializer } from './BinarySerializer.js';
+
+export class MultiplayerLootManager {
+    /**
+     * Initialize the multiplayer loot manager
+     * @param {MultiplayerManager} multiplayerManager - Reference to the main multiplayer manager
+     */
+    constructor(multiplayerManager) {
+        this.multiplayerManager = multiplayerManager;
+        this.lootMode = MULTIPLAYER_LOOT_CONFIG.defaultMode;
+    }
+
+    /**
+     * Initialize the loot manager
+     * Loads the loot mode the player last chose as host
+     */
+    async init() {
+        try {
+            const storedMode = await storageService.loadData(STORAGE_KEYS.LOOT_MODE);
+            if (Object.values(LOOT_MODES).includes(storedMode)) {
+                this.lootMode = storedMode;
+            }
+        } catch (error) {
+            console.warn('[MultiplayerLootManager] Error loading loot mode, using default:', error);
+        }
+        return true;
+    }
+
+    /**
+     * Get the connection manager
+     * @returns {import('./MultiplayerConnectionManager.js').MultiplayerConnectionManager} The connection manager
+     */
+    get connection() {
+        return this.multiplayerManager.connection;
+    }
+
+    /**
+     * Get the item drop manager of the game
+     * @returns {import('../entities/items/ItemDropManager.js').ItemDropManager} The item drop manager
+     */
+    get itemDropManager() {
+        return this.multiplayerManager.game.itemDropManager;
+    }
+
+    /**
+     * Get the peer ID of the local player
+     * @returns {string|null} The local peer ID
+     */
+    get localPlayerId() {
+        return this.connection.peer ? this.connection.peer.id : null;
+    }
+
+    /**
+     * Check if this client hands out the drops of a running multiplayer game
+     * @returns {boolean} True if this client is the host of an active session
+     */
+    isAuthority() {
+        return this.multiplayerManager.isActive() && this.multiplayerManager.isHost;
+    }
+
+    /**
+     * Check if drops are spawned by the host instead of this client
+     * @returns {boolean} True if this client is a member of an active session
+     */
+    isRemoteAuthority() {
+        return this.multiplayerManager.isActive() && !this.multiplayerManager.isHost;
+    }
+
+    /**
+     * Change the loot mode (host only)
+     * @param {string} mode - One of LOOT_MODES
+     */
+    setLootMode(mode) {
+        if (!Object.values(LOOT_MODES).includes(mode)) {
+            console.warn(`[MultiplayerLootManager] Unknown loot mode: ${mode}`);
+            return;
+        }
+
+        this.lootMode = mode;
+        storageService.saveData(STORAGE_KEYS.LOOT_MODE, mode);
+
+        if (this.connection.isHost && this.connection.peers.size > 0) {
+            this.connection.broadcast({ type: 'lootMode', mode });
+        }
+        console.debug(`[MultiplayerLootManager] Loot mode set to ${mode}`);
+    }
+
+    /**
+     * Get the players every enemy drop is rolled for (host only)
+     * Instanced loot rolls separately for every player, shared loot rolls once for everyone.
+     * @returns {Array<string|null>} Player IDs, or [null] for a drop shared by everyone
+     */
+    getDropRecipients() {
+        if (this.lootMode !== LOOT_MODES.INSTANCED) {
+            return [null];
+        }
+        return [this.localPlayerId, ...this.connection.peers.keys()];
+    }
+
+    /**
+     * Spawn a drop and tell the members about it (host only)
+     * @param {Item} item - The dropped item
+     * @param {THREE.Vector3} position - The position of the drop
+     * @param {string|null} ownerId - Player the drop belongs to, or null for a shared drop
+     */
+    spawnDrop(item, position, ownerId) {
+        if (ownerId && ownerId !== this.localPlayerId) {
+            // Instanced drop of a member - only they see it
+            this.connection.sendToPeer(ownerId, {
+                type: 'itemDrop',
+                dropId: item.id,
+                item: { ...item },
+                position: BinarySerializer.optimizeVector(position),
+                ownerId
+            });
+            return;
+        }
+
+        const shared = !ownerId;
+        this.itemDropManager.dropItem(item, position, { shared });
+
+        if (shared) {
+            // Send the scattered position so the drop is at the same place for everyone
+            const dropData = this.itemDropManager.droppedItems.get(item.id);
+            this.connection.broadcast({
+                type: 'itemDrop',
+                dropId: item.id,
+                item: { ...item },
+                position: BinarySerializer.optimizeVector(dropData.group.position),
+                ownerId: null
+            });
+        }
+    }
+
+    /**
+     * Show a drop spawned by the host (member only)
+     * @param {Object} data - The itemDrop message
+     */
+    handleItemDrop(data) {
+        if (!data.item || !data.position || !this.itemDropManager) {
+            console.error('[MultiplayerLootManager] Received incomplete item drop from host');
+            return;
+        }
+
+        // Rebuild the item without running the constructor, which would roll a new legendary name
+        const item = Object.assign(Object.create(Item.prototype), data.item, { id: data.dropId });
+        const position = BinarySerializer.restoreVector(data.position);
+        const shared = !data.ownerId;
+
+        this.itemDropManager.dropItem(item, position, { shared, scatter: !shared });
+    }
+
+    /**
+     * Pick up a shared drop the local player walked over
+     * The host picks up right away, members ask the host first.
+     * @param {string} dropId - The ID of the drop
+     */
+    requestPickup(dropId) {
+        const dropData = this.itemDropManager.droppedItems.get(dropId);
+        if (!dropData || dropData.pickupPending) return;
+
+        if (this.connection.isHost) {
+            this.itemDropManager.pickupItem(dropId);
+            this.connection.broadcast({ type: 'itemPickup', dropId, playerId: this.localPlayerId });
+            return;
+        }
+
+        dropData.pickupPending = true;
+        this.connection.sendToPeer(this.connection.hostId, { type: 'itemPickupRequest', dropId });
+    }
+
+    /**
+     * Grant a shared drop to the first member asking for it (host only)
+     * Later requests for the same drop find it gone and are ignored.
+     * @param {string} peerId - The member asking for the drop
+     * @param {Object} data - The itemPickupRequest message
+     */
+    handlePickupRequest(peerId, data) {
+        const dropData = this.itemDropManager.droppedItems.get(data.dropId);
+        if (!dropData || !dropData.shared) {
+            console.debug(`[MultiplayerLootManager] Ignoring pickup of ${data.dropId} by ${peerId}, already taken`);
+            return;
+        }
+
+        this.itemDropManager.removeDroppedItem(data.dropId, dropData);
+        this.connection.broadcast({ type: 'itemPickup', dropId: data.dropId, playerId: peerId });
+        console.debug(`[MultiplayerLootManager] Granted ${dropData.item.name} to ${peerId}`);
+    }
+
+    /**
+     * Apply the host decision about who picked up a shared drop (member only)
+     * @param {Object} data - The itemPickup message
+     */
+    handleItemPickup(data) {
+        const dropData = this.itemDropManager.droppedItems.get(data.dropId);
+        if (!dropData) return;
+
+        if (data.playerId === this.localPlayerId) {
+            this.itemDropManager.pickupItem(data.dropId);
+        } else {
+            this.itemDropManager.removeDroppedItem(data.dropId, dropData);
+        }
+    }
+
+    /**
+     * Apply the loot mode chosen by the host (member only)
+     * @param {Object} data - The lootMode message
+     */
+    handleLootMode(data) {
+        if (!Object.values(LOOT_MODES).includes(data.mode)) return;
+
+        this.lootMode = data.mode;
+        this.multiplayerManager.ui.updateLootModeDisplay();
+    }
+}
@@ -1,7 +1,12 @@
 import { RemotePlayerManager } from './RemotePlayerManager.js';
 import { MultiplayerUIManager } from './MultiplayerUIManager.js';
 import { MultiplayerConnectionManager } from './MultiplayerConnectionManager.js';
+import { MultiplayerLootManager } from './MultiplayerLootManager.js';
+import { MultiplayerChatManager } from './MultiplayerChatManager.js';
 import { BinarySerializer } from './BinarySerializer.js';
+import { SnapshotInterpolator } from './SnapshotInterpolator.js';
+import { NetworkStats } from './NetworkStats.js';
+import { SNAPSHOT_CONFIG } from '../config/multiplayer.js';
 
 /**
  * Manages multiplayer functionality using WebRTC
@@ -32,9 +37,15 @@ export class MultiplayerManager {
         ];
         this.assignedColors = new Map(); // Map of assigned colors by peer ID
         
-        // Create UI and connection managers
+        // Create UI, connection, loot and chat managers
         this.ui = new MultiplayerUIManager(this);
         this.connection = new MultiplayerConnectionManager(this);
+        this.loot = new MultiplayerLootManager(this);
+        this.chat = new MultiplayerChatManager(this);
+        
+        // Snapshot buffer of members and traffic counters
+        this.snapshots = new SnapshotInterpolator();
+        this.networkStats = new NetworkStats();
     }
 
     /**
@@ -52,6 +63,9 @@ export class MultiplayerManager {
             // Initialize connection manager
             await this.connection.init();
             
+            // Initialize loot manager
+            await this.loot.init();
+            
             console.debug('Multiplayer manager initialized');
             return true;
         } catch (error) {
@@ -150,6 +164,42 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Add a snapshot from the host to the interpolation buffer (member only)
+     * Creation, removal and health of entities are applied right away,
+     * positions are interpolated every frame in applyInterpolatedState.
+     * @param {Object} data - The snapshot message
+     */
+    receiveSnapshot(data) {
+        this.networkStats.recordSnapshot();
+        
+        const gameState = this.snapshots.receive(data);
+        if (gameState) {
+            this.updateGameState(gameState);
+        }
+    }
+    
+    /**
+     * Move remote players and enemies to their interpolated positions (member only)
+     */
+    applyInterpolatedState() {
+        const state = this.snapshots.sample();
+        if (!state) return;
+        
+        Object.entries(state.players).forEach(([playerId, playerState]) => {
+            if (playerId === this.connection.peer.id) return;
+            
+            const remotePlayer = this.remotePlayerManager.getPlayer(playerId);
+            if (remotePlayer) {
+                remotePlayer.setInterpolatedTransform(playerState.position, playerState.rotation);
+            }
+        });
+        
+        if (this.game.enemyManager) {
+            this.game.enemyManager.applyInterpolatedPositions(state.enemies);
+        }
+    }
+
     /**
      * Check if multiplayer is active
      * @returns {boolean} True if multiplayer is active
@@ -317,11 +367,19 @@ export class MultiplayerManager {
             this._lastUpdateLog = now;
         }
         
+        // Place remote players and enemies between the last snapshots of the host
+        if (!this.connection.isHost && this.connection.isConnected && this.remotePlayerManager) {
+            this.applyInterpolatedState();
+        }
+        
         // Update remote players
         if (this.remotePlayerManager) {
             this.remotePlayerManager.update(deltaTime);
         }
         
+        // Animate and expire pings
+        this.chat.update(deltaTime);
+        
         // If connected as member, send player data to host
         if (!this.connection.isHost && this.connection.isConnected) {
             // Check if game is running
@@ -338,12 +396,28 @@ export class MultiplayerManager {
         
         // If host, broadcast game state to members
         if (this.connection.isHost && this.connection.peers.size > 0) {
-            // Throttle broadcasts to 10-20 times per second
-            if (!this._lastBroadcast || Date.now() - this._lastBroadcast > 50) {
+            // Throttle broadcasts to the snapshot rate
+            if (!this._lastBroadcast || Date.now() - this._lastBroadcast > SNAPSHOT_CONFIG.broadcastInterval) {
                 this.connection.broadcastGameState();
                 this._lastBroadcast = Date.now();
             }
         }
+        
+        // Refresh the network stats once per second
+        if (this.isActive()) {
+            const jitter = this.connection.isHost ? null : this.snapshots.jitter;
+            if (this.networkStats.update(jitter, now)) {
+                this.ui.updateNetworkStats(this.networkStats.getStats());
+                
+                // Render further behind the host on connections with more jitter
+                if (jitter !== null) {
+                    this.snapshots.setInterpolationDelay(Math.min(
+                        SNAPSHOT_CONFIG.interpolationDelay + jitter * SNAPSHOT_CONFIG.jitterDelayFactor,
+                        SNAPSHOT_CONFIG.maxInterpolationDelay
+                    ));
+                }
+            }
+        }
     }
     
     /**
@@ -364,6 +438,8 @@ export class MultiplayerManager {
         if (this.connection) {
             this.connection.dispose();
         }
+        this.snapshots.reset();
+        this.networkStats.reset();
         
         // Clean up remote players
         if (this.remotePlayerManager) {
@@ -4,6 +4,8 @@
  * Including host/join UI, QR code generation/scanning, and connection status
  */
 
+import { MULTIPLAYER_LOOT_CONFIG, MULTIPLAYER_TRANSPORTS, TRANSPORT_CONFIG } from '../config/multiplayer.js';
+
 export class MultiplayerUIManager {
     /**
      * Initialize the multiplayer UI manager
@@ -31,6 +33,12 @@ export class MultiplayerUIManager {
             const connectId = urlParams.get('connect-id');
             console.debug('Direct join detected with connection ID:', connectId);
             
+            // Use the transport of the host
+            const transport = urlParams.get('transport');
+            if (transport) {
+                this.multiplayerManager.connection.setTransport(transport, urlParams.get('relay') || '');
+            }
+            
             // Show multiplayer modal and join UI
             this.showMultiplayerModal();
             await this.showJoinUI();
@@ -128,6 +136,37 @@ export class MultiplayerUIManager {
             }
         }
         
+        // Transport selector and relay URL
+        const transportSelect = document.getElementById('transport-select');
+        const relayUrlInput = document.getElementById('relay-url-input');
+        if (transportSelect && relayUrlInput) {
+            Object.entries(TRANSPORT_CONFIG.labels).forEach(([transport, label]) => {
+                const option = document.createElement('option');
+                option.value = transport;
+                option.textContent = label;
+                transportSelect.appendChild(option);
+            });
+            transportSelect.addEventListener('change', () => {
+                this.multiplayerManager.connection.setTransport(transportSelect.value);
+                this.updateTransportDisplay();
+            });
+            relayUrlInput.addEventListener('change', () => {
+                this.multiplayerManager.connection.setTransport(transportSelect.value, relayUrlInput.value);
+            });
+        }
+        
+        // Loot mode selector (for host)
+        const lootModeSelect = document.getElementById('loot-mode-select');
+        if (lootModeSelect) {
+            Object.entries(MULTIPLAYER_LOOT_CONFIG.modeLabels).forEach(([mode, label]) => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = label;
+                lootModeSelect.appendChild(option);
+            });
+            lootModeSelect.addEventListener('change', () => this.multiplayerManager.loot.setLootMode(lootModeSelect.value));
+        }
+        
         // Close multiplayer modal
         const closeMultiplayerBtn = document.getElementById('close-multiplayer-btn');
         if (closeMultiplayerBtn) {
@@ -256,6 +295,9 @@ export class MultiplayerUIManager {
             }
             document.getElementById('connection-info-screen').style.display = 'none';
             
+            // Show the chosen transport
+            this.updateTransportDisplay();
+            
             // Reset connection status
             const statusElements = document.querySelectorAll('.connection-status');
             statusElements.forEach(el => el.textContent = '');
@@ -379,6 +421,9 @@ export class MultiplayerUIManager {
             }
         }
         
+        // Update loot mode selector
+        this.updateLootModeDisplay();
+        
         // Update player list
         this.updateConnectionInfoPlayerList();
         
@@ -414,6 +459,51 @@ export class MultiplayerUIManager {
         }
     }
     
+    /**
+     * Show the chosen transport, with the relay URL for the WebSocket relay
+     */
+    updateTransportDisplay() {
+        const transportSelect = document.getElementById('transport-select');
+        const relayUrlInput = document.getElementById('relay-url-input');
+        if (!transportSelect || !relayUrlInput) return;
+        
+        const connection = this.multiplayerManager.connection;
+        transportSelect.value = connection.transportType;
+        relayUrlInput.value = connection.relayUrl || '';
+        relayUrlInput.style.display = connection.transportType === MULTIPLAYER_TRANSPORTS.WEBSOCKET ? 'block' : 'none';
+    }
+    
+    /**
+     * Show the current loot mode, editable by the host only
+     */
+    updateLootModeDisplay() {
+        const lootModeSelect = document.getElementById('loot-mode-select');
+        if (!lootModeSelect) return;
+        
+        lootModeSelect.value = this.multiplayerManager.loot.lootMode;
+        lootModeSelect.disabled = !(this.multiplayerManager.connection && this.multiplayerManager.connection.isHost);
+    }
+    
+    /**
+     * Show the traffic, snapshot rate and jitter of the session
+     * @param {{bytesInPerSecond: number, bytesOutPerSecond: number, snapshotRate: number, jitter: number|null}} stats - Stats from NetworkStats
+     */
+    updateNetworkStats(stats) {
+        const networkStats = document.getElementById('network-stats');
+        if (!networkStats) return;
+        
+        const formatRate = bytes => bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB/s` : `${Math.round(bytes)} B/s`;
+        const parts = [
+            `↓ ${formatRate(stats.bytesInPerSecond)}`,
+            `↑ ${formatRate(stats.bytesOutPerSecond)}`,
+            `${stats.snapshotRate.toFixed(1)} snapshots/s`
+        ];
+        if (stats.jitter !== null) {
+            parts.push(`jitter ${stats.jitter.toFixed(1)} ms`);
+        }
+        networkStats.textContent = parts.join(' · ');
+    }
+    
     /**
      * Update the player list in the connection info screen
      */
@@ -513,6 +603,7 @@ export class MultiplayerUIManager {
                         // Append elements
                         playerItem.appendChild(colorIndicator);
                         playerItem.appendChild(playerName);
+                        playerItem.appendChild(this.createMuteButton(peerId));
                         playerItem.appendChild(kickButton);
                     } else {
                         // Append elements without kick button for non-hosts
@@ -921,7 +1012,15 @@ export class MultiplayerUIManager {
      * @returns {string} The full URL for joining the game
      */
     buildConnectionURL(connectionId) {
-        return `${window.location.href.split('?')[0]}?join=true&connect-id=${connectionId}`;
+        const baseUrl = `${window.location.href.split('?')[0]}?join=true&connect-id=${connectionId}`;
+        const connection = this.multiplayerManager.connection;
+        if (connection.transportType === MULTIPLAYER_TRANSPORTS.PEERJS) {
+            return baseUrl;
+        }
+        
+        // Members scanning the code need the same transport to reach the host
+        const relay = connection.relayUrl ? `&relay=${encodeURIComponent(connection.relayUrl)}` : '';
+        return `${baseUrl}&transport=${connection.transportType}${relay}`;
     }
     
     async generateQRCode(data) {
@@ -1072,10 +1171,38 @@ export class MultiplayerUIManager {
         // Append elements
         playerItem.appendChild(colorIndicator);
         playerItem.appendChild(playerName);
+        playerItem.appendChild(this.createMuteButton(playerId));
         playerItem.appendChild(kickButton);
         playersList.appendChild(playerItem);
     }
 
+    /**
+     * Create the button the host mutes the chat and pings of a player with
+     * @param {string} playerId - The ID of the player
+     * @returns {HTMLButtonElement} The mute button
+     */
+    createMuteButton(playerId) {
+        const muteButton = document.createElement('button');
+        muteButton.className = 'mute-player-btn';
+        
+        const updateLabel = () => {
+            const muted = this.multiplayerManager.chat.isMuted(playerId);
+            muteButton.textContent = muted ? '🔇' : '🔈';
+            muteButton.title = muted ? 'Unmute player' : 'Mute player';
+        };
+        updateLabel();
+        
+        muteButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.multiplayerManager.connection) {
+                this.multiplayerManager.connection.mutePlayer(playerId, !this.multiplayerManager.chat.isMuted(playerId));
+                updateLabel();
+            }
+        });
+        
+        return muteButton;
+    }
+
     /**
      * Remove player from connected players list (host only)
      * @param {string} playerId - The ID of the player to remove
@@ -0,0 +1,101 @@
+/**
+ * NetworkStats.js
+ * Counts multiplayer traffic and snapshots over one second windows
+ */
+
+const STATS_WINDOW = 1000; // Milliseconds per measurement window
+
+export class NetworkStats {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear all counters and the last results
+     */
+    reset() {
+        this.windowStart = Date.now();
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.snapshots = 0;
+        this.current = {
+            bytesInPerSecond: 0,
+            bytesOutPerSecond: 0,
+            snapshotRate: 0,
+            jitter: null
+        };
+    }
+
+    /**
+     * Get the size of a message
+     * Objects sent without binary serialization are measured as JSON.
+     * @param {*} data - Binary data or an object
+     * @returns {number} Size in bytes
+     */
+    static measure(data) {
+        if (data instanceof Uint8Array) return data.length;
+        if (data instanceof ArrayBuffer) return data.byteLength;
+        try {
+            return JSON.stringify(data).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Count a received message
+     * @param {*} data - The raw data received
+     */
+    recordReceived(data) {
+        this.bytesIn += NetworkStats.measure(data);
+    }
+
+    /**
+     * Count a sent message
+     * @param {*} data - The data sent
+     * @param {number} [copies=1] - Number of peers it was sent to
+     */
+    recordSent(data, copies = 1) {
+        this.bytesOut += NetworkStats.measure(data) * copies;
+    }
+
+    /**
+     * Count a snapshot sent (host) or received (member)
+     */
+    recordSnapshot() {
+        this.snapshots++;
+    }
+
+    /**
+     * Close the measurement window once it is over
+     * @param {number|null} jitter - Current jitter estimate in milliseconds, null on the host
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {boolean} True if new stats are available
+     */
+    update(jitter, now = Date.now()) {
+        const elapsed = now - this.windowStart;
+        if (elapsed < STATS_WINDOW) return false;
+
+        const seconds = elapsed / 1000;
+        this.current = {
+            bytesInPerSecond: this.bytesIn / seconds,
+            bytesOutPerSecond: this.bytesOut / seconds,
+            snapshotRate: this.snapshots / seconds,
+            jitter
+        };
+
+        this.windowStart = now;
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.snapshots = 0;
+        return true;
+    }
+
+    /**
+     * Get the stats of the last finished window
+     * @returns {{bytesInPerSecond: number, bytesOutPerSecond: number, snapshotRate: number, jitter: number|null}} The stats
+     */
+    getStats() {
+        return this.current;
+    }
+}
@@ -281,6 +281,22 @@ export class RemotePlayer {
         this.targetPosition.set(position.x, position.y, position.z);
     }
     
+    /**
+     * Place the remote player at a transform sampled from the host snapshots
+     * The snapshot buffer already interpolates, so this skips the smoothing in update().
+     * @param {Object} position - The position {x, y, z}
+     * @param {number} rotationY - The Y rotation in radians
+     */
+    setInterpolatedTransform(position, rotationY) {
+        this.targetPosition.set(position.x, position.y, position.z);
+        this.group.position.copy(this.targetPosition);
+        
+        this.targetRotation.set(0, rotationY, 0);
+        if (this.model) {
+            this.model.rotation.copy(this.targetRotation);
+        }
+    }
+    
     /**
      * Update the remote player's rotation
      * @param {Object|number} rotation - The new rotation (either an object with x,y,z or just the y value)
@@ -0,0 +1,234 @@
+/**
+ * SnapshotInterpolator.js
+ * Rebuilds the host snapshots on members and interpolates entities between them
+ *
+ * Members render the world a short delay behind the host, so there is almost always
+ * a snapshot before and after the rendered time to interpolate between. When snapshots
+ * arrive late, entities keep moving along their last velocity for a limited time.
+ */
+
+import { SNAPSHOT_CONFIG } from '../config/multiplayer.js';
+import { BinarySerializer } from './BinarySerializer.js';
+
+// Weight of a new sample in the running clock offset and jitter estimates
+const CLOCK_SMOOTHING = 0.05;
+const JITTER_SMOOTHING = 1 / 16;
+
+export class SnapshotInterpolator {
+    /**
+     * @param {Object} [config=SNAPSHOT_CONFIG] - Snapshot settings
+     */
+    constructor(config = SNAPSHOT_CONFIG) {
+        this.baseInterpolationDelay = config.interpolationDelay;
+        this.maxExtrapolation = config.maxExtrapolation;
+        this.bufferSize = config.bufferSize;
+        this.positionPrecision = config.positionPrecision;
+        this.rotationPrecision = config.rotationPrecision;
+        this.reset();
+    }
+
+    /**
+     * Forget all snapshots, e.g. after connecting to a new host
+     * Deltas are ignored until the next keyframe arrives.
+     */
+    reset() {
+        this.lastSnapshot = null; // Last full snapshot, the baseline for the next delta
+        this.frames = []; // Dequantized snapshots ordered by host time
+        this.clockOffset = null; // Local time minus host time, including the transit time
+        this.lastTransit = null;
+        this.jitter = 0; // Variation of the transit time in milliseconds
+        this.interpolationDelay = this.baseInterpolationDelay;
+    }
+
+    /**
+     * Change how far members render behind the host
+     * MultiplayerManager adapts the delay to the jitter once per stats window.
+     * @param {number} delay - Delay in milliseconds
+     */
+    setInterpolationDelay(delay) {
+        this.interpolationDelay = Math.max(0, delay);
+    }
+
+    /**
+     * Add a snapshot message from the host
+     * @param {Object} delta - The snapshot message
+     * @param {number} [receivedAt=Date.now()] - Local time the message arrived
+     * @returns {Object|null} The full game state as {players, enemies} in the gameState format, or null while waiting for a keyframe
+     */
+    receive(delta, receivedAt = Date.now()) {
+        if (this.lastSnapshot && delta.seq <= this.lastSnapshot.seq) {
+            return null;
+        }
+
+        const snapshot = BinarySerializer.applySnapshotDelta(this.lastSnapshot, delta);
+        if (!snapshot) {
+            console.debug(`[SnapshotInterpolator] Dropping snapshot ${delta.seq}, waiting for a keyframe`);
+            return null;
+        }
+        this.lastSnapshot = snapshot;
+
+        this.updateClock(snapshot.time, receivedAt);
+        const frame = this.createFrame(snapshot);
+        this.frames.push(frame);
+        if (this.frames.length > this.bufferSize) {
+            this.frames.shift();
+        }
+
+        return this.createGameState(snapshot, frame);
+    }
+
+    /**
+     * Update the clock offset and jitter estimates with the transit time of a snapshot
+     * @param {number} hostTime - Host time the snapshot was taken
+     * @param {number} receivedAt - Local time the snapshot arrived
+     */
+    updateClock(hostTime, receivedAt) {
+        const transit = receivedAt - hostTime;
+
+        if (this.clockOffset === null) {
+            this.clockOffset = transit;
+        } else {
+            this.clockOffset += (transit - this.clockOffset) * CLOCK_SMOOTHING;
+            this.jitter += (Math.abs(transit - this.lastTransit) - this.jitter) * JITTER_SMOOTHING;
+        }
+        this.lastTransit = transit;
+    }
+
+    /**
+     * Convert a quantized snapshot to the format used for interpolation
+     * @param {Object} snapshot - The full snapshot
+     * @returns {Object} The frame as {time, players, enemies}
+     */
+    createFrame(snapshot) {
+        const frame = { time: snapshot.time, players: {}, enemies: {} };
+
+        Object.entries(snapshot.players).forEach(([id, player]) => {
+            frame.players[id] = {
+                position: BinarySerializer.dequantizeVector(player.position, this.positionPrecision),
+                rotation: player.rotation / this.rotationPrecision,
+                animation: player.animation
+            };
+        });
+
+        Object.entries(snapshot.enemies).forEach(([id, enemy]) => {
+            frame.enemies[id] = {
+                position: BinarySerializer.dequantizeVector(enemy.position, this.positionPrecision)
+            };
+        });
+
+        return frame;
+    }
+
+    /**
+     * Build the gameState format MultiplayerManager.updateGameState expects
+     * @param {Object} snapshot - The full snapshot
+     * @param {Object} frame - The dequantized frame of the snapshot
+     * @returns {Object} The game state as {players, enemies}
+     */
+    createGameState(snapshot, frame) {
+        const enemies = {};
+        Object.entries(snapshot.enemies).forEach(([id, enemy]) => {
+            enemies[id] = { ...enemy, id, position: frame.enemies[id].position };
+        });
+
+        return { players: frame.players, enemies };
+    }
+
+    /**
+     * Get the entity positions to render
+     * @param {number} [now=Date.now()] - Current local time
+     * @returns {Object|null} Players as {position, rotation, animation} and enemies as {position} by ID, or null without snapshots
+     */
+    sample(now = Date.now()) {
+        if (this.frames.length === 0) return null;
+
+        const renderTime = now - this.clockOffset - this.interpolationDelay;
+
+        // Find the last frame at or before the render time
+        let index = this.frames.length - 1;
+        while (index >= 0 && this.frames[index].time > renderTime) {
+            index--;
+        }
+
+        // Rendering before the oldest frame, e.g. right after joining
+        if (index < 0) {
+            return this.interpolateFrames(this.frames[0], this.frames[0], 0);
+        }
+
+        const from = this.frames[index];
+        const to = this.frames[index + 1];
+        if (to) {
+            return this.interpolateFrames(from, to, (renderTime - from.time) / (to.time - from.time));
+        }
+
+        // Out of snapshots - dead reckoning along the velocity between the last two frames
+        const previous = this.frames[index - 1];
+        if (!previous || from.time === previous.time) {
+            return this.interpolateFrames(from, from, 0);
+        }
+
+        const elapsed = Math.min(renderTime - from.time, this.maxExtrapolation);
+        return this.interpolateFrames(previous, from, 1 + elapsed / (from.time - previous.time));
+    }
+
+    /**
+     * Blend two frames
+     * Entities missing from the later frame were removed and are skipped.
+     * @param {Object} from - The earlier frame
+     * @param {Object} to - The later frame
+     * @param {number} alpha - 0 for the earlier frame, 1 for the later one, above 1 to extrapolate
+     * @returns {Object} The blended players and enemies
+     */
+    interpolateFrames(from, to, alpha) {
+        const result = { players: {}, enemies: {} };
+        // Turning is not extrapolated, entities keep the last known facing
+        const rotationAlpha = Math.min(alpha, 1);
+
+        Object.entries(to.players).forEach(([id, target]) => {
+            const start = from.players[id] || target;
+            result.players[id] = {
+                position: this.lerpVector(start.position, target.position, alpha),
+                rotation: this.lerpAngle(start.rotation, target.rotation, rotationAlpha),
+                animation: target.animation
+            };
+        });
+
+        Object.entries(to.enemies).forEach(([id, target]) => {
+            const start = from.enemies[id] || target;
+            result.enemies[id] = {
+                position: this.lerpVector(start.position, target.position, alpha)
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Linearly interpolate between two positions
+     * @param {Object} a - Start position {x, y, z}
+     * @param {Object} b - End position {x, y, z}
+     * @param {number} alpha - Blend factor
+     * @returns {Object} The position {x, y, z}
+     */
+    lerpVector(a, b, alpha) {
+        return {
+            x: a.x + (b.x - a.x) * alpha,
+            y: a.y + (b.y - a.y) * alpha,
+            z: a.z + (b.z - a.z) * alpha
+        };
+    }
+
+    /**
+     * Interpolate between two angles along the shorter direction
+     * @param {number} a - Start angle in radians
+     * @param {number} b - End angle in radians
+     * @param {number} alpha - Blend factor
+     * @returns {number} The angle in radians
+     */
+    lerpAngle(a, b, alpha) {
+        let difference = (b - a) % (Math.PI * 2);
+        if (difference > Math.PI) difference -= Math.PI * 2;
+        if (difference < -Math.PI) difference += Math.PI * 2;
+        return a + difference * alpha;
+    }
+}
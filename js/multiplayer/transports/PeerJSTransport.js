@@ -0,0 +1,115 @@
+/**
+ * PeerJSTransport.js
+ * Direct WebRTC connections between players, brokered by the public PeerJS server
+ */
+
+/**
+ * A connection to one remote player
+ * Both transports hand out connections with this shape, PeerJS DataConnections already have it.
+ * @typedef {Object} TransportConnection
+ * @property {string} peer - ID of the remote player
+ * @property {function(*): void} send - Send an object or binary data
+ * @property {function(): void} close - Close the connection
+ * @property {function(string, Function): void} on - Listen to 'data', 'close' and 'error'
+ */
+
+export class PeerJSTransport {
+    constructor() {
+        this.peer = null; // PeerJS instance
+    }
+
+    /**
+     * Get the ID of the local player
+     * @returns {string|null} The local ID, available after open()
+     */
+    get id() {
+        return this.peer ? this.peer.id : null;
+    }
+
+    /**
+     * Register with the PeerJS broker
+     * @returns {Promise<string>} The local ID
+     */
+    async open() {
+        this.peer = new Peer();
+
+        return new Promise((resolve, reject) => {
+            this.peer.on('open', id => resolve(id));
+            this.peer.on('error', err => reject(err));
+        });
+    }
+
+    /**
+     * Start hosting a game
+     * @returns {Promise<string>} The room ID, which is the local ID
+     */
+    async host() {
+        return this.open();
+    }
+
+    /**
+     * Become the host after the previous host left
+     * PeerJS peers can accept connections at any time, so the room ID is just the local ID.
+     * @returns {Promise<string>} The room ID
+     */
+    async takeOver() {
+        return this.id;
+    }
+
+    /**
+     * Listen for members connecting to this host
+     * @param {function(TransportConnection): void} callback - Called with every new connection
+     */
+    onConnection(callback) {
+        this.peer.on('connection', callback);
+    }
+
+    /**
+     * Connect to a host
+     * @param {string} roomId - The ID of the host
+     * @returns {Promise<TransportConnection>} The connection, resolved once it's open
+     */
+    async connect(roomId) {
+        if (!this.peer) {
+            await this.open();
+        }
+
+        const conn = this.peer.connect(roomId, {
+            reliable: true
+        });
+
+        return new Promise((resolve, reject) => {
+            // An unreachable host is reported on the peer, not on the connection
+            const onPeerError = err => {
+                this.peer.off('error', onPeerError);
+                reject(err);
+            };
+            this.peer.on('error', onPeerError);
+
+            conn.on('open', () => {
+                this.peer.off('error', onPeerError);
+                resolve(conn);
+            });
+            conn.on('error', err => reject(err));
+        });
+    }
+
+    /**
+     * Connect to the new host after the previous host left, keeping the local ID
+     * @param {string} hostId - The ID of the new host
+     * @returns {Promise<TransportConnection>} The connection to the new host
+     */
+    async rejoin(hostId) {
+        return this.connect(hostId);
+    }
+
+    /**
+     * Close all connections and leave the broker
+     */
+    destroy() {
+        if (this.peer) {
+            this.peer.destroy();
+            this.peer = null;
+        }
+    }
+}
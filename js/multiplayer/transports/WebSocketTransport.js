@@ -0,0 +1,348 @@
+/**
+ * WebSocketTransport.js
+ * Connections between players through the WebSocket relay of server.js
+ * Works without the PeerJS broker, e.g. on a LAN or in offline test environments.
+ *
+ * Control messages are JSON text frames. Game data is sent in binary frames:
+ * [format byte][id length byte][id][payload], where the id is the target when
+ * sending and the sender when receiving, and the format tells JSON from binary payloads.
+ */
+
+import { RELAY_CONFIG } from '../../config/multiplayer.js';
+
+const PAYLOAD_FORMAT = {
+    JSON: 0,
+    BINARY: 1
+};
+
+/**
+ * Connection to one remote player, multiplexed over the relay socket
+ * Mirrors the PeerJS DataConnection methods used by MultiplayerConnectionManager.
+ */
+class RelayConnection {
+    /**
+     * @param {WebSocketTransport} transport - The transport owning the socket
+     * @param {string} peerId - ID of the remote player
+     */
+    constructor(transport, peerId) {
+        this.transport = transport;
+        this.peer = peerId;
+        this.open = true;
+        this.listeners = { data: [], close: [], error: [] };
+    }
+
+    /**
+     * Listen to a connection event
+     * @param {string} event - 'data', 'close' or 'error'
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Call the handlers of an event
+     * @param {string} event - Event name
+     * @param {*} [value] - Event value
+     */
+    emit(event, value) {
+        this.listeners[event].forEach(callback => callback(value));
+    }
+
+    /**
+     * Send an object or binary data to the remote player
+     * @param {*} data - The data to send
+     */
+    send(data) {
+        if (this.open) {
+            this.transport.sendTo(this.peer, data);
+        }
+    }
+
+    /**
+     * Close the connection
+     * Like PeerJS, the remote player gets a 'close' event.
+     */
+    close() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.transport.closeConnection(this);
+    }
+
+    /**
+     * Mark the connection closed by the remote side
+     */
+    handleRemoteClose() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+export class WebSocketTransport {
+    /**
+     * @param {string} url - WebSocket URL of the relay, e.g. ws://192.168.1.10:8080/relay
+     */
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.localId = null;
+        this.roomCode = null;
+        this.isHosting = false;
+        this.hostId = null; // ID of the host this member joined
+        this.connections = new Map(); // Map of remote player ID to RelayConnection
+        this.connectionCallback = null;
+        this.pendingRequest = null; // {resolve, reject} of the running host/join request
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * Build the default relay URL, served next to the game by server.js
+     * @returns {string} The relay URL of the current page host
+     */
+    static getDefaultUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}${RELAY_CONFIG.path}`;
+    }
+
+    /**
+     * Get the ID of the local player
+     * @returns {string|null} The local ID, available after host() or connect()
+     */
+    get id() {
+        return this.localId;
+    }
+
+    /**
+     * Open the relay socket and create a room
+     * @returns {Promise<string>} The room code, which is also the host ID
+     */
+    async host() {
+        await this.openSocket();
+        this.roomCode = await this.request({ type: 'host' });
+        this.isHosting = true;
+        return this.roomCode;
+    }
+
+    /**
+     * Take over the room after the previous host left
+     * @returns {Promise<string>} The room code, unchanged so the old join links keep working
+     */
+    async takeOver() {
+        this.roomCode = await this.request({ type: 'promote' });
+        this.isHosting = true;
+        return this.roomCode;
+    }
+
+    /**
+     * Listen for members joining the room of this host
+     * @param {function(RelayConnection): void} callback - Called with every new connection
+     */
+    onConnection(callback) {
+        this.connectionCallback = callback;
+    }
+
+    /**
+     * Join the room of a host
+     * @param {string} roomId - The room code
+     * @returns {Promise<RelayConnection>} The connection to the host
+     */
+    async connect(roomId) {
+        await this.openSocket();
+        this.roomCode = roomId.trim().toUpperCase();
+        this.hostId = await this.request({ type: 'join', room: this.roomCode });
+        return this.addConnection(this.hostId);
+    }
+
+    /**
+     * Join the room again after the previous host left, keeping the local ID
+     * @param {string} hostId - The ID of the new host
+     * @returns {Promise<RelayConnection>} The connection to the new host
+     */
+    async rejoin(hostId) {
+        const roomHostId = await this.request({ type: 'join', room: this.roomCode });
+        if (roomHostId !== hostId) {
+            throw new Error(`${hostId} has not taken over the room yet`);
+        }
+        this.hostId = hostId;
+        return this.addConnection(hostId);
+    }
+
+    /**
+     * Open the WebSocket to the relay
+     * @returns {Promise<void>} Resolved once the socket is open
+     */
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+
+            socket.addEventListener('open', () => {
+                this.socket = socket;
+                resolve();
+            });
+            socket.addEventListener('error', () => reject(new Error(`Could not reach relay at ${this.url}`)));
+            socket.addEventListener('message', event => this.handleMessage(event.data));
+            socket.addEventListener('close', () => this.handleSocketClose());
+        });
+    }
+
+    /**
+     * Send a control message and wait for the relay to answer with an ID
+     * @param {Object} message - The host or join request
+     * @returns {Promise<string>} The ID from the answer
+     */
+    request(message) {
+        return new Promise((resolve, reject) => {
+            this.pendingRequest = { resolve, reject };
+            this.socket.send(JSON.stringify(message));
+        });
+    }
+
+    /**
+     * Create a connection to a remote player
+     * @param {string} peerId - ID of the remote player
+     * @returns {RelayConnection} The connection
+     */
+    addConnection(peerId) {
+        const conn = new RelayConnection(this, peerId);
+        this.connections.set(peerId, conn);
+        return conn;
+    }
+
+    /**
+     * Handle a frame from the relay
+     * @param {string|ArrayBuffer} data - Text control message or binary game data
+     */
+    handleMessage(data) {
+        if (typeof data === 'string') {
+            this.handleControlMessage(JSON.parse(data));
+            return;
+        }
+
+        const bytes = new Uint8Array(data);
+        const format = bytes[0];
+        const idLength = bytes[1];
+        const senderId = this.decoder.decode(bytes.subarray(2, 2 + idLength));
+        const payload = bytes.slice(2 + idLength);
+
+        const conn = this.connections.get(senderId);
+        if (!conn) {
+            console.warn(`[WebSocketTransport] Data from unknown player ${senderId}`);
+            return;
+        }
+
+        conn.emit('data', format === PAYLOAD_FORMAT.BINARY ? payload : JSON.parse(this.decoder.decode(payload)));
+    }
+
+    /**
+     * Handle a control message from the relay
+     * @param {Object} message - The control message
+     */
+    handleControlMessage(message) {
+        switch (message.type) {
+            case 'hosted':
+            case 'joined':
+                this.localId = message.id;
+                if (this.pendingRequest) {
+                    this.pendingRequest.resolve(message.type === 'hosted' ? message.room : message.hostId);
+                    this.pendingRequest = null;
+                }
+                break;
+            case 'peerJoined':
+                if (this.connectionCallback) {
+                    this.connectionCallback(this.addConnection(message.id));
+                }
+                break;
+            case 'peerLeft': {
+                const conn = this.connections.get(message.id);
+                if (conn) {
+                    this.connections.delete(message.id);
+                    conn.handleRemoteClose();
+                }
+                break;
+            }
+            case 'error':
+                if (this.pendingRequest) {
+                    this.pendingRequest.reject(new Error(message.message));
+                    this.pendingRequest = null;
+                } else {
+                    console.error('[WebSocketTransport] Relay error:', message.message);
+                }
+                break;
+            default:
+                console.warn('[WebSocketTransport] Unknown relay message:', message.type);
+        }
+    }
+
+    /**
+     * Close all connections when the relay socket closes
+     */
+    handleSocketClose() {
+        this.socket = null;
+        if (this.pendingRequest) {
+            this.pendingRequest.reject(new Error('Relay connection closed'));
+            this.pendingRequest = null;
+        }
+
+        this.connections.forEach(conn => conn.handleRemoteClose());
+        this.connections.clear();
+    }
+
+    /**
+     * Send data to a remote player through the relay
+     * @param {string} peerId - ID of the remote player
+     * @param {*} data - An object or binary data
+     */
+    sendTo(peerId, data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+        const isBinary = data instanceof Uint8Array || data instanceof ArrayBuffer;
+        const payload = isBinary ? new Uint8Array(data) : this.encoder.encode(JSON.stringify(data));
+        const id = this.encoder.encode(peerId);
+
+        const frame = new Uint8Array(2 + id.length + payload.length);
+        frame[0] = isBinary ? PAYLOAD_FORMAT.BINARY : PAYLOAD_FORMAT.JSON;
+        frame[1] = id.length;
+        frame.set(id, 2);
+        frame.set(payload, 2 + id.length);
+        this.socket.send(frame);
+    }
+
+    /**
+     * Close the connection to a remote player
+     * The host removes a member from the room, a member leaves the room when it closes
+     * the connection to its host. Other connections of a member are only detached.
+     * @param {RelayConnection} conn - The connection to close
+     */
+    closeConnection(conn) {
+        // A newer connection to the same player replaced this one
+        if (this.connections.get(conn.peer) !== conn) return;
+
+        this.connections.delete(conn.peer);
+        if (!this.socket) return;
+
+        if (this.isHosting) {
+            this.socket.send(JSON.stringify({ type: 'close', id: conn.peer }));
+        } else if (conn.peer === this.hostId) {
+            this.destroy();
+        }
+    }
+
+    /**
+     * Close all connections and the relay socket
+     */
+    destroy() {
+        this.connections.clear();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
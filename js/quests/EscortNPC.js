@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+
+/**
+ * NPC that follows a straight route to a destination during an escort objective
+ * The NPC only walks while the player stays within its leash radius, so the player
+ * has to stay close to keep it moving.
+ */
+export class EscortNPC {
+    /**
+     * Create a new escort NPC
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {import("../world/WorldManager.js").WorldManager} world - World used for terrain height
+     * @param {Object} options - NPC options
+     * @param {string} options.name - Name shown in notifications
+     * @param {{x: number, z: number}} options.position - Start position
+     * @param {{x: number, z: number}} options.destination - Where the NPC is going
+     * @param {number} [options.speed=3] - Walking speed in units per second
+     * @param {number} [options.leashRadius=10] - Maximum player distance at which the NPC keeps walking
+     */
+    constructor(scene, world, { name, position, destination, speed = 3, leashRadius = 10 }) {
+        this.scene = scene;
+        this.world = world;
+        this.name = name;
+        this.destination = new THREE.Vector3(destination.x, 0, destination.z);
+        this.speed = speed;
+        this.leashRadius = leashRadius;
+        this.arrivalRadius = 2;
+
+        this.position = new THREE.Vector3(position.x, 0, position.z);
+        this.waiting = false;
+        this.mesh = this.createMesh();
+        this.placeOnTerrain();
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Create a simple robed figure
+     * @returns {THREE.Group} NPC mesh
+     */
+    createMesh() {
+        const group = new THREE.Group();
+        group.name = `escort-${this.name}`;
+
+        const robe = new THREE.Mesh(
+            new THREE.ConeGeometry(0.5, 1.6, 8),
+            new THREE.MeshStandardMaterial({ color: 0x8b6d3f })
+        );
+        robe.position.y = 0.8;
+        group.add(robe);
+
+        const head = new THREE.Mesh(
+            new THREE.SphereGeometry(0.25, 12, 12),
+            new THREE.MeshStandardMaterial({ color: 0xe0b48c })
+        );
+        head.position.y = 1.85;
+        group.add(head);
+
+        return group;
+    }
+
+    /**
+     * Move the mesh to the NPC position at terrain height
+     */
+    placeOnTerrain() {
+        this.position.y = this.world ? this.world.getTerrainHeight(this.position.x, this.position.z) : 0;
+        this.mesh.position.copy(this.position);
+    }
+
+    /**
+     * Walk towards the destination while the player is close
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @returns {boolean} True once the NPC has arrived
+     */
+    update(delta, playerPosition) {
+        if (this.hasArrived()) {
+            return true;
+        }
+
+        const dx = playerPosition.x - this.position.x;
+        const dz = playerPosition.z - this.position.z;
+        this.waiting = dx * dx + dz * dz > this.leashRadius * this.leashRadius;
+        if (this.waiting) {
+            return false;
+        }
+
+        const direction = new THREE.Vector3(
+            this.destination.x - this.position.x,
+            0,
+            this.destination.z - this.position.z
+        );
+        const remaining = direction.length();
+        direction.normalize();
+
+        const step = Math.min(remaining, this.speed * delta);
+        this.position.x += direction.x * step;
+        this.position.z += direction.z * step;
+        this.mesh.rotation.y = Math.atan2(direction.x, direction.z);
+        this.placeOnTerrain();
+
+        return this.hasArrived();
+    }
+
+    /**
+     * Check whether the NPC reached its destination
+     * @returns {boolean} True if the NPC is at the destination
+     */
+    hasArrived() {
+        const dx = this.destination.x - this.position.x;
+        const dz = this.destination.z - this.position.z;
+        return dx * dx + dz * dz <= this.arrivalRadius * this.arrivalRadius;
+    }
+
+    /**
+     * Get the remaining distance to the destination
+     * @returns {number} Distance in world units
+     */
+    getRemainingDistance() {
+        return Math.hypot(this.destination.x - this.position.x, this.destination.z - this.position.z);
+    }
+
+    /**
+     * Remove the NPC from the scene and free its resources
+     */
+    dispose() {
+        if (!this.mesh) return;
+
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.mesh = null;
+    }
+}
@@ -0,0 +1,189 @@
+import { ENEMY_TYPES } from '../config/enemy.js';
+import { ITEM_TEMPLATES } from '../config/items.js';
+import { QUEST_ITEMS, QUEST_OBJECTIVE_TYPES } from '../config/quests.js';
+
+/**
+ * Checks quest definitions before the QuestManager uses them
+ * A quest that references an unknown enemy type, item, objective type or quest is
+ * rejected as a whole, so broken data never reaches the player as an unfinishable quest.
+ */
+export class QuestValidator {
+    /**
+     * Create a new QuestValidator
+     * @param {Object} [options] - Lookup data, defaults to the game configuration
+     * @param {Iterable<string>} [options.enemyTypes] - Known enemy types
+     * @param {Iterable<string>} [options.itemNames] - Known item names
+     */
+    constructor({
+        enemyTypes = Object.values(ENEMY_TYPES),
+        itemNames = [...ITEM_TEMPLATES.map(item => item.name), ...Object.keys(QUEST_ITEMS)]
+    } = {}) {
+        // 'any' matches every enemy and 'boss' matches every boss
+        this.enemyTypes = new Set([...enemyTypes, 'any', 'boss']);
+        this.itemNames = new Set(itemNames);
+    }
+
+    /**
+     * Validate a list of quest definitions
+     * Quests that reference a rejected quest are rejected too.
+     * @param {Array<Object>} definitions - Quest definitions
+     * @returns {{quests: Array<Object>, errors: Array<string>}} Valid definitions and the reasons others were rejected
+     */
+    validate(definitions) {
+        const errors = [];
+        const seenIds = new Set();
+        let quests = [];
+
+        definitions.forEach((definition, index) => {
+            const questErrors = this.validateQuest(definition);
+            if (definition && definition.id && seenIds.has(definition.id)) {
+                questErrors.push('duplicate quest id');
+            }
+
+            if (questErrors.length > 0) {
+                const label = definition && definition.id ? definition.id : `#${index}`;
+                questErrors.forEach(error => errors.push(`Quest ${label}: ${error}`));
+            } else {
+                seenIds.add(definition.id);
+                quests.push(definition);
+            }
+        });
+
+        // Drop quests pointing at quests that don't exist, until no references are broken
+        let changed = true;
+        while (changed) {
+            const ids = new Set(quests.map(quest => quest.id));
+            const valid = quests.filter(quest => {
+                const missing = this.getQuestReferences(quest).filter(id => !ids.has(id));
+                missing.forEach(id => errors.push(`Quest ${quest.id}: unknown quest "${id}"`));
+                return missing.length === 0;
+            });
+
+            changed = valid.length !== quests.length;
+            quests = valid;
+        }
+
+        return { quests, errors };
+    }
+
+    /**
+     * Check a single quest definition, ignoring references to other quests
+     * @param {Object} definition - Quest definition
+     * @returns {Array<string>} Problems found
+     */
+    validateQuest(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        const errors = [];
+        if (!definition.id || !definition.name) {
+            errors.push('missing id or name');
+        }
+
+        if (!Array.isArray(definition.stages) || definition.stages.length === 0) {
+            errors.push('has no stages');
+        } else {
+            definition.stages.forEach((stage, index) => {
+                this.validateStage(stage).forEach(error => errors.push(`stage ${index + 1}: ${error}`));
+            });
+        }
+
+        const prerequisites = definition.prerequisites || {};
+        (prerequisites.items || []).forEach(item => {
+            if (!this.itemNames.has(item.name)) {
+                errors.push(`unknown prerequisite item "${item.name}"`);
+            }
+        });
+
+        const reward = definition.reward || {};
+        (reward.items || []).forEach(item => {
+            if (!this.itemNames.has(item.name)) {
+                errors.push(`unknown reward item "${item.name}"`);
+            }
+        });
+
+        if (Array.isArray(definition.nextQuestId)) {
+            definition.nextQuestId.forEach(branch => {
+                if (!branch || !branch.questId || !['completed', 'failed'].includes(branch.outcome || 'completed')) {
+                    errors.push(`invalid quest branch ${JSON.stringify(branch)}`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a quest stage and its objectives
+     * @param {Object} stage - Stage definition
+     * @returns {Array<string>} Problems found
+     */
+    validateStage(stage) {
+        if (!stage || !Array.isArray(stage.objectives) || stage.objectives.length === 0) {
+            return ['has no objectives'];
+        }
+
+        const errors = [];
+        if (stage.timeLimit !== undefined && !(stage.timeLimit > 0)) {
+            errors.push(`invalid time limit ${stage.timeLimit}`);
+        }
+
+        stage.objectives.forEach(objective => {
+            if (!QUEST_OBJECTIVE_TYPES.includes(objective.type)) {
+                errors.push(`unknown objective type "${objective.type}"`);
+                return;
+            }
+
+            switch (objective.type) {
+                case 'kill':
+                    if (!this.enemyTypes.has(objective.target)) {
+                        errors.push(`unknown enemy type "${objective.target}"`);
+                    }
+                    break;
+                case 'collect':
+                    if (!this.itemNames.has(objective.item)) {
+                        errors.push(`unknown item "${objective.item}"`);
+                    }
+                    break;
+                case 'escort':
+                    if (!(objective.distance > 0)) {
+                        errors.push('escort objective needs a distance');
+                    }
+                    break;
+                case 'defend':
+                    if (!(objective.duration > 0) || !(objective.radius > 0)) {
+                        errors.push('defend objective needs a duration and radius');
+                    }
+                    if (objective.waves && !this.enemyTypes.has(objective.waves.enemyType)) {
+                        errors.push(`unknown enemy type "${objective.waves.enemyType}"`);
+                    }
+                    break;
+            }
+
+            if (['kill', 'interact', 'explore', 'collect'].includes(objective.type) && !(objective.count > 0)) {
+                errors.push(`${objective.type} objective needs a count`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get the ids of all quests a definition refers to
+     * @param {Object} definition - Quest definition
+     * @returns {Array<string>} Referenced quest ids
+     */
+    getQuestReferences(definition) {
+        const prerequisites = definition.prerequisites || {};
+        const references = [...(prerequisites.quests || []), ...(prerequisites.failedQuests || [])];
+
+        if (Array.isArray(definition.nextQuestId)) {
+            definition.nextQuestId.forEach(branch => references.push(branch.questId));
+        } else if (definition.nextQuestId) {
+            references.push(definition.nextQuestId);
+        }
+
+        return references;
+    }
+}
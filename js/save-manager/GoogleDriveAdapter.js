@@ -396,6 +396,51 @@ export class GoogleDriveAdapter extends IStorageAdapter {
         }
     }
     
+    /**
+     * List the keys stored in Google Drive that start with a prefix
+     * Used to find save slots created on other devices.
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<string[]>} The keys
+     */
+    async listKeys(prefix) {
+        if (!this.isSignedIn) {
+            return [];
+        }
+        
+        try {
+            const folderId = await this.ensureSaveFolder();
+            if (!folderId) {
+                return [];
+            }
+            
+            const response = await fetch(
+                `https://www.googleapis.com/drive/v3/files?q=name contains '${prefix}' and '${folderId}' in parents and trashed=false&fields=files(id,name)`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`
+                    }
+                }
+            );
+            
+            const data = await response.json();
+            const keys = new Set();
+            (data.files || []).forEach(file => {
+                // "contains" also matches in the middle of names
+                if (file.name.startsWith(prefix)) {
+                    keys.add(file.name);
+                    if (!this.fileCache.has(file.name)) {
+                        this.fileCache.set(file.name, file.id);
+                    }
+                }
+            });
+            
+            return [...keys];
+        } catch (error) {
+            console.error(`Error listing keys with prefix ${prefix}:`, error);
+            return [];
+        }
+    }
+    
     /**
      * Save data with the given key
      * @param {string} key - Storage key
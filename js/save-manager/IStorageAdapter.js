@@ -7,7 +7,7 @@ export class IStorageAdapter {
      * Save data with the given key
      * @param {string} key - Storage key
      * @param {*} data - Data to store (will be serialized)
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status, async adapters resolve it when the write completes
      */
     saveData(key, data) { throw new Error('Method not implemented'); }
     
@@ -21,7 +21,7 @@ export class IStorageAdapter {
     /**
      * Delete data for the given key
      * @param {string} key - Storage key
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status
      */
     deleteData(key) { throw new Error('Method not implemented'); }
     
@@ -0,0 +1,170 @@
+import { IStorageAdapter } from './IStorageAdapter.js';
+import { STORAGE_CONFIG } from '../config/storage-keys.js';
+
+/**
+ * Implementation of storage adapter using IndexedDB
+ * All records are read into memory on init, so loading and checking keys stays
+ * synchronous like in LocalStorageAdapter. Writes update the memory copy at once
+ * and resolve when their transaction completes.
+ */
+export class IndexedDBAdapter extends IStorageAdapter {
+    /**
+     * @param {Object} [config=STORAGE_CONFIG] - Database settings
+     */
+    constructor(config = STORAGE_CONFIG) {
+        super();
+        this.databaseName = config.databaseName;
+        this.databaseVersion = config.databaseVersion;
+        this.storeName = config.storeName;
+        this.db = null;
+        this.cache = new Map(); // Map of key to stored data
+        this.isReady = false;
+    }
+
+    /**
+     * Check if the browser supports IndexedDB
+     * @returns {boolean} Whether IndexedDB can be used
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            // Some browsers throw when IndexedDB is accessed in private mode
+            return false;
+        }
+    }
+
+    /**
+     * Open the database and read all records
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.db = await this.openDatabase();
+
+        // The connection must give way when another tab upgrades the database
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.isReady = false;
+            console.warn('IndexedDB was upgraded in another tab, reload to keep saving');
+        };
+
+        await this.loadAll();
+        this.isReady = true;
+    }
+
+    /**
+     * Open the database, creating the store on first use
+     * @returns {Promise<IDBDatabase>} The database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.databaseVersion);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+    }
+
+    /**
+     * Read all records into the memory copy
+     * @returns {Promise<void>}
+     */
+    loadAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run a write transaction
+     * @param {function(IDBObjectStore): void} operation - Writes to the store
+     * @returns {Promise<boolean>} Success status
+     */
+    write(operation) {
+        if (!this.db || !this.isReady) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            try {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                operation(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    console.error('IndexedDB write failed:', transaction.error);
+                    resolve(false);
+                };
+                transaction.onabort = () => {
+                    console.error('IndexedDB write aborted:', transaction.error);
+                    resolve(false);
+                };
+            } catch (error) {
+                console.error('Error starting IndexedDB transaction:', error);
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Save data with the given key
+     * @param {string} key - Storage key
+     * @param {*} data - Data to store (must be structured-cloneable)
+     * @returns {Promise<boolean>} Success status
+     */
+    saveData(key, data) {
+        // Keep a copy, so later changes to the object don't leak into the cache
+        this.cache.set(key, structuredClone(data));
+        return this.write(store => store.put(data, key));
+    }
+
+    /**
+     * Load data for the given key
+     * @param {string} key - Storage key
+     * @returns {*} The loaded data (or null if not found)
+     */
+    loadData(key) {
+        return this.cache.has(key) ? structuredClone(this.cache.get(key)) : null;
+    }
+
+    /**
+     * Delete data for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    deleteData(key) {
+        this.cache.delete(key);
+        return this.write(store => store.delete(key));
+    }
+
+    /**
+     * Check if data exists for the given key
+     * @param {string} key - Storage key
+     * @returns {boolean} Whether data exists
+     */
+    hasData(key) {
+        return this.cache.has(key);
+    }
+
+    /**
+     * Get all stored keys
+     * @returns {string[]} The keys
+     */
+    getKeys() {
+        return [...this.cache.keys()];
+    }
+}
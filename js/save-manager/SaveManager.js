@@ -4,6 +4,9 @@ import { QuestSerializer } from './serializers/QuestSerializer.js';
 import { SettingsSerializer } from './serializers/SettingsSerializer.js';
 import { InventorySerializer } from './serializers/InventorySerializer.js';
 import { SaveOperationProgress } from './utils/SaveOperationProgress.js';
+import { SaveSlotManager } from './SaveSlotManager.js';
+import { SaveMigrator, SAVE_VERSION } from './SaveMigrator.js';
+import { SaveFileSerializer } from './serializers/SaveFileSerializer.js';
 import { STORAGE_KEYS } from '../config/storage-keys.js';
 import storageService from './StorageService.js';
 
@@ -23,7 +26,8 @@ export class SaveManager extends ISaveSystem {
         // Create progress indicators
         this.saveProgress = new SaveOperationProgress(game, 'save');
         this.loadProgress = new SaveOperationProgress(game, 'load');
-        this.saveKey = STORAGE_KEYS.SAVE_DATA;
+        this.slots = new SaveSlotManager();
+        this.playTime = 0; // Play time of the active slot in seconds
         this.chunkSaveKeyPrefix = STORAGE_KEYS.CHUNK_PREFIX;
         this.autoSaveInterval = 60_000; // Auto-save every minute (reduced frequency)
         this.autoSaveTimer = null;
@@ -35,7 +39,10 @@ export class SaveManager extends ISaveSystem {
         this.storage = storageService;
         
         // Current save version
-        this.currentVersion = '1.1.0';
+        this.currentVersion = SAVE_VERSION;
+        
+        // Reason the last load failed, shown by the slot picker
+        this.loadError = null;
     }
     
     /**
@@ -46,6 +53,9 @@ export class SaveManager extends ISaveSystem {
         // Initialize the storage service
         await storageService.init();
         
+        // Load the save slots
+        await this.slots.init();
+        
         // Start auto-save timer
         this.startAutoSave();
         
@@ -54,6 +64,107 @@ export class SaveManager extends ISaveSystem {
         return true;
     }
     
+    /**
+     * Get the storage key of the active save slot
+     * @returns {string|null} The storage key, or null if no slot is selected
+     */
+    get saveKey() {
+        const slot = this.slots.getActiveSlot();
+        return slot ? this.slots.getSlotKey(slot.id) : null;
+    }
+    
+    /**
+     * Count play time while the game is running
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.playTime += delta;
+    }
+    
+    /**
+     * Select the slot to play and save to
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} False if the slot doesn't exist
+     */
+    async selectSlot(slotId) {
+        const selected = await this.slots.selectSlot(slotId);
+        if (selected) {
+            const slot = this.slots.getActiveSlot();
+            this.playTime = slot.playTime || 0;
+            this.lastSaveTime = 0;
+        }
+        return selected;
+    }
+    
+    /**
+     * Create a slot for a new character and select it
+     * The skill tree and skill selection of the previous character are cleared.
+     * @param {string} [name] - Slot name
+     * @returns {Promise<Object>} The new slot
+     */
+    async createCharacter(name) {
+        const slot = await this.slots.createSlot(name);
+        await this.selectSlot(slot.id);
+        await this.applyCharacterData({ skillTree: null, selectedSkills: null, model: null });
+        return slot;
+    }
+    
+    /**
+     * Collect the character data stored outside of the player object
+     * @returns {Object} The skill tree, skill selection and model ID
+     */
+    collectCharacterData() {
+        return {
+            skillTree: this.storage.loadDataSync(STORAGE_KEYS.SKILL_TREE_DATA),
+            selectedSkills: this.storage.loadDataSync(STORAGE_KEYS.SELECTED_SKILLS),
+            model: this.game.player.model ? this.game.player.model.getCurrentModelId() : null
+        };
+    }
+    
+    /**
+     * Restore the skill tree, skill selection and model of a character
+     * Null values reset to the defaults of a new character.
+     * @param {Object} characterData - Data from collectCharacterData
+     * @returns {Promise<void>}
+     */
+    async applyCharacterData(characterData) {
+        const { skillTree, selectedSkills, model } = characterData;
+        const player = this.game.player;
+        
+        if (skillTree) {
+            await this.storage.saveData(STORAGE_KEYS.SKILL_TREE_DATA, skillTree);
+        } else {
+            await this.storage.deleteData(STORAGE_KEYS.SKILL_TREE_DATA);
+        }
+        
+        if (selectedSkills) {
+            await this.storage.saveData(STORAGE_KEYS.SELECTED_SKILLS, selectedSkills);
+        } else {
+            await this.storage.deleteData(STORAGE_KEYS.SELECTED_SKILLS);
+        }
+        
+        // Rebuild the skills from the restored selection and skill tree
+        if (player.skills) {
+            player.skills.skillTreeData = null;
+            player.skills.initializeSkills();
+            player.loadSkillTreeData();
+        }
+        
+        const components = this.game.hudManager ? this.game.hudManager.components : null;
+        if (components && components.skillsUI) {
+            components.skillsUI.init();
+        }
+        if (components && components.skillTreeUI) {
+            await components.skillTreeUI.initPlayerSkills();
+            components.skillTreeUI.renderSkillTree();
+        }
+        
+        if (model && player.model && model !== player.model.getCurrentModelId()) {
+            await this.storage.saveData(STORAGE_KEYS.CHARACTER_MODEL, model);
+            await player.model.setModel(model);
+        }
+    }
+    
     /**
      * Start auto-save functionality
      */
@@ -105,6 +216,12 @@ export class SaveManager extends ISaveSystem {
                 return true; // Skip saving but return success
             }
             
+            // Games started before any slot was chosen save to a new slot
+            if (!this.slots.getActiveSlot()) {
+                const slot = await this.slots.createSlot();
+                await this.slots.selectSlot(slot.id);
+            }
+            
             // If cloud save is required, ensure the user is logged in
             if (requireCloudSave && !autoSave) {
                 const isLoggedIn = await this.ensureLogin(true, 
@@ -144,11 +261,24 @@ export class SaveManager extends ISaveSystem {
             
             const settingsData = SettingsSerializer.serialize(this.game);
             
+            // The world itself isn't saved, only the seed it is generated from
+            const worldData = this.game.world ? { seed: this.game.world.getSeed() } : null;
+            
+            // Vendor stock, restock timers and the buyback list
+            const vendorData = this.game.vendorManager ? this.game.vendorManager.getState() : null;
+            
+            // Skill tree, skill selection and model are kept per slot
+            const characterData = this.collectCharacterData();
+            
             const saveData = {
                 player: playerData,
                 inventory: inventoryData,
                 quests: questData,
                 settings: settingsData,
+                world: worldData,
+                vendors: vendorData,
+                character: characterData,
+                playTime: this.playTime,
                 timestamp: currentTime,
                 version: this.currentVersion
             };
@@ -163,6 +293,13 @@ export class SaveManager extends ISaveSystem {
                 throw new Error('Failed to save hero data');
             }
             
+            await this.slots.updateSlot(this.slots.activeSlotId, {
+                updatedAt: currentTime,
+                level: playerLevel,
+                playTime: this.playTime,
+                modelId: characterData.model
+            });
+            
             this.lastSaveTime = currentTime;
             this.lastSaveLevel = playerLevel;
             
@@ -207,6 +344,7 @@ export class SaveManager extends ISaveSystem {
      * @returns {Promise<boolean>} Promise resolving to success status
      */
     async loadGame() {
+        this.loadError = null;
         try {
             // Initialize progress indicator
             this.loadProgress.start('Preparing to load hero data...');
@@ -215,7 +353,7 @@ export class SaveManager extends ISaveSystem {
             this.loadProgress.update('Reading save data...', 20);
             await this.delay(10); // Small delay for UI update
             
-            const saveData = await this.storage.loadData(this.saveKey);
+            let saveData = this.saveKey ? await this.storage.loadData(this.saveKey) : null;
             
             // Check if save data exists
             if (!saveData) {
@@ -231,11 +369,11 @@ export class SaveManager extends ISaveSystem {
             
             console.debug('Save data parsed successfully: ' + Object.keys(saveData).join(', '));
             
-            // Check version compatibility
-            if (saveData.version !== this.currentVersion) {
-                console.debug('Save data version mismatch, some data may not load correctly', 'warn');
-                this.loadProgress.update('Warning: Save data version mismatch', 35);
+            // Upgrade saves of older versions
+            if (SaveMigrator.needsMigration(saveData)) {
+                this.loadProgress.update(`Upgrading save data from version ${saveData.version || 'unknown'}...`, 35);
             }
+            saveData = SaveMigrator.migrate(saveData);
             
             // Clear existing enemies
             this.loadProgress.update('Clearing enemies...', 40);
@@ -247,6 +385,12 @@ export class SaveManager extends ISaveSystem {
                 console.debug('Enemy manager not found, skipping enemy removal', 'warn');
             }
             
+            // Restore the skill tree and model first, the player data restores skill cooldowns
+            if (saveData.character) {
+                this.loadProgress.update('Loading character...', 42);
+                await this.applyCharacterData(saveData.character);
+            }
+            
             // Load player data
             this.loadProgress.update('Loading player data...', 45);
             await this.delay(150); // Small delay for UI update
@@ -302,6 +446,17 @@ export class SaveManager extends ISaveSystem {
                 this.loadProgress.update('Warning: No settings data found', 90);
             }
             
+            // Load vendor stock
+            if (this.game.vendorManager) {
+                this.game.vendorManager.restoreState(saveData.vendors);
+            }
+            
+            // Regenerate the world from the saved seed
+            if (saveData.world && saveData.world.seed !== undefined && saveData.world.seed !== null && this.game.world) {
+                this.loadProgress.update('Generating world...', 95);
+                await this.game.world.setSeed(saveData.world.seed);
+            }
+            
             // Update last save level to prevent immediate re-saving
             if (saveData.player && saveData.player.level) {
                 this.lastSaveLevel = saveData.player.level;
@@ -309,6 +464,7 @@ export class SaveManager extends ISaveSystem {
             
             // Update last save time
             this.lastSaveTime = Date.now();
+            this.playTime = saveData.playTime || 0;
             
             this.loadProgress.update('Load complete!', 100);
             await this.delay(10); // Show completion for a moment
@@ -330,6 +486,7 @@ export class SaveManager extends ISaveSystem {
             return true;
         } catch (error) {
             console.debug('Error loading hero data: ' + error.message, 'error');
+            this.loadError = error.message;
             
             // Show error in progress indicator
             this.loadProgress.error('Failed to load hero data: ' + error.message);
@@ -338,6 +495,55 @@ export class SaveManager extends ISaveSystem {
         }
     }
     
+    /**
+     * Export the save data of a slot as a save file
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<{fileName: string, content: string}>} The file name and content
+     * @throws {Error} If the slot has no save data
+     */
+    async exportSlot(slotId) {
+        const slot = this.slots.getSlot(slotId);
+        const saveData = slot ? await this.storage.loadData(this.slots.getSlotKey(slotId)) : null;
+        if (!saveData) {
+            throw new Error('This character has not been saved yet.');
+        }
+        
+        const safeName = slot.name.replace(/[^a-z0-9_-]+/gi, '_');
+        return {
+            fileName: `monk-journey-${safeName}.json`,
+            content: SaveFileSerializer.serialize(saveData, slot.name)
+        };
+    }
+    
+    /**
+     * Import a save file into a new slot
+     * Saves of older versions are migrated before they are stored.
+     * @param {string} content - The file content
+     * @returns {Promise<Object>} The new slot
+     * @throws {Error} With a message for the player if the file is invalid, corrupt or too new
+     */
+    async importSave(content) {
+        const { name, saveData } = SaveFileSerializer.deserialize(content);
+        const migrated = SaveMigrator.migrate(saveData);
+        
+        const slot = await this.slots.createSlot(name);
+        const success = await this.storage.saveData(this.slots.getSlotKey(slot.id), migrated);
+        if (!success) {
+            await this.slots.deleteSlot(slot.id);
+            throw new Error('The save file could not be stored.');
+        }
+        
+        await this.slots.updateSlot(slot.id, {
+            updatedAt: migrated.timestamp || Date.now(),
+            level: migrated.player.level || 1,
+            playTime: migrated.playTime,
+            modelId: migrated.character ? migrated.character.model : null
+        });
+        
+        console.debug(`Imported save file into slot ${slot.id}`);
+        return slot;
+    }
+    
     /**
      * Sign in to Google Drive
      * @returns {Promise<boolean>} Whether sign-in was successful
@@ -520,13 +726,20 @@ export class SaveManager extends ISaveSystem {
     // loadChunk method has been removed
     
     /**
-     * Delete all save data
+     * Delete the save data of the active slot
+     * The slot itself is kept and starts over as a new character.
      * @returns {boolean} Success status
      */
     deleteSave() {
         try {
+            const slot = this.slots.getActiveSlot();
+            if (!slot) {
+                return true;
+            }
+            
             // Remove main save data from storage
             this.storage.deleteData(this.saveKey);
+            this.slots.updateSlot(slot.id, { updatedAt: null, level: 1, playTime: 0, modelId: null });
             
             console.debug('Hero save data deleted successfully');
             return true;
@@ -542,6 +755,9 @@ export class SaveManager extends ISaveSystem {
      */
     hasSaveData() {
         try {
+            if (!this.saveKey) {
+                return false;
+            }
             return this.storage.hasData(this.saveKey);
         } catch (error) {
             console.error('Error checking if save data exists:', error);
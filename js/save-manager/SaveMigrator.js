@@ -0,0 +1,90 @@
+/**
+ * Upgrades save data written by older versions of the game
+ *
+ * Each migration upgrades a save by one version, so a save of any older version
+ * is brought up to date by running the migrations in order. When the save format
+ * changes, bump SAVE_VERSION and add a migration from the previous version.
+ */
+
+export const SAVE_VERSION = '1.2.0';
+
+// Saves without a version were written before migrations existed
+const UNVERSIONED_SAVE_VERSION = '1.1.0';
+
+/**
+ * @typedef {Object} SaveMigration
+ * @property {string} from - Version the migration upgrades from
+ * @property {string} to - Version after the migration
+ * @property {function(Object): Object} migrate - Returns the upgraded save data
+ */
+
+/** @type {SaveMigration[]} */
+export const SAVE_MIGRATIONS = [
+    {
+        // Save slots keep the skill tree, skill selection and model with the save
+        from: '1.1.0',
+        to: '1.2.0',
+        migrate: saveData => ({
+            ...saveData,
+            character: saveData.character || null,
+            playTime: saveData.playTime || 0
+        })
+    }
+];
+
+export class SaveMigrator {
+    /**
+     * Compare two version strings
+     * @param {string} a - Version like '1.2.0'
+     * @param {string} b - Version like '1.10.0'
+     * @returns {number} Negative if a is older, positive if a is newer, 0 if equal
+     */
+    static compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Check if save data needs to be migrated
+     * @param {Object} saveData - The save data
+     * @returns {boolean} True if the save is older than SAVE_VERSION
+     */
+    static needsMigration(saveData) {
+        return SaveMigrator.compareVersions(saveData.version || UNVERSIONED_SAVE_VERSION, SAVE_VERSION) < 0;
+    }
+
+    /**
+     * Upgrade save data to SAVE_VERSION
+     * @param {Object} saveData - The save data
+     * @returns {Object} The upgraded save data, the original is not changed
+     * @throws {Error} If the save is from a newer version or no migration path exists
+     */
+    static migrate(saveData) {
+        let version = saveData.version || UNVERSIONED_SAVE_VERSION;
+
+        if (SaveMigrator.compareVersions(version, SAVE_VERSION) > 0) {
+            throw new Error(`This save is from a newer version of the game (${version}). Please update the game to load it.`);
+        }
+
+        let migrated = saveData;
+        while (version !== SAVE_VERSION) {
+            const migration = SAVE_MIGRATIONS.find(m => m.from === version);
+            if (!migration) {
+                throw new Error(`Save version ${version} is not supported.`);
+            }
+
+            migrated = { ...migration.migrate(migrated), version: migration.to };
+            console.debug(`Migrated save data from version ${migration.from} to ${migration.to}`);
+            version = migration.to;
+        }
+
+        return migrated;
+    }
+}
@@ -0,0 +1,265 @@
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from './StorageService.js';
+
+/**
+ * @typedef {Object} SaveSlot
+ * @property {string} id - Unique slot ID, part of the storage key of the slot
+ * @property {string} name - Name shown in the slot picker
+ * @property {number} createdAt - Creation time
+ * @property {number|null} updatedAt - Time of the last save, null if never saved
+ * @property {number} level - Player level at the last save
+ * @property {number} playTime - Play time at the last save in seconds
+ * @property {string|null} modelId - Character model at the last save
+ */
+
+/**
+ * Manages the index of named save slots
+ * Each slot stores its save data under its own key, so slots sync to Google Drive
+ * like any other key. The index only holds what the slot picker shows, and the IDs
+ * of deleted slots so a sync with another device doesn't bring them back.
+ */
+export class SaveSlotManager {
+    constructor() {
+        this.storage = storageService;
+        this.slots = [];
+        this.activeSlotId = null;
+
+        /** @type {Object<string, number>} Deletion time by slot ID */
+        this.deletedSlots = {};
+    }
+
+    /**
+     * Load the slot index and move a save of older versions into the first slot
+     * @returns {Promise<void>}
+     */
+    async init() {
+        await this.loadIndex();
+        await this.migrateLegacySave();
+    }
+
+    /**
+     * Read the slot index from storage
+     * @returns {Promise<void>}
+     */
+    async loadIndex() {
+        const index = await this.storage.loadData(STORAGE_KEYS.SAVE_SLOTS);
+        this.slots = index && Array.isArray(index.slots) ? index.slots : [];
+        this.activeSlotId = index ? index.activeSlotId : null;
+        this.deletedSlots = (index && index.deletedSlots) || {};
+
+        if (!this.getSlot(this.activeSlotId)) {
+            this.activeSlotId = null;
+        }
+    }
+
+    /**
+     * Write the slot index to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    saveIndex() {
+        return this.storage.saveData(STORAGE_KEYS.SAVE_SLOTS, {
+            activeSlotId: this.activeSlotId,
+            slots: this.slots,
+            deletedSlots: this.deletedSlots
+        });
+    }
+
+    /**
+     * Move the single save of versions before save slots into a new slot
+     * @returns {Promise<void>}
+     */
+    async migrateLegacySave() {
+        const legacySave = await this.storage.loadData(STORAGE_KEYS.SAVE_DATA);
+        if (!legacySave) {
+            return;
+        }
+
+        const slot = await this.createSlot('Hero 1');
+        slot.updatedAt = legacySave.timestamp || null;
+        slot.level = (legacySave.player && legacySave.player.level) || 1;
+
+        await this.storage.saveData(this.getSlotKey(slot.id), legacySave);
+        await this.storage.deleteData(STORAGE_KEYS.SAVE_DATA);
+
+        if (!this.activeSlotId) {
+            this.activeSlotId = slot.id;
+        }
+        await this.saveIndex();
+
+        console.debug(`Moved legacy save data into save slot ${slot.id}`);
+    }
+
+    /**
+     * Get the storage key of a slot
+     * @param {string} slotId - Slot ID
+     * @returns {string} The storage key of the slot data
+     */
+    getSlotKey(slotId) {
+        return `${STORAGE_KEYS.SAVE_SLOT_PREFIX}${slotId}`;
+    }
+
+    /**
+     * Get all slots, most recently saved first
+     * @returns {SaveSlot[]} The slots
+     */
+    getSlots() {
+        return [...this.slots].sort((a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt));
+    }
+
+    /**
+     * Get a slot by ID
+     * @param {string|null} slotId - Slot ID
+     * @returns {SaveSlot|null} The slot
+     */
+    getSlot(slotId) {
+        return this.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    /**
+     * Get the slot the game saves to
+     * @returns {SaveSlot|null} The active slot
+     */
+    getActiveSlot() {
+        return this.getSlot(this.activeSlotId);
+    }
+
+    /**
+     * Get a slot name that isn't used yet
+     * @returns {string} A name like "Hero 2"
+     */
+    getDefaultSlotName() {
+        let number = this.slots.length + 1;
+        while (this.slots.some(slot => slot.name === `Hero ${number}`)) {
+            number++;
+        }
+        return `Hero ${number}`;
+    }
+
+    /**
+     * Clean up a slot name entered by the player
+     * @param {string} name - The entered name
+     * @returns {string} The trimmed name, or a default name if it was empty
+     */
+    sanitizeName(name) {
+        const trimmed = (name || '').trim().substring(0, 32);
+        return trimmed || this.getDefaultSlotName();
+    }
+
+    /**
+     * Create an empty slot
+     * @param {string} [name] - Slot name
+     * @returns {Promise<SaveSlot>} The new slot
+     */
+    async createSlot(name) {
+        const slot = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            name: this.sanitizeName(name),
+            createdAt: Date.now(),
+            updatedAt: null,
+            level: 1,
+            playTime: 0,
+            modelId: null
+        };
+
+        this.slots.push(slot);
+        await this.saveIndex();
+        return slot;
+    }
+
+    /**
+     * Make a slot the one the game saves to and loads from
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} False if the slot doesn't exist
+     */
+    async selectSlot(slotId) {
+        if (!this.getSlot(slotId)) {
+            console.warn(`Save slot ${slotId} not found`);
+            return false;
+        }
+
+        this.activeSlotId = slotId;
+        await this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Update the picker information of a slot after saving
+     * @param {string} slotId - Slot ID
+     * @param {Partial<SaveSlot>} info - Changed slot fields
+     * @returns {Promise<void>}
+     */
+    async updateSlot(slotId, info) {
+        const slot = this.getSlot(slotId);
+        if (!slot) {
+            return;
+        }
+
+        Object.assign(slot, info);
+        await this.saveIndex();
+    }
+
+    /**
+     * Rename a slot
+     * @param {string} slotId - Slot ID
+     * @param {string} name - New name
+     * @returns {Promise<boolean>} False if the slot doesn't exist
+     */
+    async renameSlot(slotId, name) {
+        const slot = this.getSlot(slotId);
+        if (!slot) {
+            return false;
+        }
+
+        slot.name = this.sanitizeName(name);
+        await this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Copy a slot and its save data
+     * @param {string} slotId - Slot ID
+     * @param {string} [name] - Name of the copy
+     * @returns {Promise<SaveSlot|null>} The copy, or null if the slot doesn't exist
+     */
+    async copySlot(slotId, name) {
+        const source = this.getSlot(slotId);
+        if (!source) {
+            return null;
+        }
+
+        const copy = await this.createSlot(name || `${source.name} (Copy)`);
+        const saveData = await this.storage.loadData(this.getSlotKey(slotId));
+        if (saveData) {
+            await this.storage.saveData(this.getSlotKey(copy.id), saveData);
+        }
+
+        await this.updateSlot(copy.id, {
+            updatedAt: source.updatedAt,
+            level: source.level,
+            playTime: source.playTime,
+            modelId: source.modelId
+        });
+        return copy;
+    }
+
+    /**
+     * Delete a slot and its save data
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} False if the slot doesn't exist
+     */
+    async deleteSlot(slotId) {
+        if (!this.getSlot(slotId)) {
+            return false;
+        }
+
+        await this.storage.deleteData(this.getSlotKey(slotId));
+        this.slots = this.slots.filter(slot => slot.id !== slotId);
+        this.deletedSlots[slotId] = Date.now();
+        if (this.activeSlotId === slotId) {
+            this.activeSlotId = null;
+        }
+
+        await this.saveIndex();
+        return true;
+    }
+}
@@ -1,6 +1,7 @@
 import { LocalStorageAdapter } from './LocalStorageAdapter.js';
 import { GoogleDriveAdapter } from './GoogleDriveAdapter.js';
-import { STORAGE_KEYS } from '../config/storage-keys.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { STORAGE_KEYS, STORAGE_CONFIG } from '../config/storage-keys.js';
 import googleAuthManager from './GoogleAuthManager.js';
 
 /**
@@ -8,7 +9,8 @@ import googleAuthManager from './GoogleAuthManager.js';
  * All storage operations should go through this service
  * 
  * Simplified flow:
- * 1. Always store to localStorage first, async in background to sync to GoogleDrive
+ * 1. Always store locally first, async in background to sync to GoogleDrive
+ *    (save data goes to IndexedDB when available, everything else to localStorage)
  * 2. On first load, when no state in localStorage, try to get from GoogleDrive if the user has signed in
  * 3. For conflict resolution, ask user to choose between localStorage or GoogleDrive version
  * 
@@ -23,6 +25,8 @@ export class StorageService {
      */
     constructor(googleClientId) {
         this.localStorage = new LocalStorageAdapter();
+        this.indexedDB = new IndexedDBAdapter();
+        this.localStoreReady = null; // Promise of initLocalStore
         this.googleDrive = new GoogleDriveAdapter(googleClientId);
         this.pendingSaves = new Map(); // Track pending save operations
         this.initialized = false;
@@ -361,6 +365,8 @@ export class StorageService {
      * @returns {Promise<void>}
      */
     async init() {
+        await this.initLocalStore();
+        
         if (this.initialized) {
             return;
         }
@@ -419,6 +425,104 @@ export class StorageService {
         }
     }
     
+    /**
+     * Open IndexedDB if it is the configured local store
+     * Falls back to localStorage when IndexedDB is unavailable or fails to open.
+     * @returns {Promise<void>}
+     */
+    initLocalStore() {
+        if (!this.localStoreReady) {
+            this.localStoreReady = (async () => {
+                if (STORAGE_CONFIG.primaryLocalStore !== 'indexedDB') {
+                    return;
+                }
+                if (!IndexedDBAdapter.isAvailable()) {
+                    console.warn('IndexedDB is not available, keeping save data in localStorage');
+                    return;
+                }
+                
+                try {
+                    await this.indexedDB.init();
+                    await this.migrateToIndexedDB();
+                } catch (error) {
+                    console.warn('Could not open IndexedDB, keeping save data in localStorage:', error);
+                }
+            })();
+        }
+        return this.localStoreReady;
+    }
+    
+    /**
+     * Move keys stored in IndexedDB out of localStorage
+     * Picks up data of older versions and of sessions without IndexedDB, so each
+     * key is moved once and localStorage holds no stale copy afterwards.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async migrateToIndexedDB() {
+        const keys = this.getLocalStorageKeys().filter(key => this.isIndexedDBKey(key));
+        
+        for (const key of keys) {
+            const data = this.localStorage.loadData(key);
+            if (data !== null && await this.indexedDB.saveData(key, data)) {
+                this.localStorage.deleteData(key);
+                console.debug(`Moved ${key} from localStorage to IndexedDB`);
+            }
+        }
+    }
+    
+    /**
+     * Check if a key belongs in IndexedDB
+     * @param {string} key - Storage key
+     * @returns {boolean} Whether the key is stored in IndexedDB when it is available
+     */
+    isIndexedDBKey(key) {
+        return STORAGE_CONFIG.indexedDBKeys.includes(key) ||
+            STORAGE_CONFIG.indexedDBKeyPrefixes.some(prefix => key.startsWith(prefix));
+    }
+    
+    /**
+     * Get the local adapter storing a key
+     * @param {string} key - Storage key
+     * @returns {LocalStorageAdapter|IndexedDBAdapter} The adapter
+     */
+    getLocalStore(key) {
+        return this.indexedDB.isReady && this.isIndexedDBKey(key) ? this.indexedDB : this.localStorage;
+    }
+    
+    /**
+     * Get all game keys in localStorage
+     * @private
+     * @returns {string[]} Keys starting with 'monk_journey_'
+     */
+    getLocalStorageKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('monk_journey_')) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+    
+    /**
+     * Get all game keys stored locally
+     * @private
+     * @returns {string[]} Keys from localStorage and IndexedDB
+     */
+    getLocalKeys() {
+        const keys = this.getLocalStorageKeys();
+        if (this.indexedDB.isReady) {
+            this.indexedDB.getKeys().forEach(key => {
+                if (!keys.includes(key)) {
+                    keys.push(key);
+                }
+            });
+        }
+        return keys;
+    }
+    
     /**
      * Handle Google sign-in success
      * @private
@@ -462,14 +566,16 @@ export class StorageService {
             STORAGE_KEYS.GOOGLE_AUTO_LOGIN
         ];
         
-        // Get all keys from localStorage that start with 'monk_journey_'
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('monk_journey_')) {
+        // Get all local keys that start with 'monk_journey_'
+        const keys = this.getLocalKeys();
+        
+        // Save slots created on other devices only exist in Google Drive
+        const cloudSlotKeys = await this.googleDrive.listKeys(STORAGE_KEYS.SAVE_SLOT_PREFIX);
+        [STORAGE_KEYS.SAVE_SLOTS, ...cloudSlotKeys].forEach(key => {
+            if (!keys.includes(key)) {
                 keys.push(key);
             }
-        }
+        });
         
         // For each key, check if it exists in Google Drive
         const promises = [];
@@ -486,18 +592,18 @@ export class StorageService {
                     
                     if (hasCloudData) {
                         // Check if the key exists in localStorage
-                        const hasLocalData = this.localStorage.hasData(key);
+                        const hasLocalData = this.getLocalStore(key).hasData(key);
                         
                         if (!hasLocalData) {
                             // If the key doesn't exist in localStorage, load it from Google Drive
                             const cloudData = await this.googleDrive.loadData(key);
                             if (cloudData !== null) {
-                                this.localStorage.saveData(key, cloudData);
-                                console.debug(`Loaded ${key} from Google Drive to localStorage`);
+                                await this.getLocalStore(key).saveData(key, cloudData);
+                                console.debug(`Loaded ${key} from Google Drive to local storage`);
                             }
                         } else {
                             // Both exist - check for conflicts
-                            const localData = this.localStorage.loadData(key);
+                            const localData = this.getLocalStore(key).loadData(key);
                             const cloudData = await this.googleDrive.loadData(key);
                             
                             // Simple string comparison to detect conflicts
@@ -519,6 +625,9 @@ export class StorageService {
         }
         await Promise.all(promises);
         
+        // Slot data may have been loaded before the merged index marked the slot as deleted
+        await this.removeDeletedSaveSlots();
+        
         // Also check for keys that exist in Google Drive but not in localStorage
         try {
             // This would require listing all files in the Google Drive folder
@@ -542,14 +651,8 @@ export class StorageService {
         console.debug("syncToGoogleDrive")
         console.debug('Syncing data from localStorage to Google Drive');
         
-        // Get all keys from localStorage that start with 'monk_journey_'
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('monk_journey_')) {
-                keys.push(key);
-            }
-        }
+        // Get all local keys that start with 'monk_journey_'
+        const keys = this.getLocalKeys();
         
         // Define keys that should not be synced to Google Drive
         const localOnlyKeys = [
@@ -567,7 +670,7 @@ export class StorageService {
                         console.debug(`Skipping sync for local-only key: ${key}`);
                     }
                     
-                    const data = this.localStorage.loadData(key);
+                    const data = this.getLocalStore(key).loadData(key);
                     if (data !== null) {
                         await this.googleDrive.saveData(key, data);
                         console.debug(`Synced ${key} to Google Drive`);
@@ -606,6 +709,27 @@ export class StorageService {
             return;
         }
         
+        // Both devices may have added or deleted slots, keep the changes of both
+        if (key === STORAGE_KEYS.SAVE_SLOTS) {
+            const merged = this.mergeSaveSlotIndexes(localData, cloudData);
+            await this.getLocalStore(key).saveData(key, merged);
+            await this.googleDrive.saveData(key, merged);
+            console.debug('Resolved save slot index conflict by merging both versions');
+            return;
+        }
+        
+        // Several slots can conflict at once, so keep the newer save of each without asking
+        if (key.startsWith(STORAGE_KEYS.SAVE_SLOT_PREFIX)) {
+            const cloudIsNewer = (cloudData && cloudData.timestamp || 0) > (localData && localData.timestamp || 0);
+            if (cloudIsNewer) {
+                await this.getLocalStore(key).saveData(key, cloudData);
+            } else {
+                await this.googleDrive.saveData(key, localData);
+            }
+            console.debug(`Resolved conflict for ${key} by using the ${cloudIsNewer ? 'cloud' : 'local'} version`);
+            return;
+        }
+        
         // Special handling for monk_journey_save key
         if (key === STORAGE_KEYS.SAVE_DATA) {
             console.debug(`Special conflict handling for save data: ${key}`);
@@ -627,7 +751,7 @@ export class StorageService {
                 
                 // Add event listeners
                 const useCloudHandler = async () => {
-                    this.localStorage.saveData(key, cloudData);
+                    await this.getLocalStore(key).saveData(key, cloudData);
                     console.debug(`Resolved save data conflict by using cloud version`);
                     modal.style.display = 'none';
                     resolve();
@@ -651,6 +775,70 @@ export class StorageService {
         }
     }
     
+    /**
+     * Merge two save slot indexes
+     * Slots are matched by ID, the more recently saved version of a slot wins.
+     * Slots deleted on either device are left out.
+     * @private
+     * @param {Object} localIndex - The index from localStorage
+     * @param {Object} cloudIndex - The index from Google Drive
+     * @returns {Object} The merged index
+     */
+    mergeSaveSlotIndexes(localIndex, cloudIndex) {
+        const deletedSlots = { ...(cloudIndex?.deletedSlots || {}) };
+        Object.entries(localIndex?.deletedSlots || {}).forEach(([slotId, deletedAt]) => {
+            deletedSlots[slotId] = Math.max(deletedAt, deletedSlots[slotId] || 0);
+        });
+        
+        const slots = new Map();
+        [...(cloudIndex?.slots || []), ...(localIndex?.slots || [])].forEach(slot => {
+            if (deletedSlots[slot.id]) {
+                return;
+            }
+            const existing = slots.get(slot.id);
+            if (!existing || (slot.updatedAt || 0) >= (existing.updatedAt || 0)) {
+                slots.set(slot.id, slot);
+            }
+        });
+        
+        // The selected slot is a choice of this device
+        let activeSlotId = localIndex?.activeSlotId || cloudIndex?.activeSlotId || null;
+        if (!slots.has(activeSlotId)) {
+            activeSlotId = null;
+        }
+        
+        return {
+            activeSlotId,
+            slots: [...slots.values()],
+            deletedSlots
+        };
+    }
+    
+    /**
+     * Delete the save data of slots deleted on any device, locally and on Google Drive
+     * @private
+     * @returns {Promise<void>}
+     */
+    async removeDeletedSaveSlots() {
+        const index = await this.getLocalStore(STORAGE_KEYS.SAVE_SLOTS).loadData(STORAGE_KEYS.SAVE_SLOTS);
+        const deletedSlotIds = Object.keys(index?.deletedSlots || {});
+        
+        for (const slotId of deletedSlotIds) {
+            const key = `${STORAGE_KEYS.SAVE_SLOT_PREFIX}${slotId}`;
+            try {
+                if (this.getLocalStore(key).hasData(key)) {
+                    await this.getLocalStore(key).deleteData(key);
+                }
+                if (await this.googleDrive.hasData(key)) {
+                    await this.googleDrive.deleteData(key);
+                    console.debug(`Deleted ${key} of a deleted save slot from Google Drive`);
+                }
+            } catch (error) {
+                console.error(`Error deleting ${key} of a deleted save slot:`, error);
+            }
+        }
+    }
+    
     /**
      * Handle storage events from other tabs/windows
      * @param {StorageEvent} event - Storage event
@@ -689,8 +877,9 @@ export class StorageService {
         ];
         
         try {
-            // Always save to localStorage first
-            const localSuccess = this.localStorage.saveData(key, data);
+            // Always save locally first
+            await this.initLocalStore();
+            const localSuccess = await this.getLocalStore(key).saveData(key, data);
             
             // Dispatch event for successful save
             if (localSuccess) {
@@ -763,10 +952,12 @@ export class StorageService {
      */
     async loadData(key) {
         try {
-            // Always try localStorage first
-            const localData = this.localStorage.loadData(key);
+            // Always try local storage first
+            await this.initLocalStore();
+            const localStore = this.getLocalStore(key);
+            const localData = localStore.loadData(key);
             
-            // If data exists in localStorage, return it
+            // If data exists locally, return it
             if (localData !== null) {
                 return localData;
             }
@@ -776,9 +967,9 @@ export class StorageService {
                 try {
                     const cloudData = await this.googleDrive.loadData(key);
                     
-                    // If found in Google Drive, save to localStorage for future use
+                    // If found in Google Drive, save locally for future use
                     if (cloudData !== null) {
-                        this.localStorage.saveData(key, cloudData);
+                        await localStore.saveData(key, cloudData);
                         return cloudData;
                     }
                 } catch (driveError) {
@@ -794,8 +985,14 @@ export class StorageService {
         }
     }
 
+    /**
+     * Load local data for the given key without waiting
+     * Keys kept in IndexedDB are only found once init() has completed.
+     * @param {string} key - Storage key
+     * @returns {*} The loaded data (or null if not found)
+     */
     loadDataSync(key) {
-        return this.localStorage.loadData(key);
+        return this.getLocalStore(key).loadData(key);
     }
     
     /**
@@ -805,8 +1002,9 @@ export class StorageService {
      */
     async deleteData(key) {
         try {
-            // Always delete from localStorage
-            const localSuccess = this.localStorage.deleteData(key);
+            // Always delete locally
+            await this.initLocalStore();
+            const localSuccess = await this.getLocalStore(key).deleteData(key);
             
             // If signed in to Google Drive, also delete there
             if (this.isSignedInToGoogle()) {
@@ -831,13 +1029,13 @@ export class StorageService {
     }
     
     /**
-     * Check if data exists for the given key synchronously (localStorage only)
+     * Check if data exists for the given key synchronously (local storage only)
      * @param {string} key - Storage key
-     * @returns {boolean} Whether data exists in localStorage
+     * @returns {boolean} Whether data exists locally
      */
     hasDataSync(key) {
         try {
-            return this.localStorage.hasData(key);
+            return this.getLocalStore(key).hasData(key);
         } catch (error) {
             console.error(`Error checking if data exists synchronously for key ${key}:`, error);
             return false;
@@ -851,10 +1049,11 @@ export class StorageService {
      */
     async hasData(key) {
         try {
-            // Check localStorage first
-            const hasLocalData = this.localStorage.hasData(key);
+            // Check local storage first
+            await this.initLocalStore();
+            const hasLocalData = this.getLocalStore(key).hasData(key);
             
-            // If found in localStorage, return true
+            // If found locally, return true
             if (hasLocalData) {
                 return true;
             }
@@ -72,6 +72,39 @@ export class InventorySerializer {
         
         return itemTemplate;
     }
+    /**
+     * Get the generated properties of an item that aren't in its template
+     * Needed to keep rarity and stats of crafted, rerolled and upgraded items.
+     * @param {Object} item - The item
+     * @returns {Object} Item details to save
+     */
+    static serializeItemDetails(item) {
+        const details = {};
+        if (item.rarity) details.rarity = item.rarity;
+        if (item.level) details.level = item.level;
+        if (item.baseStats) details.baseStats = item.baseStats;
+        if (Array.isArray(item.secondaryStats) && item.secondaryStats.length > 0) {
+            details.secondaryStats = item.secondaryStats;
+        }
+        return details;
+    }
+    
+    /**
+     * Read the saved item details, copying stats so the template isn't modified
+     * @param {Object} itemData - The saved item data
+     * @returns {Object} Item details to apply over the template
+     */
+    static deserializeItemDetails(itemData) {
+        const details = {};
+        if (itemData.rarity) details.rarity = itemData.rarity;
+        if (itemData.level) details.level = itemData.level;
+        if (itemData.baseStats) details.baseStats = { ...itemData.baseStats };
+        if (Array.isArray(itemData.secondaryStats)) {
+            details.secondaryStats = itemData.secondaryStats.map(stat => ({ ...stat }));
+        }
+        return details;
+    }
+    
     /**
      * Serialize player inventory and equipment data for saving
      * @param {Object} player - The player object
@@ -93,7 +126,8 @@ export class InventorySerializer {
         const optimizedInventory = inventoryItems.map(item => ({
             name: item.name,
             amount: item.amount,
-            templateId: item.templateId || null
+            templateId: item.templateId || null,
+            ...this.serializeItemDetails(item)
         }));
         
         // Optimize equipment storage - store item name and templateId for proper loading
@@ -101,14 +135,16 @@ export class InventorySerializer {
         Object.entries(equipment).forEach(([slot, item]) => {
             optimizedEquipment[slot] = item ? {
                 name: item.name,
-                templateId: item.templateId || null
+                templateId: item.templateId || null,
+                ...this.serializeItemDetails(item)
             } : null;
         });
         
         return {
             inventory: optimizedInventory,
             equipment: optimizedEquipment,
-            gold: player.getGold() || 0
+            gold: player.getGold() || 0,
+            materials: { ...player.inventory.getMaterials() }
         };
     }
     
@@ -141,6 +177,7 @@ export class InventorySerializer {
                     // Create a new item from the template, preserving the original name
                     const item = { 
                         ...itemTemplate, 
+                        ...this.deserializeItemDetails(itemData),
                         name: itemData.name, // Keep the generated name with quality prefix
                         amount: itemData.amount,
                         templateId: itemTemplate.id // Ensure templateId is set for future saves
@@ -176,6 +213,7 @@ export class InventorySerializer {
                         // Set the equipment slot with the full item data, preserving the original name
                         player.inventory.equipment[slot] = { 
                             ...itemTemplate, 
+                            ...(typeof itemData === 'object' ? this.deserializeItemDetails(itemData) : {}),
                             name: itemName, // Keep the generated name with quality prefix
                             templateId: itemTemplate.id // Ensure templateId is set for future saves
                         };
@@ -194,6 +232,16 @@ export class InventorySerializer {
             player.inventory.gold = inventoryData.gold;
         }
         
+        // Load crafting materials
+        player.inventory.materials = {};
+        if (inventoryData.materials && typeof inventoryData.materials === 'object') {
+            Object.entries(inventoryData.materials).forEach(([materialId, amount]) => {
+                if (typeof amount === 'number' && amount > 0) {
+                    player.inventory.addMaterial(materialId, amount);
+                }
+            });
+        }
+        
         // Recalculate equipment bonuses
         player.inventory.calculateEquipmentBonuses();
         
@@ -13,21 +13,17 @@ export class QuestSerializer {
             return {};
         }
         
-        // For active quests, we need to save progress information
-        const activeQuestsData = questManager.activeQuests.map(quest => ({
-            id: quest.id,
-            objective: {
-                progress: quest.objective.progress,
-                discovered: quest.objective.discovered || []
-            }
-        }));
+        // For active quests, we need to save stage and objective progress
+        const activeQuestsData = questManager.activeQuests.map(quest => questManager.getQuestState(quest));
         
-        // For completed quests, only save the IDs
+        // For completed and failed quests, only save the IDs
         const completedQuestIds = questManager.completedQuests.map(quest => quest.id);
+        const failedQuestIds = (questManager.failedQuests || []).map(quest => quest.id);
         
         return {
             activeQuests: activeQuestsData,
-            completedQuestIds: completedQuestIds
+            completedQuestIds: completedQuestIds,
+            failedQuestIds: failedQuestIds
         };
     }
     
@@ -45,8 +41,7 @@ export class QuestSerializer {
         console.debug('Loading quest data:', Object.keys(questData));
         
         // Reset quest state
-        questManager.activeQuests = [];
-        questManager.completedQuests = [];
+        questManager.resetQuests();
         
         // Load active quests with their progress
         if (questData.activeQuests && Array.isArray(questData.activeQuests)) {
@@ -54,29 +49,17 @@ export class QuestSerializer {
             
             questData.activeQuests.forEach(savedQuest => {
                 try {
-                    // Find the original quest template
-                    const originalQuest = questManager.quests.find(q => q.id === savedQuest.id);
+                    // Saves made before quests had stages store a single objective
+                    const state = savedQuest.objective ? {
+                        id: savedQuest.id,
+                        stageIndex: 0,
+                        objectives: [{
+                            progress: savedQuest.objective.progress || 0,
+                            discovered: savedQuest.objective.discovered || []
+                        }]
+                    } : savedQuest;
                     
-                    if (originalQuest) {
-                        // Create a new quest object with progress from saved data
-                        const questWithProgress = {
-                            ...originalQuest,
-                            objective: {
-                                ...originalQuest.objective,
-                                progress: savedQuest.objective && savedQuest.objective.progress ? 
-                                    savedQuest.objective.progress : 0,
-                                discovered: savedQuest.objective && savedQuest.objective.discovered ? 
-                                    savedQuest.objective.discovered : []
-                            }
-                        };
-                        
-                        questManager.activeQuests.push(questWithProgress);
-                        
-                        // Remove from available quests
-                        questManager.quests = questManager.quests.filter(q => q.id !== savedQuest.id);
-                    } else {
-                        console.warn(`Original quest template not found for ID: ${savedQuest.id}`);
-                    }
+                    questManager.restoreQuest(state);
                 } catch (questError) {
                     console.error('Error processing quest:', questError, savedQuest);
                 }
@@ -120,6 +103,19 @@ export class QuestSerializer {
             });
         }
         
+        // Load failed quests; quests that can't be retried stay unavailable
+        if (questData.failedQuestIds && Array.isArray(questData.failedQuestIds)) {
+            questData.failedQuestIds.forEach(questId => {
+                const originalQuest = questManager.definitions.get(questId);
+                if (!originalQuest) return;
+                
+                questManager.failedQuests.push(originalQuest);
+                if (originalQuest.retryOnFail === false) {
+                    questManager.quests = questManager.quests.filter(q => q.id !== questId);
+                }
+            });
+        }
+        
         // Filter available quests to remove active and completed ones
         if (questManager.quests && Array.isArray(questManager.quests)) {
             console.debug('Filtering available quests');
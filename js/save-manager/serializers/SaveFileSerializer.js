@@ -0,0 +1,70 @@
+const SAVE_FILE_FORMAT = 'monk-journey-save';
+
+/**
+ * Handles serialization of save data to portable save files
+ * The file holds the save data of one slot and a checksum of it, so files damaged
+ * or edited by hand are refused on import.
+ */
+export class SaveFileSerializer {
+    /**
+     * Calculate the checksum of a text (32 bit FNV-1a)
+     * Works without a secure context, unlike crypto.subtle.
+     * @param {string} text - The text
+     * @returns {string} The checksum as 8 hex digits
+     */
+    static checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Serialize save data to the content of a save file
+     * @param {Object} saveData - Save data of a slot
+     * @param {string} name - Slot name
+     * @returns {string} The file content
+     */
+    static serialize(saveData, name) {
+        const data = JSON.stringify(saveData);
+        return JSON.stringify({
+            format: SAVE_FILE_FORMAT,
+            name,
+            exportedAt: Date.now(),
+            checksum: SaveFileSerializer.checksum(data),
+            data
+        }, null, 2);
+    }
+
+    /**
+     * Read the content of a save file
+     * @param {string} content - The file content
+     * @returns {{name: string, saveData: Object}} The slot name and save data
+     * @throws {Error} If the file isn't a save file or is corrupt
+     */
+    static deserialize(content) {
+        let file;
+        try {
+            file = JSON.parse(content);
+        } catch (error) {
+            throw new Error('This file is not a Monk Journey save file.');
+        }
+
+        if (!file || file.format !== SAVE_FILE_FORMAT || typeof file.data !== 'string') {
+            throw new Error('This file is not a Monk Journey save file.');
+        }
+
+        if (SaveFileSerializer.checksum(file.data) !== file.checksum) {
+            throw new Error('This save file is corrupt or was modified and cannot be imported.');
+        }
+
+        const saveData = JSON.parse(file.data);
+        if (!saveData || typeof saveData !== 'object' || !saveData.player) {
+            throw new Error('This save file contains no hero data.');
+        }
+
+        return { name: file.name, saveData };
+    }
+}
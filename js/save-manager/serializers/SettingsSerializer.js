@@ -16,6 +16,7 @@ export class SettingsSerializer {
         try {
             const settings = {
                 difficulty: game.difficulty || 'basic',
+                worldTier: game.worldTierManager ? game.worldTierManager.getSelectedTier() : 1,
                 audioSettings: {}
             };
             
@@ -37,6 +38,7 @@ export class SettingsSerializer {
             // Return default settings if there's an error
             return {
                 difficulty: 'basic',
+                worldTier: 1,
                 audioSettings: {
                     isMuted: false,
                     musicVolume: 0.5,
@@ -66,6 +68,11 @@ export class SettingsSerializer {
                 }
             }
             
+            // Load world tier (the active tier is still limited by the loaded player level)
+            if (settings.worldTier !== undefined && game.worldTierManager) {
+                game.worldTierManager.restoreTier(settings.worldTier);
+            }
+            
             // Load audio settings
             if (settings.audioSettings && game.audioManager) {
                 // Check if audioManager exists and is initialized
@@ -7,7 +7,13 @@ import { ZoneManager } from './zones/ZoneManager.js';
 import { LightingManager } from './lighting/LightingManager.js';
 import { FogManager } from './environment/FogManager.js';
 import { SkyManager } from './environment/SkyManager.js';
+import { WeatherManager } from './environment/WeatherManager.js';
 import { TeleportManager } from './teleport/TeleportManager.js';
+import { PathManager } from './paths/PathManager.js';
+import { MapLoader } from './maps/MapLoader.js';
+import { WorldSeed } from './utils/WorldSeed.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
 import { STRUCTURE_OBJECTS } from '../config/structure.js';
 import { ENVIRONMENT_OBJECTS } from '../config/environment.js';
 
@@ -22,6 +28,9 @@ export class WorldManager {
         this.loadingManager = loadingManager;
         this.game = game;
         
+        // Seed shared by all world generators, loaded from storage in init()
+        this.worldSeed = new WorldSeed();
+        
         // Core managers - only essential ones
         this.terrainManager = new TerrainManager(scene, this, game);
         this.lightingManager = new LightingManager(scene);
@@ -32,6 +41,16 @@ export class WorldManager {
         this.interactiveManager = new InteractiveObjectManager(scene, this, game);
         this.zoneManager = new ZoneManager(scene, this, game);
         this.teleportManager = new TeleportManager(scene, this, game);
+        this.weatherManager = new WeatherManager(scene, this, game);
+        
+        // Paths only come from map data, so PathManager.init() (which purges path-like meshes) is not called
+        this.pathManager = new PathManager(scene, this, game);
+        
+        // Bundled maps and the currently loaded map
+        this.mapLoader = new MapLoader();
+        
+        // Default player spawn for the procedural world
+        this.defaultSpawnPoint = new THREE.Vector3(0, 1, -13);
         
         // Performance monitoring
         this.performance = {
@@ -52,6 +71,9 @@ export class WorldManager {
             structureProbability: 0.8, // Increased for testing
             environmentProbability: 0.9, // Increased for testing  
             interactiveProbability: 0.5, // Increased for testing
+            cellSize: 60, // Each cell gets at most one generated object
+            minDistance: 50, // Don't generate objects right next to the player
+            radius: 200, // How far from the player cells are generated
             generatedObjects: new Set() // Track to prevent duplicates
         };
         
@@ -67,6 +89,14 @@ export class WorldManager {
         };
     }
     
+    /**
+     * Map the world is currently built from, or null for the procedural world
+     * @returns {import('./maps/MapLoader.js').MapData|null}
+     */
+    get currentMap() {
+        return this.mapLoader.currentMap;
+    }
+    
     /**
      * Set enemy manager reference
      */
@@ -97,6 +127,9 @@ export class WorldManager {
         console.log('🌍 Initializing Optimized World Manager...');
         
         try {
+            // The seed must be known before any terrain or content is generated
+            await this.loadSeed();
+            
             // Initialize core systems in order
             this.lightingManager.init();
             
@@ -115,8 +148,11 @@ export class WorldManager {
             this.interactiveManager.init();
             this.teleportManager.init();
             
-            // Generate initial world content
-            await this.generateInitialContent();
+            // Build the world from the selected map, or generate it procedurally
+            const mapLoaded = await this.loadSelectedMap();
+            if (!mapLoaded) {
+                await this.generateInitialContent();
+            }
             
             console.log('✅ World Manager initialized successfully');
             return true;
@@ -127,6 +163,228 @@ export class WorldManager {
         }
     }
     
+    /**
+     * Load the world seed used last time, or create and store a new one
+     */
+    async loadSeed() {
+        try {
+            const storedSeed = await storageService.loadData(STORAGE_KEYS.WORLD_SEED);
+            if (storedSeed !== null && storedSeed !== undefined && this.worldSeed.setSeed(storedSeed)) {
+                console.debug(`🌱 Using world seed ${this.worldSeed.getSeed()}`);
+                return;
+            }
+        } catch (error) {
+            console.warn('Error loading world seed:', error);
+        }
+        
+        storageService.saveData(STORAGE_KEYS.WORLD_SEED, this.worldSeed.getSeed().toString());
+        console.debug(`🌱 Created world seed ${this.worldSeed.getSeed()}`);
+    }
+    
+    /**
+     * Get the current world seed
+     * @returns {number} World seed
+     */
+    getSeed() {
+        return this.worldSeed.getSeed();
+    }
+    
+    /**
+     * Change the world seed and regenerate the world from it
+     * @param {string|number} seed - Seed value or text
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.persist=true] - Store the seed so the world boots from it next time
+     * @returns {Promise<boolean>} True if the world was regenerated
+     */
+    async setSeed(seed, { persist = true } = {}) {
+        const value = WorldSeed.normalize(seed);
+        if (value === null) {
+            console.warn(`Invalid world seed: ${seed}`);
+            return false;
+        }
+        
+        if (value === this.getSeed()) {
+            return false;
+        }
+        
+        this.worldSeed.setSeed(value);
+        console.log(`🌱 World seed changed to ${value}`);
+        
+        if (persist) {
+            storageService.saveData(STORAGE_KEYS.WORLD_SEED, value.toString());
+        }
+        
+        await this.regenerate();
+        this.broadcastSeed();
+        return true;
+    }
+    
+    /**
+     * Rebuild terrain and procedural content from the current seed
+     * A loaded map keeps its hand-placed content; only the terrain under it changes.
+     */
+    async regenerate() {
+        const playerPosition = this.game && this.game.player ?
+            this.game.player.getPosition().clone() : this.getSpawnPoint();
+        
+        this.terrainManager.clear();
+        this.terrainManager.updateTerrain(playerPosition);
+        
+        if (!this.currentMap) {
+            this.clearWorldContent();
+            await this.generateInitialContent();
+            this.updateWorldContent(playerPosition);
+        }
+        
+        this.generation.lastPosition.copy(playerPosition);
+        
+        // Keep the player on top of the new terrain
+        if (this.game && this.game.player) {
+            const height = this.getTerrainHeight(playerPosition.x, playerPosition.z);
+            this.game.player.setPosition(playerPosition.x, height + 1, playerPosition.z);
+        }
+    }
+    
+    /**
+     * Send the world seed to multiplayer members (host only)
+     */
+    broadcastSeed() {
+        const multiplayerManager = this.game && this.game.multiplayerManager;
+        if (!multiplayerManager || !multiplayerManager.isHost || multiplayerManager.connection.peers.size === 0) {
+            return;
+        }
+        
+        multiplayerManager.connection.broadcast({
+            type: 'worldSeed',
+            seed: this.getSeed()
+        });
+    }
+    
+    /**
+     * Load the map the player selected last time, if any
+     * @returns {Promise<boolean>} True if a map was loaded
+     */
+    async loadSelectedMap() {
+        const mapId = await this.mapLoader.getSelectedMapId();
+        if (!mapId) {
+            return false;
+        }
+        
+        const mapData = await this.mapLoader.getMap(mapId);
+        if (!mapData) {
+            console.warn(`Selected map "${mapId}" is not available, using the procedural world`);
+            return false;
+        }
+        
+        this.applyMap(mapData);
+        return true;
+    }
+    
+    /**
+     * Switch to a bundled map while the game is running
+     * The choice is remembered so the world boots from this map next time
+     * @param {string} mapId - Id of the map to load
+     * @returns {Promise<boolean>} True if the map was loaded
+     */
+    async loadMap(mapId) {
+        const mapData = await this.mapLoader.getMap(mapId);
+        if (!mapData) {
+            console.warn(`Map "${mapId}" not found`);
+            return false;
+        }
+        
+        this.applyMap(mapData);
+        this.mapLoader.saveSelectedMapId(mapId);
+        this.movePlayerToSpawn();
+        return true;
+    }
+    
+    /**
+     * Replace the world content with the content of a map
+     * @param {import('./maps/MapLoader.js').MapData} mapData - Validated map data
+     */
+    applyMap(mapData) {
+        console.log(`🗺️ Loading map: ${mapData.name}`);
+        
+        this.clearWorldContent();
+        
+        // Maps are hand-made, so procedural content stays off while one is loaded
+        this.generation.enabled = false;
+        
+        this.zoneManager.setThemeColors(mapData.theme && mapData.theme.colors ? mapData.theme.colors : null);
+        this.zoneManager.loadFromMapData(mapData.zones);
+        
+        // Interactive objects are loaded first because loading them clears the list,
+        // which would remove the vendors and chests placed by villages and markets
+        this.interactiveManager.loadFromMapData(mapData.interactive);
+        this.structureManager.loadFromMapData(mapData.structures);
+        this.environmentManager.loadFromMapData(mapData.environment);
+        this.pathManager.load(MapLoader.toPathState(mapData.paths));
+        
+        this.zoneManager.updateTerrainColors();
+        this.mapLoader.currentMap = mapData;
+    }
+    
+    /**
+     * Return from a loaded map to the procedural world
+     * @returns {Promise<boolean>} True if a map was unloaded
+     */
+    async clearMap() {
+        if (!this.currentMap) {
+            return false;
+        }
+        
+        console.log(`🗺️ Unloading map: ${this.currentMap.name}`);
+        
+        this.clearWorldContent();
+        this.mapLoader.currentMap = null;
+        this.mapLoader.saveSelectedMapId(null);
+        
+        this.zoneManager.setThemeColors(null);
+        this.zoneManager.createZones();
+        this.zoneManager.updateTerrainColors();
+        
+        this.generation.enabled = true;
+        await this.generateInitialContent();
+        this.movePlayerToSpawn();
+        return true;
+    }
+    
+    /**
+     * Remove all structures, props, paths and interactive objects
+     */
+    clearWorldContent() {
+        this.structureManager.clear();
+        this.environmentManager.clear();
+        this.interactiveManager.clear();
+        this.pathManager.clear();
+        this.generation.generatedObjects.clear();
+    }
+    
+    /**
+     * Get the player spawn point for the current world
+     * @returns {THREE.Vector3} Spawn position
+     */
+    getSpawnPoint() {
+        const map = this.currentMap;
+        if (!map) {
+            return this.defaultSpawnPoint.clone();
+        }
+        
+        return new THREE.Vector3(map.spawn.x, map.spawn.y || this.defaultSpawnPoint.y, map.spawn.z);
+    }
+    
+    /**
+     * Move the local player to the spawn point of the current world
+     */
+    movePlayerToSpawn() {
+        if (!this.game || !this.game.player) return;
+        
+        const spawn = this.getSpawnPoint();
+        this.game.player.setPosition(spawn.x, spawn.y, spawn.z);
+        this.generation.lastPosition.copy(spawn);
+    }
+    
     /**
      * Generate initial content around spawn point
      */
@@ -141,8 +399,10 @@ export class WorldManager {
         };
         
         // Generate objects in a reasonable area around spawn
-        for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
+        for (let angleStep = 0; angleStep < 8; angleStep++) {
+            const angle = angleStep * Math.PI / 4;
             for (let radius = 20; radius <= spawnRadius; radius += 20) {
+                const random = this.worldSeed.createRandom('spawn', angleStep, radius);
                 const x = Math.cos(angle) * radius;
                 const z = Math.sin(angle) * radius;
                 const position = new THREE.Vector3(x, 0, z);
@@ -154,27 +414,27 @@ export class WorldManager {
                 console.debug(`🎲 Generating at (${x.toFixed(1)}, ${z.toFixed(1)}) in zone: ${zoneType}`);
                 
                 // Generate based on probabilities
-                const structureRoll = Math.random();
-                const environmentRoll = Math.random();
-                const interactiveRoll = Math.random();
+                const structureRoll = random();
+                const environmentRoll = random();
+                const interactiveRoll = random();
                 
                 console.debug(`🎲 Rolls - Structure: ${structureRoll.toFixed(3)} (threshold: ${this.generation.structureProbability}), Environment: ${environmentRoll.toFixed(3)} (threshold: ${this.generation.environmentProbability}), Interactive: ${interactiveRoll.toFixed(3)} (threshold: ${this.generation.interactiveProbability})`);
                 
                 if (structureRoll < this.generation.structureProbability) {
                     console.debug('🏗️ Creating structure...');
-                    await this.createStructureAt(position, zoneType);
+                    await this.createStructureAt(position, zoneType, random);
                     objectCount.structures++;
                 }
                 
                 if (environmentRoll < this.generation.environmentProbability) {
                     console.debug('🌳 Creating environment object...');
-                    await this.createEnvironmentObjectAt(position, zoneType);
+                    await this.createEnvironmentObjectAt(position, zoneType, random);
                     objectCount.environment++;
                 }
                 
                 if (interactiveRoll < this.generation.interactiveProbability) {
                     console.debug('⚡ Creating interactive object...');
-                    await this.createInteractiveObjectAt(position, zoneType);
+                    await this.createInteractiveObjectAt(position, zoneType, random);
                     objectCount.interactive++;
                 }
             }
@@ -185,12 +445,12 @@ export class WorldManager {
         // Add a test structure at origin for easy visibility
         console.log('🧪 Creating test structure at origin...');
         const testPosition = new THREE.Vector3(0, 0, 0);
-        await this.createStructureAt(testPosition, 'Terrant');
+        await this.createStructureAt(testPosition, 'Terrant', this.worldSeed.createRandom('spawn', 'test'));
         
         // Add a test environment object nearby
         console.log('🧪 Creating test environment object...');
         const testEnvPosition = new THREE.Vector3(10, 0, 0);
-        await this.createEnvironmentObjectAt(testEnvPosition, 'Forest');
+        await this.createEnvironmentObjectAt(testEnvPosition, 'Forest', this.worldSeed.createRandom('spawn', 'test'));
         
         console.log('🧪 Test objects creation complete');
         
@@ -235,6 +495,10 @@ export class WorldManager {
             this.cache.lastCacheUpdate = now;
         }
         
+        // Update weather before sky and fog so they pick up weather changes this frame
+        this.weatherManager.update(deltaTime, playerPosition);
+        this.skyManager.update(deltaTime);
+        
         // Update fog based on performance
         if (this.fogManager.update) {
             this.fogManager.update(deltaTime, playerPosition);
@@ -306,45 +570,46 @@ export class WorldManager {
             return;
         }
         
-        // Generate content in a circle around player
-        const generationRadius = 150;
-        const attempts = this.performance.isLowPerformance ? 3 : 6; // Fewer attempts in low performance
+        // Visit every grid cell in a ring around the player. Each cell's content only
+        // depends on the world seed and the cell coordinates, so the same seed always
+        // produces the same world no matter which way the player explores it.
+        const { cellSize, minDistance, radius } = this.generation;
+        const minCellX = Math.floor((playerPosition.x - radius) / cellSize);
+        const maxCellX = Math.floor((playerPosition.x + radius) / cellSize);
+        const minCellZ = Math.floor((playerPosition.z - radius) / cellSize);
+        const maxCellZ = Math.floor((playerPosition.z + radius) / cellSize);
         
-        for (let i = 0; i < attempts; i++) {
-            // Random position around player
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * generationRadius + 50; // Don't generate too close
-            
-            const x = playerPosition.x + Math.cos(angle) * distance;
-            const z = playerPosition.z + Math.sin(angle) * distance;
-            
-            // Validate generated coordinates
-            if (!isFinite(x) || !isFinite(z)) {
-                console.warn('WorldManager: Generated invalid coordinates:', x, z);
-                continue;
-            }
-            
-            const position = new THREE.Vector3(x, 0, z);
-            
-            // Create position key to prevent duplicates
-            const posKey = `${Math.floor(x / 10)},${Math.floor(z / 10)}`;
-            if (this.generation.generatedObjects.has(posKey)) continue;
-            
-            // Get zone info
-            const zone = this.getZoneAt(position);
-            const zoneType = zone ? zone.name : 'Terrant';
-            
-            // Generate object based on probabilities
-            const rand = Math.random();
-            if (rand < this.generation.structureProbability) {
-                this.createStructureAt(position, zoneType);
-                this.generation.generatedObjects.add(posKey);
-            } else if (rand < this.generation.structureProbability + this.generation.environmentProbability) {
-                this.createEnvironmentObjectAt(position, zoneType);
-                this.generation.generatedObjects.add(posKey);
-            } else if (rand < this.generation.structureProbability + this.generation.environmentProbability + this.generation.interactiveProbability) {
-                this.createInteractiveObjectAt(position, zoneType);
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellZ = minCellZ; cellZ <= maxCellZ; cellZ++) {
+                // Create position key to prevent duplicates
+                const posKey = `${cellX},${cellZ}`;
+                if (this.generation.generatedObjects.has(posKey)) continue;
+                
+                const random = this.worldSeed.createRandom('content', cellX, cellZ);
+                const x = (cellX + 0.1 + random() * 0.8) * cellSize;
+                const z = (cellZ + 0.1 + random() * 0.8) * cellSize;
+                
+                // Leave cells near the player or outside the ring for a later update
+                const distance = Math.hypot(x - playerPosition.x, z - playerPosition.z);
+                if (distance < minDistance || distance > radius) continue;
+                
                 this.generation.generatedObjects.add(posKey);
+                
+                const position = new THREE.Vector3(x, 0, z);
+                
+                // Get zone info
+                const zone = this.getZoneAt(position);
+                const zoneType = zone ? zone.name : 'Terrant';
+                
+                // Generate object based on probabilities
+                const rand = random();
+                if (rand < this.generation.structureProbability) {
+                    this.createStructureAt(position, zoneType, random);
+                } else if (rand < this.generation.structureProbability + this.generation.environmentProbability) {
+                    this.createEnvironmentObjectAt(position, zoneType, random);
+                } else if (rand < this.generation.structureProbability + this.generation.environmentProbability + this.generation.interactiveProbability) {
+                    this.createInteractiveObjectAt(position, zoneType, random);
+                }
             }
         }
         
@@ -374,7 +639,7 @@ export class WorldManager {
     /**
      * Create structure at position
      */
-    async createStructureAt(position, zoneType) {
+    async createStructureAt(position, zoneType, random = Math.random) {
         try {
             console.debug(`🏗️ Creating structure at (${position.x.toFixed(1)}, ${position.z.toFixed(1)}) in zone: ${zoneType}`);
             
@@ -388,7 +653,7 @@ export class WorldManager {
             };
             
             const types = structureTypes[zoneType] || structureTypes.default;
-            const structureType = types[Math.floor(Math.random() * types.length)];
+            const structureType = types[Math.floor(random() * types.length)];
             
             console.debug(`🏗️ Selected structure type: ${structureType}`);
             
@@ -402,7 +667,7 @@ export class WorldManager {
             
             if (this.structureManager.createStructure) {
                 console.debug('🏗️ Calling structureManager.createStructure...');
-                const result = await this.structureManager.createStructure(structureType, position);
+                const result = await this.structureManager.createStructure(structureType, position, random);
                 console.debug(`🏗️ Structure creation result:`, result ? 'SUCCESS' : 'FAILED');
             } else {
                 console.error('🏗️ structureManager.createStructure method not found!');
@@ -416,7 +681,7 @@ export class WorldManager {
     /**
      * Create environment object at position
      */
-    async createEnvironmentObjectAt(position, zoneType) {
+    async createEnvironmentObjectAt(position, zoneType, random = Math.random) {
         try {
             console.debug(`🌳 Creating environment object at (${position.x.toFixed(1)}, ${position.z.toFixed(1)}) in zone: ${zoneType}`);
             
@@ -430,7 +695,7 @@ export class WorldManager {
             };
             
             const types = envTypes[zoneType] || envTypes.default;
-            const envType = types[Math.floor(Math.random() * types.length)];
+            const envType = types[Math.floor(random() * types.length)];
             
             console.debug(`🌳 Selected environment type: ${envType}`);
             
@@ -446,6 +711,17 @@ export class WorldManager {
                 console.debug('🌳 Calling environmentManager.createEnvironmentObject...');
                 const result = await this.environmentManager.createEnvironmentObject(envType, position.x, position.z);
                 console.debug(`🌳 Environment object creation result:`, result ? 'SUCCESS' : 'FAILED');
+                
+                // Track the object so it is removed when a map replaces the procedural world
+                if (result) {
+                    this.environmentManager.environmentObjects.push({
+                        type: envType,
+                        object: result,
+                        position: position.clone(),
+                        scale: 1.0,
+                        id: `generated_${Date.now()}_${Math.random()}`
+                    });
+                }
             } else {
                 console.error('🌳 environmentManager.createEnvironmentObject method not found!');
             }
@@ -458,11 +734,11 @@ export class WorldManager {
     /**
      * Create interactive object at position
      */
-    async createInteractiveObjectAt(position, zoneType) {
+    async createInteractiveObjectAt(position, zoneType, random = Math.random) {
         try {
             // Interactive object types
             const interactiveTypes = ['chest', 'portal', 'shrine'];
-            const objType = interactiveTypes[Math.floor(Math.random() * interactiveTypes.length)];
+            const objType = interactiveTypes[Math.floor(random() * interactiveTypes.length)];
             
             // Set terrain height with validation
             if (isFinite(position.x) && isFinite(position.z)) {
@@ -509,6 +785,9 @@ export class WorldManager {
         if (this.terrainManager && this.terrainManager.clear) {
             this.terrainManager.clear();
         }
+        if (this.weatherManager) {
+            this.weatherManager.dispose();
+        }
         this.generation.generatedObjects.clear();
         this.generation.lastPosition.set(0, 0, 0);
         this.cache.playerChunk = { x: 0, z: 0 };
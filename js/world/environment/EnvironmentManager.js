@@ -715,20 +715,23 @@ export class EnvironmentManager {
         const densityFactor = zoneDensity.environment || 1.0;
         const count = Math.floor(baseCount * densityFactor * this.environmentDensity * this.worldManager.worldScale);
         
+        // Objects in a chunk only depend on the world seed and the chunk coordinates
+        const random = this.worldManager.worldSeed.createRandom('environment', chunkX, chunkZ);
+        
         // Generate random environment objects
         for (let i = 0; i < count; i++) {
             // Choose a random position within the chunk
-            const offsetX = Math.random() * chunkSize;
-            const offsetZ = Math.random() * chunkSize;
+            const offsetX = random() * chunkSize;
+            const offsetZ = random() * chunkSize;
             const x = worldX + offsetX;
             const z = worldZ + offsetZ;
             
             // Choose a random environment type for this zone
-            const typeIndex = Math.floor(Math.random() * environmentTypes.length);
+            const typeIndex = Math.floor(random() * environmentTypes.length);
             const type = environmentTypes[typeIndex];
             
             // Random scale variation
-            const scale = 0.7 + Math.random() * 0.6;
+            const scale = 0.7 + random() * 0.6;
             
             // Create the environment object
             const object = this.createEnvironmentObject(type, x, z, scale);
@@ -760,14 +763,15 @@ export class EnvironmentManager {
     /**
      * Generate environment object at a specific position - ADDED FOR SAMPLE COMPATIBILITY
      * @param {THREE.Vector3} position - Position to generate environment object at
+     * @param {function(): number} [random=Math.random] - Random function, seeded for reproducible worlds
      */
-    generateEnvironmentAtPosition(position) {
+    generateEnvironmentAtPosition(position, random = Math.random) {
         // Simple environment generation for random world generation
         const environmentTypes = ['tree', 'rock', 'bush', 'flower'];
-        const randomType = environmentTypes[Math.floor(Math.random() * environmentTypes.length)];
+        const randomType = environmentTypes[Math.floor(random() * environmentTypes.length)];
         
         // Random scale variation
-        const scale = 0.7 + Math.random() * 0.6;
+        const scale = 0.7 + random() * 0.6;
         
         // Create the environment object
         const object = this.createEnvironmentObject(randomType, position.x, position.z, scale);
@@ -39,7 +39,10 @@ export class FogManager {
         this.timeOfDay = 'day'; // 'day', 'dawn', 'dusk', 'night'
         
         // For weather-based fog effects
-        this.currentWeather = 'clear'; // 'clear', 'rain', 'fog', 'storm'
+        this.currentWeather = 'clear'; // 'clear', 'rain', 'fog', 'storm', 'snow'
+        
+        // Set when time of day or weather changes so targets are recalculated without player movement
+        this.needsRecalculation = false;
         
         // Performance tracking
         this.qualityLevel = 'ultra';
@@ -136,8 +139,9 @@ export class FogManager {
             return;
         }
         
-        // Skip update if player hasn't moved much
-        if (playerPosition.distanceTo(this.lastPlayerPosition) < this.positionUpdateThreshold) {
+        // Skip update if player hasn't moved much and nothing else changed
+        if (!this.needsRecalculation &&
+            playerPosition.distanceTo(this.lastPlayerPosition) < this.positionUpdateThreshold) {
             // Still update fog color and density transitions
             this.updateFogTransitions(deltaTime);
             return;
@@ -145,6 +149,7 @@ export class FogManager {
         
         // Update last player position
         this.lastPlayerPosition.copy(playerPosition);
+        this.needsRecalculation = false;
         
         // Get current zone at player position
         let zone = null;
@@ -182,15 +187,16 @@ export class FogManager {
             this.targetFogColor.set(FOG_CONFIG.color);
         }
         
+        // Set target fog density before the time of day and weather adjustments scale it
+        this.targetFogDensity = baseDensity;
+        this.darkeningFactor = FOG_CONFIG.darkeningFactor;
+        
         // Adjust fog based on time of day
         this.adjustFogForTimeOfDay();
         
         // Adjust fog based on weather
         this.adjustFogForWeather();
         
-        // Set target fog density
-        this.targetFogDensity = baseDensity;
-        
         // Update fog transitions
         this.updateFogTransitions(deltaTime);
     }
@@ -375,6 +381,14 @@ export class FogManager {
                 this.darkeningFactor = this.darkeningFactor * 0.9; // Increased from 0.8 (higher = brighter)
                 break;
                 
+            case 'snow':
+                // Pale blue-white fog while snowing
+                this.targetFogColor.lerp(new THREE.Color(0xd8e0ec), 0.6);
+                // Falling snow limits visibility more than rain
+                this.targetFogDensity = timeAdjustedDensity * 2.0;
+                this.distanceFalloff = this.distanceFalloff * 1.4;
+                break;
+                
             default: // clear weather
                 // In clear weather, keep the time-adjusted settings
                 // No additional adjustments needed
@@ -387,15 +401,21 @@ export class FogManager {
      * @param {string} timeOfDay - 'day', 'dawn', 'dusk', or 'night'
      */
     setTimeOfDay(timeOfDay) {
-        this.timeOfDay = timeOfDay;
+        if (this.timeOfDay !== timeOfDay) {
+            this.timeOfDay = timeOfDay;
+            this.needsRecalculation = true;
+        }
     }
     
     /**
      * Set the current weather condition
-     * @param {string} weather - 'clear', 'rain', 'fog', or 'storm'
+     * @param {string} weather - 'clear', 'rain', 'fog', 'storm', or 'snow'
      */
     setWeather(weather) {
-        this.currentWeather = weather;
+        if (this.currentWeather !== weather) {
+            this.currentWeather = weather;
+            this.needsRecalculation = true;
+        }
     }
     
     /**
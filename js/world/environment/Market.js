@@ -111,6 +111,11 @@ export class Market {
         marketGroup.position.set(data.position.x, data.position.y || 0, data.position.z);
         marketGroup.userData = { type: 'market' };
         
+        // Every market has a vendor in its center
+        if (this.worldManager.interactiveManager) {
+            this.worldManager.interactiveManager.createVendor(data.position.x, data.position.z);
+        }
+        
         return marketGroup;
     }
 }
\ No newline at end of file
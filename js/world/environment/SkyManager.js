@@ -10,7 +10,7 @@ export class SkyManager {
         this.sky = null;
         this.sun = null;
         this.timeOfDay = 'day'; // 'day', 'dawn', 'dusk', 'night'
-        this.weather = 'clear'; // 'clear', 'rain', 'fog', 'storm'
+        this.weather = 'clear'; // 'clear', 'rain', 'fog', 'storm', 'snow'
         
         // Sky colors for different times of day
         this.skyColors = {
@@ -25,9 +25,14 @@ export class SkyManager {
             clear: new THREE.Color(1, 1, 1),
             rain: new THREE.Color(0.7, 0.7, 0.8),
             fog: new THREE.Color(0.8, 0.8, 0.8),
-            storm: new THREE.Color(0.5, 0.5, 0.6)
+            storm: new THREE.Color(0.5, 0.5, 0.6),
+            snow: new THREE.Color(0.9, 0.92, 0.95)
         };
         
+        // Weather modifier currently applied, eased towards the target modifier
+        this.currentWeatherModifier = this.weatherModifiers.clear.clone();
+        this.weatherTransitionSpeed = 0.5; // Fraction of the remaining difference per second
+        
         this.initSky();
     }
     
@@ -48,8 +53,7 @@ export class SkyManager {
         const baseColor = new THREE.Color(this.skyColors[this.timeOfDay] || this.skyColors.day);
         
         // Apply weather modifier
-        const weatherModifier = this.weatherModifiers[this.weather] || this.weatherModifiers.clear;
-        baseColor.multiply(weatherModifier);
+        baseColor.multiply(this.currentWeatherModifier);
         
         // Set scene background color
         if (this.scene) {
@@ -70,21 +74,48 @@ export class SkyManager {
     
     /**
      * Set the weather condition
-     * @param {string} weather - 'clear', 'rain', 'fog', or 'storm'
+     * The sky color blends towards the new weather in update()
+     * @param {string} weather - 'clear', 'rain', 'fog', 'storm', or 'snow'
+     * @param {boolean} [immediate=false] - Apply the new sky color without blending
      */
-    setWeather(weather) {
+    setWeather(weather, immediate = false) {
         if (this.weather !== weather) {
             this.weather = weather;
+        }
+        
+        if (immediate) {
+            this.currentWeatherModifier.copy(this.getTargetWeatherModifier());
             this.updateSkyColor();
         }
     }
     
+    /**
+     * Get the color modifier for the current weather
+     * @returns {THREE.Color} Weather color modifier
+     */
+    getTargetWeatherModifier() {
+        return this.weatherModifiers[this.weather] || this.weatherModifiers.clear;
+    }
+    
     /**
      * Update the sky (called each frame)
      * @param {number} deltaTime - Time since last update
      */
     update(deltaTime) {
-        // Nothing to update in the simple implementation
-        // This method is here for future enhancements
+        const target = this.getTargetWeatherModifier();
+        if (this.currentWeatherModifier.equals(target)) {
+            return;
+        }
+        
+        // Ease the weather tint towards its target, snapping once the difference is negligible
+        this.currentWeatherModifier.lerp(target, Math.min(1, this.weatherTransitionSpeed * deltaTime));
+        const difference = Math.abs(this.currentWeatherModifier.r - target.r) +
+                           Math.abs(this.currentWeatherModifier.g - target.g) +
+                           Math.abs(this.currentWeatherModifier.b - target.b);
+        if (difference < 0.001) {
+            this.currentWeatherModifier.copy(target);
+        }
+        
+        this.updateSkyColor();
     }
 }
\ No newline at end of file
@@ -0,0 +1,340 @@
+import * as THREE from 'three';
+import { WEATHER_CONFIG, WEATHER_TYPES, ZONE_WEATHER_SCHEDULES } from '../../config/weather.js';
+import { WeatherParticles } from './WeatherParticles.js';
+
+/**
+ * @typedef {Object} WeatherState
+ * @property {string} weather - Weather being transitioned to (or the current weather)
+ * @property {string} previousWeather - Weather being transitioned from
+ * @property {number} transition - Transition progress from 0 (previous) to 1 (weather)
+ * @property {number} timeRemaining - Seconds until the next weather roll
+ */
+
+/**
+ * Manages dynamic weather
+ * Rolls weather from per-zone schedules, blends between conditions and drives the
+ * SkyManager, FogManager, precipitation particles and ambient audio. In multiplayer
+ * the host owns the weather and members apply the state it broadcasts.
+ */
+export class WeatherManager {
+    /**
+     * Create a new WeatherManager
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {import("../WorldManager.js").WorldManager} worldManager - The world manager
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     */
+    constructor(scene, worldManager, game) {
+        this.scene = scene;
+        this.worldManager = worldManager;
+        this.game = game;
+        this.enabled = WEATHER_CONFIG.enabled;
+
+        this.weather = 'clear';
+        this.previousWeather = 'clear';
+        this.transition = 1;
+
+        // Time until the next weather roll (seconds)
+        this.timeRemaining = this.rollDuration();
+
+        // Zone whose schedule is in use
+        this.currentZone = null;
+        this.zoneCheckTimer = 0;
+
+        // Particle pools, created the first time they are needed
+        this.particles = {};
+
+        // Ambient sound currently faded in, by sound id
+        this.ambientLevels = {};
+
+        // Reused vector for the particle box center
+        this.particleCenter = new THREE.Vector3();
+    }
+
+    /**
+     * Get a random duration for a weather condition
+     * @returns {number} Duration in seconds
+     */
+    rollDuration() {
+        const { minDuration, maxDuration } = WEATHER_CONFIG;
+        return minDuration + Math.random() * (maxDuration - minDuration);
+    }
+
+    /**
+     * Pick a weather type from a zone's schedule
+     * @param {string} zoneName - Name of the zone
+     * @returns {string} Weather type
+     */
+    rollWeather(zoneName) {
+        const schedule = ZONE_WEATHER_SCHEDULES[zoneName] || ZONE_WEATHER_SCHEDULES.default;
+        const entries = Object.entries(schedule).filter(([type]) => WEATHER_TYPES[type]);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+        let roll = Math.random() * totalWeight;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll <= 0) {
+                return type;
+            }
+        }
+
+        return entries.length > 0 ? entries[entries.length - 1][0] : 'clear';
+    }
+
+    /**
+     * Check whether the weather is controlled by a multiplayer host
+     * @returns {boolean} True if this client is a connected multiplayer member
+     */
+    isRemoteControlled() {
+        const multiplayerManager = this.game && this.game.multiplayerManager;
+        return !!(multiplayerManager && multiplayerManager.connection &&
+            !multiplayerManager.isHost && multiplayerManager.connection.isConnected);
+    }
+
+    /**
+     * Start blending to a new weather condition
+     * @param {string} weather - Weather type
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.immediate=false] - Skip the blend
+     * @param {number} [options.duration] - How long the weather lasts before the next roll
+     * @returns {boolean} True if the weather was changed
+     */
+    setWeather(weather, { immediate = false, duration = this.rollDuration() } = {}) {
+        if (!WEATHER_TYPES[weather]) {
+            console.warn(`Unknown weather type: ${weather}`);
+            return false;
+        }
+
+        this.timeRemaining = duration;
+
+        if (weather === this.weather) {
+            return false;
+        }
+
+        // If a blend is interrupted, continue from whichever side is dominant
+        this.previousWeather = this.transition >= 0.5 ? this.weather : this.previousWeather;
+        this.weather = weather;
+        this.transition = immediate ? 1 : 0;
+
+        // Sky and fog ease towards the new settings on their own
+        if (this.worldManager.skyManager) {
+            this.worldManager.skyManager.setWeather(weather);
+        }
+        if (this.worldManager.fogManager) {
+            this.worldManager.fogManager.setWeather(weather);
+        }
+
+        console.debug(`Weather changing to ${weather}${this.currentZone ? ` in ${this.currentZone}` : ''}`);
+
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Update weather scheduling, particles and ambient audio
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     */
+    update(deltaTime, playerPosition) {
+        if (!this.enabled) return;
+
+        if (!this.isRemoteControlled()) {
+            this.updateSchedule(deltaTime, playerPosition);
+        }
+
+        if (this.transition < 1) {
+            this.transition = Math.min(1, this.transition + deltaTime / WEATHER_CONFIG.transitionDuration);
+        }
+
+        this.updateParticles(deltaTime, playerPosition);
+        this.updateAmbientAudio();
+    }
+
+    /**
+     * Roll new weather when the current condition expires or the player enters another zone
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     */
+    updateSchedule(deltaTime, playerPosition) {
+        this.zoneCheckTimer -= deltaTime;
+        if (this.zoneCheckTimer <= 0 && playerPosition) {
+            this.zoneCheckTimer = WEATHER_CONFIG.zoneCheckInterval;
+
+            const zone = this.worldManager.getZoneAt(playerPosition);
+            const zoneName = zone ? zone.name : null;
+            if (zoneName !== this.currentZone) {
+                this.currentZone = zoneName;
+                this.setWeather(this.rollWeather(zoneName));
+                return;
+            }
+        }
+
+        this.timeRemaining -= deltaTime;
+        if (this.timeRemaining <= 0) {
+            this.setWeather(this.rollWeather(this.currentZone));
+        }
+    }
+
+    /**
+     * Get the blended value of a numeric weather property
+     * @param {string} property - Property name from WEATHER_TYPES
+     * @returns {number} Value blended between the previous and current weather
+     */
+    getBlendedValue(property) {
+        const from = WEATHER_TYPES[this.previousWeather][property] || 0;
+        const to = WEATHER_TYPES[this.weather][property] || 0;
+        return from + (to - from) * this.transition;
+    }
+
+    /**
+     * Get the intensity of a particle type or ambient sound in the current blend
+     * @param {string} key - Property name from WEATHER_TYPES ('particles' or 'ambientSound')
+     * @param {string} value - Particle type or sound id
+     * @param {function(Object): number} weightOf - Weight of a weather type when it uses the value
+     * @returns {number} Blended intensity
+     */
+    getBlendedIntensity(key, value, weightOf) {
+        const previous = WEATHER_TYPES[this.previousWeather];
+        const current = WEATHER_TYPES[this.weather];
+        const from = previous[key] === value ? weightOf(previous) : 0;
+        const to = current[key] === value ? weightOf(current) : 0;
+        return from + (to - from) * this.transition;
+    }
+
+    /**
+     * Update precipitation particles around the camera
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     */
+    updateParticles(deltaTime, playerPosition) {
+        const camera = this.game && this.game.camera;
+        if (!camera) return;
+
+        // Center the box under the camera at ground level so precipitation reaches the ground
+        this.particleCenter.set(camera.position.x, playerPosition ? playerPosition.y : 0, camera.position.z);
+
+        for (const type of Object.keys(WEATHER_CONFIG.particles)) {
+            if (!WEATHER_CONFIG.particles[type].poolSize) continue;
+
+            const intensity = this.getBlendedIntensity('particles', type, config => config.particleDensity);
+            if (intensity <= 0 && !this.particles[type]) continue;
+
+            if (!this.particles[type]) {
+                this.particles[type] = new WeatherParticles(this.scene, type);
+            }
+
+            this.particles[type].setIntensity(intensity);
+            this.particles[type].wind = this.getBlendedValue('wind');
+            this.particles[type].update(deltaTime, this.particleCenter);
+        }
+    }
+
+    /**
+     * Fade ambient weather loops in and out with the blend
+     */
+    updateAmbientAudio() {
+        const audioManager = this.game && this.game.audioManager;
+        if (!audioManager || typeof audioManager.setAmbientLevel !== 'function') return;
+
+        const soundIds = new Set([
+            WEATHER_TYPES[this.previousWeather].ambientSound,
+            WEATHER_TYPES[this.weather].ambientSound,
+            ...Object.keys(this.ambientLevels)
+        ]);
+
+        for (const soundId of soundIds) {
+            if (!soundId) continue;
+
+            const level = this.getBlendedIntensity('ambientSound', soundId, () => 1);
+            const currentLevel = this.ambientLevels[soundId] || 0;
+
+            // Skip tiny changes, but always let a fading sound reach silence
+            if (level === currentLevel || (level > 0 && Math.abs(level - currentLevel) < 0.01)) continue;
+
+            audioManager.setAmbientLevel(soundId, level);
+            if (level > 0) {
+                this.ambientLevels[soundId] = level;
+            } else {
+                delete this.ambientLevels[soundId];
+            }
+        }
+    }
+
+    /**
+     * Get the multiplier applied to enemy detection range by the current weather
+     * @returns {number} Detection range multiplier
+     */
+    getDetectionRangeMultiplier() {
+        if (!this.enabled || !WEATHER_CONFIG.gameplayModifiers) {
+            return 1;
+        }
+        return this.getBlendedValue('detectionRangeMultiplier') || 1;
+    }
+
+    /**
+     * Get the current weather type
+     * @returns {string} Weather type
+     */
+    getWeather() {
+        return this.weather;
+    }
+
+    /**
+     * Get the weather state for sharing with multiplayer members
+     * @returns {WeatherState} Current weather state
+     */
+    getState() {
+        return {
+            weather: this.weather,
+            previousWeather: this.previousWeather,
+            transition: this.transition,
+            timeRemaining: this.timeRemaining
+        };
+    }
+
+    /**
+     * Apply a weather state received from the multiplayer host
+     * @param {WeatherState} state - Weather state from the host
+     */
+    applyState(state) {
+        if (!state || !WEATHER_TYPES[state.weather]) return;
+
+        if (state.weather !== this.weather) {
+            this.setWeather(state.weather, { duration: state.timeRemaining });
+        }
+
+        if (WEATHER_TYPES[state.previousWeather]) {
+            this.previousWeather = state.previousWeather;
+        }
+        this.transition = Math.max(0, Math.min(1, state.transition));
+        this.timeRemaining = state.timeRemaining;
+    }
+
+    /**
+     * Send the weather state to multiplayer members (host only)
+     */
+    broadcastState() {
+        const multiplayerManager = this.game && this.game.multiplayerManager;
+        if (!multiplayerManager || !multiplayerManager.isHost || multiplayerManager.connection.peers.size === 0) {
+            return;
+        }
+
+        multiplayerManager.connection.broadcast({
+            type: 'weather',
+            ...this.getState()
+        });
+    }
+
+    /**
+     * Stop ambient audio and remove all particles
+     */
+    dispose() {
+        const audioManager = this.game && this.game.audioManager;
+        if (audioManager && typeof audioManager.setAmbientLevel === 'function') {
+            Object.keys(this.ambientLevels).forEach(soundId => audioManager.setAmbientLevel(soundId, 0));
+        }
+        this.ambientLevels = {};
+
+        Object.values(this.particles).forEach(particles => particles.dispose());
+        this.particles = {};
+    }
+}
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { WEATHER_CONFIG } from '../../config/weather.js';
+
+/**
+ * Pooled precipitation particles (rain or snow)
+ * A fixed pool of points is allocated once and kept in a box around the camera.
+ * Particles that fall below the box or drift out of it are recycled at the top,
+ * and the intensity only changes how many of the pooled particles are drawn.
+ */
+export class WeatherParticles {
+    /**
+     * Create a new particle pool
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {string} type - Particle type ('rain' or 'snow')
+     */
+    constructor(scene, type) {
+        this.scene = scene;
+        this.type = type;
+        this.settings = WEATHER_CONFIG.particles[type];
+        this.radius = WEATHER_CONFIG.particles.radius;
+        this.height = WEATHER_CONFIG.particles.height;
+        this.poolSize = this.settings.poolSize;
+
+        // Fraction of the pool currently in use (0-1)
+        this.intensity = 0;
+
+        // Horizontal wind speed applied to all particles
+        this.wind = 0;
+
+        // Per-particle phase used for snow sway
+        this.phases = new Float32Array(this.poolSize);
+        this.elapsed = 0;
+
+        this.points = null;
+        this.createPoints();
+    }
+
+    /**
+     * Allocate the particle pool
+     */
+    createPoints() {
+        const positions = new Float32Array(this.poolSize * 3);
+        for (let i = 0; i < this.poolSize; i++) {
+            positions[i * 3] = (Math.random() * 2 - 1) * this.radius;
+            positions[i * 3 + 1] = Math.random() * this.height;
+            positions[i * 3 + 2] = (Math.random() * 2 - 1) * this.radius;
+            this.phases[i] = Math.random() * Math.PI * 2;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.PointsMaterial({
+            color: this.settings.color,
+            size: this.settings.size,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.name = `weather-${this.type}`;
+
+        // Particles are positioned in world space around the camera, so the
+        // bounding sphere computed at creation is never valid
+        this.points.frustumCulled = false;
+        this.points.visible = false;
+        this.scene.add(this.points);
+    }
+
+    /**
+     * Set how much of the pool is active
+     * @param {number} intensity - Intensity from 0 (off) to 1 (full pool)
+     */
+    setIntensity(intensity) {
+        this.intensity = Math.max(0, Math.min(1, intensity));
+    }
+
+    /**
+     * Move, recycle and fade the particles
+     * @param {number} delta - Time since last update in seconds
+     * @param {THREE.Vector3} center - Ground-level point below the camera that the particle box sits on
+     */
+    update(delta, center) {
+        if (!this.points) return;
+
+        const activeCount = Math.floor(this.poolSize * this.intensity);
+        this.points.visible = activeCount > 0;
+        if (activeCount === 0) return;
+
+        this.elapsed += delta;
+        this.points.geometry.setDrawRange(0, activeCount);
+        this.points.material.opacity = this.settings.opacity * Math.min(1, this.intensity * 2);
+
+        const positions = this.points.geometry.attributes.position.array;
+        const fall = this.settings.fallSpeed * delta;
+        const drift = this.wind * delta;
+        const sway = this.settings.sway || 0;
+        const size = this.radius * 2;
+        const top = center.y + this.height;
+        const bottom = center.y - 2;
+
+        for (let i = 0; i < activeCount; i++) {
+            const index = i * 3;
+
+            positions[index] += drift;
+            positions[index + 1] -= fall;
+
+            if (sway > 0) {
+                positions[index + 2] += Math.sin(this.elapsed + this.phases[i]) * sway * delta;
+            }
+
+            // Recycle particles that have landed
+            if (positions[index + 1] < bottom) {
+                positions[index] = center.x + (Math.random() * 2 - 1) * this.radius;
+                positions[index + 1] = top - Math.random() * 2;
+                positions[index + 2] = center.z + (Math.random() * 2 - 1) * this.radius;
+                continue;
+            }
+
+            // Wrap particles that have left the box so the camera never outruns the weather
+            const dx = positions[index] - center.x;
+            if (dx > this.radius) positions[index] -= size;
+            else if (dx < -this.radius) positions[index] += size;
+
+            const dz = positions[index + 2] - center.z;
+            if (dz > this.radius) positions[index + 2] -= size;
+            else if (dz < -this.radius) positions[index + 2] += size;
+
+            if (positions[index + 1] > top) {
+                positions[index + 1] = top - Math.random() * this.height;
+            }
+        }
+
+        this.points.geometry.attributes.position.needsUpdate = true;
+    }
+
+    /**
+     * Remove the particles from the scene and free their resources
+     */
+    dispose() {
+        if (!this.points) return;
+
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+        this.points = null;
+    }
+}
@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { TreasureChest } from './TreasureChest.js';
 import { QuestMarker } from './QuestMarker.js';
 import { BossSpawnPoint } from './BossSpawnPoint.js';
+import { VendorNPC } from './VendorNPC.js';
+import { VENDOR_CONFIG, VENDOR_NAMES } from '../../config/vendors.js';
 
 /**
  * Manages interactive objects in the world
@@ -90,6 +92,13 @@ export class InteractiveObjectManager {
                             objData.bossType || 'generic_boss'
                         );
                         break;
+                    case 'vendor':
+                        this.createVendor(
+                            objData.position.x, 
+                            objData.position.z, 
+                            objData.name
+                        );
+                        break;
                     default:
                         console.warn(`Unknown interactive object type: ${objData.type}`);
                 }
@@ -254,6 +263,57 @@ export class InteractiveObjectManager {
         return markerGroup;
     }
     
+    /**
+     * Create a vendor NPC at the specified position
+     * The vendor id is derived from the position, so a vendor keeps its stock
+     * when the same world is generated again from its seed.
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @param {string} [vendorName] - Name of the vendor, picked from VENDOR_NAMES if omitted
+     * @returns {THREE.Group} - The vendor group
+     */
+    createVendor(x, z, vendorName) {
+        const vendorId = `vendor_${Math.round(x)}_${Math.round(z)}`;
+        
+        // Don't place the same vendor twice
+        const existing = this.interactiveObjects.find(obj => obj.type === 'vendor' && obj.vendorId === vendorId);
+        if (existing) {
+            return existing.mesh;
+        }
+        
+        const name = vendorName ||
+            VENDOR_NAMES[Math.abs(Math.round(x) * 31 + Math.round(z)) % VENDOR_NAMES.length];
+        const vendor = new VendorNPC(name);
+        const vendorGroup = vendor.createMesh();
+        
+        // Position vendor on terrain
+        const y = this.worldManager.getTerrainHeight(x, z);
+        vendorGroup.position.set(x, y, z);
+        
+        // Add to scene
+        this.scene.add(vendorGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'vendor',
+            name: name,
+            vendorId: vendorId,
+            mesh: vendorGroup,
+            position: new THREE.Vector3(x, y, z),
+            interactionRadius: VENDOR_CONFIG.interactionRadius,
+            onInteract: () => {
+                // Open the shop of this vendor
+                return {
+                    type: 'vendor',
+                    vendorId: vendorId,
+                    vendorName: name
+                };
+            }
+        });
+        
+        return vendorGroup;
+    }
+    
     /**
      * Get interactive objects near a specific position
      * @param {THREE.Vector3} position - The position to check
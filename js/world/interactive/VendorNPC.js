@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+/**
+ * Represents a vendor NPC standing behind a small stall
+ */
+export class VendorNPC {
+    /**
+     * Create a new vendor NPC
+     * @param {string} name - Name of the vendor
+     */
+    constructor(name) {
+        this.name = name;
+        this.isInteractive = true;
+    }
+
+    /**
+     * Create the vendor mesh
+     * @returns {THREE.Group} - The vendor group
+     */
+    createMesh() {
+        const vendorGroup = new THREE.Group();
+
+        // Create robed body
+        const robeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2e5e4e,
+            roughness: 0.8
+        });
+        const robe = new THREE.Mesh(new THREE.ConeGeometry(0.5, 1.6, 8), robeMaterial);
+        robe.position.y = 0.8;
+        robe.castShadow = true;
+        vendorGroup.add(robe);
+
+        // Create head
+        const headMaterial = new THREE.MeshStandardMaterial({ color: 0xe0b48c, roughness: 0.7 });
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 12, 12), headMaterial);
+        head.position.y = 1.85;
+        head.castShadow = true;
+        vendorGroup.add(head);
+
+        // Create straw hat
+        const hatMaterial = new THREE.MeshStandardMaterial({ color: 0xd8b45a, roughness: 0.9 });
+        const hat = new THREE.Mesh(new THREE.ConeGeometry(0.5, 0.3, 12), hatMaterial);
+        hat.position.y = 2.15;
+        vendorGroup.add(hat);
+
+        // Create counter in front of the vendor
+        const counterMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8 });
+        const counter = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.8, 0.6), counterMaterial);
+        counter.position.set(0, 0.4, 0.8);
+        counter.castShadow = true;
+        counter.receiveShadow = true;
+        vendorGroup.add(counter);
+
+        // Create floating gold coin marking the vendor
+        const coinMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc00 });
+        const coin = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.05, 16), coinMaterial);
+        coin.rotation.x = Math.PI / 2;
+        coin.position.y = 2.7;
+        vendorGroup.add(coin);
+
+        vendorGroup.userData = {
+            type: 'vendor',
+            vendorName: this.name,
+            isInteractive: true
+        };
+
+        return vendorGroup;
+    }
+}
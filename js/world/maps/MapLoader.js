@@ -0,0 +1,216 @@
+import { STORAGE_KEYS } from '../../config/storage-keys.js';
+import storageService from '../../save-manager/StorageService.js';
+
+/**
+ * @typedef {Object} MapPoint
+ * @property {number} x - X coordinate
+ * @property {number} [y] - Y coordinate (terrain height is used when omitted)
+ * @property {number} z - Z coordinate
+ */
+
+/**
+ * @typedef {Object} MapData
+ * @property {string} id - Unique map id
+ * @property {string} name - Display name
+ * @property {string} [description] - Short description shown in the selection screen
+ * @property {number} version - Map format version
+ * @property {number} [size] - Approximate width of the playable area in world units
+ * @property {MapPoint} spawn - Player spawn point
+ * @property {{name: string, colors?: Object}} [theme] - Main theme and optional terrain color overrides
+ * @property {Array<{name: string, center: MapPoint, radius: number, color: string}>} zones - Zone layout
+ * @property {Array<Object>} structures - Structures, in the format accepted by StructureManager.loadFromMapData
+ * @property {Array<Object>} environment - Props, in the format accepted by EnvironmentManager.loadFromMapData
+ * @property {Array<Object>} paths - Paths ({pattern, type, material, width, points})
+ * @property {Array<Object>} interactive - Interactive objects, in the format accepted by InteractiveObjectManager.loadFromMapData
+ */
+
+/**
+ * Loads the bundled JSON maps and remembers which one the player selected
+ * Maps live in assets/maps; index.json lists the files to load.
+ */
+export class MapLoader {
+    /**
+     * Current version of the map format
+     * @type {number}
+     */
+    static FORMAT_VERSION = 1;
+
+    /**
+     * Create a new MapLoader
+     * @param {string} [basePath='assets/maps'] - Directory containing index.json and the map files
+     */
+    constructor(basePath = 'assets/maps') {
+        this.basePath = basePath;
+
+        /** @type {Map<string, MapData>} */
+        this.maps = new Map();
+        this.indexLoaded = false;
+
+        /**
+         * Map the world is currently built from, or null for the procedural world
+         * @type {MapData|null}
+         */
+        this.currentMap = null;
+    }
+
+    /**
+     * Load and validate every map listed in the index
+     * @returns {Promise<MapData[]>} All valid bundled maps
+     */
+    async loadIndex() {
+        if (this.indexLoaded) {
+            return this.getMaps();
+        }
+
+        try {
+            const response = await fetch(`${this.basePath}/index.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const index = await response.json();
+            const entries = Array.isArray(index.maps) ? index.maps : [];
+
+            await Promise.all(entries.map(async entry => {
+                try {
+                    await this.loadMapFile(entry.file);
+                } catch (error) {
+                    console.warn(`Skipping map ${entry.id || entry.file}: ${error.message}`);
+                }
+            }));
+
+            this.indexLoaded = true;
+        } catch (error) {
+            console.error('Error loading map index:', error);
+        }
+
+        return this.getMaps();
+    }
+
+    /**
+     * Load a single map file
+     * @param {string} file - File name relative to the maps directory
+     * @returns {Promise<MapData>} The validated map
+     */
+    async loadMapFile(file) {
+        const response = await fetch(`${this.basePath}/${file}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const mapData = MapLoader.validate(await response.json());
+        this.maps.set(mapData.id, mapData);
+        return mapData;
+    }
+
+    /**
+     * Check map data and fill in optional sections
+     * @param {Object} data - Parsed map JSON
+     * @returns {MapData} The normalized map
+     * @throws {Error} If a required field is missing or the format version is unsupported
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Map data must be an object');
+        }
+
+        if (!data.id || !data.name) {
+            throw new Error('Map is missing an id or name');
+        }
+
+        if (data.version > MapLoader.FORMAT_VERSION) {
+            throw new Error(`Unsupported map format version ${data.version}`);
+        }
+
+        if (!Array.isArray(data.zones) || data.zones.length === 0) {
+            throw new Error(`Map ${data.id} has no zones`);
+        }
+
+        const invalidZone = data.zones.find(zone => !zone.name || !zone.center || !(zone.radius > 0));
+        if (invalidZone) {
+            throw new Error(`Map ${data.id} has an invalid zone: ${JSON.stringify(invalidZone)}`);
+        }
+
+        if (!data.spawn || !isFinite(data.spawn.x) || !isFinite(data.spawn.z)) {
+            throw new Error(`Map ${data.id} has no valid spawn point`);
+        }
+
+        return {
+            description: '',
+            theme: null,
+            ...data,
+            version: data.version || MapLoader.FORMAT_VERSION,
+            structures: Array.isArray(data.structures) ? data.structures : [],
+            environment: Array.isArray(data.environment) ? data.environment : [],
+            paths: Array.isArray(data.paths) ? data.paths : [],
+            interactive: Array.isArray(data.interactive) ? data.interactive : []
+        };
+    }
+
+    /**
+     * Get all loaded maps
+     * @returns {MapData[]} Loaded maps in index order
+     */
+    getMaps() {
+        return Array.from(this.maps.values());
+    }
+
+    /**
+     * Get a map by id, loading the index if needed
+     * @param {string} mapId - Map id
+     * @returns {Promise<MapData|null>} The map or null if it doesn't exist
+     */
+    async getMap(mapId) {
+        if (!this.maps.has(mapId)) {
+            await this.loadIndex();
+        }
+        return this.maps.get(mapId) || null;
+    }
+
+    /**
+     * Get the id of the map the player last selected
+     * @returns {Promise<string|null>} Map id or null for the procedural world
+     */
+    async getSelectedMapId() {
+        try {
+            const mapId = await storageService.loadData(STORAGE_KEYS.SELECTED_MAP);
+            return mapId || null;
+        } catch (error) {
+            console.warn('Error loading selected map:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remember the selected map for the next boot
+     * @param {string|null} mapId - Map id or null for the procedural world
+     */
+    saveSelectedMapId(mapId) {
+        if (mapId) {
+            storageService.saveData(STORAGE_KEYS.SELECTED_MAP, mapId);
+        } else {
+            storageService.deleteData(STORAGE_KEYS.SELECTED_MAP);
+        }
+    }
+
+    /**
+     * Convert a map's path list to the state format read by PathManager.load
+     * @param {Array<Object>} paths - Paths from map data
+     * @returns {Object} Path state
+     */
+    static toPathState(paths) {
+        return {
+            paths: {
+                // Map paths are always visible, so they share a single bucket
+                map: paths.map(path => ({
+                    pattern: path.pattern,
+                    type: path.type,
+                    material: path.material,
+                    width: path.width || 3,
+                    points: path.points.map(point => ({ x: point.x, y: point.y || 0, z: point.z })),
+                    options: path.options || {}
+                }))
+            }
+        };
+    }
+}
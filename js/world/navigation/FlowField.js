@@ -0,0 +1,133 @@
+/**
+ * Flow field toward one target on the navigation grid
+ * A breadth-first search from the target cell gives every walkable cell in a
+ * square window around the target the direction of its shortest path, so any
+ * number of enemies can follow the field at the cost of one lookup each.
+ */
+
+// Neighbor offsets, straight neighbors first so they win ties against diagonals
+const NEIGHBORS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+const UNREACHED = -1;
+
+export class FlowField {
+    /**
+     * @param {import("./NavigationGrid.js").NavigationGrid} grid - The navigation grid
+     * @param {number} radius - Cells covered in each direction around the target
+     */
+    constructor(grid, radius) {
+        this.grid = grid;
+        this.radius = radius;
+        this.size = radius * 2 + 1;
+
+        const cellCount = this.size * this.size;
+        this.distances = new Int32Array(cellCount);
+        this.directionsX = new Float32Array(cellCount);
+        this.directionsZ = new Float32Array(cellCount);
+        this.queue = new Int32Array(cellCount);
+
+        this.originX = 0;
+        this.originZ = 0;
+        this.targetCellX = null;
+        this.targetCellZ = null;
+        this.isBuilt = false;
+    }
+
+    /**
+     * Build the field toward a target position
+     * @param {number} targetX - World x of the target
+     * @param {number} targetZ - World z of the target
+     */
+    build(targetX, targetZ) {
+        const grid = this.grid;
+        const size = this.size;
+        this.targetCellX = grid.toCell(targetX);
+        this.targetCellZ = grid.toCell(targetZ);
+        this.originX = this.targetCellX - this.radius;
+        this.originZ = this.targetCellZ - this.radius;
+
+        this.distances.fill(UNREACHED);
+        this.directionsX.fill(0);
+        this.directionsZ.fill(0);
+
+        // The target cell is always a seed, even when the target stands in a padded footprint
+        const targetIndex = this.radius * size + this.radius;
+        this.distances[targetIndex] = 0;
+        this.queue[0] = targetIndex;
+        let head = 0;
+        let tail = 1;
+
+        while (head < tail) {
+            const index = this.queue[head++];
+            const localX = index % size;
+            const localZ = (index - localX) / size;
+            const nextDistance = this.distances[index] + 1;
+
+            for (const [offsetX, offsetZ] of NEIGHBORS) {
+                const neighborX = localX + offsetX;
+                const neighborZ = localZ + offsetZ;
+                if (neighborX < 0 || neighborZ < 0 || neighborX >= size || neighborZ >= size) continue;
+
+                const neighborIndex = neighborZ * size + neighborX;
+                if (this.distances[neighborIndex] !== UNREACHED) continue;
+                if (grid.isCellBlocked(this.originX + neighborX, this.originZ + neighborZ)) continue;
+
+                // No cutting corners past blocked cells on diagonal steps
+                if (offsetX !== 0 && offsetZ !== 0 && (
+                    grid.isCellBlocked(this.originX + localX + offsetX, this.originZ + localZ) ||
+                    grid.isCellBlocked(this.originX + localX, this.originZ + localZ + offsetZ)
+                )) continue;
+
+                this.distances[neighborIndex] = nextDistance;
+                this.directionsX[neighborIndex] = -offsetX;
+                this.directionsZ[neighborIndex] = -offsetZ;
+                this.queue[tail++] = neighborIndex;
+            }
+        }
+
+        // Normalize the diagonal directions
+        for (let i = 0; i < this.directionsX.length; i++) {
+            if (this.directionsX[i] !== 0 && this.directionsZ[i] !== 0) {
+                this.directionsX[i] *= Math.SQRT1_2;
+                this.directionsZ[i] *= Math.SQRT1_2;
+            }
+        }
+
+        this.isBuilt = true;
+    }
+
+    /**
+     * Check if the field was built for the cell a target is in
+     * @param {number} targetX - World x of the target
+     * @param {number} targetZ - World z of the target
+     * @returns {boolean} True if the target is still in the cell the field leads to
+     */
+    isCurrentFor(targetX, targetZ) {
+        return this.isBuilt && this.grid.toCell(targetX) === this.targetCellX && this.grid.toCell(targetZ) === this.targetCellZ;
+    }
+
+    /**
+     * Get the direction to follow from a position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {{x: number, z: number}} out - Receives the direction
+     * @returns {boolean} False if the position is outside the field or can't reach the target
+     */
+    getDirection(x, z, out) {
+        if (!this.isBuilt) return false;
+
+        const localX = this.grid.toCell(x) - this.originX;
+        const localZ = this.grid.toCell(z) - this.originZ;
+        if (localX < 0 || localZ < 0 || localX >= this.size || localZ >= this.size) return false;
+
+        const index = localZ * this.size + localX;
+        if (this.distances[index] <= 0) return false;
+
+        out.x = this.directionsX[index];
+        out.z = this.directionsZ[index];
+        return true;
+    }
+}
@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+import { NAVIGATION_SETTINGS } from '../../config/navigation.js';
+
+/**
+ * Grid of walkable and blocked cells for enemy navigation
+ * Blocked cells come from the footprints of structures (buildings, mountains,
+ * towers). Footprints are indexed in a SpatialGrid and cells are only tested
+ * when a flow field or move first asks for them, so the grid covers the endless
+ * world without building it up front.
+ */
+export class NavigationGrid {
+    /**
+     * @param {import("../WorldManager.js").WorldManager} world - The world manager
+     * @param {Object} [settings=NAVIGATION_SETTINGS] - Navigation settings
+     */
+    constructor(world, settings = NAVIGATION_SETTINGS) {
+        this.world = world;
+        this.settings = settings;
+        this.cellSize = settings.cellSize;
+
+        // Footprints by structure info, indexed by position for lookups
+        this.footprints = new Map();
+        this.footprintIndex = new SpatialGrid(settings.obstacleIndexCellSize);
+        this.maxFootprintRadius = 0;
+
+        // Cached blocked state by cell key
+        this.blockedCells = new Map();
+
+        this.syncTimer = settings.obstacleSyncInterval;
+        this.bounds = new THREE.Box3();
+        this.cellCenter = new THREE.Vector3();
+    }
+
+    /**
+     * Keep the footprints in sync with structures loaded and unloaded with chunks
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.syncTimer += delta;
+        if (this.syncTimer < this.settings.obstacleSyncInterval) return;
+        this.syncTimer = 0;
+        this.syncObstacles();
+    }
+
+    /**
+     * Add footprints of new structures and remove those of removed structures
+     */
+    syncObstacles() {
+        const structureManager = this.world && this.world.structureManager;
+        if (!structureManager) return;
+
+        const structures = new Set(structureManager.structures);
+        let changed = false;
+
+        for (const [structureInfo, footprint] of this.footprints) {
+            if (!structures.has(structureInfo)) {
+                this.footprintIndex.removeObject(footprint);
+                this.footprints.delete(structureInfo);
+                changed = true;
+            }
+        }
+
+        for (const structureInfo of structures) {
+            if (this.footprints.has(structureInfo) || !this.isObstacle(structureInfo)) continue;
+
+            const footprint = this.createFootprint(structureInfo);
+            if (footprint) {
+                this.footprints.set(structureInfo, footprint);
+                this.footprintIndex.addObject(footprint);
+                this.maxFootprintRadius = Math.max(this.maxFootprintRadius, footprint.radius);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.blockedCells.clear();
+        }
+    }
+
+    /**
+     * Check if enemies have to walk around a structure
+     * @param {Object} structureInfo - Entry of StructureManager.structures
+     * @returns {boolean} True if the structure blocks movement
+     */
+    isObstacle(structureInfo) {
+        return !!structureInfo.object && !this.settings.walkableStructures.includes(structureInfo.type);
+    }
+
+    /**
+     * Create the ground footprint of a structure
+     * @param {Object} structureInfo - Entry of StructureManager.structures
+     * @returns {Object|null} Footprint with bounds and center position, null if the structure has no size
+     */
+    createFootprint(structureInfo) {
+        try {
+            this.bounds.setFromObject(structureInfo.object);
+        } catch (error) {
+            console.warn('Error getting structure bounds for navigation:', error);
+            return null;
+        }
+
+        if (this.bounds.isEmpty()) return null;
+
+        const padding = this.settings.obstaclePadding;
+        const minX = this.bounds.min.x - padding;
+        const maxX = this.bounds.max.x + padding;
+        const minZ = this.bounds.min.z - padding;
+        const maxZ = this.bounds.max.z + padding;
+
+        return {
+            position: new THREE.Vector3((minX + maxX) / 2, 0, (minZ + maxZ) / 2),
+            radius: Math.hypot(maxX - minX, maxZ - minZ) / 2,
+            minX,
+            maxX,
+            minZ,
+            maxZ
+        };
+    }
+
+    /**
+     * Get the cell coordinate of a world coordinate
+     * @param {number} value - World x or z
+     * @returns {number} Cell x or z
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Check if a cell is blocked by a structure
+     * @param {number} cellX - Cell x
+     * @param {number} cellZ - Cell z
+     * @returns {boolean} True if blocked
+     */
+    isCellBlocked(cellX, cellZ) {
+        const key = `${cellX},${cellZ}`;
+        const cached = this.blockedCells.get(key);
+        if (cached !== undefined) return cached;
+
+        if (this.blockedCells.size >= this.settings.maxCachedCells) {
+            this.blockedCells.clear();
+        }
+
+        const blocked = this.isPointBlocked((cellX + 0.5) * this.cellSize, (cellZ + 0.5) * this.cellSize);
+        this.blockedCells.set(key, blocked);
+        return blocked;
+    }
+
+    /**
+     * Check if a world position lies inside a structure footprint
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {boolean} True if blocked
+     */
+    isPointBlocked(x, z) {
+        if (this.footprints.size === 0) return false;
+
+        this.cellCenter.set(x, 0, z);
+        const candidates = this.footprintIndex.getObjectsNear(this.cellCenter, this.maxFootprintRadius);
+        return candidates.some(footprint =>
+            x >= footprint.minX && x <= footprint.maxX && z >= footprint.minZ && z <= footprint.maxZ
+        );
+    }
+
+    /**
+     * Check if the cell at a world position is blocked
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {boolean} True if blocked
+     */
+    isBlockedAt(x, z) {
+        return this.isCellBlocked(this.toCell(x), this.toCell(z));
+    }
+
+    /**
+     * Remove all footprints
+     */
+    clear() {
+        this.footprints.clear();
+        this.footprintIndex.clear();
+        this.blockedCells.clear();
+        this.maxFootprintRadius = 0;
+    }
+}
@@ -143,55 +143,58 @@ export class PathManager {
         const terrainChunkSize = this.worldManager.terrainManager.terrainChunkSize;
         const pathId = `path_${this.pathIdCounter++}`;
         
+        // Paths only depend on the world seed and the chunk they start in
+        const random = this.worldManager.worldSeed.createRandom('paths', startChunkX, startChunkZ);
+        
         // Determine path characteristics based on zone type
         let pathPattern, pathType, pathMaterial, pathWidth;
         
         switch (zoneType) {
             case 'Forest':
-                pathPattern = Math.random() > 0.7 ? PATH_PATTERNS.NATURAL : PATH_PATTERNS.CURVED;
+                pathPattern = random() > 0.7 ? PATH_PATTERNS.NATURAL : PATH_PATTERNS.CURVED;
                 pathType = PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.DIRT;
-                pathWidth = 2 + Math.random() * 1.5;
+                pathWidth = 2 + random() * 1.5;
                 break;
                 
             case 'Desert':
-                pathPattern = Math.random() > 0.6 ? PATH_PATTERNS.STRAIGHT : PATH_PATTERNS.CURVED;
+                pathPattern = random() > 0.6 ? PATH_PATTERNS.STRAIGHT : PATH_PATTERNS.CURVED;
                 pathType = PATH_TYPES.ROAD;
                 pathMaterial = PATH_MATERIALS.SAND;
-                pathWidth = 3 + Math.random() * 2;
+                pathWidth = 3 + random() * 2;
                 break;
                 
             case 'Mountain':
-                pathPattern = Math.random() > 0.5 ? PATH_PATTERNS.CURVED : PATH_PATTERNS.SPIRAL;
-                pathType = Math.random() > 0.7 ? PATH_TYPES.STAIRS : PATH_TYPES.TRAIL;
+                pathPattern = random() > 0.5 ? PATH_PATTERNS.CURVED : PATH_PATTERNS.SPIRAL;
+                pathType = random() > 0.7 ? PATH_TYPES.STAIRS : PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.STONE;
-                pathWidth = 4 + Math.random() * 3;
+                pathWidth = 4 + random() * 3;
                 break;
                 
             case 'Village':
                 pathPattern = PATH_PATTERNS.STRAIGHT;
                 pathType = PATH_TYPES.ROAD;
                 pathMaterial = PATH_MATERIALS.STONE;
-                pathWidth = 2.5 + Math.random() * 1.5;
+                pathWidth = 2.5 + random() * 1.5;
                 break;
                 
             case 'Swamp':
                 pathPattern = PATH_PATTERNS.CURVED;
-                pathType = Math.random() > 0.6 ? PATH_TYPES.BRIDGE : PATH_TYPES.TRAIL;
-                pathMaterial = Math.random() > 0.5 ? PATH_MATERIALS.WOOD : PATH_MATERIALS.DIRT;
-                pathWidth = 1.5 + Math.random() * 1;
+                pathType = random() > 0.6 ? PATH_TYPES.BRIDGE : PATH_TYPES.TRAIL;
+                pathMaterial = random() > 0.5 ? PATH_MATERIALS.WOOD : PATH_MATERIALS.DIRT;
+                pathWidth = 1.5 + random() * 1;
                 break;
                 
             default:
                 pathPattern = PATH_PATTERNS.NATURAL;
                 pathType = PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.DIRT;
-                pathWidth = 2 + Math.random() * 1;
+                pathWidth = 2 + random() * 1;
         }
         
         // Generate path points across multiple chunks
-        const pathLength = this.minPathLength + Math.random() * (this.maxPathLength - this.minPathLength);
-        const points = this.generateLongPathPoints(startChunkX, startChunkZ, pathLength, pathPattern);
+        const pathLength = this.minPathLength + random() * (this.maxPathLength - this.minPathLength);
+        const points = this.generateLongPathPoints(startChunkX, startChunkZ, pathLength, pathPattern, random);
         
         // Apply terrain heights to all points
         for (let i = 0; i < points.length; i++) {
@@ -270,46 +273,47 @@ export class PathManager {
      * @param {number} startChunkZ - Starting chunk Z  
      * @param {number} pathLength - Total path length
      * @param {string} pathPattern - Path pattern type
+     * @param {function(): number} [random=Math.random] - Random function, seeded for reproducible worlds
      * @returns {Array} - Array of Vector3 points
      */
-    generateLongPathPoints(startChunkX, startChunkZ, pathLength, pathPattern) {
+    generateLongPathPoints(startChunkX, startChunkZ, pathLength, pathPattern, random = Math.random) {
         const terrainChunkSize = this.worldManager.terrainManager.terrainChunkSize;
         const points = [];
         
         // Starting position (random within the starting chunk)
-        const startX = startChunkX * terrainChunkSize + Math.random() * terrainChunkSize;
-        const startZ = startChunkZ * terrainChunkSize + Math.random() * terrainChunkSize;
+        const startX = startChunkX * terrainChunkSize + random() * terrainChunkSize;
+        const startZ = startChunkZ * terrainChunkSize + random() * terrainChunkSize;
         
         points.push(new THREE.Vector3(startX, 0, startZ));
         
         // Generate path direction
         let currentX = startX;
         let currentZ = startZ;
-        let currentDirection = Math.random() * Math.PI * 2; // Random initial direction
+        let currentDirection = random() * Math.PI * 2; // Random initial direction
         let remainingLength = pathLength;
         
         // Generate points along the path
         while (remainingLength > 0) {
             // Segment length (vary between 20-50 units)
-            const segmentLength = Math.min(20 + Math.random() * 30, remainingLength);
+            const segmentLength = Math.min(20 + random() * 30, remainingLength);
             
             // Add some directional variation based on pattern
             let directionChange = 0;
             switch (pathPattern) {
                 case PATH_PATTERNS.STRAIGHT:
-                    directionChange = (Math.random() - 0.5) * 0.2; // Small variations
+                    directionChange = (random() - 0.5) * 0.2; // Small variations
                     break;
                 case PATH_PATTERNS.CURVED:
-                    directionChange = (Math.random() - 0.5) * 0.5; // Moderate curves
+                    directionChange = (random() - 0.5) * 0.5; // Moderate curves
                     break;
                 case PATH_PATTERNS.NATURAL:
-                    directionChange = (Math.random() - 0.5) * 0.8; // More organic curves
+                    directionChange = (random() - 0.5) * 0.8; // More organic curves
                     break;
                 case PATH_PATTERNS.SPIRAL:
                     directionChange = 0.3; // Consistent spiral
                     break;
                 default:
-                    directionChange = (Math.random() - 0.5) * 0.3;
+                    directionChange = (random() - 0.5) * 0.3;
             }
             
             currentDirection += directionChange;
@@ -381,50 +385,53 @@ export class PathManager {
         const paths = [];
         const terrainChunkSize = this.worldManager.terrainManager.terrainChunkSize;
         
+        // Paths only depend on the world seed and the area they are generated for
+        const random = this.worldManager.worldSeed.createRandom('paths', zoneType, startX, startZ);
+        
         // Determine path characteristics based on zone type
         let pathPattern, pathType, pathMaterial, pathWidth;
         
         switch (zoneType) {
             case 'Forest':
-                pathPattern = Math.random() > 0.7 ? PATH_PATTERNS.NATURAL : PATH_PATTERNS.CURVED;
+                pathPattern = random() > 0.7 ? PATH_PATTERNS.NATURAL : PATH_PATTERNS.CURVED;
                 pathType = PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.DIRT;
-                pathWidth = 2 + Math.random() * 1.5; // Wall height: 2-3.5 units
+                pathWidth = 2 + random() * 1.5; // Wall height: 2-3.5 units
                 break;
                 
             case 'Desert':
-                pathPattern = Math.random() > 0.6 ? PATH_PATTERNS.STRAIGHT : PATH_PATTERNS.CURVED;
+                pathPattern = random() > 0.6 ? PATH_PATTERNS.STRAIGHT : PATH_PATTERNS.CURVED;
                 pathType = PATH_TYPES.ROAD;
                 pathMaterial = PATH_MATERIALS.SAND;
-                pathWidth = 3 + Math.random() * 2; // Wall height: 3-5 units
+                pathWidth = 3 + random() * 2; // Wall height: 3-5 units
                 break;
                 
             case 'Mountain':
-                pathPattern = Math.random() > 0.5 ? PATH_PATTERNS.CURVED : PATH_PATTERNS.SPIRAL;
-                pathType = Math.random() > 0.7 ? PATH_TYPES.STAIRS : PATH_TYPES.TRAIL;
+                pathPattern = random() > 0.5 ? PATH_PATTERNS.CURVED : PATH_PATTERNS.SPIRAL;
+                pathType = random() > 0.7 ? PATH_TYPES.STAIRS : PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.STONE;
-                pathWidth = 4 + Math.random() * 3; // Wall height: 4-7 units (mountain walls)
+                pathWidth = 4 + random() * 3; // Wall height: 4-7 units (mountain walls)
                 break;
                 
             case 'Village':
                 pathPattern = PATH_PATTERNS.STRAIGHT;
                 pathType = PATH_TYPES.ROAD;
                 pathMaterial = PATH_MATERIALS.STONE;
-                pathWidth = 2.5 + Math.random() * 1.5; // Wall height: 2.5-4 units
+                pathWidth = 2.5 + random() * 1.5; // Wall height: 2.5-4 units
                 break;
                 
             case 'Swamp':
                 pathPattern = PATH_PATTERNS.CURVED;
-                pathType = Math.random() > 0.6 ? PATH_TYPES.BRIDGE : PATH_TYPES.TRAIL;
-                pathMaterial = Math.random() > 0.5 ? PATH_MATERIALS.WOOD : PATH_MATERIALS.DIRT;
-                pathWidth = 1.5 + Math.random() * 1; // Wall height: 1.5-2.5 units (shorter walls in swamps)
+                pathType = random() > 0.6 ? PATH_TYPES.BRIDGE : PATH_TYPES.TRAIL;
+                pathMaterial = random() > 0.5 ? PATH_MATERIALS.WOOD : PATH_MATERIALS.DIRT;
+                pathWidth = 1.5 + random() * 1; // Wall height: 1.5-2.5 units (shorter walls in swamps)
                 break;
                 
             default:
                 pathPattern = PATH_PATTERNS.NATURAL;
                 pathType = PATH_TYPES.TRAIL;
                 pathMaterial = PATH_MATERIALS.DIRT;
-                pathWidth = 2 + Math.random() * 1; // Wall height: 2-3 units
+                pathWidth = 2 + random() * 1; // Wall height: 2-3 units
         }
         
         // Generate path points
@@ -433,22 +440,22 @@ export class PathManager {
         // For straight or curved paths, create a path across the chunk
         if (pathPattern === PATH_PATTERNS.STRAIGHT || pathPattern === PATH_PATTERNS.CURVED) {
             // Determine if path goes N-S or E-W
-            const isNorthSouth = Math.random() > 0.5;
+            const isNorthSouth = random() > 0.5;
             
             if (isNorthSouth) {
                 // North-South path
-                const pathX = startX + Math.random() * terrainChunkSize;
+                const pathX = startX + random() * terrainChunkSize;
                 points.push(new THREE.Vector3(pathX, 0, startZ));
                 
                 // Add some midpoints for curved paths
                 if (pathPattern === PATH_PATTERNS.CURVED) {
                     const midpoint1 = new THREE.Vector3(
-                        pathX + (Math.random() * 10 - 5),
+                        pathX + (random() * 10 - 5),
                         0,
                         startZ + terrainChunkSize * 0.33
                     );
                     const midpoint2 = new THREE.Vector3(
-                        pathX + (Math.random() * 10 - 5),
+                        pathX + (random() * 10 - 5),
                         0,
                         startZ + terrainChunkSize * 0.66
                     );
@@ -458,7 +465,7 @@ export class PathManager {
                 points.push(new THREE.Vector3(pathX, 0, endZ));
             } else {
                 // East-West path
-                const pathZ = startZ + Math.random() * terrainChunkSize;
+                const pathZ = startZ + random() * terrainChunkSize;
                 points.push(new THREE.Vector3(startX, 0, pathZ));
                 
                 // Add some midpoints for curved paths
@@ -466,12 +473,12 @@ export class PathManager {
                     const midpoint1 = new THREE.Vector3(
                         startX + terrainChunkSize * 0.33,
                         0,
-                        pathZ + (Math.random() * 10 - 5)
+                        pathZ + (random() * 10 - 5)
                     );
                     const midpoint2 = new THREE.Vector3(
                         startX + terrainChunkSize * 0.66,
                         0,
-                        pathZ + (Math.random() * 10 - 5)
+                        pathZ + (random() * 10 - 5)
                     );
                     points.push(midpoint1, midpoint2);
                 }
@@ -482,13 +489,13 @@ export class PathManager {
         // For natural paths, create a more organic path
         else if (pathPattern === PATH_PATTERNS.NATURAL) {
             // Start at a random edge point
-            const side = Math.floor(Math.random() * 4);
+            const side = Math.floor(random() * 4);
             let startPoint;
             
             switch (side) {
                 case 0: // North edge
                     startPoint = new THREE.Vector3(
-                        startX + Math.random() * terrainChunkSize,
+                        startX + random() * terrainChunkSize,
                         0,
                         startZ
                     );
@@ -497,12 +504,12 @@ export class PathManager {
                     startPoint = new THREE.Vector3(
                         endX,
                         0,
-                        startZ + Math.random() * terrainChunkSize
+                        startZ + random() * terrainChunkSize
                     );
                     break;
                 case 2: // South edge
                     startPoint = new THREE.Vector3(
-                        startX + Math.random() * terrainChunkSize,
+                        startX + random() * terrainChunkSize,
                         0,
                         endZ
                     );
@@ -511,7 +518,7 @@ export class PathManager {
                     startPoint = new THREE.Vector3(
                         startX,
                         0,
-                        startZ + Math.random() * terrainChunkSize
+                        startZ + random() * terrainChunkSize
                     );
                     break;
             }
@@ -519,28 +526,28 @@ export class PathManager {
             points.push(startPoint);
             
             // Add 2-4 midpoints
-            const numMidpoints = 2 + Math.floor(Math.random() * 3);
+            const numMidpoints = 2 + Math.floor(random() * 3);
             for (let i = 0; i < numMidpoints; i++) {
                 const midpoint = new THREE.Vector3(
-                    startX + Math.random() * terrainChunkSize,
+                    startX + random() * terrainChunkSize,
                     0,
-                    startZ + Math.random() * terrainChunkSize
+                    startZ + random() * terrainChunkSize
                 );
                 points.push(midpoint);
             }
             
             // End at a different edge
             let endSide = (side + 2) % 4; // Opposite side by default
-            if (Math.random() > 0.7) {
+            if (random() > 0.7) {
                 // Sometimes use an adjacent side
-                endSide = (side + 1 + Math.floor(Math.random() * 2)) % 4;
+                endSide = (side + 1 + Math.floor(random() * 2)) % 4;
             }
             
             let endPoint;
             switch (endSide) {
                 case 0: // North edge
                     endPoint = new THREE.Vector3(
-                        startX + Math.random() * terrainChunkSize,
+                        startX + random() * terrainChunkSize,
                         0,
                         startZ
                     );
@@ -549,12 +556,12 @@ export class PathManager {
                     endPoint = new THREE.Vector3(
                         endX,
                         0,
-                        startZ + Math.random() * terrainChunkSize
+                        startZ + random() * terrainChunkSize
                     );
                     break;
                 case 2: // South edge
                     endPoint = new THREE.Vector3(
-                        startX + Math.random() * terrainChunkSize,
+                        startX + random() * terrainChunkSize,
                         0,
                         endZ
                     );
@@ -563,7 +570,7 @@ export class PathManager {
                     endPoint = new THREE.Vector3(
                         startX,
                         0,
-                        startZ + Math.random() * terrainChunkSize
+                        startZ + random() * terrainChunkSize
                     );
                     break;
             }
@@ -577,7 +584,7 @@ export class PathManager {
             const radius = terrainChunkSize * 0.3;
             
             // Create a circle of points
-            const numPoints = 8 + Math.floor(Math.random() * 4);
+            const numPoints = 8 + Math.floor(random() * 4);
             for (let i = 0; i < numPoints; i++) {
                 const angle = (i / numPoints) * Math.PI * 2;
                 const x = centerX + Math.cos(angle) * radius;
@@ -595,7 +602,7 @@ export class PathManager {
             const maxRadius = terrainChunkSize * 0.4;
             
             // Create a spiral of points
-            const numPoints = 16 + Math.floor(Math.random() * 8);
+            const numPoints = 16 + Math.floor(random() * 8);
             for (let i = 0; i < numPoints; i++) {
                 const angle = (i / numPoints) * Math.PI * 6; // 3 full rotations
                 const radius = (i / numPoints) * maxRadius;
@@ -851,6 +858,25 @@ export class PathManager {
             }
         }
         
+        // Remove paths loaded per chunk (e.g. from map data)
+        for (const chunkKey in this.pathChunks) {
+            this.pathChunks[chunkKey].forEach(pathData => {
+                if (pathData.object && pathData.object.parent) {
+                    pathData.object.parent.remove(pathData.object);
+                    pathData.object.traverse(obj => {
+                        if (obj.geometry) obj.geometry.dispose();
+                        if (obj.material) {
+                            if (Array.isArray(obj.material)) {
+                                obj.material.forEach(material => material.dispose());
+                            } else {
+                                obj.material.dispose();
+                            }
+                        }
+                    });
+                }
+            });
+        }
+        
         // Reset collections
         this.paths = {};
         this.visiblePaths = {};
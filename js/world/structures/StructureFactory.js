@@ -200,6 +200,9 @@ export class StructureFactory {
                 const questX = x + (Math.random() * 10 - 5);
                 const questZ = z + (Math.random() * 10 - 5);
                 this.worldManager.interactiveManager.createQuestMarker(questX, questZ);
+                
+                // Add a vendor next to the village center
+                this.worldManager.interactiveManager.createVendor(x + 4, z + 4);
             }
             
             return villageGroup;
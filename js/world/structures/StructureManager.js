@@ -176,6 +176,7 @@ export class StructureManager {
         
         // Reset structures collections
         this.structures = [];
+        this.structuresPlaced = {};
         this.specialStructures = {};
         
         console.debug("All structures cleared");
@@ -327,20 +328,21 @@ export class StructureManager {
      * @param {number} centerX - X coordinate of range center
      * @param {number} centerZ - Z coordinate of range center
      * @param {number} mountainCount - Number of mountains in the range
+     * @param {function(): number} [random=Math.random] - Random function, seeded for reproducible worlds
      * @returns {Object} - Information about the created mountain range
      */
-    createMountainRange(centerX, centerZ, mountainCount) {
+    createMountainRange(centerX, centerZ, mountainCount, random = Math.random) {
         console.debug(`Creating mountain range with ${mountainCount} peaks at (${centerX.toFixed(1)}, ${centerZ.toFixed(1)})`);
         
         const groupId = `mountain_range_${Date.now()}`;
         const mountains = [];
         
         // Create mountains in a line or arc formation
-        const isLinear = Math.random() > 0.3; // 70% chance of linear formation
+        const isLinear = random() > 0.3; // 70% chance of linear formation
         const spread = this.groupSpread['mountain'];
         
         // Choose a main direction for the range
-        const rangeAngle = Math.random() * Math.PI * 2;
+        const rangeAngle = random() * Math.PI * 2;
         
         // Create a path along the mountain range
         const pathPoints = [];
@@ -356,7 +358,7 @@ export class StructureManager {
                 
                 // Add some randomness perpendicular to the main direction
                 const perpAngle = rangeAngle + Math.PI / 2;
-                const perpDistance = (Math.random() - 0.5) * (spread / 3);
+                const perpDistance = (random() - 0.5) * (spread / 3);
                 mountainX += Math.cos(perpAngle) * perpDistance;
                 mountainZ += Math.sin(perpAngle) * perpDistance;
                 
@@ -366,8 +368,8 @@ export class StructureManager {
                 }
             } else {
                 // Arc/cluster formation
-                const arcAngle = rangeAngle + (Math.random() - 0.5) * Math.PI / 2;
-                const distance = Math.random() * spread;
+                const arcAngle = rangeAngle + (random() - 0.5) * Math.PI / 2;
+                const distance = random() * spread;
                 mountainX = centerX + Math.cos(arcAngle) * distance;
                 mountainZ = centerZ + Math.sin(arcAngle) * distance;
                 
@@ -378,7 +380,7 @@ export class StructureManager {
             }
             
             // Vary mountain sizes
-            const scaleFactor = 0.7 + Math.random() * 0.6; // 0.7 to 1.3
+            const scaleFactor = 0.7 + random() * 0.6; // 0.7 to 1.3
             const mountain = this.structureFactory.createStructure(STRUCTURE_OBJECTS.MOUNTAIN, {
                 x: mountainX,
                 z: mountainZ,
@@ -425,8 +427,8 @@ export class StructureManager {
                 const end = pathPoints[i + 1];
                 
                 // Create path segment with some randomness
-                const midX = (start.x + end.x) / 2 + (Math.random() - 0.5) * 5;
-                const midZ = (start.z + end.z) / 2 + (Math.random() - 0.5) * 5;
+                const midX = (start.x + end.x) / 2 + (random() - 0.5) * 5;
+                const midZ = (start.z + end.z) / 2 + (random() - 0.5) * 5;
                 
                 // Create first half
                 this.game.worldManager.createPathSegment(start.x, start.z, midX, midZ);
@@ -530,16 +532,19 @@ export class StructureManager {
         const densityFactor = zoneDensity.structures || 0.2;
         const probability = baseProbability * densityFactor * this.worldManager.worldScale;
         
+        // Structures in a chunk only depend on the world seed and the chunk coordinates
+        const random = this.worldManager.worldSeed.createRandom('structures', chunkX, chunkZ);
+        
         // Determine if we should place a structure in this chunk
-        if (Math.random() < probability) {
+        if (random() < probability) {
             // Choose a random position within the chunk
-            const offsetX = Math.random() * chunkSize * 0.8 + chunkSize * 0.1; // Keep away from edges
-            const offsetZ = Math.random() * chunkSize * 0.8 + chunkSize * 0.1; // Keep away from edges
+            const offsetX = random() * chunkSize * 0.8 + chunkSize * 0.1; // Keep away from edges
+            const offsetZ = random() * chunkSize * 0.8 + chunkSize * 0.1; // Keep away from edges
             const x = worldX + offsetX;
             const z = worldZ + offsetZ;
             
             // Choose a random structure type for this zone
-            const typeIndex = Math.floor(Math.random() * structureTypes.length);
+            const typeIndex = Math.floor(random() * structureTypes.length);
             const type = structureTypes[typeIndex];
             
             // Create the structure
@@ -560,9 +565,9 @@ export class StructureManager {
                 const defaultProps = this.structureFactory.getDefaultProperties(structureType);
                 
                 // Create random dimensions based on the default properties
-                const width = defaultProps.width ? defaultProps.width * (0.8 + Math.random() * 0.4) : 5;
-                const depth = defaultProps.depth ? defaultProps.depth * (0.8 + Math.random() * 0.4) : 5;
-                const height = defaultProps.height ? defaultProps.height * (0.8 + Math.random() * 0.4) : 3;
+                const width = defaultProps.width ? defaultProps.width * (0.8 + random() * 0.4) : 5;
+                const depth = defaultProps.depth ? defaultProps.depth * (0.8 + random() * 0.4) : 5;
+                const height = defaultProps.height ? defaultProps.height * (0.8 + random() * 0.4) : 3;
                 
                 // Create the structure using the factory
                 structure = this.structureFactory.createStructure(structureType, {
@@ -823,56 +828,22 @@ export class StructureManager {
         }
     }
     
-    /**
-     * Clear all structures
-     */
-    clear() {
-        // Remove all structures from the scene
-        this.structures.forEach(structure => {
-            if (structure.parent) {
-                this.scene.remove(structure);
-            }
-            
-            // Dispose of geometry
-            if (structure.geometry) {
-                structure.geometry.dispose();
-            }
-            
-            // Dispose of materials
-            if (structure.material) {
-                if (Array.isArray(structure.material)) {
-                    structure.material.forEach(material => {
-                        if (material.map) material.map.dispose();
-                        material.dispose();
-                    });
-                } else {
-                    if (structure.material.map) structure.material.map.dispose();
-                    structure.material.dispose();
-                }
-            }
-        });
-        
-        // Reset collections
-        this.structures = [];
-        this.structuresPlaced = {};
-        this.specialStructures = {};
-    }
-    
     /**
      * Create a structure at a specific position
      * @param {string} structureType - Type of structure to create
      * @param {THREE.Vector3} position - Position to create structure at
+     * @param {function(): number} [random=Math.random] - Random function, seeded for reproducible worlds
      * @returns {THREE.Object3D} - The created structure object
      */
-    createStructure(structureType, position) {
+    createStructure(structureType, position, random = Math.random) {
         try {
             // Use the structure factory to create the structure
             const structure = this.structureFactory.createStructure(structureType, {
                 x: position.x,
                 z: position.z,
-                width: 3 + Math.random() * 4,
-                depth: 3 + Math.random() * 4,
-                height: 2 + Math.random() * 3
+                width: 3 + random() * 4,
+                depth: 3 + random() * 4,
+                height: 2 + random() * 3
             });
             
             if (structure) {
@@ -900,19 +871,20 @@ export class StructureManager {
     /**
      * Generate a structure at a specific position - ADDED FOR SAMPLE COMPATIBILITY
      * @param {THREE.Vector3} position - Position to generate structure at
+     * @param {function(): number} [random=Math.random] - Random function, seeded for reproducible worlds
      */
-    generateStructureAtPosition(position) {
+    generateStructureAtPosition(position, random = Math.random) {
         // Simple structure generation for random world generation
         const structureTypes = ['house', 'tower', 'ruins'];
-        const randomType = structureTypes[Math.floor(Math.random() * structureTypes.length)];
+        const randomType = structureTypes[Math.floor(random() * structureTypes.length)];
         
         // Use the structure factory to create the structure
         const structure = this.structureFactory.createStructure(randomType, {
             x: position.x,
             z: position.z,
-            width: 3 + Math.random() * 4,
-            depth: 3 + Math.random() * 4,
-            height: 2 + Math.random() * 3
+            width: 3 + random() * 4,
+            depth: 3 + random() * 4,
+            height: 2 + random() * 3
         });
         
         if (structure) {
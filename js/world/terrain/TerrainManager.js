@@ -507,8 +507,13 @@ export class TerrainManager {
     
     /**
      * Raw noise function using pseudo-random values
+     * The world seed offsets the sample position, so each seed gets different terrain
      */
     rawNoise(x, z) {
+        const offset = this.worldManager.worldSeed.terrainOffset;
+        x += offset.x;
+        z += offset.z;
+        
         // Simple hash function for consistent pseudo-random values
         let n = Math.sin(x * 12.9898 + z * 78.233) * 43758.5453;
         const result = 2 * (n - Math.floor(n)) - 1; // Return value between -1 and 1
@@ -0,0 +1,120 @@
+import { RandomGenerator } from './RandomGenerator.js';
+
+/**
+ * World seed shared by every world generator
+ * Generators ask for a random function keyed by what they generate and where
+ * (e.g. 'structures', chunkX, chunkZ), so the same seed always produces the same
+ * content regardless of the order in which the world is explored.
+ */
+export class WorldSeed {
+    /**
+     * Largest seed value (seeds are positive 31-bit integers)
+     * @type {number}
+     */
+    static MAX_SEED = 0x7fffffff;
+
+    /**
+     * Create a new world seed
+     * @param {string|number} [seed] - Seed value or text; a random seed is used when omitted
+     */
+    constructor(seed = WorldSeed.generateSeed()) {
+        this.value = 0;
+        this.terrainOffset = { x: 0, z: 0 };
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a random seed
+     * @returns {number} New seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * WorldSeed.MAX_SEED);
+    }
+
+    /**
+     * Hash text to a well-mixed 32-bit integer (FNV-1a with a final avalanche step)
+     * Keys that differ by one character, like neighbouring chunk coordinates,
+     * end up far apart so their random sequences don't correlate
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+
+    /**
+     * Convert a seed entered by the player or read from a save to a number
+     * Numeric text is used as is, any other text is hashed
+     * @param {string|number} seed - Seed value or text
+     * @returns {number|null} Normalized seed or null if the seed is empty
+     */
+    static normalize(seed) {
+        if (typeof seed === 'string') {
+            seed = seed.trim();
+            if (seed === '') return null;
+            if (/^\d+$/.test(seed)) {
+                seed = Number(seed);
+            } else {
+                return WorldSeed.hash(seed) % WorldSeed.MAX_SEED;
+            }
+        }
+
+        if (typeof seed !== 'number' || !isFinite(seed)) {
+            return null;
+        }
+
+        return Math.abs(Math.floor(seed)) % WorldSeed.MAX_SEED;
+    }
+
+    /**
+     * Change the seed
+     * @param {string|number} seed - Seed value or text
+     * @returns {boolean} True if the seed was valid
+     */
+    setSeed(seed) {
+        const value = WorldSeed.normalize(seed);
+        if (value === null) {
+            console.warn(`Invalid world seed: ${seed}`);
+            return false;
+        }
+
+        this.value = value;
+
+        // Shift the terrain noise so each seed samples a different part of the noise field
+        const random = this.createRandom('terrain');
+        this.terrainOffset = {
+            x: Math.floor((random() - 0.5) * 20000),
+            z: Math.floor((random() - 0.5) * 20000)
+        };
+
+        return true;
+    }
+
+    /**
+     * Create a deterministic random function for one piece of generated content
+     * @param {...(string|number)} keys - What is generated and where, e.g. 'structures', chunkX, chunkZ
+     * @returns {function(): number} Function returning numbers between 0 and 1
+     */
+    createRandom(...keys) {
+        return RandomGenerator.seededRandom(WorldSeed.hash(`${this.value}:${keys.join(':')}`));
+    }
+
+    /**
+     * Get the seed value
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.value;
+    }
+}
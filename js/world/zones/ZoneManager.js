@@ -242,6 +242,29 @@ export class ZoneManager {
         this.visualizeZones();
     }
     
+    /**
+     * Replace the zone layout with zones from map data
+     * @param {Array} zonesData - Array of zone data from map ({name, center, radius, color})
+     */
+    loadFromMapData(zonesData) {
+        if (!zonesData || !Array.isArray(zonesData)) {
+            console.warn('No zone data provided to load');
+            return;
+        }
+        
+        this.zones = zonesData.map(zoneData => ({
+            name: zoneData.name,
+            center: new THREE.Vector3(zoneData.center.x, zoneData.center.y || 0, zoneData.center.z),
+            radius: zoneData.radius,
+            color: zoneData.color || (ZONE_COLORS[zoneData.name] ? Object.values(ZONE_COLORS[zoneData.name])[0] : ZONE_COLORS.Terrant.soil)
+        }));
+        
+        this.buildSimpleZoneCache();
+        this.visualizeZones();
+        
+        console.debug(`Loaded ${this.zones.length} zones from map data`);
+    }
+    
     /**
      * Seeded random number generator for consistent zone generation
      * @param {number} seed - The seed value
@@ -1,6 +1,7 @@
 /**
  * Simple HTTP server for local development
- * Run with: node local-server.js
+ * Also runs the WebSocket relay used by the "WebSocket relay" multiplayer transport
+ * Run with: node server.js
  * Then open: http://localhost:8080
  */
 
@@ -8,8 +9,20 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
 
 const PORT = 8080;
+
+// Must match RELAY_CONFIG in js/config/multiplayer.js
+const RELAY_PATH = '/relay';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_FRAME_SIZE = 1024 * 1024;
+// Milliseconds a room waits for one of its members to take over after the host left
+const HOST_MIGRATION_TIMEOUT = 30000;
+// Milliseconds between pings, a client that didn't answer the previous ping is dropped
+const PING_INTERVAL = 15000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
 const MIME_TYPES = {
   '.html': 'text/html',
   '.js': 'text/javascript',
@@ -73,7 +86,322 @@ const server = http.createServer((req, res) => {
   });
 });
 
+/**
+ * Minimal WebSocket connection on top of a raw socket (RFC 6455)
+ * Only what the relay needs: text and binary messages, ping and close.
+ */
+class WebSocketClient {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.closed = false;
+    this.onMessage = () => {};
+    this.onClose = () => {};
+
+    // Any frame from the client (including pongs) shows it is still there
+    this.isAlive = true;
+    this.pingTimer = setInterval(() => this.checkAlive(), PING_INTERVAL);
+
+    socket.on('data', chunk => this.receive(chunk));
+    // A closed tab or dropped network ends the socket without a close frame
+    socket.on('end', () => this.close());
+    socket.on('close', () => this.handleClose());
+    socket.on('error', () => this.handleClose());
+  }
+
+  checkAlive() {
+    if (!this.isAlive) {
+      this.socket.destroy();
+      this.handleClose();
+      return;
+    }
+    this.isAlive = false;
+    this.sendFrame(0x9, Buffer.alloc(0));
+  }
+
+  receive(chunk) {
+    this.isAlive = true;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0f;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (length > MAX_FRAME_SIZE) {
+        this.close();
+        return;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0: // Continuation
+      case 0x1: // Text
+      case 0x2: // Binary
+        if (opcode !== 0x0) {
+          this.fragmentOpcode = opcode;
+          this.fragments = [];
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments);
+          this.fragments = [];
+          this.onMessage(this.fragmentOpcode === 0x1 ? message.toString('utf8') : message);
+        }
+        break;
+      case 0x8: // Close
+        this.close();
+        break;
+      case 0x9: // Ping
+        this.sendFrame(0xa, payload);
+        break;
+      default: // Pong and unknown opcodes
+        break;
+    }
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closed || !this.socket.writable) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  sendText(message) {
+    this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+  }
+
+  sendBinary(data) {
+    this.sendFrame(0x2, data);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.sendFrame(0x8, Buffer.alloc(0));
+    this.socket.end();
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.pingTimer);
+    this.onClose();
+  }
+}
+
+/**
+ * Room based relay: members talk to their host, the host talks to every member
+ * When the host leaves, the room stays open until a member takes it over.
+ * Control messages are JSON text frames. Game data is sent in binary frames
+ * [format byte][id length byte][id][payload]; the relay swaps the target id
+ * for the sender id and forwards the frame without looking at the payload.
+ */
+const rooms = new Map(); // Map of room code to { host, members: Map of id to client }
+
+function createRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+function handleRelayControl(client, message) {
+  switch (message.type) {
+    case 'host': {
+      if (client.room) break;
+      const code = createRoomCode();
+      client.id = code;
+      client.room = code;
+      rooms.set(code, { host: client, members: new Map(), migrationTimer: null });
+      client.sendText({ type: 'hosted', id: code, room: code });
+      console.debug(`[Relay] Room ${code} created`);
+      return;
+    }
+    case 'join': {
+      const code = String(message.room || '').toUpperCase();
+      const room = rooms.get(code);
+      if (!room || (client.room && client.room !== code)) {
+        client.sendText({ type: 'error', message: `Room ${message.room} not found` });
+        return;
+      }
+      if (!room.host) {
+        // Members join again once one of them has taken over the room
+        client.sendText({ type: 'error', message: `Room ${code} is waiting for a new host` });
+        return;
+      }
+      if (room.host === client) break;
+      client.id = client.id || crypto.randomBytes(4).toString('hex');
+      client.room = code;
+      room.members.set(client.id, client);
+      client.sendText({ type: 'joined', id: client.id, hostId: room.host.id });
+      room.host.sendText({ type: 'peerJoined', id: client.id });
+      console.debug(`[Relay] ${client.id} joined room ${code}`);
+      return;
+    }
+    case 'promote': {
+      // The member elected by the remaining players becomes the host
+      const room = rooms.get(client.room);
+      if (!room || room.host || !room.members.has(client.id)) break;
+      clearTimeout(room.migrationTimer);
+      room.members.delete(client.id);
+      room.host = client;
+      client.sendText({ type: 'hosted', id: client.id, room: client.room });
+      console.debug(`[Relay] ${client.id} took over room ${client.room}`);
+      return;
+    }
+    case 'close': {
+      // The host removes a member
+      const room = rooms.get(client.room);
+      const member = room && room.host === client ? room.members.get(message.id) : null;
+      if (member) {
+        room.members.delete(message.id);
+        member.sendText({ type: 'peerLeft', id: client.id });
+        member.close();
+      }
+      return;
+    }
+    default:
+      break;
+  }
+  client.sendText({ type: 'error', message: `Request ${message.type} not allowed` });
+}
+
+function handleRelayData(client, data) {
+  const room = rooms.get(client.room);
+  if (!room || data.length < 2) return;
+
+  const idLength = data[1];
+  const targetId = data.subarray(2, 2 + idLength).toString('utf8');
+  let target = null;
+  if (room.host === client) {
+    target = room.members.get(targetId);
+  } else if (room.host && targetId === room.host.id) {
+    target = room.host;
+  }
+  if (!target) return;
+
+  const senderId = Buffer.from(client.id, 'utf8');
+  const header = Buffer.from([data[0], senderId.length]);
+  target.sendBinary(Buffer.concat([header, senderId, data.subarray(2 + idLength)]));
+}
+
+function handleRelayClose(client) {
+  const room = rooms.get(client.room);
+  if (!room) return;
+
+  if (room.host === client) {
+    room.host = null;
+    if (room.members.size === 0) {
+      rooms.delete(client.room);
+      console.debug(`[Relay] Room ${client.room} closed`);
+      return;
+    }
+
+    // Keep the room open so a member can take it over
+    room.members.forEach(member => member.sendText({ type: 'peerLeft', id: client.id }));
+    room.migrationTimer = setTimeout(() => {
+      rooms.delete(client.room);
+      room.members.forEach(member => member.close());
+      console.debug(`[Relay] Room ${client.room} closed, no member took over`);
+    }, HOST_MIGRATION_TIMEOUT);
+    console.debug(`[Relay] Host left room ${client.room}, waiting for a new host`);
+  } else if (room.members.delete(client.id)) {
+    if (room.host) {
+      room.host.sendText({ type: 'peerLeft', id: client.id });
+    } else if (room.members.size === 0) {
+      clearTimeout(room.migrationTimer);
+      rooms.delete(client.room);
+    }
+    console.debug(`[Relay] ${client.id} left room ${client.room}`);
+  }
+}
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (url.parse(req.url).pathname !== RELAY_PATH || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = new WebSocketClient(socket);
+  client.id = null;
+  client.room = null;
+  client.onMessage = message => {
+    if (typeof message === 'string') {
+      try {
+        handleRelayControl(client, JSON.parse(message));
+      } catch (error) {
+        client.sendText({ type: 'error', message: 'Invalid request' });
+      }
+    } else {
+      handleRelayData(client, message);
+    }
+  };
+  client.onClose = () => handleRelayClose(client);
+});
+
 server.listen(PORT, () => {
   console.debug(`Server running at http://localhost:${PORT}/`);
+  console.debug(`Multiplayer relay running at ws://localhost:${PORT}${RELAY_PATH}`);
   console.debug(`Press Ctrl+C to stop the server`);
 });
\ No newline at end of file